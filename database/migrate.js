@@ -0,0 +1,90 @@
+#!/usr/bin/env node
+/**
+ * Database Migration CLI
+ *
+ * Usage: npm run migrate -- [up|down|status] [--steps N]
+ *
+ *   up      Apply pending migrations (default)
+ *   down    Roll back the most recently applied migration(s)
+ *   status  List migrations and whether they have been applied
+ *
+ * Runs against the embedded PostgreSQL database in DATABASE_DIR
+ * (default: ./data/pglite), the same database used by the pglite storage adapter.
+ */
+
+require('dotenv').config();
+
+const { createStorageAdapter } = require('../src/data/storage');
+const MigrationRunner = require('../src/data/migrationRunner');
+
+const COMMANDS = ['up', 'down', 'status'];
+
+/**
+ * Parse command line arguments
+ * @param {Array} argv - Arguments after the script name
+ * @returns {Object} Parsed command and options
+ */
+function parseArgs(argv) {
+    const args = { command: 'up', steps: undefined };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--steps' || arg === '-n') {
+            args.steps = parseInt(argv[++i], 10);
+            if (!Number.isInteger(args.steps) || args.steps < 1) {
+                throw new Error('--steps must be a positive integer');
+            }
+        } else if (COMMANDS.includes(arg)) {
+            args.command = arg;
+        } else {
+            throw new Error(`Unknown argument "${arg}". Usage: migrate [up|down|status] [--steps N]`);
+        }
+    }
+
+    return args;
+}
+
+/**
+ * Print the migration status table
+ * @param {Object} currentStatus - Result of MigrationRunner#status()
+ */
+function printStatus(currentStatus) {
+    if (currentStatus.migrations.length === 0) {
+        console.log('No migrations found.');
+        return;
+    }
+
+    currentStatus.migrations.forEach(entry => {
+        const appliedAt = entry.appliedAt ? new Date(entry.appliedAt).toISOString() : '';
+        const rollback = entry.hasDown ? '' : ' (no rollback)';
+        console.log(`${entry.state.padEnd(9)} ${entry.filename}${rollback} ${appliedAt}`.trimEnd());
+    });
+
+    console.log(`\n${currentStatus.pending.length} pending, ${currentStatus.problems.length} problem(s)`);
+}
+
+async function main() {
+    const args = parseArgs(process.argv.slice(2));
+    const adapter = createStorageAdapter({ adapter: 'pglite', autoMigrate: false, seedSampleData: false });
+    const db = await adapter.openDatabase();
+    const runner = new MigrationRunner(db);
+
+    try {
+        if (args.command === 'status') {
+            printStatus(await runner.status());
+        } else if (args.command === 'down') {
+            const rolledBack = await runner.down({ steps: args.steps });
+            console.log(rolledBack.length > 0 ? `Rolled back ${rolledBack.length} migration(s).` : 'Nothing to roll back.');
+        } else {
+            const applied = await runner.up({ steps: args.steps });
+            console.log(applied.length > 0 ? `Applied ${applied.length} migration(s).` : 'Database is up to date.');
+        }
+    } finally {
+        await adapter.close();
+    }
+}
+
+main().catch(error => {
+    console.error(`Migration failed: ${error.message}`);
+    process.exit(1);
+});
@@ -0,0 +1,8 @@
+-- Rollback: Create Category and Template Tables
+--
+-- Drops the Category and Template tables and the shared updated_at trigger function.
+-- The uuid-ossp extension is left installed.
+
+DROP TABLE IF EXISTS Template CASCADE;
+DROP TABLE IF EXISTS Category CASCADE;
+DROP FUNCTION IF EXISTS update_updated_at_column();
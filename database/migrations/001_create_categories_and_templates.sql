@@ -0,0 +1,97 @@
+-- Migration: Create Category and Template Tables
+-- Work Order #1: Template Browser Data Model Implementation
+--
+-- This migration creates the Category and Template tables (taken from schema.sql)
+-- together with the shared updated_at trigger function that later migrations rely on.
+
+-- Enable UUID extension for generating UUIDs
+CREATE EXTENSION IF NOT EXISTS "uuid-ossp";
+
+-- =====================================================
+-- CATEGORY TABLE
+-- =====================================================
+-- Stores template categories for organization and filtering
+CREATE TABLE Category (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    name VARCHAR(100) NOT NULL UNIQUE,
+    description TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+-- =====================================================
+-- TEMPLATE TABLE
+-- =====================================================
+-- Stores template metadata and component configurations
+CREATE TABLE Template (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    name VARCHAR(255) NOT NULL UNIQUE,
+    description TEXT,
+    category_id UUID NOT NULL REFERENCES Category(id) ON DELETE CASCADE,
+    preview_image_url VARCHAR(2048),
+    components JSONB NOT NULL DEFAULT '[]'::jsonb,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+-- =====================================================
+-- INDEXES FOR PERFORMANCE OPTIMIZATION
+-- =====================================================
+
+-- Index on Category.name for efficient category lookups
+CREATE INDEX idx_category_name ON Category(name);
+
+-- Index on Template.category_id for efficient template filtering by category
+CREATE INDEX idx_template_category_id ON Template(category_id);
+
+-- Index on Template.name for efficient template name lookups
+CREATE INDEX idx_template_name ON Template(name);
+
+-- GIN index on Template.components for efficient JSONB queries
+CREATE INDEX idx_template_components ON Template USING GIN (components);
+
+-- Composite index for category-based template queries
+CREATE INDEX idx_template_category_name ON Template(category_id, name);
+
+-- =====================================================
+-- TRIGGERS FOR AUTOMATIC TIMESTAMP UPDATES
+-- =====================================================
+
+-- Function to update the updated_at timestamp
+CREATE OR REPLACE FUNCTION update_updated_at_column()
+RETURNS TRIGGER AS $$
+BEGIN
+    NEW.updated_at = CURRENT_TIMESTAMP;
+    RETURN NEW;
+END;
+$$ language 'plpgsql';
+
+-- Trigger for Category table
+CREATE TRIGGER update_category_updated_at
+    BEFORE UPDATE ON Category
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+-- Trigger for Template table
+CREATE TRIGGER update_template_updated_at
+    BEFORE UPDATE ON Template
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+-- =====================================================
+-- COMMENTS FOR DOCUMENTATION
+-- =====================================================
+
+COMMENT ON TABLE Category IS 'Stores template categories for organization and filtering in the template browser';
+COMMENT ON TABLE Template IS 'Stores template metadata and component configurations for the template browser system';
+
+COMMENT ON COLUMN Category.id IS 'Unique identifier for the category (UUID)';
+COMMENT ON COLUMN Category.name IS 'Unique category name for display and filtering';
+COMMENT ON COLUMN Category.description IS 'Optional description of the category purpose';
+
+COMMENT ON COLUMN Template.id IS 'Unique identifier for the template (UUID)';
+COMMENT ON COLUMN Template.name IS 'Unique template name for identification';
+COMMENT ON COLUMN Template.description IS 'Optional description of the template purpose and features';
+COMMENT ON COLUMN Template.category_id IS 'Foreign key reference to Category.id for template organization';
+COMMENT ON COLUMN Template.preview_image_url IS 'URL to preview image for the template browser UI';
+COMMENT ON COLUMN Template.components IS 'JSONB array containing component configurations with type, configuration, and defaultValues fields';
@@ -0,0 +1,17 @@
+-- Rollback: Create Pages Table
+--
+-- Drops the Page table together with its views, utility functions and
+-- component validation functions.
+
+DROP VIEW IF EXISTS page_component_stats;
+DROP VIEW IF EXISTS page_with_template;
+
+DROP FUNCTION IF EXISTS get_component_by_id(UUID, TEXT);
+DROP FUNCTION IF EXISTS get_ordered_components(UUID);
+
+DROP TABLE IF EXISTS Page CASCADE;
+
+DROP FUNCTION IF EXISTS page_component_types_are_valid(JSONB);
+DROP FUNCTION IF EXISTS page_component_orders_are_unique(JSONB);
+DROP FUNCTION IF EXISTS page_component_ids_are_unique(JSONB);
+DROP FUNCTION IF EXISTS page_components_have_valid_structure(JSONB);
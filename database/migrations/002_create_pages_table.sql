@@ -33,70 +33,66 @@ CREATE INDEX idx_page_template_created ON Page(template_id, created_at);
 -- CONSTRAINTS AND VALIDATION
 -- =====================================================
 
--- Ensure components field contains valid JSONB array structure
+-- PostgreSQL does not allow subqueries inside CHECK constraints, so each
+-- component rule is expressed as an immutable validation function.
+
 -- Each component object must have 'id', 'type', 'data', and 'order' fields
-ALTER TABLE Page 
-ADD CONSTRAINT check_components_structure 
-CHECK (
-    jsonb_typeof(components) = 'array' AND
-    (
-        components = '[]'::jsonb OR
-        (
-            SELECT bool_and(
-                jsonb_typeof(value) = 'object' AND
-                value ? 'id' AND
-                value ? 'type' AND
-                value ? 'data' AND
-                value ? 'order' AND
-                jsonb_typeof(value->'id') = 'string' AND
-                jsonb_typeof(value->'type') = 'string' AND
-                jsonb_typeof(value->'data') = 'object' AND
-                jsonb_typeof(value->'order') = 'number'
-            )
-            FROM jsonb_array_elements(components)
+CREATE OR REPLACE FUNCTION page_components_have_valid_structure(p_components JSONB)
+RETURNS BOOLEAN AS $$
+BEGIN
+    IF jsonb_typeof(p_components) != 'array' THEN
+        RETURN FALSE;
+    END IF;
+
+    RETURN COALESCE((
+        SELECT bool_and(
+            jsonb_typeof(value) = 'object' AND
+            value ? 'id' AND
+            value ? 'type' AND
+            value ? 'data' AND
+            value ? 'order' AND
+            jsonb_typeof(value->'id') = 'string' AND
+            jsonb_typeof(value->'type') = 'string' AND
+            jsonb_typeof(value->'data') = 'object' AND
+            jsonb_typeof(value->'order') = 'number'
         )
-    )
-);
+        FROM jsonb_array_elements(p_components)
+    ), TRUE);
+END;
+$$ LANGUAGE plpgsql IMMUTABLE;
 
--- Ensure component IDs are unique within each page's components array
--- This constraint ensures no duplicate component IDs within a single page
-ALTER TABLE Page 
-ADD CONSTRAINT check_unique_component_ids 
-CHECK (
-    NOT EXISTS (
-        SELECT 1
-        FROM jsonb_array_elements(components) AS comp1,
-             jsonb_array_elements(components) AS comp2
-        WHERE comp1->>'id' = comp2->>'id' 
-        AND comp1 != comp2
-    )
-);
+-- Component IDs must be unique within a page
+CREATE OR REPLACE FUNCTION page_component_ids_are_unique(p_components JSONB)
+RETURNS BOOLEAN AS $$
+BEGIN
+    RETURN (
+        SELECT COUNT(value->>'id') = COUNT(DISTINCT value->>'id')
+        FROM jsonb_array_elements(p_components)
+    );
+END;
+$$ LANGUAGE plpgsql IMMUTABLE;
 
--- Ensure component order values are unique within each page
--- This constraint ensures no duplicate order values within a single page
-ALTER TABLE Page 
-ADD CONSTRAINT check_unique_component_orders 
-CHECK (
-    NOT EXISTS (
-        SELECT 1
-        FROM jsonb_array_elements(components) AS comp1,
-             jsonb_array_elements(components) AS comp2
-        WHERE (comp1->>'order')::numeric = (comp2->>'order')::numeric
-        AND comp1 != comp2
-    )
-);
+-- Component order values must be unique within a page
+CREATE OR REPLACE FUNCTION page_component_orders_are_unique(p_components JSONB)
+RETURNS BOOLEAN AS $$
+BEGIN
+    RETURN (
+        SELECT COUNT(value->>'order') = COUNT(DISTINCT (value->>'order')::numeric)
+        FROM jsonb_array_elements(p_components)
+    );
+END;
+$$ LANGUAGE plpgsql IMMUTABLE;
 
--- Validate component types are supported
--- This constraint ensures only valid component types are used
-ALTER TABLE Page 
-ADD CONSTRAINT check_valid_component_types 
-CHECK (
-    NOT EXISTS (
+-- Only supported component types may be used
+CREATE OR REPLACE FUNCTION page_component_types_are_valid(p_components JSONB)
+RETURNS BOOLEAN AS $$
+BEGIN
+    RETURN NOT EXISTS (
         SELECT 1
-        FROM jsonb_array_elements(components)
+        FROM jsonb_array_elements(p_components)
         WHERE value->>'type' NOT IN (
             'TextComponent',
-            'ImageComponent', 
+            'ImageComponent',
             'BannerComponent',
             'ButtonComponent',
             'ContainerComponent',
@@ -104,8 +100,29 @@ CHECK (
             'AccordionComponent',
             'LinkGroupComponent'
         )
-    )
-);
+    );
+END;
+$$ LANGUAGE plpgsql IMMUTABLE;
+
+-- Ensure components field contains valid JSONB array structure
+ALTER TABLE Page 
+ADD CONSTRAINT check_components_structure 
+CHECK (page_components_have_valid_structure(components));
+
+-- Ensure component IDs are unique within each page's components array
+ALTER TABLE Page 
+ADD CONSTRAINT check_unique_component_ids 
+CHECK (page_component_ids_are_unique(components));
+
+-- Ensure component order values are unique within each page
+ALTER TABLE Page 
+ADD CONSTRAINT check_unique_component_orders 
+CHECK (page_component_orders_are_unique(components));
+
+-- Validate component types are supported
+ALTER TABLE Page 
+ADD CONSTRAINT check_valid_component_types 
+CHECK (page_component_types_are_valid(components));
 
 -- =====================================================
 -- TRIGGER FOR AUTOMATIC TIMESTAMP UPDATES
@@ -117,113 +134,6 @@ CREATE TRIGGER update_page_updated_at
     FOR EACH ROW 
     EXECUTE FUNCTION update_updated_at_column();
 
--- =====================================================
--- SAMPLE DATA FOR TESTING
--- =====================================================
-
--- Insert sample pages with component instances
--- Note: These reference templates created in the main schema
-INSERT INTO Page (template_id, components) VALUES 
-    (
-        (SELECT id FROM Template WHERE name = 'Hero Landing Page' LIMIT 1),
-        '[
-            {
-                "id": "banner-001",
-                "type": "BannerComponent",
-                "data": {
-                    "title": "Welcome to Our Platform",
-                    "subtitle": "Build amazing things with our tools",
-                    "buttonText": "Get Started",
-                    "backgroundImage": "https://example.com/hero-bg.jpg",
-                    "height": "600px",
-                    "alignment": "center"
-                },
-                "order": 1
-            },
-            {
-                "id": "text-001",
-                "type": "TextComponent",
-                "data": {
-                    "content": "This is a sample text component that can be customized with rich content and formatting options.",
-                    "fontSize": "18px",
-                    "color": "#333333",
-                    "alignment": "left",
-                    "padding": "20px"
-                },
-                "order": 2
-            },
-            {
-                "id": "button-001",
-                "type": "ButtonComponent",
-                "data": {
-                    "text": "Learn More",
-                    "url": "/about",
-                    "style": "primary",
-                    "size": "large",
-                    "alignment": "center"
-                },
-                "order": 3
-            }
-        ]'::jsonb
-    ),
-    (
-        (SELECT id FROM Template WHERE name = 'Blog Article Layout' LIMIT 1),
-        '[
-            {
-                "id": "title-001",
-                "type": "TextComponent",
-                "data": {
-                    "content": "Understanding Modern Web Development",
-                    "fontSize": "32px",
-                    "fontWeight": "bold",
-                    "color": "#000000",
-                    "alignment": "center",
-                    "margin": "0 0 20px 0"
-                },
-                "order": 1
-            },
-            {
-                "id": "meta-001",
-                "type": "TextComponent",
-                "data": {
-                    "content": "Published on January 3, 2025 • 5 min read",
-                    "fontSize": "14px",
-                    "color": "#666666",
-                    "alignment": "center",
-                    "fontStyle": "italic",
-                    "margin": "0 0 30px 0"
-                },
-                "order": 2
-            },
-            {
-                "id": "content-001",
-                "type": "TextComponent",
-                "data": {
-                    "content": "In today's rapidly evolving web development landscape, understanding modern frameworks, tools, and best practices is crucial for building scalable and maintainable applications...",
-                    "fontSize": "16px",
-                    "lineHeight": "1.6",
-                    "color": "#444444",
-                    "alignment": "justify",
-                    "padding": "20px"
-                },
-                "order": 3
-            },
-            {
-                "id": "image-001",
-                "type": "ImageComponent",
-                "data": {
-                    "src": "https://example.com/web-dev-image.jpg",
-                    "alt": "Modern web development tools",
-                    "width": "100%",
-                    "height": "auto",
-                    "alignment": "center",
-                    "caption": "Modern web development ecosystem"
-                },
-                "order": 4
-            }
-        ]'::jsonb
-    );
-
 -- =====================================================
 -- VIEWS FOR COMMON QUERIES
 -- =====================================================
@@ -0,0 +1,15 @@
+-- Rollback: Create PageVersion Table
+--
+-- Drops the page_versions table together with its view, triggers and utility functions.
+
+DROP VIEW IF EXISTS page_version_history;
+
+DROP TABLE IF EXISTS page_versions CASCADE;
+
+DROP FUNCTION IF EXISTS cleanup_old_page_versions(UUID, INTEGER);
+DROP FUNCTION IF EXISTS validate_page_components(JSONB);
+DROP FUNCTION IF EXISTS get_page_version_count(UUID);
+DROP FUNCTION IF EXISTS get_latest_page_version(UUID);
+DROP FUNCTION IF EXISTS update_updated_at();
+DROP FUNCTION IF EXISTS set_version_number();
+DROP FUNCTION IF EXISTS get_next_version_number(UUID);
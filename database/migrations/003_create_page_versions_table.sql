@@ -34,7 +34,7 @@ CREATE TABLE IF NOT EXISTS page_versions (
 -- Add foreign key constraints
 ALTER TABLE page_versions 
 ADD CONSTRAINT fk_page_versions_page_id 
-FOREIGN KEY (page_id) REFERENCES pages(id) ON DELETE CASCADE;
+FOREIGN KEY (page_id) REFERENCES Page(id) ON DELETE CASCADE;
 
 -- Note: User table foreign key constraint is commented out since User model may not exist yet
 -- Uncomment the following line when User table is available:
@@ -157,7 +157,7 @@ RETURNS TABLE (
     id UUID,
     page_id UUID,
     version_number INTEGER,
-    timestamp TIMESTAMP WITH TIME ZONE,
+    "timestamp" TIMESTAMP WITH TIME ZONE,
     user_id UUID,
     version_name VARCHAR(255),
     change_description TEXT,
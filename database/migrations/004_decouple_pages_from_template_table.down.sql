@@ -0,0 +1,10 @@
+-- Rollback: Decouple Page From Template Table
+--
+-- Restores the Page to Template foreign key. Fails if any page references a
+-- template that has no Template row.
+
+ALTER TABLE Page
+ADD CONSTRAINT page_template_id_fkey
+FOREIGN KEY (template_id) REFERENCES Template(id) ON DELETE CASCADE;
+
+COMMENT ON COLUMN Page.template_id IS 'Foreign key reference to Template.id linking page to source template';
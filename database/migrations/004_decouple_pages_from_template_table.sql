@@ -0,0 +1,10 @@
+-- Migration: Decouple Page From Template Table
+--
+-- Templates are still served by the application's template services rather than
+-- the Template table, so pages must be able to reference template IDs that have
+-- no Template row. Drop the foreign key and keep the index for lookups.
+
+ALTER TABLE Page
+DROP CONSTRAINT IF EXISTS page_template_id_fkey;
+
+COMMENT ON COLUMN Page.template_id IS 'ID of the template the page was created from (not enforced by a foreign key)';
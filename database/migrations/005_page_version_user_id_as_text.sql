@@ -0,0 +1,71 @@
+-- Migration: Store Page Version Authors As Text
+--
+-- Versions created by the application itself (automatic backups, checkpoints)
+-- are attributed to the 'system' user, which is not a UUID. Store user_id as
+-- text so every version can be persisted. The history view and the latest
+-- version function expose user_id, so they are recreated with the new type.
+
+DROP VIEW IF EXISTS page_version_history;
+DROP FUNCTION IF EXISTS get_latest_page_version(UUID);
+
+ALTER TABLE page_versions
+ALTER COLUMN user_id TYPE VARCHAR(255) USING user_id::text;
+
+CREATE OR REPLACE VIEW page_version_history AS
+SELECT 
+    pv.id,
+    pv.page_id,
+    pv.version_number,
+    pv.timestamp,
+    pv.user_id,
+    pv.version_name,
+    pv.change_description,
+    pv.created_at,
+    pv.updated_at,
+    -- Component statistics
+    jsonb_array_length(pv.components) as component_count,
+    -- Version metadata
+    CASE 
+        WHEN pv.version_number = (SELECT MAX(version_number) FROM page_versions pv2 WHERE pv2.page_id = pv.page_id)
+        THEN true 
+        ELSE false 
+    END as is_latest_version
+FROM page_versions pv
+ORDER BY pv.page_id, pv.version_number DESC;
+
+COMMENT ON VIEW page_version_history IS 'Convenient view for querying page version history with metadata';
+
+CREATE OR REPLACE FUNCTION get_latest_page_version(p_page_id UUID)
+RETURNS TABLE (
+    id UUID,
+    page_id UUID,
+    version_number INTEGER,
+    "timestamp" TIMESTAMP WITH TIME ZONE,
+    user_id VARCHAR(255),
+    version_name VARCHAR(255),
+    change_description TEXT,
+    components JSONB,
+    created_at TIMESTAMP WITH TIME ZONE,
+    updated_at TIMESTAMP WITH TIME ZONE
+) AS $$
+BEGIN
+    RETURN QUERY
+    SELECT 
+        pv.id,
+        pv.page_id,
+        pv.version_number,
+        pv.timestamp,
+        pv.user_id,
+        pv.version_name,
+        pv.change_description,
+        pv.components,
+        pv.created_at,
+        pv.updated_at
+    FROM page_versions pv
+    WHERE pv.page_id = p_page_id
+    ORDER BY pv.version_number DESC
+    LIMIT 1;
+END;
+$$ LANGUAGE plpgsql;
+
+COMMENT ON COLUMN page_versions.user_id IS 'User who created this version (user ID or ''system'')';
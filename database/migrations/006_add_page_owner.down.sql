@@ -0,0 +1,8 @@
+-- Rollback: Add Page Owner
+--
+-- Drops the page owner column and its index.
+
+DROP INDEX IF EXISTS idx_page_owner_id;
+
+ALTER TABLE Page
+DROP COLUMN IF EXISTS owner_id;
@@ -0,0 +1,12 @@
+-- Migration: Add Page Owner
+--
+-- Records the user who created each page. The owner always has full access to
+-- the page; other users need a page share. Pages created before this migration
+-- have no owner and are only accessible to administrators.
+
+ALTER TABLE Page
+ADD COLUMN IF NOT EXISTS owner_id VARCHAR(255);
+
+CREATE INDEX IF NOT EXISTS idx_page_owner_id ON Page(owner_id);
+
+COMMENT ON COLUMN Page.owner_id IS 'ID of the user who created the page';
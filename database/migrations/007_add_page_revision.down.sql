@@ -0,0 +1,9 @@
+-- Rollback: Add Page Revision
+--
+-- Drops the page revision column.
+
+ALTER TABLE Page
+DROP CONSTRAINT IF EXISTS chk_page_revision_positive;
+
+ALTER TABLE Page
+DROP COLUMN IF EXISTS revision;
@@ -0,0 +1,13 @@
+-- Migration: Add Page Revision
+--
+-- Adds a revision number to each page for optimistic concurrency control.
+-- Every update increments the revision; an update made against an older
+-- revision is rejected instead of overwriting newer changes.
+
+ALTER TABLE Page
+ADD COLUMN IF NOT EXISTS revision INTEGER NOT NULL DEFAULT 1;
+
+ALTER TABLE Page
+ADD CONSTRAINT chk_page_revision_positive CHECK (revision > 0);
+
+COMMENT ON COLUMN Page.revision IS 'Incremented on every update; used for optimistic concurrency control';
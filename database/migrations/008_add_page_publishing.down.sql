@@ -0,0 +1,23 @@
+-- Rollback: Add Page Publishing
+--
+-- Drops the page publishing columns.
+
+DROP INDEX IF EXISTS idx_page_status;
+
+ALTER TABLE Page
+DROP CONSTRAINT IF EXISTS chk_page_status;
+
+ALTER TABLE Page
+DROP COLUMN IF EXISTS scheduled_publish_at;
+
+ALTER TABLE Page
+DROP COLUMN IF EXISTS scheduled_version_id;
+
+ALTER TABLE Page
+DROP COLUMN IF EXISTS published_at;
+
+ALTER TABLE Page
+DROP COLUMN IF EXISTS published_version_id;
+
+ALTER TABLE Page
+DROP COLUMN IF EXISTS status;
@@ -0,0 +1,32 @@
+-- Migration: Add Page Publishing
+--
+-- Tracks what is live for each page. A page moves through the statuses
+-- draft, in_review, scheduled, published and unpublished. Publishing snapshots
+-- the page's components as a page version; the public page route serves only
+-- that snapshot, so later edits are not live until the page is published again.
+
+ALTER TABLE Page
+ADD COLUMN IF NOT EXISTS status VARCHAR(20) NOT NULL DEFAULT 'draft';
+
+ALTER TABLE Page
+ADD CONSTRAINT chk_page_status CHECK (status IN ('draft', 'in_review', 'scheduled', 'published', 'unpublished'));
+
+ALTER TABLE Page
+ADD COLUMN IF NOT EXISTS published_version_id UUID REFERENCES page_versions(id) ON DELETE SET NULL;
+
+ALTER TABLE Page
+ADD COLUMN IF NOT EXISTS published_at TIMESTAMP WITH TIME ZONE;
+
+ALTER TABLE Page
+ADD COLUMN IF NOT EXISTS scheduled_version_id UUID REFERENCES page_versions(id) ON DELETE SET NULL;
+
+ALTER TABLE Page
+ADD COLUMN IF NOT EXISTS scheduled_publish_at TIMESTAMP WITH TIME ZONE;
+
+CREATE INDEX IF NOT EXISTS idx_page_status ON Page(status);
+
+COMMENT ON COLUMN Page.status IS 'Publishing status: draft, in_review, scheduled, published or unpublished';
+COMMENT ON COLUMN Page.published_version_id IS 'Page version served by the public page route';
+COMMENT ON COLUMN Page.published_at IS 'When the published version went live';
+COMMENT ON COLUMN Page.scheduled_version_id IS 'Page version that will be published at scheduled_publish_at';
+COMMENT ON COLUMN Page.scheduled_publish_at IS 'When the scheduled version will be published';
@@ -0,0 +1,11 @@
+-- Rollback: Add Page Template Version
+--
+-- Drops the page template version column.
+
+DROP INDEX IF EXISTS idx_page_template_version;
+
+ALTER TABLE Page
+DROP CONSTRAINT IF EXISTS chk_page_template_version_positive;
+
+ALTER TABLE Page
+DROP COLUMN IF EXISTS template_version;
@@ -0,0 +1,15 @@
+-- Migration: Add Page Template Version
+--
+-- Records which revision of its template each page was created from (or last
+-- upgraded to), so pages that are behind the latest template can be found
+-- and upgraded. Pages created before this migration have no recorded version.
+
+ALTER TABLE Page
+ADD COLUMN IF NOT EXISTS template_version INTEGER;
+
+ALTER TABLE Page
+ADD CONSTRAINT chk_page_template_version_positive CHECK (template_version IS NULL OR template_version > 0);
+
+CREATE INDEX IF NOT EXISTS idx_page_template_version ON Page(template_id, template_version);
+
+COMMENT ON COLUMN Page.template_version IS 'Template revision the page was created from or last upgraded to';
@@ -0,0 +1,11 @@
+-- Rollback: Add Page Version Checkpoints
+--
+-- Drops the checkpoint columns. Checkpoint versions are kept as ordinary versions.
+
+DROP INDEX IF EXISTS idx_page_versions_page_auto;
+
+ALTER TABLE page_versions
+DROP COLUMN IF EXISTS checkpoint_reason;
+
+ALTER TABLE page_versions
+DROP COLUMN IF EXISTS auto;
@@ -0,0 +1,17 @@
+-- Migration: Add Page Version Checkpoints
+--
+-- Marks versions that were created automatically (checkpoints taken by the
+-- editor while autosaving, and backups taken before a revert or restore) so
+-- version history can collapse or filter them, and records why each
+-- checkpoint was taken. Existing versions are treated as manual versions.
+
+ALTER TABLE page_versions
+ADD COLUMN IF NOT EXISTS auto BOOLEAN NOT NULL DEFAULT FALSE;
+
+ALTER TABLE page_versions
+ADD COLUMN IF NOT EXISTS checkpoint_reason VARCHAR(50);
+
+CREATE INDEX IF NOT EXISTS idx_page_versions_page_auto ON page_versions(page_id, auto);
+
+COMMENT ON COLUMN page_versions.auto IS 'True for checkpoints created automatically rather than saved by a user';
+COMMENT ON COLUMN page_versions.checkpoint_reason IS 'Why an automatic checkpoint was created (session-start, interval, before-revert, before-restore)';
@@ -0,0 +1,5 @@
+-- Rollback: Create Users Table
+--
+-- Drops the users table. Page owners, shares and versions keep their user IDs.
+
+DROP TABLE IF EXISTS users;
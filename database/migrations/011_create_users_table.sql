@@ -0,0 +1,29 @@
+-- Migration: Create Users Table
+--
+-- Stores local user accounts and their directory profiles (avatar and team),
+-- which the user directory searches and every screen that shows a user
+-- resolves names from. Emails are stored lowercased. Development accounts
+-- are seeded by the application, not by this migration.
+
+CREATE TABLE IF NOT EXISTS users (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    email VARCHAR(255) NOT NULL UNIQUE,
+    name VARCHAR(255) NOT NULL,
+    role VARCHAR(20) NOT NULL DEFAULT 'user',
+    password_hash TEXT NOT NULL,
+    avatar_url TEXT,
+    team VARCHAR(100),
+    created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT chk_users_role CHECK (role IN ('user', 'admin'))
+);
+
+CREATE INDEX IF NOT EXISTS idx_users_name ON users(LOWER(name));
+CREATE INDEX IF NOT EXISTS idx_users_team ON users(team);
+
+COMMENT ON TABLE users IS 'Local user accounts and their directory profiles';
+COMMENT ON COLUMN users.email IS 'Login email address, stored lowercased';
+COMMENT ON COLUMN users.role IS 'Role granting permissions (user or admin)';
+COMMENT ON COLUMN users.password_hash IS 'Salted scrypt hash of the password';
+COMMENT ON COLUMN users.avatar_url IS 'Optional URL of the profile picture';
+COMMENT ON COLUMN users.team IS 'Optional team the user belongs to';
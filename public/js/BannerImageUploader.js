@@ -70,6 +70,9 @@ class BannerImageUploader {
                     <button type="button" class="btn btn-primary" data-action="load-url">Load URL</button>
                 </div>
             </div>
+            <div class="media-library-area">
+                <button type="button" class="btn btn-secondary" data-action="open-media-library">Choose from Media Library</button>
+            </div>
         `;
     }
 
@@ -144,6 +147,11 @@ class BannerImageUploader {
             urlButton.addEventListener('click', () => this.loadFromUrl());
         }
 
+        const mediaLibraryButton = this.container.querySelector('[data-action="open-media-library"]');
+        if (mediaLibraryButton) {
+            mediaLibraryButton.addEventListener('click', () => this.openMediaLibrary());
+        }
+
         const urlInput = this.container.querySelector('#banner-image-url');
         if (urlInput) {
             urlInput.addEventListener('keypress', (e) => {
@@ -249,11 +257,10 @@ class BannerImageUploader {
             this.render();
 
             // Initiate upload
-            const initiateResponse = await fetch('/api/admin/images/upload/initiate', {
+            const initiateResponse = await window.apiUtils.authFetch('/api/admin/images/upload/initiate', {
                 method: 'POST',
                 headers: {
-                    'Content-Type': 'application/json',
-                    'Authorization': 'Bearer admin-token' // Mock admin token
+                    'Content-Type': 'application/json'
                 },
                 body: JSON.stringify({
                     fileName: this.file.name,
@@ -284,11 +291,10 @@ class BannerImageUploader {
             }
 
             // Complete upload
-            const completeResponse = await fetch('/api/admin/images/upload/complete', {
+            const completeResponse = await window.apiUtils.authFetch('/api/admin/images/upload/complete', {
                 method: 'POST',
                 headers: {
-                    'Content-Type': 'application/json',
-                    'Authorization': 'Bearer admin-token' // Mock admin token
+                    'Content-Type': 'application/json'
                 },
                 body: JSON.stringify({
                     uploadId: this.uploadId,
@@ -351,6 +357,22 @@ class BannerImageUploader {
         this.emitUpdate();
     }
 
+    openMediaLibrary() {
+        if (!window.MediaLibraryModal) {
+            this.errors = ['Media library is not available'];
+            this.render();
+            return;
+        }
+
+        window.MediaLibraryModal.open((image) => {
+            this.clearErrors();
+            this.currentImageUrl = image.url;
+            this.currentAltText = this.currentAltText || image.altText;
+            this.render();
+            this.emitUpdate();
+        });
+    }
+
     removeImage() {
         this.currentImageUrl = '';
         this.currentAltText = '';
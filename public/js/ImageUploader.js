@@ -67,6 +67,9 @@ class ImageUploader {
                                 <i class="fas fa-external-link-alt"></i> Load
                             </button>
                         </div>
+                        <button type="button" class="btn btn-secondary" id="open-media-library-btn">
+                            <i class="fas fa-images"></i> Choose from Media Library
+                        </button>
                     </div>
 
                     <!-- Image Preview -->
@@ -133,6 +136,7 @@ class ImageUploader {
         const fileInput = this.container.querySelector('#file-input');
         const urlInput = this.container.querySelector('#image-url-input');
         const loadUrlBtn = this.container.querySelector('#load-url-btn');
+        const mediaLibraryBtn = this.container.querySelector('#open-media-library-btn');
         const altTextInput = this.container.querySelector('#alt-text-input');
         const replaceImageBtn = this.container.querySelector('#replace-image-btn');
         const removeImageBtn = this.container.querySelector('#remove-image-btn');
@@ -179,6 +183,12 @@ class ImageUploader {
             });
         }
 
+        if (mediaLibraryBtn) {
+            mediaLibraryBtn.addEventListener('click', () => {
+                this.openMediaLibrary();
+            });
+        }
+
         if (urlInput) {
             urlInput.addEventListener('keypress', (e) => {
                 if (e.key === 'Enter') {
@@ -343,6 +353,25 @@ class ImageUploader {
         this.clearErrors();
     }
 
+    /**
+     * Pick a previously uploaded image from the media library
+     */
+    openMediaLibrary() {
+        if (!window.MediaLibraryModal) {
+            this.showError('Media library is not available');
+            return;
+        }
+
+        window.MediaLibraryModal.open((image) => {
+            this.setImageData({
+                imageUrl: image.url,
+                altText: this.currentAltText || image.altText
+            });
+            this.notifyUpdate();
+            this.clearErrors();
+        });
+    }
+
     /**
      * Update image preview
      */
@@ -21,6 +21,9 @@ class PageEditor {
         this.selectedComponentId = null;
         this.isLoading = false;
         this.error = null;
+        this.permissionLevel = null; // 'owner', 'edit' or 'view' as reported by the API
+        this.revision = null; // Page revision the editor's copy is based on
+        this.readOnly = false;
         
         // Component references
         this.editingPanel = null;
@@ -264,7 +267,7 @@ class PageEditor {
         this.hideError();
 
         try {
-            const response = await fetch(`/api/pages/${pageId}`);
+            const response = await window.apiUtils.authFetch(`/api/pages/${pageId}`);
             
             if (!response.ok) {
                 throw new Error(`Failed to load page: ${response.status} ${response.statusText}`);
@@ -285,13 +288,22 @@ class PageEditor {
                 actualPageData = pageData;
             }
 
+            this.permissionLevel = actualPageData.permissionLevel || null;
+            this.revision = actualPageData.revision || null;
             this.page = this.createPageFromData(actualPageData);
             this.renderPage();
             this.updatePageTitle();
             this.setLoadingState(false);
+            this.setReadOnly(this.permissionLevel === 'view');
             
             // Emit page loaded event
-            this.emit('pageLoaded', { page: this.page, pageId });
+            this.emit('pageLoaded', {
+                page: this.page,
+                pageId,
+                revision: this.revision,
+                permissionLevel: this.permissionLevel,
+                readOnly: this.readOnly
+            });
 
         } catch (error) {
             console.error('Error loading page:', error);
@@ -528,8 +540,8 @@ class PageEditor {
         // Update visual selection
         this.updateComponentSelectionVisuals();
         
-        // Show editing panel
-        if (this.options.showEditingPanel) {
+        // Show editing panel (view-only users can select but not edit)
+        if (this.options.showEditingPanel && !this.readOnly) {
             this.showEditingPanel(component);
         }
 
@@ -662,7 +674,7 @@ class PageEditor {
      * @param {Object} updatedData - Updated component data
      */
     handleComponentUpdate(componentId, updatedData) {
-        if (!this.page || !this.pageStateManager) return;
+        if (!this.page || !this.pageStateManager || this.readOnly) return;
         
         // Update the component in the page
         const componentIndex = this.page.components.findIndex(c => c.id === componentId);
@@ -683,6 +695,49 @@ class PageEditor {
         }
     }
 
+    /**
+     * Switch the editor between read-only and editable mode
+     * @param {boolean} readOnly - True when the user may only view the page
+     */
+    setReadOnly(readOnly) {
+        this.readOnly = Boolean(readOnly);
+
+        const editor = this.container.querySelector('.page-editor');
+        if (editor) {
+            editor.classList.toggle('read-only', this.readOnly);
+        }
+
+        const saveButton = document.getElementById('save-page');
+        if (saveButton) {
+            saveButton.disabled = this.readOnly;
+            saveButton.style.display = this.readOnly ? 'none' : '';
+        }
+
+        const sidebar = document.getElementById('editing-panel-container');
+        if (sidebar) {
+            sidebar.style.display = this.readOnly ? 'none' : '';
+        }
+
+        const status = document.getElementById('page-status');
+        if (status) {
+            status.innerHTML = this.readOnly
+                ? '<span class="read-only-badge"><i class="fas fa-eye"></i> View only</span>'
+                : '';
+        }
+
+        if (this.readOnly) {
+            this.hideEditingPanel();
+        }
+    }
+
+    /**
+     * Check whether the current user may edit the loaded page
+     * @returns {boolean} True if editing is allowed
+     */
+    canEdit() {
+        return !this.readOnly;
+    }
+
     /**
      * Update page title
      */
@@ -739,22 +794,52 @@ class PageEditor {
     }
 
     /**
-     * Save page
+     * Save page. The save is rejected if the page changed on the server since
+     * it was loaded; a 'pageSaveConflict' event then carries the conflict details.
+     * @param {Object} options - Save options
+     * @param {Array} options.components - Components to save instead of the editor's
+     * @param {number} options.revision - Revision to save against instead of the loaded one
+     * @returns {Object|null} Saved page data, or null if the save conflicted
      */
-    async savePage() {
+    async savePage(options = {}) {
         if (!this.page || !this.pageId) {
             throw new Error('No page to save');
         }
 
+        if (this.readOnly) {
+            throw new Error('You have view-only access to this page');
+        }
+
+        const pageData = this.page.toJSON();
+        if (options.components) {
+            pageData.components = options.components;
+        }
+        const revision = options.revision || this.revision;
+
         try {
-            const response = await fetch(`/api/pages/${this.pageId}`, {
+            const response = await window.apiUtils.authFetch(`/api/pages/${this.pageId}`, {
                 method: 'PUT',
                 headers: {
-                    'Content-Type': 'application/json'
+                    'Content-Type': 'application/json',
+                    'If-Match': `"${revision}"`
                 },
-                body: JSON.stringify(this.page.toJSON())
+                body: JSON.stringify(pageData)
             });
 
+            if (response.status === 409) {
+                const conflict = await response.json();
+                this.emit('pageSaveConflict', { conflict, components: pageData.components, pageId: this.pageId });
+                return null;
+            }
+
+            if (response.status === 403) {
+                const errorData = await response.json().catch(() => ({}));
+                if (errorData.code === 'INSUFFICIENT_PAGE_PERMISSION') {
+                    this.setReadOnly(true);
+                }
+                throw new Error(errorData.error || 'You do not have permission to save this page');
+            }
+
             if (!response.ok) {
                 throw new Error(`Failed to save page: ${response.status} ${response.statusText}`);
             }
@@ -763,9 +848,17 @@ class PageEditor {
             
             // The API returns the page data directly, not wrapped in a success object
             // So we don't need to check for result.success
+            this.revision = result.revision;
+
+            // Emit save success event, with any rich text the server's sanitizer removed
+            this.emit('pageSaved', {
+                page: this.page,
+                pageId: this.pageId,
+                revision: this.revision,
+                sanitized: result.sanitized || []
+            });
 
-            // Emit save success event
-            this.emit('pageSaved', { page: this.page, pageId: this.pageId });
+            return result;
 
         } catch (error) {
             console.error('Error saving page:', error);
@@ -4,7 +4,8 @@
  * Work Order #42: Enhanced with SharedUserRow component for individual collaborator management
  * 
  * This modal component provides a comprehensive interface to add new collaborators,
- * view existing shares, and manage permissions for page sharing.
+ * view existing shares, and manage permissions for page sharing. Collaborators
+ * can be single users or groups of users.
  */
 class SharePageModal {
     constructor(options = {}) {
@@ -25,7 +26,9 @@ class SharePageModal {
         // Collaborator management state
         this.existingCollaborators = [];
         this.searchResults = [];
+        this.groupSearchResults = [];
         this.selectedUser = null;
+        this.selectedGroup = null;
         this.selectedPermission = 'view';
         this.searchQuery = '';
         this.searchTimeout = null;
@@ -123,13 +126,13 @@ class SharePageModal {
                         <h4>Add Collaborator</h4>
                         <div class="collaborator-form">
                             <div class="form-group">
-                                <label for="user-search">Search for users</label>
+                                <label for="user-search">Search for users or groups</label>
                                 <div class="search-container">
                                     <input 
                                         type="text" 
                                         id="user-search" 
                                         class="form-control" 
-                                        placeholder="Type name or email to search..."
+                                        placeholder="Type a name, email or group to search..."
                                         value="${this.escapeHtml(this.searchQuery)}"
                                     >
                                     <div class="search-results" id="search-results" style="display: none;">
@@ -173,7 +176,7 @@ class SharePageModal {
                             <button 
                                 class="btn btn-primary" 
                                 id="add-collaborator-btn"
-                                ${!this.selectedUser ? 'disabled' : ''}
+                                ${!this.selectedUser && !this.selectedGroup ? 'disabled' : ''}
                             >
                                 <i class="fas fa-user-plus"></i>
                                 Add Collaborator
@@ -206,23 +209,35 @@ class SharePageModal {
             return '<div class="search-loading"><i class="fas fa-spinner fa-spin"></i> Searching...</div>';
         }
         
-        if (this.searchResults.length === 0 && this.searchQuery.length >= 2) {
-            return '<div class="search-no-results">No users found matching your search.</div>';
+        if (this.searchResults.length === 0 && this.groupSearchResults.length === 0 && this.searchQuery.length >= 2) {
+            return '<div class="search-no-results">No users or groups found matching your search.</div>';
         }
         
-        return this.searchResults.map(user => `
+        const userResults = this.searchResults.map(user => `
             <div class="search-result-item" data-user-id="${user.id}">
                 <div class="user-info">
-                    <div class="user-avatar">
-                        <i class="fas fa-user"></i>
-                    </div>
+                    ${SharedUserRow.renderAvatar(user.avatarUrl, user.name)}
                     <div class="user-details">
                         <div class="user-name">${this.escapeHtml(user.name)}</div>
-                        <div class="user-email">${this.escapeHtml(user.email)}</div>
+                        <div class="user-email">${this.escapeHtml(user.email)}${user.team ? ` &middot; ${this.escapeHtml(user.team)}` : ''}</div>
                     </div>
                 </div>
             </div>
         `).join('');
+
+        const groupResults = this.groupSearchResults.map(group => `
+            <div class="search-result-item search-result-group" data-group-id="${group.id}">
+                <div class="user-info">
+                    ${SharedUserRow.renderAvatar(null, group.name, true)}
+                    <div class="user-details">
+                        <div class="user-name">${this.escapeHtml(group.name)}</div>
+                        <div class="user-email">Group &middot; ${SharedUserRow.formatMemberCount(group.memberCount)}</div>
+                    </div>
+                </div>
+            </div>
+        `).join('');
+
+        return userResults + groupResults;
     }
 
     /**
@@ -241,11 +256,18 @@ class SharePageModal {
         container.className = 'shared-user-rows-container';
         
         this.existingCollaborators.forEach(collaborator => {
+            const isGroup = collaborator.targetType === 'group';
             const sharedUserRow = new SharedUserRow({
                 pageId: this.pageId,
                 shareId: collaborator.id,
-                userName: collaborator.user?.name || 'Unknown User',
+                userName: isGroup
+                    ? collaborator.group?.name || 'Unknown Group'
+                    : collaborator.user?.name || 'Unknown User',
                 userEmail: collaborator.user?.email || '',
+                userAvatarUrl: collaborator.user?.avatarUrl || null,
+                userTeam: collaborator.user?.team || null,
+                isGroup,
+                memberCount: collaborator.group?.memberCount || 0,
                 currentPermission: collaborator.permissionLevel,
                 onUpdate: (data) => this.handleCollaboratorUpdate(data),
                 onDelete: (data) => this.handleCollaboratorDelete(data)
@@ -393,7 +415,7 @@ class SharePageModal {
             });
             
             this.elements.userSearchInput.addEventListener('focus', () => {
-                if (this.searchResults.length > 0) {
+                if (this.searchResults.length > 0 || this.groupSearchResults.length > 0) {
                     this.elements.searchResults.style.display = 'block';
                 }
             });
@@ -403,7 +425,9 @@ class SharePageModal {
         if (this.elements.searchResults) {
             this.elements.searchResults.addEventListener('click', (e) => {
                 const resultItem = e.target.closest('.search-result-item');
-                if (resultItem) {
+                if (resultItem && resultItem.dataset.groupId) {
+                    this.selectGroup(resultItem.dataset.groupId);
+                } else if (resultItem) {
                     const userId = resultItem.dataset.userId;
                     this.selectUser(userId);
                 }
@@ -468,7 +492,9 @@ class SharePageModal {
         // Reset state
         this.searchQuery = '';
         this.searchResults = [];
+        this.groupSearchResults = [];
         this.selectedUser = null;
+        this.selectedGroup = null;
         this.selectedPermission = 'view';
         this.existingCollaborators = [];
         
@@ -546,7 +572,7 @@ class SharePageModal {
      */
     async loadExistingCollaborators() {
         try {
-            const response = await fetch(`/api/pages/${this.pageId}/share`, {
+            const response = await window.apiUtils.authFetch(`/api/pages/${this.pageId}/share`, {
                 method: 'GET',
                 headers: {
                     'Content-Type': 'application/json'
@@ -579,6 +605,7 @@ class SharePageModal {
         // Hide search results if query is too short
         if (query.length < 2) {
             this.searchResults = [];
+            this.groupSearchResults = [];
             this.elements.searchResults.style.display = 'none';
             return;
         }
@@ -590,42 +617,59 @@ class SharePageModal {
     }
 
     /**
-     * Perform user search API call
+     * Perform the user and group search API calls
      */
     async performUserSearch(query) {
         try {
             this.isSearching = true;
             this.updateSearchResults();
             
-            const response = await fetch(`/api/users/search?q=${encodeURIComponent(query)}`, {
-                method: 'GET',
-                headers: {
-                    'Content-Type': 'application/json'
-                }
-            });
+            const [users, groups] = await Promise.all([
+                this.fetchSearchResults(`/api/users/search?q=${encodeURIComponent(query)}&limit=10`),
+                this.fetchSearchResults(`/api/groups?q=${encodeURIComponent(query)}&limit=5`)
+            ]);
 
-            if (!response.ok) {
-                throw new Error(`Search failed: ${response.status}`);
-            }
-
-            const result = await response.json();
-            this.searchResults = result.data || [];
+            this.searchResults = users;
+            this.groupSearchResults = groups;
             this.isSearching = false;
             this.updateSearchResults();
             
             // Show search results
             if (this.elements.searchResults) {
-                this.elements.searchResults.style.display = this.searchResults.length > 0 ? 'block' : 'none';
+                const hasResults = this.searchResults.length > 0 || this.groupSearchResults.length > 0;
+                this.elements.searchResults.style.display = hasResults ? 'block' : 'none';
             }
         } catch (error) {
             console.error('Error searching users:', error);
             this.isSearching = false;
             this.searchResults = [];
+            this.groupSearchResults = [];
             this.updateSearchResults();
             this.showNotification('Failed to search users. Please try again.', 'error');
         }
     }
 
+    /**
+     * Fetch one page of search results
+     * @param {string} url - Search endpoint URL with query parameters
+     * @returns {Promise<Array>} Matching users or groups
+     */
+    async fetchSearchResults(url) {
+        const response = await window.apiUtils.authFetch(url, {
+            method: 'GET',
+            headers: {
+                'Content-Type': 'application/json'
+            }
+        });
+
+        if (!response.ok) {
+            throw new Error(`Search failed: ${response.status}`);
+        }
+
+        const result = await response.json();
+        return result.data || [];
+    }
+
     /**
      * Update search results display
      */
@@ -642,33 +686,52 @@ class SharePageModal {
         const user = this.searchResults.find(u => u.id === userId);
         if (user) {
             this.selectedUser = user;
+            this.selectedGroup = null;
             this.elements.userSearchInput.value = user.name;
             this.elements.searchResults.style.display = 'none';
             this.elements.addCollaboratorBtn.disabled = false;
         }
     }
 
+    /**
+     * Select a group from search results
+     */
+    selectGroup(groupId) {
+        const group = this.groupSearchResults.find(g => g.id === groupId);
+        if (group) {
+            this.selectedGroup = group;
+            this.selectedUser = null;
+            this.elements.userSearchInput.value = group.name;
+            this.elements.searchResults.style.display = 'none';
+            this.elements.addCollaboratorBtn.disabled = false;
+        }
+    }
+
     /**
      * Handle adding a new collaborator
      */
     async handleAddCollaborator() {
-        if (!this.selectedUser) {
-            this.showNotification('Please select a user to add as collaborator.', 'warning');
+        if (!this.selectedUser && !this.selectedGroup) {
+            this.showNotification('Please select a user or group to add as collaborator.', 'warning');
             return;
         }
 
+        const shareTarget = this.selectedGroup
+            ? { groupId: this.selectedGroup.id }
+            : { userId: this.selectedUser.id };
+
         try {
             this.isAddingCollaborator = true;
             this.elements.addCollaboratorBtn.disabled = true;
             this.elements.addCollaboratorBtn.innerHTML = '<i class="fas fa-spinner fa-spin"></i> Adding...';
 
-            const response = await fetch(`/api/pages/${this.pageId}/share`, {
+            const response = await window.apiUtils.authFetch(`/api/pages/${this.pageId}/share`, {
                 method: 'POST',
                 headers: {
                     'Content-Type': 'application/json'
                 },
                 body: JSON.stringify({
-                    userId: this.selectedUser.id,
+                    ...shareTarget,
                     permissionLevel: this.selectedPermission
                 })
             });
@@ -687,8 +750,10 @@ class SharePageModal {
             
             // Reset form
             this.selectedUser = null;
+            this.selectedGroup = null;
             this.searchQuery = '';
             this.searchResults = [];
+            this.groupSearchResults = [];
             this.elements.userSearchInput.value = '';
             
             this.showNotification(`Successfully added ${this.selectedUser?.name || 'collaborator'} with ${this.selectedPermission} permissions.`, 'success');
@@ -712,7 +777,7 @@ class SharePageModal {
         }
 
         try {
-            const response = await fetch(`/api/pages/${this.pageId}/share/${shareId}`, {
+            const response = await window.apiUtils.authFetch(`/api/pages/${this.pageId}/share/${shareId}`, {
                 method: 'DELETE',
                 headers: {
                     'Content-Type': 'application/json'
@@ -126,11 +126,10 @@ class SharedPagesDashboard {
         this.setErrorState(false);
 
         try {
-            const response = await fetch('/api/users/me/shared-pages', {
+            const response = await window.apiUtils.authFetch('/api/users/me/shared-pages', {
                 method: 'GET',
                 headers: {
-                    'Content-Type': 'application/json',
-                    'Authorization': 'Bearer mock-token' // Mock authentication
+                    'Content-Type': 'application/json'
                 }
             });
 
@@ -184,7 +183,7 @@ class SharedPagesDashboard {
             <div class="shared-page-card" data-page-id="${page.id}" data-share-id="${share.id}">
                 <div class="page-header">
                     <div class="page-info">
-                        <h4 class="page-title">${this.escapeHtml(page.title)}</h4>
+                        <h4 class="page-title">${this.escapeHtml(page.title || 'Untitled Page')}</h4>
                         <p class="page-meta">
                             <span class="page-id">ID: ${page.id}</span>
                             <span class="page-components">${page.componentCount} components</span>
@@ -202,8 +201,15 @@ class SharedPagesDashboard {
                     <div class="detail-item">
                         <i class="fas fa-user"></i>
                         <span class="detail-label">Shared by:</span>
-                        <span class="detail-value">${this.getSharerName(share.sharedByUserId)}</span>
+                        <span class="detail-value">${this.escapeHtml(this.getSharerName(share))}</span>
                     </div>
+                    ${share.group ? `
+                    <div class="detail-item">
+                        <i class="fas fa-users"></i>
+                        <span class="detail-label">Shared via group:</span>
+                        <span class="detail-value">${this.escapeHtml(share.group.name)}</span>
+                    </div>
+                    ` : ''}
                     <div class="detail-item">
                         <i class="fas fa-calendar"></i>
                         <span class="detail-label">Shared on:</span>
@@ -311,16 +317,17 @@ class SharedPagesDashboard {
         if (!share) return;
 
         const page = share.page;
-        const sharerName = this.getSharerName(share.sharedByUserId);
+        const sharerName = this.getSharerName(share);
 
         // Create a simple modal or alert with page info
         const info = `
 Page Information:
-• Title: ${page.title}
+• Title: ${page.title || 'Untitled Page'}
 • ID: ${page.id}
 • Template: ${page.templateId}
 • Components: ${page.componentCount}
-• Shared by: ${sharerName}
+• Shared by: ${sharerName}${share.group ? `
+• Shared via group: ${share.group.name}` : ''}
 • Permission: ${share.permissionLevel}
 • Created: ${this.formatDate(page.createdAt)}
 • Updated: ${this.formatDate(page.updatedAt)}
@@ -366,19 +373,11 @@ Page Information:
     }
 
     /**
-     * Get sharer name by user ID
+     * Get the name of the user who shared a page, from the profile the
+     * shared pages API resolves from the user directory
      */
-    getSharerName(userId) {
-        // Mock user data - in a real app, this would come from a user service
-        const mockUsers = {
-            '550e8400-e29b-41d4-a716-446655440010': 'John Doe',
-            '550e8400-e29b-41d4-a716-446655440011': 'Jane Smith',
-            '550e8400-e29b-41d4-a716-446655440012': 'Bob Johnson',
-            '550e8400-e29b-41d4-a716-446655440013': 'Alice Brown',
-            '550e8400-e29b-41d4-a716-446655440014': 'Charlie Wilson'
-        };
-        
-        return mockUsers[userId] || 'Unknown User';
+    getSharerName(share) {
+        return share.sharedBy?.name || 'Unknown User';
     }
 
     /**
@@ -202,7 +202,7 @@ class TemplateBrowserPage {
                 throw new Error(`HTTP error! status: ${response.status}`);
             }
             
-            const categories = await response.json();
+            const { data: categories } = await response.json();
             this.setState({ categories, isLoadingCategories: false });
             this.updateCategoryFilter(categories);
         } catch (error) {
@@ -239,7 +239,7 @@ class TemplateBrowserPage {
                 throw new Error(`HTTP error! status: ${response.status}`);
             }
             
-            const templates = await response.json();
+            const { data: templates } = await response.json();
             this.setState({ 
                 templates, 
                 filteredTemplates: templates,
@@ -520,7 +520,7 @@ class TemplateBrowserPage {
         
         if (confirm(`Are you sure you want to delete "${detail.template.name}"?`)) {
             // Make API call to delete template
-            fetch(`/api/admin/templates/${detail.template.id}`, {
+            window.apiUtils.authFetch(`/api/admin/templates/${detail.template.id}`, {
                 method: 'DELETE'
             })
             .then(response => {
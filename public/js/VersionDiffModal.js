@@ -0,0 +1,555 @@
+/**
+ * VersionDiffModal
+ * Modal for comparing two page versions (GET /api/pages/:pageId/versions/:a/diff/:b).
+ * Components are rendered read-only with ComponentRenderer, side by side or
+ * inline, with added, removed, modified and moved components outlined and
+ * changed words marked inside the rendered text.
+ */
+class VersionDiffModal {
+    constructor(options = {}) {
+        this.options = {
+            onClose: () => {},
+            ...options
+        };
+
+        this.isVisible = false;
+        this.pageId = null;
+        this.fromVersion = null;
+        this.toVersion = null;
+        this.diff = null;
+        this.viewMode = 'side-by-side'; // side-by-side, inline
+
+        this.elements = {};
+        this.componentRenderer = new ComponentRenderer();
+
+        this.init();
+    }
+
+    /**
+     * Initialize the modal
+     */
+    init() {
+        this.createModal();
+        this.setupEventListeners();
+    }
+
+    /**
+     * Create the modal HTML structure
+     */
+    createModal() {
+        const modalContainer = document.createElement('div');
+        modalContainer.id = 'version-diff-modal';
+        modalContainer.className = 'version-preview-modal version-diff-modal';
+        modalContainer.style.display = 'none';
+
+        modalContainer.innerHTML = `
+            <div class="version-preview-modal-overlay">
+                <div class="version-preview-modal-container">
+                    <div class="version-preview-modal-header">
+                        <div class="version-preview-modal-title">
+                            <h2>
+                                <i class="fas fa-code-compare"></i>
+                                Compare Versions
+                            </h2>
+                            <div class="version-diff-versions">
+                                <span class="version-diff-from"></span>
+                                <i class="fas fa-arrow-right"></i>
+                                <span class="version-diff-to"></span>
+                            </div>
+                            <div class="version-diff-summary"></div>
+                        </div>
+                        <div class="version-diff-header-actions">
+                            <div class="version-diff-view-toggle" role="group" aria-label="Diff view">
+                                <button type="button" class="active" data-view="side-by-side">Side by side</button>
+                                <button type="button" data-view="inline">Inline</button>
+                            </div>
+                            <button class="version-preview-modal-close" data-action="close">
+                                <i class="fas fa-times"></i>
+                            </button>
+                        </div>
+                    </div>
+
+                    <div class="version-preview-modal-content">
+                        <div class="version-preview-loading" style="display: none;">
+                            <div class="loading-spinner"></div>
+                            <p>Comparing versions...</p>
+                        </div>
+
+                        <div class="version-preview-error" style="display: none;">
+                            <i class="fas fa-exclamation-triangle"></i>
+                            <p class="error-message"></p>
+                            <button class="retry-btn" data-action="retry">Retry</button>
+                        </div>
+
+                        <div class="version-components-container version-diff-container" style="display: none;">
+                            <!-- Diff rows will be rendered here -->
+                        </div>
+                    </div>
+                </div>
+            </div>
+        `;
+
+        document.body.appendChild(modalContainer);
+        this.container = modalContainer;
+
+        this.elements = {
+            overlay: modalContainer.querySelector('.version-preview-modal-overlay'),
+            closeBtn: modalContainer.querySelector('.version-preview-modal-close'),
+            fromLabel: modalContainer.querySelector('.version-diff-from'),
+            toLabel: modalContainer.querySelector('.version-diff-to'),
+            summary: modalContainer.querySelector('.version-diff-summary'),
+            viewButtons: modalContainer.querySelectorAll('.version-diff-view-toggle button'),
+            loading: modalContainer.querySelector('.version-preview-loading'),
+            error: modalContainer.querySelector('.version-preview-error'),
+            errorMessage: modalContainer.querySelector('.error-message'),
+            retryBtn: modalContainer.querySelector('.retry-btn'),
+            diffContainer: modalContainer.querySelector('.version-diff-container')
+        };
+    }
+
+    /**
+     * Setup event listeners
+     */
+    setupEventListeners() {
+        this.elements.closeBtn.addEventListener('click', () => {
+            this.close();
+        });
+
+        this.elements.overlay.addEventListener('click', (e) => {
+            if (e.target === this.elements.overlay) {
+                this.close();
+            }
+        });
+
+        this.elements.retryBtn.addEventListener('click', () => {
+            this.loadDiff();
+        });
+
+        this.elements.viewButtons.forEach(button => {
+            button.addEventListener('click', () => {
+                this.setViewMode(button.dataset.view);
+            });
+        });
+
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape' && this.isVisible) {
+                this.close();
+            }
+        });
+    }
+
+    /**
+     * Show the diff between two versions
+     * @param {string} pageId - Page ID
+     * @param {Object} fromVersion - Older version (PageVersion, or { id: 'current' } for the current page)
+     * @param {Object} toVersion - Newer version (PageVersion, or { id: 'current' } for the current page)
+     */
+    show(pageId, fromVersion, toVersion) {
+        if (!pageId || !fromVersion || !toVersion) {
+            console.error('VersionDiffModal: pageId and two versions are required');
+            return;
+        }
+
+        this.pageId = pageId;
+        this.fromVersion = fromVersion;
+        this.toVersion = toVersion;
+        this.isVisible = true;
+        this.container.style.display = 'block';
+
+        this.elements.fromLabel.textContent = this.getVersionLabel(fromVersion);
+        this.elements.toLabel.textContent = this.getVersionLabel(toVersion);
+        this.elements.summary.innerHTML = '';
+
+        this.loadDiff();
+
+        document.body.style.overflow = 'hidden';
+    }
+
+    /**
+     * Hide the modal
+     */
+    close() {
+        this.isVisible = false;
+        this.container.style.display = 'none';
+        this.diff = null;
+
+        document.body.style.overflow = '';
+
+        this.elements.diffContainer.innerHTML = '';
+        this.elements.diffContainer.style.display = 'none';
+        this.setLoading(false);
+        this.hideError();
+
+        this.options.onClose();
+    }
+
+    /**
+     * Get a short label for a version
+     * @param {Object} version - Version data
+     * @returns {string} Label
+     */
+    getVersionLabel(version) {
+        if (version.id === 'current') {
+            return 'Current page';
+        }
+        return version.getDisplayName ? version.getDisplayName() : `Version ${version.versionNumber}`;
+    }
+
+    /**
+     * Load the diff from the API
+     */
+    async loadDiff() {
+        this.setLoading(true);
+        this.hideError();
+        this.elements.diffContainer.style.display = 'none';
+
+        try {
+            const response = await window.apiUtils.authFetch(
+                `/api/pages/${this.pageId}/versions/${this.fromVersion.id}/diff/${this.toVersion.id}`
+            );
+
+            if (!response.ok) {
+                const errorData = await response.json().catch(() => ({}));
+                throw new Error(errorData.error || `HTTP ${response.status}: ${response.statusText}`);
+            }
+
+            this.diff = await response.json();
+
+            this.renderSummary();
+            this.renderDiff();
+
+            this.setLoading(false);
+            this.elements.diffContainer.style.display = 'block';
+        } catch (error) {
+            console.error('Error loading version diff:', error);
+            this.setLoading(false);
+            this.showError(error.message || 'Failed to compare versions');
+        }
+    }
+
+    /**
+     * Switch between side-by-side and inline views
+     * @param {string} viewMode - 'side-by-side' or 'inline'
+     */
+    setViewMode(viewMode) {
+        this.viewMode = viewMode;
+        this.elements.viewButtons.forEach(button => {
+            button.classList.toggle('active', button.dataset.view === viewMode);
+        });
+
+        if (this.diff) {
+            this.renderDiff();
+        }
+    }
+
+    /**
+     * Render the change counts
+     */
+    renderSummary() {
+        const { summary, hasChanges } = this.diff;
+
+        if (!hasChanges) {
+            this.elements.summary.innerHTML = '<span class="diff-chip diff-chip-unchanged">No changes</span>';
+            return;
+        }
+
+        this.elements.summary.innerHTML = ['added', 'removed', 'modified', 'moved']
+            .filter(status => summary[status] > 0)
+            .map(status => `<span class="diff-chip diff-chip-${status}">${summary[status]} ${status}</span>`)
+            .join('');
+    }
+
+    /**
+     * Render every component of the diff in the current view mode
+     */
+    renderDiff() {
+        const container = this.elements.diffContainer;
+        container.innerHTML = '';
+        container.classList.toggle('version-diff-inline', this.viewMode === 'inline');
+
+        if (this.diff.components.length === 0) {
+            container.innerHTML = `
+                <div class="no-components">
+                    <i class="fas fa-inbox"></i>
+                    <p>Neither version has components</p>
+                </div>
+            `;
+            return;
+        }
+
+        if (this.viewMode === 'side-by-side') {
+            const headings = document.createElement('div');
+            headings.className = 'version-diff-columns version-diff-headings';
+            headings.innerHTML = `
+                <div>${this.escapeHtml(this.getVersionLabel(this.fromVersion))}</div>
+                <div>${this.escapeHtml(this.getVersionLabel(this.toVersion))}</div>
+            `;
+            container.appendChild(headings);
+        }
+
+        this.diff.components.forEach(entry => {
+            container.appendChild(this.renderEntry(entry));
+        });
+    }
+
+    /**
+     * Render one component of the diff
+     * @param {Object} entry - Component entry from the diff
+     * @returns {HTMLElement} Row element
+     */
+    renderEntry(entry) {
+        const row = document.createElement('div');
+        row.className = `version-diff-row diff-${entry.status}`;
+        if (entry.moved) {
+            row.classList.add('diff-moved');
+        }
+        row.dataset.componentId = entry.id;
+
+        const badges = [];
+        if (entry.status !== 'unchanged') {
+            badges.push(`<span class="diff-chip diff-chip-${entry.status}">${entry.status}</span>`);
+        }
+        if (entry.moved) {
+            badges.push(`<span class="diff-chip diff-chip-moved">moved from position ${entry.fromIndex + 1}</span>`);
+        }
+
+        const header = document.createElement('div');
+        header.className = 'version-diff-row-header';
+        header.innerHTML = `
+            <span class="version-diff-component-type">${this.escapeHtml(entry.type || 'Component')}</span>
+            ${badges.join('')}
+        `;
+        row.appendChild(header);
+
+        if (this.viewMode === 'side-by-side') {
+            const columns = document.createElement('div');
+            columns.className = 'version-diff-columns';
+            columns.appendChild(this.renderSide(entry.before, entry, 'before'));
+            columns.appendChild(this.renderSide(entry.after, entry, 'after'));
+            row.appendChild(columns);
+        } else {
+            const component = entry.status === 'removed' ? entry.before : entry.after;
+            row.appendChild(this.renderSide(component, entry, 'inline'));
+        }
+
+        const otherChanges = entry.changes.filter(change => !this.isShownInline(change));
+        if (otherChanges.length > 0) {
+            row.appendChild(this.renderChangeList(otherChanges));
+        }
+
+        return row;
+    }
+
+    /**
+     * Render one side of a component, with its changed words marked
+     * @param {Object|null} component - Component, or null if it is not in this version
+     * @param {Object} entry - Component entry from the diff
+     * @param {string} side - 'before', 'after' or 'inline'
+     * @returns {HTMLElement} Column element
+     */
+    renderSide(component, entry, side) {
+        const column = document.createElement('div');
+        column.className = 'version-diff-side';
+
+        if (!component) {
+            column.classList.add('version-diff-placeholder');
+            column.innerHTML = `<span>${entry.status === 'added' ? 'Not in this version' : 'Removed in this version'}</span>`;
+            return column;
+        }
+
+        try {
+            const marked = this.applyWordHighlights(component, entry.changes, side);
+            column.appendChild(this.componentRenderer.renderComponent(marked, true));
+        } catch (error) {
+            console.error('Error rendering component:', component, error);
+            column.innerHTML = `
+                <div class="error-component">
+                    <i class="fas fa-exclamation-triangle"></i>
+                    <span>Error rendering ${this.escapeHtml(component.type || 'Unknown')} component</span>
+                </div>
+            `;
+        }
+
+        return column;
+    }
+
+    /**
+     * Whether a change is marked inside the rendered component (changed text)
+     * rather than listed below it
+     * @param {Object} change - Field change from the diff
+     * @returns {boolean} True if shown inline
+     */
+    isShownInline(change) {
+        if (change.kind !== 'changed' || !Array.isArray(change.words) || !change.path.startsWith('data.')) {
+            return false;
+        }
+        const field = change.path.split(/[.[]/).pop();
+        return change.richText || VersionDiffModal.INLINE_TEXT_FIELDS.includes(field);
+    }
+
+    /**
+     * Copy a component, replacing each changed text field with its word diff
+     * @param {Object} component - Component to render
+     * @param {Array} changes - Field changes from the diff
+     * @param {string} side - 'before' shows deletions, 'after' insertions, 'inline' both
+     * @returns {Object} Component copy
+     */
+    applyWordHighlights(component, changes, side) {
+        const copy = JSON.parse(JSON.stringify(component));
+
+        changes.filter(change => this.isShownInline(change)).forEach(change => {
+            const html = this.renderWords(change.words, side);
+            const value = change.richText
+                ? { format: 'html', data: `<p>${html.replace(/\n/g, '<br>')}</p>` }
+                : html;
+            this.setPathValue(copy, change.path, value);
+        });
+
+        return copy;
+    }
+
+    /**
+     * Render word diff segments as HTML
+     * @param {Array} words - Segments { type, text }
+     * @param {string} side - 'before', 'after' or 'inline'
+     * @returns {string} HTML
+     */
+    renderWords(words, side) {
+        return words.map(segment => {
+            const text = this.escapeHtml(segment.text);
+            if (segment.type === 'delete') {
+                return side === 'after' ? '' : `<del class="diff-word-deleted">${text}</del>`;
+            }
+            if (segment.type === 'insert') {
+                return side === 'before' ? '' : `<ins class="diff-word-inserted">${text}</ins>`;
+            }
+            return text;
+        }).join('');
+    }
+
+    /**
+     * Set a value at a diff path such as data.items[item-1].header. Array
+     * segments are item IDs, or indexes for items without IDs.
+     * @param {Object} target - Object to change
+     * @param {string} path - Diff path
+     * @param {*} value - New value
+     */
+    setPathValue(target, path, value) {
+        const segments = [];
+        path.replace(/([^.[\]]+)|\[([^\]]*)\]/g, (match, key, itemKey) => {
+            segments.push(key !== undefined ? { key } : { itemKey });
+            return match;
+        });
+
+        let current = target;
+        for (let i = 0; i < segments.length; i++) {
+            const segment = segments[i];
+            const isLast = i === segments.length - 1;
+
+            if (segment.key !== undefined) {
+                if (isLast) {
+                    current[segment.key] = value;
+                    return;
+                }
+                current = current[segment.key];
+            } else {
+                if (!Array.isArray(current)) {
+                    return;
+                }
+                const index = current.findIndex(item => item && String(item.id) === segment.itemKey);
+                const itemIndex = index !== -1 ? index : Number(segment.itemKey);
+                if (isLast) {
+                    current[itemIndex] = value;
+                    return;
+                }
+                current = current[itemIndex];
+            }
+
+            if (current === undefined || current === null || typeof current !== 'object') {
+                return;
+            }
+        }
+    }
+
+    /**
+     * Render the changes that cannot be marked in the rendered component
+     * (links, images, settings, added and removed items)
+     * @param {Array} changes - Field changes
+     * @returns {HTMLElement} Change list
+     */
+    renderChangeList(changes) {
+        const list = document.createElement('ul');
+        list.className = 'version-diff-changes';
+
+        list.innerHTML = changes.map(change => {
+            const label = this.escapeHtml(change.path.replace(/^data\./, ''));
+            if (change.kind === 'added') {
+                return `<li><code>${label}</code> added: <ins class="diff-word-inserted">${this.formatValue(change.after)}</ins></li>`;
+            }
+            if (change.kind === 'removed') {
+                return `<li><code>${label}</code> removed: <del class="diff-word-deleted">${this.formatValue(change.before)}</del></li>`;
+            }
+            return `<li><code>${label}</code>: <del class="diff-word-deleted">${this.formatValue(change.before)}</del> <i class="fas fa-arrow-right"></i> <ins class="diff-word-inserted">${this.formatValue(change.after)}</ins></li>`;
+        }).join('');
+
+        return list;
+    }
+
+    /**
+     * Format a field value for the change list
+     * @param {*} value - Field value
+     * @returns {string} Escaped text
+     */
+    formatValue(value) {
+        if (value === null || value === undefined || value === '') {
+            return '<em>empty</em>';
+        }
+        const text = typeof value === 'string' ? value : JSON.stringify(value);
+        return this.escapeHtml(text.length > 120 ? `${text.slice(0, 117)}...` : text);
+    }
+
+    /**
+     * Set loading state
+     * @param {boolean} loading - Whether to show loading state
+     */
+    setLoading(loading) {
+        this.elements.loading.style.display = loading ? 'flex' : 'none';
+    }
+
+    /**
+     * Show error state
+     * @param {string} message - Error message
+     */
+    showError(message) {
+        this.elements.errorMessage.textContent = message;
+        this.elements.error.style.display = 'flex';
+    }
+
+    /**
+     * Hide error state
+     */
+    hideError() {
+        this.elements.error.style.display = 'none';
+    }
+
+    /**
+     * Escape HTML to prevent XSS
+     * @param {string} text - Text to escape
+     * @returns {string} Escaped text
+     */
+    escapeHtml(text) {
+        if (typeof text !== 'string') {
+            return '';
+        }
+
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+}
+
+// Text fields ComponentRenderer shows as element content, where changed words
+// can be marked (rich text fields are marked too)
+VersionDiffModal.INLINE_TEXT_FIELDS = ['headlineText', 'subheadlineText', 'buttonText', 'title', 'header', 'linkText'];
+
+window.VersionDiffModal = VersionDiffModal;
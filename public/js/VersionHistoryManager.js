@@ -18,6 +18,10 @@ class VersionHistoryManager {
         this.error = null;
         this.elements = {};
         this.versionPreviewModal = null;
+        this.versionDiffModal = null;
+        this.compareSelection = []; // Up to two versions picked with the Compare buttons
+        this.showAutoVersions = true; // False hides automatic checkpoints
+        this.expandedCheckpointGroups = new Set(); // Newest version IDs of expanded checkpoint groups
         
         this.initializeVersionPreviewModal();
         this.render();
@@ -32,11 +36,18 @@ class VersionHistoryManager {
             this.versionPreviewModal = new window.VersionPreviewModal({
                 onClose: () => {
                     // Modal closed, no action needed
-                }
+                },
+                onRestored: (result, version) => this.handleComponentsRestored(result, version)
             });
         } else {
             console.warn('VersionPreviewModal not available');
         }
+
+        if (window.VersionDiffModal) {
+            this.versionDiffModal = new window.VersionDiffModal();
+        } else {
+            console.warn('VersionDiffModal not available');
+        }
     }
 
     /**
@@ -54,6 +65,13 @@ class VersionHistoryManager {
                         <i class="fas fa-times"></i>
                     </button>
                 </div>
+
+                <div class="version-history-filters">
+                    <label class="version-auto-toggle">
+                        <input type="checkbox" class="version-auto-toggle-input" checked>
+                        <span>Show automatic checkpoints</span>
+                    </label>
+                </div>
                 
                 <div class="version-history-content">
                     <div class="version-history-loading" style="display: none;">
@@ -77,6 +95,17 @@ class VersionHistoryManager {
                         <!-- Version cards will be inserted here -->
                     </div>
                 </div>
+
+                <div class="version-compare-bar" style="display: none;">
+                    <span class="version-compare-status"></span>
+                    <div class="version-compare-actions">
+                        <button class="btn btn-secondary btn-sm" data-action="compare-clear">Clear</button>
+                        <button class="btn btn-primary btn-sm" data-action="compare-run">
+                            <i class="fas fa-code-compare"></i>
+                            <span class="version-compare-run-label">Compare</span>
+                        </button>
+                    </div>
+                </div>
             </div>
         `;
 
@@ -92,7 +121,13 @@ class VersionHistoryManager {
             errorMessage: this.container.querySelector('.error-message'),
             retryBtn: this.container.querySelector('.retry-btn'),
             empty: this.container.querySelector('.version-history-empty'),
-            list: this.container.querySelector('.version-history-list')
+            list: this.container.querySelector('.version-history-list'),
+            autoToggle: this.container.querySelector('.version-auto-toggle-input'),
+            compareBar: this.container.querySelector('.version-compare-bar'),
+            compareStatus: this.container.querySelector('.version-compare-status'),
+            compareRunBtn: this.container.querySelector('[data-action="compare-run"]'),
+            compareRunLabel: this.container.querySelector('.version-compare-run-label'),
+            compareClearBtn: this.container.querySelector('[data-action="compare-clear"]')
         };
     }
 
@@ -110,6 +145,21 @@ class VersionHistoryManager {
             this.loadVersions();
         });
 
+        // Automatic checkpoint filter
+        this.elements.autoToggle.addEventListener('change', (e) => {
+            this.showAutoVersions = e.target.checked;
+            this.renderVersions();
+        });
+
+        // Compare bar
+        this.elements.compareRunBtn.addEventListener('click', () => {
+            this.handleCompare();
+        });
+
+        this.elements.compareClearBtn.addEventListener('click', () => {
+            this.clearCompareSelection();
+        });
+
         // Click outside to close
         this.elements.panel.addEventListener('click', (e) => {
             if (e.target === this.elements.panel) {
@@ -171,7 +221,7 @@ class VersionHistoryManager {
         this.hideEmpty();
 
         try {
-            const response = await fetch(`/api/pages/${this.options.pageId}/versions`);
+            const response = await window.apiUtils.authFetch(`/api/pages/${this.options.pageId}/versions`);
             
             if (!response.ok) {
                 throw new Error(`HTTP ${response.status}: ${response.statusText}`);
@@ -211,11 +261,77 @@ class VersionHistoryManager {
         }
 
         this.elements.list.innerHTML = '';
+
+        // Keep only selections that are still listed
+        this.compareSelection = this.compareSelection
+            .map(selected => this.versions.find(version => version.id === selected.id))
+            .filter(Boolean);
+
+        // Consecutive automatic checkpoints are collapsed into one group
+        let checkpoints = [];
+        const appendCheckpoints = () => {
+            if (checkpoints.length === 1) {
+                this.elements.list.appendChild(this.createVersionCard(checkpoints[0].version, checkpoints[0].index));
+            } else if (checkpoints.length > 1) {
+                this.elements.list.appendChild(this.createCheckpointGroup(checkpoints));
+            }
+            checkpoints = [];
+        };
         
         this.versions.forEach((version, index) => {
+            if (version.auto) {
+                if (this.showAutoVersions) {
+                    checkpoints.push({ version, index });
+                }
+                return;
+            }
+
+            appendCheckpoints();
             const versionCard = this.createVersionCard(version, index);
             this.elements.list.appendChild(versionCard);
         });
+        appendCheckpoints();
+
+        this.updateCompareBar();
+    }
+
+    /**
+     * Create a collapsible group of consecutive automatic checkpoints
+     * @param {Array<Object>} checkpoints - { version, index } entries, newest first
+     * @returns {HTMLElement} Checkpoint group element
+     */
+    createCheckpointGroup(checkpoints) {
+        const groupId = checkpoints[0].version.id;
+        const isExpanded = this.expandedCheckpointGroups.has(groupId);
+        const newest = checkpoints[0].version;
+        const relativeTime = newest.getRelativeTime ? newest.getRelativeTime() : '';
+
+        const group = document.createElement('div');
+        group.className = 'version-checkpoint-group';
+        group.innerHTML = `
+            <button class="version-checkpoint-group-toggle" data-action="toggle-checkpoints" aria-expanded="${isExpanded}">
+                <i class="fas fa-chevron-${isExpanded ? 'down' : 'right'}"></i>
+                <span>${checkpoints.length} automatic checkpoints</span>
+                ${relativeTime ? `<span class="version-checkpoint-group-time">latest ${this.escapeHtml(relativeTime.toLowerCase())}</span>` : ''}
+            </button>
+            <div class="version-checkpoint-group-list" style="display: ${isExpanded ? 'block' : 'none'};"></div>
+        `;
+
+        const list = group.querySelector('.version-checkpoint-group-list');
+        checkpoints.forEach(({ version, index }) => {
+            list.appendChild(this.createVersionCard(version, index));
+        });
+
+        group.querySelector('.version-checkpoint-group-toggle').addEventListener('click', () => {
+            if (this.expandedCheckpointGroups.has(groupId)) {
+                this.expandedCheckpointGroups.delete(groupId);
+            } else {
+                this.expandedCheckpointGroups.add(groupId);
+            }
+            this.renderVersions();
+        });
+
+        return group;
     }
 
     /**
@@ -226,7 +342,7 @@ class VersionHistoryManager {
      */
     createVersionCard(version, index) {
         const card = document.createElement('div');
-        card.className = 'version-card';
+        card.className = version.auto ? 'version-card auto-version' : 'version-card';
         card.dataset.versionId = version.id;
         card.dataset.versionNumber = version.versionNumber;
 
@@ -246,6 +362,7 @@ class VersionHistoryManager {
                 <div class="version-info">
                     <h4 class="version-name">${this.escapeHtml(displayName)}</h4>
                     <span class="version-number">v${version.versionNumber}</span>
+                    ${version.auto ? `<span class="auto-badge" title="${this.escapeHtml(version.getCheckpointLabel ? version.getCheckpointLabel() : 'Automatic')}">Auto</span>` : ''}
                     ${version.isCurrentVersion && version.isCurrentVersion() ? '<span class="current-badge">Current</span>' : ''}
                 </div>
                 <div class="version-timestamp">
@@ -270,6 +387,10 @@ class VersionHistoryManager {
             </div>
             
             <div class="version-card-actions">
+                <button class="btn btn-secondary btn-sm compare-btn" data-action="compare" data-version-id="${version.id}">
+                    <i class="fas fa-code-compare"></i>
+                    Compare
+                </button>
                 <button class="btn btn-secondary btn-sm view-btn" data-action="view" data-version-id="${version.id}">
                     <i class="fas fa-eye"></i>
                     View
@@ -283,10 +404,22 @@ class VersionHistoryManager {
             </div>
         `;
 
+        if (this.isSelectedForCompare(version)) {
+            card.classList.add('compare-selected');
+        }
+
         // Add event listeners for action buttons
+        const compareBtn = card.querySelector('.compare-btn');
         const viewBtn = card.querySelector('.view-btn');
         const revertBtn = card.querySelector('.revert-btn');
 
+        if (compareBtn) {
+            compareBtn.addEventListener('click', (e) => {
+                e.stopPropagation();
+                this.toggleCompareSelection(version);
+            });
+        }
+
         if (viewBtn) {
             viewBtn.addEventListener('click', (e) => {
                 e.stopPropagation();
@@ -323,6 +456,88 @@ class VersionHistoryManager {
         }
     }
 
+    /**
+     * Check whether a version is selected for comparison
+     * @param {PageVersion} version - Version to check
+     * @returns {boolean} True if selected
+     */
+    isSelectedForCompare(version) {
+        return this.compareSelection.some(selected => selected.id === version.id);
+    }
+
+    /**
+     * Select or deselect a version for comparison. At most two versions are
+     * selected; selecting a third replaces the earliest selection.
+     * @param {PageVersion} version - Version to toggle
+     */
+    toggleCompareSelection(version) {
+        if (this.isSelectedForCompare(version)) {
+            this.compareSelection = this.compareSelection.filter(selected => selected.id !== version.id);
+        } else {
+            this.compareSelection.push(version);
+            if (this.compareSelection.length > 2) {
+                this.compareSelection.shift();
+            }
+        }
+
+        this.elements.list.querySelectorAll('.version-card').forEach(card => {
+            card.classList.toggle('compare-selected', this.compareSelection.some(selected => selected.id === card.dataset.versionId));
+        });
+        this.updateCompareBar();
+    }
+
+    /**
+     * Clear the versions selected for comparison
+     */
+    clearCompareSelection() {
+        this.compareSelection = [];
+        this.elements.list.querySelectorAll('.version-card.compare-selected').forEach(card => {
+            card.classList.remove('compare-selected');
+        });
+        this.updateCompareBar();
+    }
+
+    /**
+     * Show the compare bar for the current selection: one version is compared
+     * with the current page, two with each other
+     */
+    updateCompareBar() {
+        const count = this.compareSelection.length;
+        this.elements.compareBar.style.display = count > 0 ? 'flex' : 'none';
+
+        if (count === 1) {
+            this.elements.compareStatus.textContent = 'Select another version, or compare with the current page';
+            this.elements.compareRunLabel.textContent = 'Compare with current';
+        } else if (count === 2) {
+            const [older, newer] = this.getOrderedCompareSelection();
+            this.elements.compareStatus.textContent = `v${older.versionNumber} and v${newer.versionNumber} selected`;
+            this.elements.compareRunLabel.textContent = 'Compare';
+        }
+    }
+
+    /**
+     * Get the selected versions, older first
+     * @returns {Array<PageVersion>} Selected versions
+     */
+    getOrderedCompareSelection() {
+        return [...this.compareSelection].sort((a, b) => a.versionNumber - b.versionNumber);
+    }
+
+    /**
+     * Open the diff of the selected versions
+     */
+    handleCompare() {
+        if (!this.versionDiffModal || this.compareSelection.length === 0) {
+            return;
+        }
+
+        const [fromVersion, toVersion] = this.compareSelection.length === 2
+            ? this.getOrderedCompareSelection()
+            : [this.compareSelection[0], { id: 'current' }];
+
+        this.versionDiffModal.show(this.options.pageId, fromVersion, toVersion);
+    }
+
     /**
      * Handle revert version action
      * @param {PageVersion} version - Version to revert to
@@ -337,7 +552,7 @@ class VersionHistoryManager {
         try {
             this.setLoading(true);
             
-            const response = await fetch(`/api/pages/${this.options.pageId}/revert/${version.id}`, {
+            const response = await window.apiUtils.authFetch(`/api/pages/${this.options.pageId}/revert/${version.id}`, {
                 method: 'POST',
                 headers: {
                     'Content-Type': 'application/json'
@@ -372,6 +587,24 @@ class VersionHistoryManager {
         }
     }
 
+    /**
+     * Handle components restored from a version in the preview modal
+     * @param {Object} result - Restore result from the API
+     * @param {PageVersion} version - Version the components were restored from
+     */
+    handleComponentsRestored(result, version) {
+        const count = result.restored ? result.restored.length : 0;
+        this.showSuccess(`Restored ${count} selected part${count === 1 ? '' : 's'} of ${version.getDisplayName ? version.getDisplayName() : `Version ${version.versionNumber}`}`);
+
+        // Refresh page content
+        if (this.options.onRefreshPage) {
+            this.options.onRefreshPage();
+        }
+
+        // Reload versions to show the backup version
+        this.loadVersions();
+    }
+
     /**
      * Set loading state
      * @param {boolean} loading - Loading state
@@ -468,6 +701,8 @@ class VersionHistoryManager {
      */
     updatePageId(pageId) {
         this.options.pageId = pageId;
+        this.compareSelection = [];
+        this.updateCompareBar();
         if (this.isVisible()) {
             this.loadVersions();
         }
@@ -1,11 +1,14 @@
 /**
  * VersionPreviewModal - Work Order 45
- * Modal component for viewing historical page versions in read-only format
+ * Modal component for viewing historical page versions in read-only format.
+ * Components, accordion items and links can be picked and restored into the
+ * current page without reverting the rest of it.
  */
 class VersionPreviewModal {
     constructor(options = {}) {
         this.options = {
             onClose: () => {},
+            onRestored: () => {}, // Called with the restore result
             ...options
         };
         
@@ -13,6 +16,7 @@ class VersionPreviewModal {
         this.currentVersion = null;
         this.isLoading = false;
         this.error = null;
+        this.isRestoring = false;
         
         this.elements = {};
         this.componentRenderer = new ComponentRenderer();
@@ -80,6 +84,13 @@ class VersionPreviewModal {
                                 <i class="fas fa-lock"></i>
                                 <span>Read-only preview</span>
                             </div>
+                            <div class="version-restore-bar">
+                                <span class="version-restore-status">Select components or items to restore them into the current page</span>
+                                <button class="btn btn-primary version-restore-btn" data-action="restore" disabled>
+                                    <i class="fas fa-undo"></i>
+                                    Restore selected
+                                </button>
+                            </div>
                             <div class="version-components-container">
                                 <!-- Version components will be rendered here -->
                             </div>
@@ -107,6 +118,8 @@ class VersionPreviewModal {
             retryBtn: modalContainer.querySelector('.retry-btn'),
             previewContent: modalContainer.querySelector('.version-preview-content'),
             componentsContainer: modalContainer.querySelector('.version-components-container'),
+            restoreStatus: modalContainer.querySelector('.version-restore-status'),
+            restoreBtn: modalContainer.querySelector('.version-restore-btn'),
             versionNumber: modalContainer.querySelector('.version-number'),
             versionName: modalContainer.querySelector('.version-name'),
             versionTimestamp: modalContainer.querySelector('.version-timestamp'),
@@ -137,6 +150,22 @@ class VersionPreviewModal {
             }
         });
 
+        // Restore picker: picking a whole component includes its items
+        this.elements.componentsContainer.addEventListener('change', (e) => {
+            if (e.target.matches('.version-restore-component')) {
+                const componentElement = e.target.closest('.version-component');
+                componentElement.querySelectorAll('.version-restore-item').forEach(checkbox => {
+                    checkbox.checked = e.target.checked;
+                    checkbox.disabled = e.target.checked;
+                });
+            }
+            this.updateRestoreBar();
+        });
+
+        this.elements.restoreBtn.addEventListener('click', () => {
+            this.handleRestore();
+        });
+
         // Escape key to close
         document.addEventListener('keydown', (e) => {
             if (e.key === 'Escape' && this.isVisible) {
@@ -218,7 +247,7 @@ class VersionPreviewModal {
         this.hideContent();
 
         try {
-            const response = await fetch(`/api/pages/${version.pageId}/versions/${version.id}`);
+            const response = await window.apiUtils.authFetch(`/api/pages/${version.pageId}/versions/${version.id}`);
             
             if (!response.ok) {
                 throw new Error(`HTTP ${response.status}: ${response.statusText}`);
@@ -266,6 +295,7 @@ class VersionPreviewModal {
         sortedComponents.forEach(component => {
             try {
                 const componentElement = this.componentRenderer.renderComponent(component, true); // true = read-only
+                this.addRestorePicker(componentElement, component);
                 this.elements.componentsContainer.appendChild(componentElement);
             } catch (error) {
                 console.error('Error rendering component:', component, error);
@@ -281,6 +311,124 @@ class VersionPreviewModal {
                 this.elements.componentsContainer.appendChild(fallbackElement);
             }
         });
+
+        this.updateRestoreBar();
+    }
+
+    /**
+     * Add restore checkboxes to a rendered component and its accordion items or links
+     * @param {HTMLElement} element - Rendered component element
+     * @param {Object} component - Component data
+     */
+    addRestorePicker(element, component) {
+        const componentLabel = document.createElement('label');
+        componentLabel.className = 'version-restore-option';
+        componentLabel.innerHTML = `
+            <input type="checkbox" class="version-restore-component">
+            <span>Restore this ${component.type.replace(/Component$/, '').toLowerCase()}</span>
+        `;
+        componentLabel.querySelector('input').dataset.componentId = component.id;
+        element.insertBefore(componentLabel, element.firstChild);
+
+        const itemPickers = {
+            AccordionComponent: { items: component.data?.items, selector: '.accordion-item', label: 'item' },
+            LinkGroupComponent: { items: component.data?.links, selector: '.link-item', label: 'link' }
+        };
+        const picker = itemPickers[component.type];
+        if (!picker || !Array.isArray(picker.items)) {
+            return;
+        }
+
+        // Item elements are rendered in the same order as the data
+        element.querySelectorAll(picker.selector).forEach((itemElement, index) => {
+            const item = picker.items[index];
+            if (!item || !item.id) {
+                return;
+            }
+
+            const itemLabel = document.createElement('label');
+            itemLabel.className = 'version-restore-option version-restore-item-option';
+            itemLabel.innerHTML = `
+                <input type="checkbox" class="version-restore-item">
+                <span>Restore this ${picker.label}</span>
+            `;
+            const checkbox = itemLabel.querySelector('input');
+            checkbox.dataset.componentId = component.id;
+            checkbox.dataset.itemId = item.id;
+            itemElement.insertBefore(itemLabel, itemElement.firstChild);
+        });
+    }
+
+    /**
+     * Get the components and items picked for restoring
+     * @returns {Object} Selection in the format of the restore endpoint
+     */
+    getRestoreSelection() {
+        const container = this.elements.componentsContainer;
+        const componentIds = Array.from(container.querySelectorAll('.version-restore-component:checked'))
+            .map(checkbox => checkbox.dataset.componentId);
+        const items = Array.from(container.querySelectorAll('.version-restore-item:checked:not(:disabled)'))
+            .map(checkbox => ({ componentId: checkbox.dataset.componentId, itemId: checkbox.dataset.itemId }));
+
+        return { componentIds, items };
+    }
+
+    /**
+     * Update the restore bar for the current selection
+     */
+    updateRestoreBar() {
+        const { componentIds, items } = this.getRestoreSelection();
+        const count = componentIds.length + items.length;
+
+        this.elements.restoreBtn.disabled = count === 0 || this.isRestoring;
+        this.elements.restoreStatus.textContent = count === 0
+            ? 'Select components or items to restore them into the current page'
+            : `${count} selected to restore into the current page`;
+    }
+
+    /**
+     * Restore the picked components and items into the current page
+     */
+    async handleRestore() {
+        const version = this.currentVersion;
+        const selection = this.getRestoreSelection();
+        if (!version || this.isRestoring || (selection.componentIds.length === 0 && selection.items.length === 0)) {
+            return;
+        }
+
+        const confirmMessage = `Restore the selected parts of Version ${version.versionNumber} into the current page?\n\nThe rest of the page is kept, and a backup version of the current page is created first.`;
+        if (!confirm(confirmMessage)) {
+            return;
+        }
+
+        this.isRestoring = true;
+        this.updateRestoreBar();
+
+        try {
+            const response = await window.apiUtils.authFetch(`/api/pages/${version.pageId}/versions/${version.id}/restore`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify(selection)
+            });
+
+            const result = await response.json().catch(() => ({}));
+            if (!response.ok) {
+                throw new Error(result.error || `HTTP ${response.status}: ${response.statusText}`);
+            }
+
+            this.options.onRestored(result, version);
+            this.close();
+        } catch (error) {
+            console.error('Error restoring version components:', error);
+            this.elements.restoreStatus.textContent = error.message || 'Failed to restore the selected components';
+        } finally {
+            this.isRestoring = false;
+            if (this.isVisible) {
+                this.elements.restoreBtn.disabled = false;
+            }
+        }
     }
 
     /**
@@ -473,10 +621,10 @@ class ComponentRenderer {
             itemsHtml += `
                 <div class="accordion-item">
                     <div class="accordion-header">
-                        <h4>${item.title || `Item ${index + 1}`}</h4>
+                        <h4>${item.header || item.title || `Item ${index + 1}`}</h4>
                     </div>
                     <div class="accordion-content">
-                        <div class="accordion-text">${item.content || 'No content'}</div>
+                        <div class="accordion-text">${item.content?.data || item.content || 'No content'}</div>
                     </div>
                 </div>
             `;
@@ -511,8 +659,8 @@ class ComponentRenderer {
         links.forEach((link, index) => {
             linksHtml += `
                 <div class="link-item">
-                    <a href="${link.url || '#'}" target="${link.target || '_self'}" class="link-preview">
-                        ${link.text || `Link ${index + 1}`}
+                    <a href="${link.linkUrl || link.url || '#'}" target="${link.linkTarget || link.target || '_self'}" class="link-preview">
+                        ${link.linkText || link.text || `Link ${index + 1}`}
                     </a>
                 </div>
             `;
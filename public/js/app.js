@@ -15,7 +15,10 @@ class TemplatePageEditor {
         this.activeComponent = null; // Track currently active component for editing
         this.pageEditor = null; // PageEditor instance
         this.pageId = null; // Current page ID for saving
+        this.pageRevision = null; // Revision of the current page that edits are based on
         this.hasUnsavedChanges = false; // Track unsaved changes
+        this.changeCount = 0; // Incremented on every change, to tell whether a save includes the latest ones
+        this.isReadOnly = false; // True when the open page is shared with view permission only
         this.saveButton = null; // SaveButton instance
         this.saveVersionModal = null; // SaveVersionModal instance
         this.versionHistoryManager = null; // VersionHistoryManager instance
@@ -28,6 +31,10 @@ class TemplatePageEditor {
         this.sharedPagesDashboard = null; // SharedPagesDashboard instance
         this.templateUploadWizard = null; // TemplateUploadWizard instance
         this.wizardStateManager = null; // WizardStateManager instance
+        this.loginModal = null; // LoginModal instance
+        this.saveConflictModal = null; // SaveConflictModal instance
+        this.undoManager = null; // UndoManager instance for canvas edits
+        this.autosaveManager = null; // AutosaveManager instance for autosave and checkpoint versions
         
         // Search and filter state
         this.currentSearchQuery = '';
@@ -39,11 +46,14 @@ class TemplatePageEditor {
     }
 
     init() {
+        this.setupAuthentication();
         this.setupEventListeners();
         this.loadTemplates();
         this.setupCanvas();
         this.setupStateManagement();
+        this.setupUndoRedo();
         this.setupUnsavedChangesWarning();
+        this.setupAutosave();
         this.initializeSaveVersionComponents();
         this.initializeVersionHistoryManager();
         this.loadCategories();
@@ -359,7 +369,7 @@ class TemplatePageEditor {
                 containerId: 'shared-pages-content',
                 onPageClick: (pageId, permission) => {
                     console.log('Opening shared page:', pageId, 'with permission:', permission);
-                    this.loadPage(pageId);
+                    this.initializePageEditor(pageId);
                 }
             });
             console.log('SharedPagesDashboard initialized');
@@ -445,7 +455,8 @@ class TemplatePageEditor {
             if (!response.ok) {
                 throw new Error(`HTTP error! status: ${response.status}`);
             }
-            this.categories = await response.json();
+            const result = await response.json();
+            this.categories = result.data;
             this.populateCategoryFilter();
         } catch (error) {
             console.error('Error loading categories:', error);
@@ -882,6 +893,14 @@ class TemplatePageEditor {
         const element = this.createElement(this.currentTool, x, y);
         canvas.appendChild(element);
 
+        if (this.undoManager) {
+            this.undoManager.record({
+                label: 'Add element',
+                undo: () => element.remove(),
+                redo: () => canvas.appendChild(element)
+            });
+        }
+
         // Mark page as having unsaved changes
         this.markAsUnsaved();
 
@@ -1812,7 +1831,9 @@ class TemplatePageEditor {
 
         // Add save button event listener
         const saveBtn = header.querySelector('.save-page-btn');
-        if (saveBtn) {
+        if (saveBtn && this.isReadOnly) {
+            saveBtn.style.display = 'none';
+        } else if (saveBtn) {
             saveBtn.addEventListener('click', () => {
                 this.savePage();
             });
@@ -1882,21 +1903,31 @@ class TemplatePageEditor {
     }
 
     /**
-     * Save page changes to the backend
+     * Save page changes to the backend. If the page was saved by someone else
+     * since it was loaded, the conflict dialog offers reload, overwrite or merge.
+     * @param {Object} options - Save options
+     * @param {Array} options.components - Components to save instead of the canvas contents
+     * @param {number} options.revision - Revision to save against instead of the loaded one
+     * @param {boolean} options.autosave - Saved by autosave rather than by the user (no success notification)
      */
-    async savePage() {
+    async savePage(options = {}) {
         if (!this.pageId) {
             this.showNotification('No page loaded to save', 'error');
             return;
         }
 
+        if (this.isReadOnly) {
+            this.showNotification('You have view-only access to this page', 'error');
+            return;
+        }
+
         if (!this.currentPage) {
             this.showNotification('No page data to save', 'error');
             return;
         }
 
         // Validate page data before saving
-        if (!this.validatePageData()) {
+        if (!options.components && !this.validatePageData()) {
             this.showNotification('Page data validation failed', 'error');
             return;
         }
@@ -1906,23 +1937,52 @@ class TemplatePageEditor {
             this.setSaveButtonLoading(true);
             this.hideNotification();
 
+            // Never save over the page before its session checkpoint exists
+            if (this.autosaveManager) {
+                await this.autosaveManager.beforeSave();
+            }
+            const changeCount = this.changeCount;
+
             // Prepare page data for API
             const pageData = this.currentPage.toJSON ? this.currentPage.toJSON() : this.serializeCanvasToPage().toJSON();
 
             // API expects only the components array, not the entire page object
             const requestBody = {
-                components: pageData.components || []
+                components: options.components || pageData.components || []
             };
 
+            const headers = {
+                'Content-Type': 'application/json'
+            };
+            const revision = options.revision || this.pageRevision;
+            if (revision) {
+                headers['If-Match'] = `"${revision}"`;
+            }
+
             // Make API call to save page
-            const response = await fetch(`/api/pages/${this.pageId}`, {
+            const response = await window.apiUtils.authFetch(`/api/pages/${this.pageId}`, {
                 method: 'PUT',
-                headers: {
-                    'Content-Type': 'application/json'
-                },
+                headers,
                 body: JSON.stringify(requestBody)
             });
 
+            if (response.status === 409) {
+                const conflict = await response.json();
+                if (this.autosaveManager) {
+                    this.autosaveManager.pause();
+                }
+                this.showSaveConflict(conflict, requestBody.components);
+                return;
+            }
+
+            if (response.status === 403) {
+                const errorData = await response.json().catch(() => ({}));
+                if (errorData.code === 'INSUFFICIENT_PAGE_PERMISSION') {
+                    this.setReadOnlyMode(true);
+                }
+                throw new Error(errorData.error || 'You do not have permission to save this page');
+            }
+
             if (!response.ok) {
                 throw new Error(`Failed to save page: ${response.status} ${response.statusText}`);
             }
@@ -1931,23 +1991,164 @@ class TemplatePageEditor {
             
             // The API returns the page data directly, not wrapped in a success object
             // So we don't need to check for result.success
+            this.pageRevision = result.revision;
+
+            // Show the saved components when they differ from the canvas
+            // (overwrite, merge, or content removed by the server's sanitizer)
+            const sanitized = result.sanitized || [];
+            if (options.components || sanitized.length > 0) {
+                this.reloadCanvasPage(result);
+            }
 
-            // Clear unsaved changes flag
-            this.hasUnsavedChanges = false;
-            this.updateUnsavedChangesIndicator();
+            // Clear unsaved changes flag, unless changes were made during the save
+            if (this.changeCount === changeCount) {
+                this.hasUnsavedChanges = false;
+                this.updateUnsavedChangesIndicator();
+            }
 
-            // Show success notification
-            this.showNotification('Page saved successfully!', 'success');
+            if (this.autosaveManager) {
+                this.autosaveManager.afterSave();
+            }
+
+            // Show success notification, warning about removed content
+            if (sanitized.length > 0) {
+                this.showNotification(`Page saved. ${this.describeSanitizedContent(sanitized)}`, 'info');
+            } else if (!options.autosave) {
+                this.showNotification('Page saved successfully!', 'success');
+            }
 
         } catch (error) {
             console.error('Error saving page:', error);
-            this.showNotification(`Error saving page: ${error.message}`, 'error');
+            this.showNotification(`${options.autosave ? 'Autosave failed' : 'Error saving page'}: ${error.message}`, 'error');
         } finally {
             // Hide loading state
             this.setSaveButtonLoading(false);
         }
     }
 
+    /**
+     * Describe the content the server removed from rich text when saving
+     * @param {Array} sanitized - Sanitized fields ({ componentId, field, removed })
+     * @returns {string} Message for the user
+     */
+    describeSanitizedContent(sanitized) {
+        const descriptions = new Set();
+        sanitized.forEach(({ removed }) => {
+            removed.forEach(item => {
+                switch (item.type) {
+                    case 'element':
+                        descriptions.add(`${item.tag} elements`);
+                        break;
+                    case 'attribute':
+                        descriptions.add(`${item.attribute} attributes`);
+                        break;
+                    case 'url':
+                        descriptions.add('unsafe links');
+                        break;
+                    case 'style':
+                        descriptions.add('unsupported styles');
+                        break;
+                    default:
+                        descriptions.add('comments');
+                }
+            });
+        });
+
+        const names = Array.from(descriptions).map(name => name.replace(/[<>&"]/g, ''));
+        return `Some content was removed from ${sanitized.length} text field(s) for security: ${names.join(', ')}.`;
+    }
+
+    /**
+     * Show the save conflict dialog for a 409 response
+     * @param {Object} conflict - Conflict details (currentRevision, diff, currentPage)
+     * @param {Array} localComponents - Components that failed to save
+     */
+    showSaveConflict(conflict, localComponents) {
+        if (!window.SaveConflictModal) {
+            this.showNotification(`${conflict.error}. Reload the page to get the latest changes.`, 'error');
+            return;
+        }
+
+        if (!this.saveConflictModal) {
+            const modalContainer = document.createElement('div');
+            modalContainer.id = 'save-conflict-modal-container';
+            document.body.appendChild(modalContainer);
+
+            this.saveConflictModal = new window.SaveConflictModal(modalContainer, {
+                onReload: (details) => this.reloadAfterConflict(details),
+                onOverwrite: (components, revision) => this.resolveSaveConflict(components, revision),
+                onMerge: (components, revision) => this.resolveSaveConflict(components, revision)
+            });
+        }
+
+        this.saveConflictModal.show(conflict, localComponents);
+    }
+
+    /**
+     * Discard local changes and load the server's copy of the page
+     * @param {Object} conflict - Conflict details
+     */
+    reloadAfterConflict(conflict) {
+        if (this.pageEditor && this.pageEditor.pageId) {
+            this.pageEditor.loadPage(this.pageEditor.pageId);
+            return;
+        }
+
+        this.reloadCanvasPage({ ...this.currentPage.toJSON(), ...conflict.currentPage });
+        if (this.autosaveManager) {
+            this.autosaveManager.startSession();
+        }
+        this.hasUnsavedChanges = false;
+        this.updateUnsavedChangesIndicator();
+        this.showNotification('Loaded the latest saved version of the page');
+    }
+
+    /**
+     * Save the chosen components over the server's current revision
+     * @param {Array} components - Components to save (local or merged)
+     * @param {number} revision - Server revision the choice was made against
+     */
+    async resolveSaveConflict(components, revision) {
+        if (this.pageEditor && this.pageEditor.pageId) {
+            try {
+                const savedPage = await this.pageEditor.savePage({ components, revision });
+                if (savedPage) {
+                    this.pageEditor.loadPage(this.pageEditor.pageId);
+                }
+            } catch (error) {
+                // Reported through the PageEditor's pageSaveError event
+            }
+            return;
+        }
+
+        await this.savePage({ components, revision });
+    }
+
+    /**
+     * Replace the canvas contents with a page from the server
+     * @param {Object} pageData - Page data
+     */
+    reloadCanvasPage(pageData) {
+        this.clearCanvas();
+        this.loadPageFromData(pageData);
+    }
+
+    /**
+     * Fetch the current revision of a page so later saves can detect conflicts
+     * @param {string} pageId - Page ID
+     */
+    async loadPageRevision(pageId) {
+        try {
+            const response = await window.apiUtils.authFetch(`/api/pages/${pageId}`);
+            if (response.ok) {
+                const page = await response.json();
+                this.pageRevision = page.revision;
+            }
+        } catch (error) {
+            console.warn('Could not load page revision:', error);
+        }
+    }
+
     /**
      * Validate page data before saving
      * @returns {boolean} True if valid, false otherwise
@@ -2099,6 +2300,417 @@ class TemplatePageEditor {
         });
     }
 
+    /**
+     * Set up autosave of the open page and its automatic checkpoint versions
+     * (see AutosaveManager for when checkpoints are created)
+     */
+    setupAutosave() {
+        if (!window.AutosaveManager) return;
+
+        this.autosaveManager = new AutosaveManager({
+            save: () => this.savePage({ autosave: true }),
+            createCheckpoint: (reason) => this.createCheckpoint(reason)
+        });
+    }
+
+    /**
+     * Create an automatic checkpoint version of the page as saved on the server.
+     * The server skips the checkpoint if the page has not changed since its
+     * latest version.
+     * @param {string} reason - Checkpoint reason (session-start or interval)
+     */
+    async createCheckpoint(reason) {
+        if (!this.pageId) return;
+
+        const response = await window.apiUtils.authFetch(`/api/pages/${this.pageId}/versions`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({ auto: true, checkpointReason: reason })
+        });
+
+        if (!response.ok) {
+            throw new Error(`Failed to create checkpoint: ${response.status} ${response.statusText}`);
+        }
+
+        // 204 means the checkpoint was skipped
+        if (response.status === 201 && this.versionHistoryManager && this.versionHistoryManager.isVisible()) {
+            this.versionHistoryManager.loadVersions();
+        }
+    }
+
+    // =====================================================
+    // UNDO / REDO
+    // =====================================================
+
+    /**
+     * Set up the undo history, the undo/redo shortcuts and element deletion.
+     * Ctrl+Z undoes, Ctrl+Shift+Z or Ctrl+Y redoes (Cmd on macOS). Form fields
+     * outside the canvas keep the browser's own undo.
+     */
+    setupUndoRedo() {
+        if (!window.UndoManager) return;
+
+        this.undoManager = new UndoManager({
+            onChange: () => this.updateUndoRedoButtons()
+        });
+
+        document.addEventListener('keydown', (e) => {
+            if (this.currentSection !== 'editor' || this.isReadOnly) return;
+
+            const key = e.key.toLowerCase();
+            const inCanvas = Boolean(e.target.closest && e.target.closest('#canvas'));
+            if ((e.ctrlKey || e.metaKey) && !e.altKey && (key === 'z' || key === 'y')) {
+                if (!inCanvas && this.isEditableTarget(e.target)) return;
+
+                e.preventDefault();
+                if (key === 'y' || e.shiftKey) {
+                    this.redo();
+                } else {
+                    this.undo();
+                }
+            } else if ((e.key === 'Delete' || e.key === 'Backspace') && (inCanvas || e.target === document.body)
+                && !this.isEditableTarget(e.target)) {
+                if (this.deleteSelectedElement()) {
+                    e.preventDefault();
+                }
+            }
+        });
+
+        this.updateUndoRedoButtons();
+    }
+
+    /**
+     * Check if an event target handles its own text editing
+     * @param {Element} target - Event target
+     * @returns {boolean} True for inputs, textareas, selects and contentEditable elements
+     */
+    isEditableTarget(target) {
+        if (!target || !target.tagName) return false;
+        return target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName);
+    }
+
+    /**
+     * Undo the last canvas change
+     */
+    undo() {
+        if (!this.undoManager || this.isReadOnly) return;
+
+        this.flushCanvasEdit();
+        try {
+            if (this.undoManager.undo()) {
+                this.markAsUnsaved();
+            }
+        } catch (error) {
+            console.error('Failed to undo:', error);
+            this.showNotification('Failed to undo: ' + error.message, 'error');
+        }
+    }
+
+    /**
+     * Redo the last undone canvas change
+     */
+    redo() {
+        if (!this.undoManager || this.isReadOnly) return;
+
+        this.flushCanvasEdit();
+        try {
+            if (this.undoManager.redo()) {
+                this.markAsUnsaved();
+            }
+        } catch (error) {
+            console.error('Failed to redo:', error);
+            this.showNotification('Failed to redo: ' + error.message, 'error');
+        }
+    }
+
+    /**
+     * Blur the focused canvas field so its pending edit is recorded before
+     * the history moves, and so re-rendered elements do not write stale
+     * content back on blur
+     */
+    flushCanvasEdit() {
+        const canvas = document.getElementById('canvas');
+        const focused = document.activeElement;
+        if (canvas && focused && focused !== document.body && canvas.contains(focused)) {
+            focused.blur();
+        }
+    }
+
+    /**
+     * Enable or disable the toolbar undo/redo buttons
+     */
+    updateUndoRedoButtons() {
+        const canUndo = Boolean(this.undoManager && this.undoManager.canUndo()) && !this.isReadOnly;
+        const canRedo = Boolean(this.undoManager && this.undoManager.canRedo()) && !this.isReadOnly;
+        const undoLabel = canUndo ? this.undoManager.getUndoLabel() : null;
+        const redoLabel = canRedo ? this.undoManager.getRedoLabel() : null;
+
+        document.querySelectorAll('.toolbar-btn[data-action="undo"]').forEach(btn => {
+            btn.disabled = !canUndo;
+            btn.title = undoLabel ? `Undo ${undoLabel} (Ctrl+Z)` : 'Undo (Ctrl+Z)';
+        });
+
+        document.querySelectorAll('.toolbar-btn[data-action="redo"]').forEach(btn => {
+            btn.disabled = !canRedo;
+            btn.title = redoLabel ? `Redo ${redoLabel} (Ctrl+Shift+Z)` : 'Redo (Ctrl+Shift+Z)';
+        });
+    }
+
+    /**
+     * Apply a change to the page model and record it in the undo history.
+     * The components are snapshotted before and after the change; undo and
+     * redo restore a snapshot and re-render the components that differ.
+     * @param {string} label - Description of the change
+     * @param {Function} mutate - Function that changes this.currentPage
+     * @param {Object} options - Recording options
+     * @param {string} options.coalesceKey - Merge rapid changes with the same key into one undo step
+     */
+    recordPageChange(label, mutate, options = {}) {
+        // Elements re-rendered by an undo or redo must not write back into the model
+        if (this.undoManager && this.undoManager.isApplying) return;
+
+        const before = this.snapshotComponents();
+        mutate();
+        const after = this.snapshotComponents();
+
+        if (JSON.stringify(before) === JSON.stringify(after)) return;
+
+        if (this.undoManager) {
+            this.undoManager.record({
+                label,
+                coalesceKey: options.coalesceKey,
+                undo: () => this.restoreComponents(before),
+                redo: () => this.restoreComponents(after)
+            });
+        }
+
+        this.markAsUnsaved();
+    }
+
+    /**
+     * Deep copy the current page components
+     * @returns {Array} Components snapshot
+     */
+    snapshotComponents() {
+        return JSON.parse(JSON.stringify(this.currentPage ? this.currentPage.components : []));
+    }
+
+    /**
+     * Replace the page components with a snapshot and re-render the
+     * components that changed
+     * @param {Array} components - Components snapshot
+     */
+    restoreComponents(components) {
+        if (!this.currentPage) return;
+
+        const previous = new Map(this.currentPage.components.map(component => [component.id, JSON.stringify(component)]));
+        this.currentPage.components = JSON.parse(JSON.stringify(components));
+        this.currentPage.updatedAt = new Date().toISOString();
+
+        this.currentPage.components.forEach(component => {
+            if (previous.get(component.id) !== JSON.stringify(component)) {
+                this.refreshComponentElement(component.id);
+            }
+        });
+    }
+
+    /**
+     * Get the component ID stored on a canvas element
+     * @param {Element} element - Canvas element
+     * @returns {string|null} Component ID
+     */
+    getCanvasElementComponentId(element) {
+        try {
+            const component = JSON.parse(element.getAttribute('data-component'));
+            return component && component.id ? component.id : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Find the canvas element for a component
+     * @param {string} componentId - Component ID
+     * @returns {Element|null} Canvas element
+     */
+    findCanvasElement(componentId) {
+        const canvas = document.getElementById('canvas');
+        if (!canvas || !componentId) return null;
+
+        return Array.from(canvas.querySelectorAll('.canvas-element'))
+            .find(element => this.getCanvasElementComponentId(element) === componentId) || null;
+    }
+
+    /**
+     * Rebuild a component's canvas element from the page model, keeping its position
+     * @param {string} componentId - Component ID
+     */
+    refreshComponentElement(componentId) {
+        const element = this.findCanvasElement(componentId);
+        const component = this.currentPage && this.currentPage.getComponentById(componentId);
+        if (!element || !component) return;
+
+        const replacement = this.createElementFromComponent(component);
+        replacement.style.left = element.style.left;
+        replacement.style.top = element.style.top;
+        element.replaceWith(replacement);
+    }
+
+    /**
+     * Record a drag move in the undo history
+     * @param {Element} element - Moved canvas element
+     * @param {number} fromLeft - Left position before the drag
+     * @param {number} fromTop - Top position before the drag
+     */
+    recordElementMove(element, fromLeft, fromTop) {
+        const toLeft = parseInt(element.style.left);
+        const toTop = parseInt(element.style.top);
+
+        if (![fromLeft, fromTop, toLeft, toTop].every(Number.isFinite)) return;
+        if (fromLeft === toLeft && fromTop === toTop) return;
+
+        const componentId = this.getCanvasElementComponentId(element);
+        const moveTo = (left, top) => {
+            // The element may have been re-rendered since it was moved
+            const target = element.isConnected || !componentId ? element : (this.findCanvasElement(componentId) || element);
+            target.style.left = `${left}px`;
+            target.style.top = `${top}px`;
+        };
+
+        if (this.undoManager) {
+            this.undoManager.record({
+                label: 'Move element',
+                undo: () => moveTo(fromLeft, fromTop),
+                redo: () => moveTo(toLeft, toTop)
+            });
+        }
+
+        this.markAsUnsaved();
+    }
+
+    /**
+     * Delete the selected element from the canvas, and from the page model
+     * when it is a page component
+     * @returns {boolean} True if an element was deleted
+     */
+    deleteSelectedElement() {
+        if (!this.activeComponent || this.isReadOnly) return false;
+
+        const canvas = document.getElementById('canvas');
+        const componentId = this.activeComponent.id;
+        const selected = this.findCanvasElement(componentId) || canvas.querySelector('.editable-component.active');
+        if (!selected) return false;
+
+        // Remove the whole top-level canvas node, including any editable wrapper
+        let node = selected;
+        while (node.parentElement && node.parentElement !== canvas) {
+            node = node.parentElement;
+        }
+        if (node.parentElement !== canvas) return false;
+
+        const nextSibling = node.nextSibling;
+        const before = this.snapshotComponents();
+        const after = before.filter(component => component.id !== componentId);
+
+        const command = {
+            label: 'Delete element',
+            undo: () => {
+                canvas.insertBefore(node, nextSibling && nextSibling.parentNode === canvas ? nextSibling : null);
+                this.restoreComponents(before);
+            },
+            redo: () => {
+                node.remove();
+                this.restoreComponents(after);
+            }
+        };
+
+        if (this.undoManager) {
+            this.undoManager.execute(command);
+        } else {
+            command.redo();
+        }
+
+        this.clearActiveComponent();
+        this.markAsUnsaved();
+        return true;
+    }
+
+    /**
+     * Set up the login modal and the header session controls
+     */
+    setupAuthentication() {
+        let modalContainer = document.getElementById('login-modal-container');
+        if (!modalContainer) {
+            modalContainer = document.createElement('div');
+            modalContainer.id = 'login-modal-container';
+            document.body.appendChild(modalContainer);
+        }
+
+        if (window.LoginModal) {
+            this.loginModal = new window.LoginModal(modalContainer, {
+                onLogin: this.handleLogin.bind(this)
+            });
+        }
+
+        const loginBtn = document.getElementById('login-btn');
+        if (loginBtn) {
+            loginBtn.addEventListener('click', () => this.loginModal && this.loginModal.show());
+        }
+
+        const logoutBtn = document.getElementById('logout-btn');
+        if (logoutBtn) {
+            logoutBtn.addEventListener('click', async () => {
+                await window.apiUtils.logout();
+                this.showNotification('Logged out', 'info');
+            });
+        }
+
+        // Keep the header in sync with the session and ask for login when a request needs it
+        window.addEventListener('auth:changed', () => this.updateAuthStatus());
+        window.addEventListener('auth:required', () => {
+            if (this.loginModal && !this.loginModal.isVisible) {
+                this.loginModal.show('Your session has ended. Please log in to continue.');
+            }
+        });
+
+        this.updateAuthStatus();
+    }
+
+    /**
+     * Show the logged in user or the login button in the header
+     */
+    updateAuthStatus() {
+        const user = window.apiUtils ? window.apiUtils.getCurrentUser() : null;
+        const loginBtn = document.getElementById('login-btn');
+        const userInfo = document.getElementById('auth-user');
+        const userName = document.getElementById('auth-user-name');
+
+        if (loginBtn) {
+            loginBtn.style.display = user ? 'none' : '';
+        }
+        if (userInfo) {
+            userInfo.style.display = user ? '' : 'none';
+        }
+        if (userName) {
+            userName.textContent = user ? (user.name || user.email) : '';
+        }
+    }
+
+    /**
+     * Handle a successful login
+     * @param {Object} user - Logged in user
+     */
+    handleLogin(user) {
+        this.showNotification(`Logged in as ${user.name || user.email}`, 'success');
+
+        // Reload the open page now that requests are authenticated
+        if (this.pageEditor && this.pageEditor.pageId) {
+            this.pageEditor.loadPage(this.pageEditor.pageId);
+        }
+    }
+
     /**
      * Initialize Save Version Components - Work Order 29
      */
@@ -2178,6 +2790,11 @@ class TemplatePageEditor {
             return;
         }
 
+        if (this.isReadOnly) {
+            this.showNotification('You have view-only access to this page', 'error');
+            return;
+        }
+
         // Show the modal
         this.saveVersionModal.show(currentPageId);
     }
@@ -2199,7 +2816,7 @@ class TemplatePageEditor {
             };
 
             // Make API call
-            const response = await fetch(`/api/pages/${data.pageId}/versions`, {
+            const response = await window.apiUtils.authFetch(`/api/pages/${data.pageId}/versions`, {
                 method: 'POST',
                 headers: {
                     'Content-Type': 'application/json',
@@ -2373,6 +2990,11 @@ class TemplatePageEditor {
      */
     handleVersionRevertRefresh() {
         console.log('Refreshing page content after version revert');
+
+        // Local edits not saved yet would overwrite the reverted page
+        if (this.autosaveManager) {
+            this.autosaveManager.cancel();
+        }
         
         // Refresh the current page content
         let currentPageId = null;
@@ -2413,7 +3035,12 @@ class TemplatePageEditor {
      */
     markAsUnsaved() {
         this.hasUnsavedChanges = true;
+        this.changeCount++;
         this.updateUnsavedChangesIndicator();
+
+        if (this.autosaveManager && this.pageId && !this.isReadOnly) {
+            this.autosaveManager.markChanged();
+        }
     }
 
     makeDraggable(element) {
@@ -2444,6 +3071,7 @@ class TemplatePageEditor {
             if (isDragging) {
                 isDragging = false;
                 element.style.zIndex = '1';
+                this.recordElementMove(element, startLeft, startTop);
             }
         });
     }
@@ -2465,42 +3093,53 @@ class TemplatePageEditor {
             case 'version-history':
                 this.toggleVersionHistory();
                 break;
+            case 'undo':
+                this.undo();
+                break;
+            case 'redo':
+                this.redo();
+                break;
         }
     }
 
-    previewPage() {
-        const canvas = document.getElementById('canvas');
+    /**
+     * Preview the page in a new window. The server renders it with the same
+     * renderer as the HTML export, so the preview matches the exported page.
+     */
+    async previewPage() {
+        // Open the window before the request so pop-up blockers allow it
         const previewWindow = window.open('', '_blank', 'width=800,height=600');
-        
-        const html = `
-            <!DOCTYPE html>
-            <html>
-            <head>
-                <title>Page Preview</title>
-                <style>
-                    body { margin: 0; padding: 20px; font-family: Arial, sans-serif; }
-                    .canvas-element { position: relative !important; }
-                    .text-input { border: none; background: transparent; width: 100%; }
-                    .image-placeholder { 
-                        display: flex; 
-                        flex-direction: column; 
-                        align-items: center; 
-                        justify-content: center; 
-                        background: #f3f4f6; 
-                        border: 1px dashed #d1d5db;
-                        height: 100%;
-                    }
-                    .canvas-button { padding: 8px 16px; background: #2563eb; color: white; border: none; border-radius: 4px; }
-                </style>
-            </head>
-            <body>
-                ${canvas.innerHTML}
-            </body>
-            </html>
-        `;
-        
-        previewWindow.document.write(html);
-        previewWindow.document.close();
+        if (!previewWindow) {
+            this.showNotification('Allow pop-ups to preview the page', 'error');
+            return;
+        }
+
+        try {
+            const pageData = this.currentPage && this.currentPage.toJSON
+                ? this.currentPage.toJSON()
+                : this.serializeCanvasToPage().toJSON();
+
+            const response = await window.apiUtils.authFetch('/api/pages/preview', {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({ components: pageData.components || [] })
+            });
+
+            if (!response.ok) {
+                throw new Error(`Failed to render preview: ${response.status} ${response.statusText}`);
+            }
+
+            const html = await response.text();
+            previewWindow.document.open();
+            previewWindow.document.write(html);
+            previewWindow.document.close();
+        } catch (error) {
+            previewWindow.close();
+            console.error('Error previewing page:', error);
+            this.showNotification('Error previewing page: ' + error.message, 'error');
+        }
     }
 
     async saveTemplate() {
@@ -2515,7 +3154,7 @@ class TemplatePageEditor {
                 components: page.components || []
             };
 
-            const response = await fetch('/api/templates', {
+            const response = await window.apiUtils.authFetch('/api/templates', {
                 method: 'POST',
                 headers: {
                     'Content-Type': 'application/json'
@@ -2527,7 +3166,6 @@ class TemplatePageEditor {
                 throw new Error(`HTTP error! status: ${response.status}`);
             }
 
-            const savedTemplate = await response.json();
             this.showNotification('Template saved successfully!');
             
             // Refresh templates if we're on the templates section
@@ -2632,6 +3270,11 @@ class TemplatePageEditor {
     clearCanvas() {
         const canvas = document.getElementById('canvas');
         canvas.innerHTML = '<div class="canvas-placeholder"><i class="fas fa-mouse-pointer"></i><p>Click on a tool to start building your page</p></div>';
+
+        // The history refers to the removed elements
+        if (this.undoManager) {
+            this.undoManager.clear();
+        }
     }
 
     /**
@@ -2744,7 +3387,8 @@ class TemplatePageEditor {
                 throw new Error(`HTTP error! status: ${response.status}`);
             }
             
-            this.templates = await response.json();
+            const result = await response.json();
+            this.templates = result.data;
             console.log('Loaded templates:', this.templates.length);
             await this.renderTemplates();
         } catch (error) {
@@ -2817,7 +3461,7 @@ class TemplatePageEditor {
                 if (!response.ok) {
                     throw new Error(`HTTP error! status: ${response.status}`);
                 }
-                template = await response.json();
+                template = (await response.json()).data;
                 
                 this.switchSection('editor');
                 this.clearCanvas();
@@ -2891,9 +3535,17 @@ class TemplatePageEditor {
                 this.currentPage = page;
             }
             
-            // Set the page ID for save functionality
+            // Set the page ID and revision for save functionality
             if (pageData.id) {
+                // Opening another page starts a new autosave session
+                if (this.autosaveManager && pageData.id !== this.pageId) {
+                    this.autosaveManager.startSession();
+                }
                 this.setPageId(pageData.id);
+                this.pageRevision = pageData.revision || null;
+                if (!this.pageRevision) {
+                    this.loadPageRevision(pageData.id);
+                }
             }
             
             const canvas = document.getElementById('canvas');
@@ -2968,6 +3620,8 @@ class TemplatePageEditor {
         this.pageEditor.addEventListener('pageLoaded', (data) => {
             console.log('Page loaded in PageEditor:', data);
             this.currentPage = data.page;
+            this.pageRevision = data.revision;
+            this.setReadOnlyMode(data.readOnly);
         });
 
         // Component selection events
@@ -2988,12 +3642,46 @@ class TemplatePageEditor {
             this.showNotification('Failed to save page: ' + data.error, 'error');
         });
 
+        this.pageEditor.addEventListener('pageSaveConflict', (data) => {
+            this.showSaveConflict(data.conflict, data.components);
+        });
+
         // Page load error
         this.pageEditor.addEventListener('pageLoadError', (data) => {
             this.showNotification('Failed to load page: ' + data.error, 'error');
         });
     }
 
+    /**
+     * Switch the editor between read-only and editable mode. Pages shared with
+     * view permission open read-only; the API rejects edits to them either way.
+     * @param {boolean} readOnly - True when the user may only view the page
+     */
+    setReadOnlyMode(readOnly) {
+        const wasReadOnly = this.isReadOnly;
+        this.isReadOnly = Boolean(readOnly);
+
+        document.body.classList.toggle('page-read-only', this.isReadOnly);
+
+        if (this.saveButton) {
+            if (this.isReadOnly) {
+                this.saveButton.disable();
+            } else {
+                this.saveButton.enable();
+            }
+        }
+
+        if (this.pageEditor && this.pageEditor.readOnly !== this.isReadOnly) {
+            this.pageEditor.setReadOnly(this.isReadOnly);
+        }
+
+        this.updateUndoRedoButtons();
+
+        if (this.isReadOnly && !wasReadOnly) {
+            this.showNotification('You have view-only access to this page');
+        }
+    }
+
     /**
      * Close PageEditor
      */
@@ -3007,6 +3695,8 @@ class TemplatePageEditor {
             this.pageEditor.destroy();
             this.pageEditor = null;
         }
+
+        this.setReadOnlyMode(false);
     }
 
     /**
@@ -3409,11 +4099,13 @@ class TemplatePageEditor {
         if (this.currentPage) {
             try {
                 // Use state manager if available, otherwise fallback to direct update
-                if (this.stateManager) {
-                    this.stateManager.updateTextComponentContentWithNotification(componentId, content);
-                } else {
-                    this.currentPage.updateTextComponentContent(componentId, content);
-                }
+                this.recordPageChange('Edit text', () => {
+                    if (this.stateManager) {
+                        this.stateManager.updateTextComponentContentWithNotification(componentId, content);
+                    } else {
+                        this.currentPage.updateTextComponentContent(componentId, content);
+                    }
+                }, { coalesceKey: `text:${componentId}` });
             } catch (error) {
                 console.warn('Failed to update text component:', error);
             }
@@ -3572,12 +4264,14 @@ class TemplatePageEditor {
     addAccordionItem(componentId) {
         if (this.currentPage) {
             try {
-                this.currentPage.addAccordionItem(componentId, {
-                    header: 'New Accordion Item',
-                    content: {
-                        format: 'html',
-                        data: '<p>Click to edit content</p>'
-                    }
+                this.recordPageChange('Add accordion item', () => {
+                    this.currentPage.addAccordionItem(componentId, {
+                        header: 'New Accordion Item',
+                        content: {
+                            format: 'html',
+                            data: '<p>Click to edit content</p>'
+                        }
+                    });
                 });
             } catch (error) {
                 console.error('Failed to add accordion item:', error);
@@ -3596,7 +4290,9 @@ class TemplatePageEditor {
                 const accordionComponent = this.currentPage.getAccordionComponentById(componentId);
                 if (accordionComponent && accordionComponent.getItemCount() > 1) {
                     const lastItem = accordionComponent.getOrderedItems().pop();
-                    this.currentPage.removeAccordionItem(componentId, lastItem.id);
+                    this.recordPageChange('Remove accordion item', () => {
+                        this.currentPage.removeAccordionItem(componentId, lastItem.id);
+                    });
                 } else {
                     this.showNotification('Cannot remove the last accordion item', 'error');
                 }
@@ -3621,7 +4317,9 @@ class TemplatePageEditor {
                     const accordionComponent = this.currentPage.getAccordionComponentById(componentData.id);
                     
                     if (accordionComponent && accordionComponent.getItemById(itemId)) {
-                        this.currentPage.toggleAccordionItem(componentData.id, itemId);
+                        this.recordPageChange('Toggle accordion item', () => {
+                            this.currentPage.toggleAccordionItem(componentData.id, itemId);
+                        });
                         break;
                     }
                 }
@@ -3647,7 +4345,9 @@ class TemplatePageEditor {
                     const accordionComponent = this.currentPage.getAccordionComponentById(componentData.id);
                     
                     if (accordionComponent && accordionComponent.getItemById(itemId)) {
-                        this.currentPage.updateAccordionItem(componentData.id, itemId, { header });
+                        this.recordPageChange('Edit accordion header', () => {
+                            this.currentPage.updateAccordionItem(componentData.id, itemId, { header });
+                        }, { coalesceKey: `accordion-header:${itemId}` });
                         break;
                     }
                 }
@@ -3673,17 +4373,19 @@ class TemplatePageEditor {
                     const accordionComponent = this.currentPage.getAccordionComponentById(componentData.id);
                     
                     if (accordionComponent && accordionComponent.getItemById(itemId)) {
-                        this.currentPage.updateAccordionItem(componentData.id, itemId, {
-                            content: {
-                                format: 'html',
-                                data: content,
-                                metadata: {
-                                    version: '1.0',
-                                    created: new Date().toISOString(),
-                                    lastModified: new Date().toISOString()
+                        this.recordPageChange('Edit accordion content', () => {
+                            this.currentPage.updateAccordionItem(componentData.id, itemId, {
+                                content: {
+                                    format: 'html',
+                                    data: content,
+                                    metadata: {
+                                        version: '1.0',
+                                        created: new Date().toISOString(),
+                                        lastModified: new Date().toISOString()
+                                    }
                                 }
-                            }
-                        });
+                            });
+                        }, { coalesceKey: `accordion-content:${itemId}` });
                         break;
                     }
                 }
@@ -3702,7 +4404,9 @@ class TemplatePageEditor {
     updateCardTitle(componentId, title) {
         if (this.currentPage) {
             try {
-                this.currentPage.updateCardComponentTitle(componentId, title);
+                this.recordPageChange('Edit card title', () => {
+                    this.currentPage.updateCardComponentTitle(componentId, title);
+                }, { coalesceKey: `card-title:${componentId}` });
             } catch (error) {
                 console.error('Failed to update card title:', error);
                 this.showNotification('Failed to update title: ' + error.message, 'error');
@@ -3718,15 +4422,17 @@ class TemplatePageEditor {
     updateCardDescription(componentId, description) {
         if (this.currentPage) {
             try {
-                this.currentPage.updateCardComponentDescription(componentId, {
-                    format: 'html',
-                    data: description,
-                    metadata: {
-                        version: '1.0',
-                        created: new Date().toISOString(),
-                        lastModified: new Date().toISOString()
-                    }
-                });
+                this.recordPageChange('Edit card description', () => {
+                    this.currentPage.updateCardComponentDescription(componentId, {
+                        format: 'html',
+                        data: description,
+                        metadata: {
+                            version: '1.0',
+                            created: new Date().toISOString(),
+                            lastModified: new Date().toISOString()
+                        }
+                    });
+                }, { coalesceKey: `card-description:${componentId}` });
             } catch (error) {
                 console.error('Failed to update card description:', error);
                 this.showNotification('Failed to update description: ' + error.message, 'error');
@@ -3743,7 +4449,9 @@ class TemplatePageEditor {
     updateCardImage(componentId, imageUrl, altText) {
         if (this.currentPage) {
             try {
-                this.currentPage.updateCardComponentImage(componentId, imageUrl, altText);
+                this.recordPageChange('Change card image', () => {
+                    this.currentPage.updateCardComponentImage(componentId, imageUrl, altText);
+                });
                 
                 // Update the card element's data attribute
                 const cardElement = document.querySelector(`[data-card-data*="${componentId}"]`);
@@ -3775,7 +4483,9 @@ class TemplatePageEditor {
     updateCardLink(componentId, linkUrl, linkText, linkTarget) {
         if (this.currentPage) {
             try {
-                this.currentPage.updateCardComponentLink(componentId, linkUrl, linkText, linkTarget);
+                this.recordPageChange('Edit card link', () => {
+                    this.currentPage.updateCardComponentLink(componentId, linkUrl, linkText, linkTarget);
+                }, { coalesceKey: `card-link:${componentId}` });
             } catch (error) {
                 console.error('Failed to update card link:', error);
                 this.showNotification('Failed to update link: ' + error.message, 'error');
@@ -3787,7 +4497,9 @@ class TemplatePageEditor {
     updateBannerHeadline(componentId, headlineText) {
         if (this.currentPage) {
             try {
-                this.currentPage.updateBannerComponentHeadline(componentId, headlineText);
+                this.recordPageChange('Edit banner headline', () => {
+                    this.currentPage.updateBannerComponentHeadline(componentId, headlineText);
+                }, { coalesceKey: `banner-headline:${componentId}` });
                 // Trigger rerender to update canvas display
                 this.rerenderComponent(componentId);
             } catch (error) {
@@ -3800,7 +4512,9 @@ class TemplatePageEditor {
     updateBannerBackgroundImage(componentId, backgroundImageUrl, backgroundImageAltText) {
         if (this.currentPage) {
             try {
-                this.currentPage.updateBannerComponentBackgroundImage(componentId, backgroundImageUrl, backgroundImageAltText);
+                this.recordPageChange('Change banner image', () => {
+                    this.currentPage.updateBannerComponentBackgroundImage(componentId, backgroundImageUrl, backgroundImageAltText);
+                });
                 // Trigger rerender to update canvas display
                 this.rerenderComponent(componentId);
             } catch (error) {
@@ -3813,7 +4527,9 @@ class TemplatePageEditor {
     updateBannerCallToAction(componentId, callToAction) {
         if (this.currentPage) {
             try {
-                this.currentPage.updateBannerComponentCallToAction(componentId, callToAction);
+                this.recordPageChange('Edit banner call-to-action', () => {
+                    this.currentPage.updateBannerComponentCallToAction(componentId, callToAction);
+                }, { coalesceKey: `banner-cta:${componentId}` });
                 // Trigger rerender to update canvas display
                 this.rerenderComponent(componentId);
             } catch (error) {
@@ -4005,7 +4721,9 @@ class TemplatePageEditor {
     updateLinkGroupTitle(componentId, title) {
         if (this.currentPage) {
             try {
-                this.currentPage.updateLinkGroupComponentData(componentId, { title });
+                this.recordPageChange('Edit link group title', () => {
+                    this.currentPage.updateLinkGroupComponentData(componentId, { title });
+                }, { coalesceKey: `linkgroup-title:${componentId}` });
             } catch (error) {
                 console.error('Failed to update link group title:', error);
                 this.showNotification('Failed to update title: ' + error.message, 'error');
@@ -4021,7 +4739,9 @@ class TemplatePageEditor {
                     linkUrl: 'https://example.com',
                     linkTarget: '_self'
                 };
-                this.currentPage.addLinkToGroup(componentId, newLink);
+                this.recordPageChange('Add link', () => {
+                    this.currentPage.addLinkToGroup(componentId, newLink);
+                });
             } catch (error) {
                 console.error('Failed to add link to group:', error);
                 this.showNotification('Failed to add link: ' + error.message, 'error');
@@ -4032,7 +4752,9 @@ class TemplatePageEditor {
     removeLinkFromGroup(componentId, linkId) {
         if (this.currentPage) {
             try {
-                this.currentPage.removeLinkFromGroup(componentId, linkId);
+                this.recordPageChange('Remove link', () => {
+                    this.currentPage.removeLinkFromGroup(componentId, linkId);
+                });
             } catch (error) {
                 console.error('Failed to remove link from group:', error);
                 this.showNotification('Failed to remove link: ' + error.message, 'error');
@@ -4043,7 +4765,9 @@ class TemplatePageEditor {
     updateLinkInGroup(componentId, linkId, updates) {
         if (this.currentPage) {
             try {
-                this.currentPage.updateLinkInGroup(componentId, linkId, updates);
+                this.recordPageChange('Edit link', () => {
+                    this.currentPage.updateLinkInGroup(componentId, linkId, updates);
+                }, { coalesceKey: `link:${linkId}` });
             } catch (error) {
                 console.error('Failed to update link in group:', error);
                 this.showNotification('Failed to update link: ' + error.message, 'error');
@@ -4056,7 +4780,7 @@ class TemplatePageEditor {
             try {
                 if (templateType === 'api') {
                     // Delete from API
-                    const response = await fetch(`/api/admin/templates/${id}`, {
+                    const response = await window.apiUtils.authFetch(`/api/admin/templates/${id}`, {
                         method: 'DELETE'
                     });
                     
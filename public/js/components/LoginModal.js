@@ -0,0 +1,176 @@
+/**
+ * LoginModal Component
+ *
+ * A modal with an email and password form that logs the user in through
+ * window.apiUtils. Opened from the header or whenever an API request needs
+ * the user to log in again.
+ */
+
+class LoginModal {
+    constructor(container, options = {}) {
+        this.container = container;
+        this.options = {
+            onLogin: options.onLogin || (() => {}),
+            onClose: options.onClose || (() => {}),
+            ...options
+        };
+
+        this.isVisible = false;
+        this.isLoading = false;
+
+        this.render();
+        this.setupEventListeners();
+    }
+
+    /**
+     * Render the modal
+     */
+    render() {
+        this.container.innerHTML = `
+            <div class="login-modal-overlay" style="display: none;">
+                <div class="login-modal" role="dialog" aria-modal="true" aria-labelledby="login-modal-title">
+                    <div class="modal-header">
+                        <h3 class="modal-title" id="login-modal-title">Log In</h3>
+                        <button type="button" class="modal-close-btn" data-action="close-modal">
+                            <span>&times;</span>
+                        </button>
+                    </div>
+
+                    <form class="login-form">
+                        <div class="modal-body">
+                            <p class="login-message"></p>
+                            <div class="form-group">
+                                <label for="login-email" class="form-label">Email</label>
+                                <input type="email" id="login-email" name="email" class="form-input" autocomplete="username" required>
+                            </div>
+                            <div class="form-group">
+                                <label for="login-password" class="form-label">Password</label>
+                                <input type="password" id="login-password" name="password" class="form-input" autocomplete="current-password" required>
+                            </div>
+                            <div class="error-message" id="login-error"></div>
+                        </div>
+
+                        <div class="modal-footer">
+                            <button type="button" class="btn btn-secondary" data-action="cancel">Cancel</button>
+                            <button type="submit" class="btn btn-primary" data-action="login">
+                                <span class="btn-text">Log In</span>
+                                <span class="btn-spinner" style="display: none;">⏳</span>
+                            </button>
+                        </div>
+                    </form>
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * Setup event listeners
+     */
+    setupEventListeners() {
+        const overlay = this.container.querySelector('.login-modal-overlay');
+        const form = this.container.querySelector('.login-form');
+
+        overlay.addEventListener('click', (e) => {
+            if (e.target === overlay) {
+                this.close();
+            }
+        });
+
+        this.container.querySelector('[data-action="close-modal"]').addEventListener('click', () => this.close());
+        this.container.querySelector('[data-action="cancel"]').addEventListener('click', () => this.close());
+
+        form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.handleLogin();
+        });
+
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape' && this.isVisible) {
+                this.close();
+            }
+        });
+    }
+
+    /**
+     * Submit the credentials
+     */
+    async handleLogin() {
+        if (this.isLoading) {
+            return;
+        }
+
+        const email = this.container.querySelector('#login-email').value.trim();
+        const password = this.container.querySelector('#login-password').value;
+
+        if (!email || !password) {
+            this.showError('Email and password are required');
+            return;
+        }
+
+        this.setLoading(true);
+        this.showError('');
+
+        try {
+            const user = await window.apiUtils.login(email, password);
+            this.container.querySelector('#login-password').value = '';
+            this.close();
+            this.options.onLogin(user);
+        } catch (error) {
+            this.showError(error.message || 'Login failed. Please try again.');
+        } finally {
+            this.setLoading(false);
+        }
+    }
+
+    /**
+     * Show the modal
+     * @param {string} message - Optional message explaining why login is needed
+     */
+    show(message = '') {
+        const overlay = this.container.querySelector('.login-modal-overlay');
+        this.container.querySelector('.login-message').textContent = message;
+        this.showError('');
+        overlay.style.display = 'flex';
+        this.isVisible = true;
+
+        setTimeout(() => {
+            this.container.querySelector('#login-email').focus();
+        }, 100);
+    }
+
+    /**
+     * Close the modal
+     */
+    close() {
+        if (!this.isVisible) {
+            return;
+        }
+
+        this.container.querySelector('.login-modal-overlay').style.display = 'none';
+        this.isVisible = false;
+        this.options.onClose();
+    }
+
+    /**
+     * Toggle the loading state of the submit button
+     * @param {boolean} isLoading - Whether a login request is in flight
+     */
+    setLoading(isLoading) {
+        this.isLoading = isLoading;
+        const loginBtn = this.container.querySelector('[data-action="login"]');
+        loginBtn.disabled = isLoading;
+        loginBtn.querySelector('.btn-text').textContent = isLoading ? 'Logging In...' : 'Log In';
+        loginBtn.querySelector('.btn-spinner').style.display = isLoading ? 'inline' : 'none';
+    }
+
+    /**
+     * Show an error message (empty string clears it)
+     * @param {string} message - Error message
+     */
+    showError(message) {
+        this.container.querySelector('#login-error').textContent = message;
+    }
+}
+
+// Make LoginModal available globally
+window.LoginModal = LoginModal;
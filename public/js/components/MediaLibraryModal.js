@@ -0,0 +1,396 @@
+/**
+ * MediaLibraryModal Component
+ *
+ * Browse previously uploaded images and pick one to reuse, instead of
+ * uploading the same file again. Backed by GET /api/images, with search,
+ * filters by uploader, upload date and minimum dimensions, and "Load more"
+ * paging through the listing's cursor. Images no page uses can be deleted
+ * by their uploader or an admin; the server refuses (409 IMAGE_IN_USE)
+ * while a page still references the image.
+ *
+ * Usage: MediaLibraryModal.open(image => { ... }) with the chosen image
+ * ({ url, altText, width, height, ... }).
+ */
+
+class MediaLibraryModal {
+    constructor(container, options = {}) {
+        this.container = container;
+        this.options = {
+            pageSize: 24,
+            searchDelay: 300,
+            onSelect: () => {},
+            onClose: () => {},
+            ...options
+        };
+
+        this.isVisible = false;
+        this.isLoading = false;
+        this.images = [];
+        this.nextCursor = null;
+        this.selectedImageId = null;
+        this.searchTimer = null;
+        this.requestCounter = 0;
+
+        this.render();
+        this.setupEventListeners();
+    }
+
+    /**
+     * Open the shared media library, creating it on first use
+     * @param {Function} onSelect - Called with the chosen image
+     */
+    static open(onSelect) {
+        if (!MediaLibraryModal.instance) {
+            const modalContainer = document.createElement('div');
+            modalContainer.id = 'media-library-modal-container';
+            document.body.appendChild(modalContainer);
+            MediaLibraryModal.instance = new MediaLibraryModal(modalContainer);
+        }
+
+        MediaLibraryModal.instance.show(onSelect);
+    }
+
+    /**
+     * Render the modal
+     */
+    render() {
+        this.container.innerHTML = `
+            <div class="media-library-modal-overlay" style="display: none;">
+                <div class="media-library-modal" role="dialog" aria-modal="true" aria-labelledby="media-library-title">
+                    <div class="modal-header">
+                        <h3 class="modal-title" id="media-library-title">Media Library</h3>
+                        <button type="button" class="modal-close-btn" data-action="close-modal">
+                            <span>&times;</span>
+                        </button>
+                    </div>
+
+                    <div class="media-library-filters">
+                        <input type="search" class="form-input" data-filter="q" placeholder="Search by file name or alt text">
+                        <select class="form-input" data-filter="uploadedBy">
+                            <option value="">Uploaded by anyone</option>
+                            <option value="me">Uploaded by me</option>
+                        </select>
+                        <label>From <input type="date" class="form-input" data-filter="createdAfter"></label>
+                        <label>To <input type="date" class="form-input" data-filter="createdBefore"></label>
+                        <input type="number" class="form-input" data-filter="minWidth" min="1" placeholder="Min width">
+                        <input type="number" class="form-input" data-filter="minHeight" min="1" placeholder="Min height">
+                        <select class="form-input" data-filter="sort">
+                            <option value="createdAt:desc">Newest first</option>
+                            <option value="createdAt:asc">Oldest first</option>
+                            <option value="fileName:asc">Name</option>
+                            <option value="fileSize:desc">Largest first</option>
+                        </select>
+                    </div>
+
+                    <div class="modal-body">
+                        <div class="media-library-status" style="display: none;"></div>
+                        <ul class="media-library-grid"></ul>
+                        <div class="media-library-more" style="display: none;">
+                            <button type="button" class="btn btn-secondary" data-action="load-more">Load More</button>
+                        </div>
+                    </div>
+
+                    <div class="modal-footer">
+                        <span class="media-library-count"></span>
+                        <button type="button" class="btn btn-secondary" data-action="cancel">Cancel</button>
+                        <button type="button" class="btn btn-primary" data-action="select" disabled>Use Image</button>
+                    </div>
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * Setup event listeners
+     */
+    setupEventListeners() {
+        const overlay = this.container.querySelector('.media-library-modal-overlay');
+
+        overlay.addEventListener('click', (e) => {
+            if (e.target === overlay) {
+                this.close();
+            }
+        });
+
+        this.container.querySelector('[data-action="close-modal"]').addEventListener('click', () => this.close());
+        this.container.querySelector('[data-action="cancel"]').addEventListener('click', () => this.close());
+        this.container.querySelector('[data-action="select"]').addEventListener('click', () => this.selectImage());
+        this.container.querySelector('[data-action="load-more"]').addEventListener('click', () => this.loadImages(true));
+
+        this.container.querySelectorAll('[data-filter]').forEach(input => {
+            const eventName = input.dataset.filter === 'q' || input.type === 'number' ? 'input' : 'change';
+            input.addEventListener(eventName, () => this.scheduleSearch());
+        });
+
+        const grid = this.container.querySelector('.media-library-grid');
+        grid.addEventListener('click', (e) => {
+            const item = e.target.closest('[data-image-id]');
+            if (!item) {
+                return;
+            }
+
+            if (e.target.closest('[data-action="delete-image"]')) {
+                this.deleteImage(item.dataset.imageId);
+                return;
+            }
+
+            this.setSelectedImage(item.dataset.imageId);
+        });
+
+        grid.addEventListener('dblclick', (e) => {
+            const item = e.target.closest('[data-image-id]');
+            if (item) {
+                this.setSelectedImage(item.dataset.imageId);
+                this.selectImage();
+            }
+        });
+
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape' && this.isVisible) {
+                this.close();
+            }
+        });
+    }
+
+    /**
+     * Show the modal and load the first page of images
+     * @param {Function} onSelect - Called with the chosen image
+     */
+    show(onSelect) {
+        if (onSelect) {
+            this.options.onSelect = onSelect;
+        }
+
+        this.setSelectedImage(null);
+        this.container.querySelector('.media-library-modal-overlay').style.display = 'flex';
+        this.isVisible = true;
+        this.loadImages(false);
+    }
+
+    /**
+     * Close the modal
+     */
+    close() {
+        if (!this.isVisible) {
+            return;
+        }
+
+        clearTimeout(this.searchTimer);
+        this.container.querySelector('.media-library-modal-overlay').style.display = 'none';
+        this.isVisible = false;
+        this.options.onClose();
+    }
+
+    /**
+     * Reload the listing shortly after the filters stop changing
+     */
+    scheduleSearch() {
+        clearTimeout(this.searchTimer);
+        this.searchTimer = setTimeout(() => this.loadImages(false), this.options.searchDelay);
+    }
+
+    /**
+     * Build the listing query string from the filters
+     * @param {boolean} append - Continue from the last page instead of starting over
+     * @returns {string} Query string
+     */
+    buildQuery(append) {
+        const value = (name) => this.container.querySelector(`[data-filter="${name}"]`).value.trim();
+        const params = new URLSearchParams();
+        params.set('limit', this.options.pageSize);
+
+        const [sortBy, order] = value('sort').split(':');
+        params.set('sortBy', sortBy);
+        params.set('order', order);
+
+        if (value('q')) {
+            params.set('q', value('q'));
+        }
+
+        const currentUser = window.apiUtils.getCurrentUser();
+        if (value('uploadedBy') === 'me' && currentUser) {
+            params.set('uploadedBy', currentUser.id);
+        }
+
+        // Date inputs give local days; the "to" day is included in full
+        if (value('createdAfter')) {
+            params.set('createdAfter', new Date(`${value('createdAfter')}T00:00:00`).toISOString());
+        }
+        if (value('createdBefore')) {
+            params.set('createdBefore', new Date(`${value('createdBefore')}T23:59:59.999`).toISOString());
+        }
+
+        ['minWidth', 'minHeight'].forEach(name => {
+            const number = parseInt(value(name), 10);
+            if (number > 0) {
+                params.set(name, number);
+            }
+        });
+
+        if (append && this.nextCursor) {
+            params.set('cursor', this.nextCursor);
+        }
+
+        return params.toString();
+    }
+
+    /**
+     * Load images matching the filters
+     * @param {boolean} append - Add the next page to the current results
+     */
+    async loadImages(append) {
+        const requestId = ++this.requestCounter;
+        this.isLoading = true;
+        this.showStatus(append ? '' : 'Loading images...');
+
+        try {
+            const result = await window.apiUtils.get(`/images?${this.buildQuery(append)}`);
+
+            // Ignore responses to searches that have since been replaced
+            if (requestId !== this.requestCounter) {
+                return;
+            }
+
+            this.images = append ? this.images.concat(result.images) : result.images;
+            this.nextCursor = result.pagination.nextCursor;
+            this.renderImages(result.pagination.total);
+            this.showStatus(this.images.length === 0 ? 'No images match these filters.' : '');
+        } catch (error) {
+            if (requestId === this.requestCounter) {
+                this.showStatus('Failed to load images. Please try again.', 'error');
+            }
+        } finally {
+            if (requestId === this.requestCounter) {
+                this.isLoading = false;
+            }
+        }
+    }
+
+    /**
+     * Render the loaded images
+     * @param {number} total - Images matching the filters
+     */
+    renderImages(total) {
+        const currentUser = window.apiUtils.getCurrentUser();
+
+        this.container.querySelector('.media-library-grid').innerHTML = this.images.map(image => {
+            const thumbnail = (image.variants || []).find(variant => variant.name === 'thumbnail');
+            const canDelete = currentUser && (currentUser.role === 'admin' || currentUser.id === image.uploadedBy);
+            const dimensions = image.width ? `${image.width} × ${image.height}` : 'Processing...';
+            const usage = image.usageCount > 0
+                ? `Used on ${image.usageCount} page${image.usageCount === 1 ? '' : 's'}`
+                : 'Not used';
+
+            return `
+                <li class="media-library-item ${image.id === this.selectedImageId ? 'selected' : ''}" data-image-id="${this.escapeHtml(image.id)}" tabindex="0">
+                    <div class="media-library-thumbnail">
+                        <img src="${this.escapeHtml(thumbnail ? thumbnail.url : image.url)}" alt="${this.escapeHtml(image.altText)}" loading="lazy">
+                    </div>
+                    <div class="media-library-info">
+                        <span class="media-library-name" title="${this.escapeHtml(image.fileName)}">${this.escapeHtml(image.fileName)}</span>
+                        <span class="media-library-meta">${dimensions} · ${this.formatDate(image.createdAt)}</span>
+                        <span class="media-library-usage">${usage}</span>
+                    </div>
+                    ${canDelete && image.usageCount === 0 ? `
+                        <button type="button" class="media-library-delete" data-action="delete-image" title="Delete image">&times;</button>
+                    ` : ''}
+                </li>
+            `;
+        }).join('');
+
+        this.container.querySelector('.media-library-more').style.display = this.nextCursor ? 'block' : 'none';
+        this.container.querySelector('.media-library-count').textContent = `${total} image${total === 1 ? '' : 's'}`;
+    }
+
+    /**
+     * Select an image in the grid
+     * @param {string|null} imageId - Image ID, or null to clear the selection
+     */
+    setSelectedImage(imageId) {
+        this.selectedImageId = imageId;
+
+        this.container.querySelectorAll('.media-library-item').forEach(item => {
+            item.classList.toggle('selected', item.dataset.imageId === imageId);
+        });
+        this.container.querySelector('[data-action="select"]').disabled = !imageId;
+    }
+
+    /**
+     * Hand the selected image to the caller and close
+     */
+    selectImage() {
+        const image = this.images.find(candidate => candidate.id === this.selectedImageId);
+        if (!image) {
+            return;
+        }
+
+        const onSelect = this.options.onSelect;
+        this.close();
+        onSelect(image);
+    }
+
+    /**
+     * Delete an image after confirmation
+     * @param {string} imageId - Image ID
+     */
+    async deleteImage(imageId) {
+        const image = this.images.find(candidate => candidate.id === imageId);
+        if (!image || !confirm(`Delete "${image.fileName}"? This cannot be undone.`)) {
+            return;
+        }
+
+        try {
+            const response = await window.apiUtils.authFetch(`/api/images/${encodeURIComponent(imageId)}`, {
+                method: 'DELETE'
+            });
+
+            if (!response.ok) {
+                const result = await response.json().catch(() => ({}));
+                throw new Error(result.error || `HTTP error! status: ${response.status}`);
+            }
+
+            if (this.selectedImageId === imageId) {
+                this.setSelectedImage(null);
+            }
+            this.loadImages(false);
+        } catch (error) {
+            this.showStatus(`Could not delete image: ${error.message}`, 'error');
+        }
+    }
+
+    /**
+     * Show a status line above the grid
+     * @param {string} message - Message, or '' to hide it
+     * @param {string} type - 'info' or 'error'
+     */
+    showStatus(message, type = 'info') {
+        const status = this.container.querySelector('.media-library-status');
+        status.textContent = message;
+        status.className = `media-library-status ${type}`;
+        status.style.display = message ? 'block' : 'none';
+    }
+
+    /**
+     * Format an upload date for display
+     * @param {string} value - ISO date
+     * @returns {string} Formatted date
+     */
+    formatDate(value) {
+        const date = new Date(value);
+        return isNaN(date.getTime()) ? '' : date.toLocaleDateString();
+    }
+
+    /**
+     * Escape text for use in HTML
+     * @param {string} text - Text to escape
+     * @returns {string} Escaped text
+     */
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = String(text === undefined || text === null ? '' : text);
+        return div.innerHTML.replace(/"/g, '&quot;');
+    }
+}
+
+// Make MediaLibraryModal available globally
+window.MediaLibraryModal = MediaLibraryModal;
@@ -0,0 +1,250 @@
+/**
+ * SaveConflictModal Component
+ *
+ * Shown when saving a page fails because someone else saved it first
+ * (409 REVISION_CONFLICT). Summarizes the server's changes and lets the user
+ * reload the server copy, overwrite it with their own changes, or merge the
+ * two component by component.
+ */
+
+class SaveConflictModal {
+    constructor(container, options = {}) {
+        this.container = container;
+        this.options = {
+            onReload: options.onReload || (() => {}),
+            onOverwrite: options.onOverwrite || (() => {}),
+            onMerge: options.onMerge || (() => {}),
+            onClose: options.onClose || (() => {}),
+            ...options
+        };
+
+        this.isVisible = false;
+        this.conflict = null;
+        this.localComponents = [];
+
+        this.render();
+        this.setupEventListeners();
+    }
+
+    /**
+     * Render the modal
+     */
+    render() {
+        this.container.innerHTML = `
+            <div class="save-conflict-modal-overlay" style="display: none;">
+                <div class="save-conflict-modal" role="dialog" aria-modal="true" aria-labelledby="save-conflict-title">
+                    <div class="modal-header">
+                        <h3 class="modal-title" id="save-conflict-title">This page was changed by someone else</h3>
+                        <button type="button" class="modal-close-btn" data-action="close-modal">
+                            <span>&times;</span>
+                        </button>
+                    </div>
+
+                    <div class="modal-body">
+                        <p class="conflict-summary"></p>
+                        <div class="conflict-merge" style="display: none;">
+                            <p class="conflict-merge-help">Choose which copy of each component to keep.</p>
+                            <ul class="conflict-list"></ul>
+                        </div>
+                    </div>
+
+                    <div class="modal-footer">
+                        <div class="conflict-actions">
+                            <button type="button" class="btn btn-secondary" data-action="reload">Reload Their Version</button>
+                            <button type="button" class="btn btn-secondary" data-action="show-merge">Merge...</button>
+                            <button type="button" class="btn btn-danger" data-action="overwrite">Overwrite With Mine</button>
+                        </div>
+                        <div class="merge-actions" style="display: none;">
+                            <button type="button" class="btn btn-secondary" data-action="back">Back</button>
+                            <button type="button" class="btn btn-primary" data-action="apply-merge">Save Merged Page</button>
+                        </div>
+                    </div>
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * Setup event listeners
+     */
+    setupEventListeners() {
+        const overlay = this.container.querySelector('.save-conflict-modal-overlay');
+
+        overlay.addEventListener('click', (e) => {
+            if (e.target === overlay) {
+                this.close();
+            }
+        });
+
+        this.container.querySelector('[data-action="close-modal"]').addEventListener('click', () => this.close());
+
+        this.container.querySelector('[data-action="reload"]').addEventListener('click', () => {
+            const conflict = this.conflict;
+            this.close();
+            this.options.onReload(conflict);
+        });
+
+        this.container.querySelector('[data-action="overwrite"]').addEventListener('click', () => {
+            const conflict = this.conflict;
+            const components = this.localComponents;
+            this.close();
+            this.options.onOverwrite(components, conflict.currentRevision);
+        });
+
+        this.container.querySelector('[data-action="show-merge"]').addEventListener('click', () => this.setMergeMode(true));
+        this.container.querySelector('[data-action="back"]').addEventListener('click', () => this.setMergeMode(false));
+
+        this.container.querySelector('[data-action="apply-merge"]').addEventListener('click', () => {
+            const conflict = this.conflict;
+            const components = this.buildMergedComponents();
+            this.close();
+            this.options.onMerge(components, conflict.currentRevision);
+        });
+
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape' && this.isVisible) {
+                this.close();
+            }
+        });
+    }
+
+    /**
+     * Show the modal for a save conflict
+     * @param {Object} conflict - 409 response body (currentRevision, diff, currentPage)
+     * @param {Array} localComponents - Components the user tried to save
+     */
+    show(conflict, localComponents) {
+        this.conflict = conflict;
+        this.localComponents = localComponents || [];
+
+        const { added, removed, modified } = conflict.diff;
+        const parts = [];
+        if (modified.length > 0) parts.push(`${modified.length} changed`);
+        if (added.length > 0) parts.push(`${added.length} added`);
+        if (removed.length > 0) parts.push(`${removed.length} removed`);
+
+        this.container.querySelector('.conflict-summary').textContent = parts.length > 0
+            ? `The saved page (revision ${conflict.currentRevision}) differs from yours: ${parts.join(', ')} component(s).`
+            : `The page was saved again (revision ${conflict.currentRevision}) but its components match yours.`;
+
+        this.renderMergeList();
+        this.setMergeMode(false);
+
+        this.container.querySelector('.save-conflict-modal-overlay').style.display = 'flex';
+        this.isVisible = true;
+    }
+
+    /**
+     * Close the modal
+     */
+    close() {
+        if (!this.isVisible) {
+            return;
+        }
+
+        this.container.querySelector('.save-conflict-modal-overlay').style.display = 'none';
+        this.isVisible = false;
+        this.options.onClose();
+    }
+
+    /**
+     * Toggle between the summary and the merge view
+     * @param {boolean} enabled - Show the merge view
+     */
+    setMergeMode(enabled) {
+        this.container.querySelector('.conflict-merge').style.display = enabled ? 'block' : 'none';
+        this.container.querySelector('.conflict-actions').style.display = enabled ? 'none' : 'flex';
+        this.container.querySelector('.merge-actions').style.display = enabled ? 'flex' : 'none';
+    }
+
+    /**
+     * Render one row per differing component with a mine/theirs choice.
+     * The diff describes the server's copy relative to the user's: "added"
+     * components exist only on the server and "removed" ones only locally.
+     */
+    renderMergeList() {
+        const { added, removed, modified } = this.conflict.diff;
+        const rows = [
+            ...modified.map(change => this.renderMergeRow(change.id, change.type, 'Changed in both copies', 'mine')),
+            ...added.map(component => this.renderMergeRow(component.id, component.type, 'Only in their copy', 'theirs')),
+            ...removed.map(component => this.renderMergeRow(component.id, component.type, 'Only in your copy', 'mine'))
+        ];
+
+        this.container.querySelector('.conflict-list').innerHTML = rows.join('')
+            || '<li class="conflict-item">No component differences</li>';
+    }
+
+    /**
+     * Render a merge choice row
+     * @param {string} componentId - Component ID
+     * @param {string} type - Component type
+     * @param {string} description - What differs
+     * @param {string} defaultChoice - 'mine' or 'theirs'
+     * @returns {string} Row HTML
+     */
+    renderMergeRow(componentId, type, description, defaultChoice) {
+        const name = `merge-${this.escapeHtml(componentId)}`;
+        return `
+            <li class="conflict-item" data-component-id="${this.escapeHtml(componentId)}">
+                <div class="conflict-item-info">
+                    <strong>${this.escapeHtml(type || 'Component')}</strong>
+                    <span class="conflict-item-description">${description}</span>
+                </div>
+                <label><input type="radio" name="${name}" value="mine" ${defaultChoice === 'mine' ? 'checked' : ''}> Mine</label>
+                <label><input type="radio" name="${name}" value="theirs" ${defaultChoice === 'theirs' ? 'checked' : ''}> Theirs</label>
+            </li>
+        `;
+    }
+
+    /**
+     * Build the merged components array from the chosen copies. Starts from the
+     * server's components, swaps in local copies where "mine" is chosen and
+     * appends local-only components that are kept.
+     * @returns {Array} Merged components
+     */
+    buildMergedComponents() {
+        const choices = {};
+        this.container.querySelectorAll('.conflict-item[data-component-id]').forEach(item => {
+            const checked = item.querySelector('input[type="radio"]:checked');
+            choices[item.dataset.componentId] = checked ? checked.value : 'theirs';
+        });
+
+        const localById = new Map(this.localComponents.map(component => [component.id, component]));
+        const serverComponents = this.conflict.currentPage.components || [];
+        const serverIds = new Set(serverComponents.map(component => component.id));
+
+        const merged = [];
+        serverComponents.forEach(component => {
+            const choice = choices[component.id] || 'theirs';
+            if (choice === 'theirs') {
+                merged.push(component);
+            } else if (localById.has(component.id)) {
+                merged.push(localById.get(component.id));
+            }
+            // "mine" for a server-only component means the user did not have it: drop it
+        });
+
+        this.localComponents.forEach(component => {
+            if (!serverIds.has(component.id) && choices[component.id] === 'mine') {
+                merged.push(component);
+            }
+        });
+
+        // Keep the component order sequential after merging
+        return merged.map((component, index) => ({ ...component, order: index + 1 }));
+    }
+
+    /**
+     * Escape text for use in HTML
+     * @param {string} text - Text to escape
+     * @returns {string} Escaped text
+     */
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = String(text);
+        return div.innerHTML.replace(/"/g, '&quot;');
+    }
+}
+
+// Make SaveConflictModal available globally
+window.SaveConflictModal = SaveConflictModal;
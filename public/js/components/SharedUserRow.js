@@ -3,7 +3,9 @@
  * Work Order #42: Create SharedUserRow Component for Individual Collaborator Management
  * 
  * This component provides a reusable row for displaying and managing individual
- * collaborator permissions within a sharing modal.
+ * collaborator permissions within a sharing modal. A row can also stand for a
+ * group share (isGroup); userName is then the group name and memberCount is
+ * shown instead of an email address.
  */
 class SharedUserRow {
     constructor(options = {}) {
@@ -12,6 +14,10 @@ class SharedUserRow {
             shareId: null,
             userName: '',
             userEmail: '',
+            userAvatarUrl: null,
+            userTeam: null,
+            isGroup: false,
+            memberCount: 0,
             currentPermission: 'view',
             onUpdate: () => {},
             onDelete: () => {},
@@ -38,20 +44,21 @@ class SharedUserRow {
      * Render the SharedUserRow HTML structure
      */
     render() {
-        const { userName, userEmail, currentPermission, shareId } = this.options;
+        const { userName, userEmail, userAvatarUrl, userTeam, isGroup, memberCount, currentPermission, shareId } = this.options;
         
         this.element = document.createElement('div');
-        this.element.className = 'shared-user-row';
+        this.element.className = isGroup ? 'shared-user-row shared-group-row' : 'shared-user-row';
         this.element.setAttribute('data-share-id', shareId);
         
         this.element.innerHTML = `
             <div class="user-info">
-                <div class="user-avatar">
-                    <i class="fas fa-user"></i>
-                </div>
+                ${SharedUserRow.renderAvatar(userAvatarUrl, userName, isGroup)}
                 <div class="user-details">
                     <div class="user-name">${this.escapeHtml(userName)}</div>
-                    <div class="user-email">${this.escapeHtml(userEmail)}</div>
+                    ${isGroup
+                        ? `<div class="user-email">${SharedUserRow.formatMemberCount(memberCount)}</div>`
+                        : `<div class="user-email">${this.escapeHtml(userEmail)}</div>`}
+                    ${userTeam && !isGroup ? `<div class="user-team">${this.escapeHtml(userTeam)}</div>` : ''}
                 </div>
             </div>
             
@@ -85,6 +92,42 @@ class SharedUserRow {
         return this.element;
     }
     
+    /**
+     * Render a user's avatar: their profile picture, or a placeholder icon.
+     * Groups always get the group icon.
+     * @param {string|null} avatarUrl - Profile picture URL from the user directory
+     * @param {string} userName - User name, used as alternative text
+     * @param {boolean} isGroup - True to render a group's avatar
+     * @returns {string} Avatar HTML
+     */
+    static renderAvatar(avatarUrl, userName, isGroup = false) {
+        if (isGroup) {
+            return '<div class="user-avatar group-avatar"><i class="fas fa-users"></i></div>';
+        }
+
+        if (!avatarUrl) {
+            return '<div class="user-avatar"><i class="fas fa-user"></i></div>';
+        }
+
+        const escapeAttribute = (text) => String(text || '')
+            .replace(/&/g, '&amp;')
+            .replace(/"/g, '&quot;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;');
+
+        return `<div class="user-avatar"><img src="${escapeAttribute(avatarUrl)}" alt="${escapeAttribute(userName)}"></div>`;
+    }
+
+    /**
+     * Describe the size of a group
+     * @param {number} memberCount - Number of members
+     * @returns {string} E.g. "1 member" or "3 members"
+     */
+    static formatMemberCount(memberCount) {
+        const count = Number(memberCount) || 0;
+        return `${count} ${count === 1 ? 'member' : 'members'}`;
+    }
+    
     /**
      * Render status indicator for loading/error states
      */
@@ -141,11 +184,10 @@ class SharedUserRow {
         this.clearError();
         
         try {
-            const response = await fetch(`/api/pages/${pageId}/share/${shareId}`, {
+            const response = await window.apiUtils.authFetch(`/api/pages/${pageId}/share/${shareId}`, {
                 method: 'PUT',
                 headers: {
-                    'Content-Type': 'application/json',
-                    'Authorization': 'Bearer mock-admin-token'
+                    'Content-Type': 'application/json'
                 },
                 body: JSON.stringify({
                     permissionLevel: newPermission
@@ -204,11 +246,8 @@ class SharedUserRow {
         this.clearError();
         
         try {
-            const response = await fetch(`/api/pages/${pageId}/share/${shareId}`, {
-                method: 'DELETE',
-                headers: {
-                    'Authorization': 'Bearer mock-admin-token'
-                }
+            const response = await window.apiUtils.authFetch(`/api/pages/${pageId}/share/${shareId}`, {
+                method: 'DELETE'
             });
             
             const result = await response.json();
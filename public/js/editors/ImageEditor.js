@@ -55,6 +55,9 @@ class ImageEditor extends BaseComponentEditor {
                         <small class="form-text text-muted">
                             Enter a direct URL to an image file (JPG, PNG, GIF, WebP, SVG)
                         </small>
+                        <button type="button" class="btn btn-outline-secondary btn-sm" data-action="open-media-library">
+                            <i class="fas fa-images"></i> Choose from Media Library
+                        </button>
                     </div>
 
                     <div class="form-group">
@@ -152,6 +155,14 @@ class ImageEditor extends BaseComponentEditor {
             });
         }
 
+        // Media library button
+        const mediaLibraryBtn = this.container.querySelector('[data-action="open-media-library"]');
+        if (mediaLibraryBtn) {
+            mediaLibraryBtn.addEventListener('click', () => {
+                this.openMediaLibrary();
+            });
+        }
+
         // File upload handlers
         const uploadInput = this.container.querySelector('#image-upload');
         const uploadArea = this.container.querySelector('#image-upload-area');
@@ -236,6 +247,28 @@ class ImageEditor extends BaseComponentEditor {
         this.updateImagePreview();
     }
 
+    /**
+     * Fill the URL (and empty alt text) from an image chosen in the media library
+     */
+    openMediaLibrary() {
+        if (!window.MediaLibraryModal) {
+            this.showError('Media library is not available');
+            return;
+        }
+
+        window.MediaLibraryModal.open((image) => {
+            const urlInput = this.container.querySelector('#image-url');
+            const altInput = this.container.querySelector('#alt-text');
+            if (urlInput) {
+                urlInput.value = image.url;
+            }
+            if (altInput && !altInput.value.trim()) {
+                altInput.value = image.altText || '';
+            }
+            this.handleUrlChange(image.url);
+        });
+    }
+
     /**
      * Clear URL
      */
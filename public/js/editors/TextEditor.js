@@ -4,7 +4,9 @@
  * Work Order 16: Implement Component-Specific Editors for Content Types
  * 
  * This editor provides professional rich text editing capabilities for TextComponent
- * using Quill.js with real-time updates and validation.
+ * using Quill.js with real-time updates and validation. Markdown content is
+ * edited as source in a textarea with a live preview rendered by the server
+ * (POST /api/content/convert).
  */
 
 class TextEditor extends BaseComponentEditor {
@@ -17,6 +19,9 @@ class TextEditor extends BaseComponentEditor {
         this.isQuillReady = false;
         this.quillRetryCount = 0;
         this.maxQuillRetries = 50; // 5 seconds max wait time
+        this.currentFormat = 'html';
+        this.previewTimer = null;
+        this.previewDelay = 300;
     }
 
     /**
@@ -55,11 +60,21 @@ class TextEditor extends BaseComponentEditor {
                         <div class="quill-editor-container">
                             <div id="quill-editor" class="quill-editor"></div>
                         </div>
+                        <div class="markdown-editor-container" style="display: none;">
+                            <textarea id="markdown-input" class="form-control markdown-input" rows="12"
+                                placeholder="Write or paste Markdown here..."></textarea>
+                            <div class="markdown-preview-label">Preview</div>
+                            <div id="markdown-preview" class="markdown-preview"></div>
+                        </div>
                         <div class="editor-help">
-                            <small class="text-muted">
+                            <small class="text-muted rich-text-help">
                                 <i class="fas fa-info-circle"></i>
                                 Use the toolbar above to format your text with professional rich text editing capabilities.
                             </small>
+                            <small class="text-muted markdown-help" style="display: none;">
+                                <i class="fas fa-info-circle"></i>
+                                Markdown supports headings, **bold**, *italic*, ~~strike~~, \`code\`, [links](https://example.com), lists, quotes and code blocks.
+                            </small>
                         </div>
                     </div>
 
@@ -80,8 +95,146 @@ class TextEditor extends BaseComponentEditor {
         `;
 
         this.container.innerHTML = editorHTML;
+        this.currentFormat = content.format || 'html';
         this.setupEventListeners();
         this.initializeQuillEditor();
+        this.initializeMarkdownEditor();
+    }
+
+    /**
+     * Initialize the Markdown source editor. Markdown content is loaded into
+     * the textarea instead of the rich text editor.
+     */
+    initializeMarkdownEditor() {
+        const markdownInput = this.container.querySelector('#markdown-input');
+        if (!markdownInput) return;
+
+        if (this.currentFormat === 'markdown') {
+            markdownInput.value = this.originalContent?.data || '';
+        }
+
+        markdownInput.addEventListener('input', () => {
+            this.schedulePreview();
+            this.handleContentChange();
+        });
+
+        this.showEditorForFormat(this.currentFormat);
+    }
+
+    /**
+     * Show the Markdown editor for Markdown content and the rich text editor
+     * for everything else
+     * @param {string} format - Content format
+     */
+    showEditorForFormat(format) {
+        const isMarkdown = format === 'markdown';
+        const toggle = (selector, visible) => {
+            const element = this.container.querySelector(selector);
+            if (element) {
+                element.style.display = visible ? '' : 'none';
+            }
+        };
+
+        toggle('.quill-editor-container', !isMarkdown);
+        toggle('.rich-text-help', !isMarkdown);
+        toggle('.markdown-editor-container', isMarkdown);
+        toggle('.markdown-help', isMarkdown);
+
+        if (isMarkdown) {
+            this.updateMarkdownPreview();
+        }
+    }
+
+    /**
+     * Render the Markdown preview after typing pauses
+     */
+    schedulePreview() {
+        clearTimeout(this.previewTimer);
+        this.previewTimer = setTimeout(() => {
+            this.updateMarkdownPreview();
+        }, this.previewDelay);
+    }
+
+    /**
+     * Render the Markdown preview on the server, so it matches export and
+     * preview output
+     */
+    async updateMarkdownPreview() {
+        const markdownInput = this.container.querySelector('#markdown-input');
+        const preview = this.container.querySelector('#markdown-preview');
+        if (!markdownInput || !preview) return;
+
+        try {
+            const converted = await this.convertContent({ format: 'markdown', data: markdownInput.value }, 'html');
+            // The server returns sanitized HTML
+            preview.innerHTML = converted.data;
+        } catch (error) {
+            console.error('Failed to render Markdown preview:', error);
+            preview.textContent = 'Preview unavailable';
+        }
+    }
+
+    /**
+     * Convert content to another format on the server
+     * @param {Object} content - Content ({ format, data })
+     * @param {string} to - Target format
+     * @returns {Promise<Object>} Converted content ({ format, data })
+     */
+    async convertContent(content, to) {
+        const response = await window.apiUtils.authFetch('/api/content/convert', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ content, to })
+        });
+
+        const result = await response.json();
+        if (!response.ok) {
+            throw new Error(result.error || 'Failed to convert content');
+        }
+
+        return result;
+    }
+
+    /**
+     * Get the content of whichever editor is showing
+     * @returns {string} Markdown source, or HTML from the rich text editor
+     */
+    getEditorData() {
+        if (this.currentFormat === 'markdown') {
+            const markdownInput = this.container.querySelector('#markdown-input');
+            return markdownInput ? markdownInput.value : '';
+        }
+
+        return this.getRichTextData();
+    }
+
+    /**
+     * Get HTML from the rich text editor
+     * @returns {string} HTML
+     */
+    getRichTextData() {
+        if (this.isQuillReady && this.quill) {
+            return this.quill.root.innerHTML;
+        }
+
+        const fallbackEditor = this.container.querySelector('.fallback-content-editor');
+        return fallbackEditor ? fallbackEditor.innerHTML : '';
+    }
+
+    /**
+     * Load HTML into the rich text editor
+     * @param {string} html - HTML
+     */
+    setRichTextData(html) {
+        if (this.isQuillReady && this.quill) {
+            this.quill.root.innerHTML = html;
+            return;
+        }
+
+        const fallbackEditor = this.container.querySelector('.fallback-content-editor');
+        if (fallbackEditor) {
+            fallbackEditor.innerHTML = html;
+        }
     }
 
     /**
@@ -133,9 +286,9 @@ class TextEditor extends BaseComponentEditor {
             placeholder: 'Enter your text content here...'
         });
 
-        // Set initial content
+        // Set initial content (Markdown is edited in the textarea)
         const content = this.originalContent;
-        if (content && content.data) {
+        if (content && content.data && content.format !== 'markdown') {
             this.quill.root.innerHTML = content.data;
         }
 
@@ -185,7 +338,7 @@ class TextEditor extends BaseComponentEditor {
                         class="fallback-content-editor" 
                         contenteditable="true"
                         data-placeholder="Enter your text content here..."
-                    >${this.originalContent?.data || ''}</div>
+                    >${this.originalContent?.format !== 'markdown' ? this.originalContent?.data || '' : ''}</div>
                 </div>
             `;
             this.setupFallbackEditor();
@@ -267,18 +420,41 @@ class TextEditor extends BaseComponentEditor {
 
 
     /**
-     * Handle format change
+     * Handle format change. Switching to Markdown starts the Markdown source
+     * from the rich text editor's text; switching from Markdown renders the
+     * Markdown into the rich text editor.
      * @param {string} format - New format
      */
-    handleFormatChange(format) {
-        const contentEditor = this.container.querySelector('#text-content');
-        if (!contentEditor) return;
+    async handleFormatChange(format) {
+        const previousFormat = this.currentFormat;
+        if (format === previousFormat) return;
+
+        if (format === 'markdown') {
+            const markdownInput = this.container.querySelector('#markdown-input');
+            if (markdownInput) {
+                markdownInput.value = this.isQuillReady && this.quill
+                    ? this.quill.getText().trim()
+                    : (this.container.querySelector('.fallback-content-editor')?.innerText || '').trim();
+            }
+        } else if (previousFormat === 'markdown') {
+            const markdownInput = this.container.querySelector('#markdown-input');
+            try {
+                const converted = await this.convertContent({ format: 'markdown', data: markdownInput ? markdownInput.value : '' }, 'html');
+                this.setRichTextData(converted.data);
+            } catch (error) {
+                console.error('Failed to convert Markdown:', error);
+                const formatSelect = this.container.querySelector('#text-format');
+                if (formatSelect) {
+                    formatSelect.value = previousFormat;
+                }
+                this.validationErrors = [{ message: `Could not convert Markdown: ${error.message}` }];
+                this.displayValidationErrors();
+                return;
+            }
+        }
 
-        // Update the content based on format
-        const currentContent = contentEditor.innerHTML;
-        
-        // For now, we'll keep the same content but update the format
-        // In a full implementation, you might want to convert between formats
+        this.currentFormat = format;
+        this.showEditorForFormat(format);
         this.handleContentChange();
     }
 
@@ -289,22 +465,9 @@ class TextEditor extends BaseComponentEditor {
         const formatSelect = this.container.querySelector('#text-format');
         if (!formatSelect) return;
 
-        let contentData = '';
-        
-        if (this.isQuillReady && this.quill) {
-            // Get content from Quill editor
-            contentData = this.quill.root.innerHTML;
-        } else {
-            // Get content from fallback editor
-            const fallbackEditor = this.container.querySelector('.fallback-content-editor');
-            if (fallbackEditor) {
-                contentData = fallbackEditor.innerHTML;
-            }
-        }
-
         const content = {
-            format: formatSelect.value,
-            data: contentData
+            format: this.currentFormat,
+            data: this.getEditorData()
         };
 
         // Validate content
@@ -363,22 +526,9 @@ class TextEditor extends BaseComponentEditor {
             return this.getDefaultContent();
         }
 
-        let contentData = '';
-        
-        if (this.isQuillReady && this.quill) {
-            // Get content from Quill editor
-            contentData = this.quill.root.innerHTML;
-        } else {
-            // Get content from fallback editor
-            const fallbackEditor = this.container.querySelector('.fallback-content-editor');
-            if (fallbackEditor) {
-                contentData = fallbackEditor.innerHTML;
-            }
-        }
-
         return {
-            format: formatSelect.value,
-            data: contentData
+            format: this.currentFormat,
+            data: this.getEditorData()
         };
     }
 
@@ -437,17 +587,18 @@ class TextEditor extends BaseComponentEditor {
         
         if (formatSelect && this.originalContent) {
             formatSelect.value = this.originalContent.format || 'html';
-            
-            if (this.isQuillReady && this.quill) {
-                // Restore Quill editor content
-                this.quill.root.innerHTML = this.originalContent.data || '';
-            } else {
-                // Restore fallback editor content
-                const fallbackEditor = this.container.querySelector('.fallback-content-editor');
-                if (fallbackEditor) {
-                    fallbackEditor.innerHTML = this.originalContent.data || '';
+            this.currentFormat = formatSelect.value;
+
+            if (this.currentFormat === 'markdown') {
+                const markdownInput = this.container.querySelector('#markdown-input');
+                if (markdownInput) {
+                    markdownInput.value = this.originalContent.data || '';
                 }
+            } else {
+                this.setRichTextData(this.originalContent.data || '');
             }
+
+            this.showEditorForFormat(this.currentFormat);
         }
 
         // Clear validation errors
@@ -494,6 +645,8 @@ class TextEditor extends BaseComponentEditor {
      * Destroy the editor
      */
     destroy() {
+        clearTimeout(this.previewTimer);
+
         // Clean up Quill instance
         if (this.quill) {
             this.quill = null;
@@ -11,8 +11,10 @@ class PageVersion {
         this.changeDescription = data.changeDescription || null;
         this.content = data.content || null;
         this.createdAt = data.createdAt || new Date().toISOString();
-        this.createdBy = data.createdBy || null;
+        this.createdBy = data.createdBy || data.author || null; // Author profile from the user directory
         this.isActive = data.isActive || false;
+        this.auto = data.auto === true; // Automatic checkpoint rather than a saved version
+        this.checkpointReason = data.checkpointReason || null;
         
         // Validate required fields
         this.validate();
@@ -93,9 +95,26 @@ class PageVersion {
         if (this.versionName && this.versionName.trim()) {
             return this.versionName.trim();
         }
+        if (this.auto) {
+            return `Checkpoint: ${this.getCheckpointLabel()}`;
+        }
         return `Version ${this.versionNumber}`;
     }
 
+    /**
+     * Get a label for why an automatic checkpoint was created
+     * @returns {string} Checkpoint label
+     */
+    getCheckpointLabel() {
+        const labels = {
+            'session-start': 'Start of editing session',
+            'interval': 'Autosave',
+            'before-revert': 'Before revert',
+            'before-restore': 'Before restore'
+        };
+        return labels[this.checkpointReason] || 'Automatic';
+    }
+
     /**
      * Get user display name
      * @returns {string} User display name
@@ -152,7 +171,9 @@ class PageVersion {
             content: this.content,
             createdAt: this.createdAt,
             createdBy: this.createdBy,
-            isActive: this.isActive
+            isActive: this.isActive,
+            auto: this.auto,
+            checkpointReason: this.checkpointReason
         };
     }
 
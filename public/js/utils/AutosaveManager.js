@@ -0,0 +1,161 @@
+/**
+ * AutosaveManager Utility
+ *
+ * Debounced autosave of the editor's working copy, plus automatic checkpoint
+ * versions. The editor reports every change with markChanged(); once no
+ * change has been made for `delay` milliseconds, save() is called.
+ *
+ * Checkpoints are created through createCheckpoint(reason):
+ *   session-start - on the first change after a page is opened, before that
+ *                   change is saved, so the page as it was opened can be restored
+ *   interval      - after a save, once `checkpointInterval` milliseconds of
+ *                   active editing have passed since the last checkpoint
+ *
+ * Time between two changes only counts as active editing up to `idleThreshold`
+ * milliseconds, so a page left open does not collect checkpoints. Checkpoints
+ * before reverts and restores are created by the server.
+ */
+
+class AutosaveManager {
+    constructor(options = {}) {
+        this.options = {
+            delay: 3000,
+            checkpointInterval: 10 * 60 * 1000,
+            idleThreshold: 60 * 1000,
+            save: async () => {}, // Save the working copy
+            createCheckpoint: async () => {}, // Create a checkpoint version with the given reason
+            ...options
+        };
+
+        this.timer = null;
+        this.activeSave = null; // Promise of the autosave in progress
+        this.saveQueued = false; // True when a save fell due during activeSave
+        this.isPaused = false;
+        this.startSession();
+    }
+
+    /**
+     * Start a new editing session, e.g. when a page is opened
+     */
+    startSession() {
+        this.cancel();
+        this.isPaused = false;
+        this.sessionCheckpoint = null; // Promise of the session-start checkpoint
+        this.lastChangeAt = null;
+        this.activeTime = 0; // Active editing time since the last checkpoint
+    }
+
+    /**
+     * Record a change to the working copy and schedule a save
+     */
+    markChanged() {
+        if (this.isPaused) {
+            return;
+        }
+
+        const now = Date.now();
+        if (this.lastChangeAt !== null) {
+            this.activeTime += Math.min(now - this.lastChangeAt, this.options.idleThreshold);
+        }
+        this.lastChangeAt = now;
+
+        if (!this.sessionCheckpoint) {
+            this.sessionCheckpoint = this.checkpoint('session-start');
+        }
+
+        clearTimeout(this.timer);
+        this.timer = setTimeout(() => {
+            this.timer = null;
+            this.runSave();
+        }, this.options.delay);
+    }
+
+    /**
+     * Run an autosave. A save that falls due while another is in progress runs
+     * after it, so that two saves of the same revision never race each other.
+     */
+    async runSave() {
+        if (this.activeSave) {
+            this.saveQueued = true;
+            return;
+        }
+
+        this.activeSave = Promise.resolve(this.options.save()).catch(() => {});
+        try {
+            await this.activeSave;
+        } finally {
+            this.activeSave = null;
+            if (this.saveQueued) {
+                this.saveQueued = false;
+                if (!this.isPaused && !this.timer) {
+                    this.runSave();
+                }
+            }
+        }
+    }
+
+    /**
+     * Cancel a scheduled save and wait for the session-start checkpoint, so a
+     * save never overwrites the page before its checkpoint exists. Call before
+     * every save, whether automatic or requested by the user.
+     */
+    async beforeSave() {
+        this.cancel();
+        if (this.sessionCheckpoint) {
+            await this.sessionCheckpoint;
+        }
+    }
+
+    /**
+     * Record a successful save and create an interval checkpoint when due
+     */
+    async afterSave() {
+        this.isPaused = false;
+        if (this.activeTime >= this.options.checkpointInterval) {
+            await this.checkpoint('interval');
+        }
+    }
+
+    /**
+     * Stop autosaving until the next successful save or session, e.g. while a
+     * save conflict is being resolved
+     */
+    pause() {
+        this.cancel();
+        this.isPaused = true;
+    }
+
+    /**
+     * Cancel a scheduled or queued save
+     */
+    cancel() {
+        clearTimeout(this.timer);
+        this.timer = null;
+        this.saveQueued = false;
+    }
+
+    /**
+     * Whether a save is scheduled
+     * @returns {boolean} True if a save is scheduled
+     */
+    hasPendingSave() {
+        return this.timer !== null;
+    }
+
+    /**
+     * Create a checkpoint. Failures are logged, since a missing checkpoint
+     * must not block saving.
+     * @param {string} reason - Checkpoint reason
+     */
+    async checkpoint(reason) {
+        this.activeTime = 0;
+        try {
+            await this.options.createCheckpoint(reason);
+        } catch (error) {
+            console.warn(`Could not create ${reason} checkpoint:`, error);
+        }
+    }
+}
+
+// Make AutosaveManager available globally
+window.AutosaveManager = AutosaveManager;
@@ -0,0 +1,186 @@
+/**
+ * UndoManager Utility
+ *
+ * Command-based undo/redo history for the page editor. A command is an object
+ * with undo() and redo() functions and a label describing the change:
+ *
+ *   { label: 'Edit card title', undo() {...}, redo() {...}, coalesceKey: 'card-title:123' }
+ *
+ * Commands that share a coalesceKey and are recorded within mergeWindow
+ * milliseconds of each other are merged into a single undo step, so a burst
+ * of keystrokes in one field is undone at once.
+ */
+
+class UndoManager {
+    constructor(options = {}) {
+        this.options = {
+            limit: options.limit || 100,
+            mergeWindow: options.mergeWindow || 1000,
+            onChange: options.onChange || (() => {}),
+            ...options
+        };
+
+        this.undoStack = [];
+        this.redoStack = [];
+        this.isApplying = false;
+        this.canMerge = false;
+    }
+
+    /**
+     * Run a command and add it to the history
+     * @param {Object} command - Command with undo, redo and label
+     */
+    execute(command) {
+        command.redo();
+        this.record(command);
+    }
+
+    /**
+     * Add a command whose change has already been applied. Changes made while
+     * an undo or redo is running are part of that step and are not recorded.
+     * @param {Object} command - Command with undo, redo and label
+     */
+    record(command) {
+        if (this.isApplying) {
+            return;
+        }
+
+        const now = Date.now();
+        const last = this.undoStack[this.undoStack.length - 1];
+
+        if (this.canMerge && last && command.coalesceKey && last.coalesceKey === command.coalesceKey
+            && now - last.timestamp <= this.options.mergeWindow) {
+            // Keep the first command's undo and take the latest redo
+            last.redo = command.redo;
+            last.label = command.label || last.label;
+            last.timestamp = now;
+        } else {
+            this.undoStack.push({ ...command, timestamp: now });
+            if (this.undoStack.length > this.options.limit) {
+                this.undoStack.shift();
+            }
+        }
+
+        this.redoStack = [];
+        this.canMerge = true;
+        this.notifyChange();
+    }
+
+    /**
+     * Undo the most recent command
+     * @returns {Object|null} The undone command, or null if there is nothing to undo
+     */
+    undo() {
+        const command = this.undoStack.pop();
+        if (!command) {
+            return null;
+        }
+
+        try {
+            this.apply(() => command.undo());
+        } catch (error) {
+            this.undoStack.push(command);
+            throw error;
+        }
+
+        this.redoStack.push(command);
+        this.canMerge = false;
+        this.notifyChange();
+        return command;
+    }
+
+    /**
+     * Redo the most recently undone command
+     * @returns {Object|null} The redone command, or null if there is nothing to redo
+     */
+    redo() {
+        const command = this.redoStack.pop();
+        if (!command) {
+            return null;
+        }
+
+        try {
+            this.apply(() => command.redo());
+        } catch (error) {
+            this.redoStack.push(command);
+            throw error;
+        }
+
+        this.undoStack.push(command);
+        this.canMerge = false;
+        this.notifyChange();
+        return command;
+    }
+
+    /**
+     * Run an undo or redo without recording the changes it makes
+     * @param {Function} fn - Function to run
+     */
+    apply(fn) {
+        this.isApplying = true;
+        try {
+            fn();
+        } finally {
+            this.isApplying = false;
+        }
+    }
+
+    /**
+     * Check if there is a command to undo
+     * @returns {boolean} True if undo is possible
+     */
+    canUndo() {
+        return this.undoStack.length > 0;
+    }
+
+    /**
+     * Check if there is a command to redo
+     * @returns {boolean} True if redo is possible
+     */
+    canRedo() {
+        return this.redoStack.length > 0;
+    }
+
+    /**
+     * Get the label of the command that undo would revert
+     * @returns {string|null} Command label
+     */
+    getUndoLabel() {
+        const command = this.undoStack[this.undoStack.length - 1];
+        return command ? command.label || null : null;
+    }
+
+    /**
+     * Get the label of the command that redo would reapply
+     * @returns {string|null} Command label
+     */
+    getRedoLabel() {
+        const command = this.redoStack[this.redoStack.length - 1];
+        return command ? command.label || null : null;
+    }
+
+    /**
+     * Discard the whole history
+     */
+    clear() {
+        this.undoStack = [];
+        this.redoStack = [];
+        this.canMerge = false;
+        this.notifyChange();
+    }
+
+    /**
+     * Notify the owner that the history changed
+     */
+    notifyChange() {
+        this.options.onChange({
+            canUndo: this.canUndo(),
+            canRedo: this.canRedo(),
+            undoLabel: this.getUndoLabel(),
+            redoLabel: this.getRedoLabel()
+        });
+    }
+}
+
+// Make UndoManager available globally
+window.UndoManager = UndoManager;
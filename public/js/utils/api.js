@@ -1,12 +1,19 @@
 /**
  * API Utility Functions
  * Centralized API request functions for the application
+ *
+ * Also owns the user's session: tokens from /api/auth are kept in localStorage,
+ * attached to requests, and refreshed once when a request is rejected with 401.
+ * Dispatches 'auth:changed' (detail: user or null) when the session changes and
+ * 'auth:required' when a request needs the user to log in again.
  */
 
 class ApiUtils {
     constructor() {
         this.baseUrl = '/api';
-        this.adminToken = 'mock-admin-token-123'; // Mock admin token for development
+        this.sessionStorageKey = 'templatePageEditor_session';
+        this.session = this.loadSession();
+        this.refreshPromise = null;
     }
 
     /**
@@ -18,18 +25,189 @@ class ApiUtils {
         };
 
         if (includeAuth) {
-            headers['Authorization'] = `Bearer ${this.adminToken}`;
+            Object.assign(headers, this.getAuthHeaders());
         }
 
         return headers;
     }
 
+    /**
+     * Get the Authorization header for the current session (empty when logged out)
+     */
+    getAuthHeaders() {
+        const token = this.session ? this.session.accessToken : null;
+        return token ? { 'Authorization': `Bearer ${token}` } : {};
+    }
+
+    /**
+     * fetch() with the session's Authorization header. When the server rejects
+     * the token the session is refreshed and the request retried once.
+     */
+    async authFetch(url, options = {}) {
+        const send = () => fetch(url, {
+            ...options,
+            headers: { ...(options.headers || {}), ...this.getAuthHeaders() }
+        });
+
+        let response = await send();
+        if (response.status !== 401) {
+            return response;
+        }
+
+        if (this.session && this.session.refreshToken && await this.refreshSession()) {
+            response = await send();
+            if (response.status !== 401) {
+                return response;
+            }
+        }
+
+        this.clearSession();
+        window.dispatchEvent(new CustomEvent('auth:required', { detail: { url } }));
+        return response;
+    }
+
+    // Session management
+    /**
+     * Log in with email and password
+     */
+    async login(email, password) {
+        const response = await fetch(`${this.baseUrl}/auth/login`, {
+            method: 'POST',
+            headers: this.getHeaders(false),
+            body: JSON.stringify({ email, password })
+        });
+
+        const result = await response.json();
+        if (!response.ok) {
+            throw new Error(result.error || `HTTP error! status: ${response.status}`);
+        }
+
+        this.setSession(result);
+        return result.user;
+    }
+
+    /**
+     * Log out and revoke the session's tokens
+     */
+    async logout() {
+        if (this.session) {
+            try {
+                await fetch(`${this.baseUrl}/auth/logout`, {
+                    method: 'POST',
+                    headers: this.getHeaders(true),
+                    body: JSON.stringify({ refreshToken: this.session.refreshToken })
+                });
+            } catch (error) {
+                console.warn('Logout request failed:', error);
+            }
+        }
+
+        this.clearSession();
+    }
+
+    /**
+     * Exchange the refresh token for a new session.
+     * Concurrent callers share one refresh request.
+     * @returns {boolean} True if the session was refreshed
+     */
+    async refreshSession() {
+        if (!this.refreshPromise) {
+            this.refreshPromise = (async () => {
+                try {
+                    const response = await fetch(`${this.baseUrl}/auth/refresh`, {
+                        method: 'POST',
+                        headers: this.getHeaders(false),
+                        body: JSON.stringify({ refreshToken: this.session.refreshToken })
+                    });
+
+                    if (!response.ok) {
+                        return false;
+                    }
+
+                    this.setSession(await response.json());
+                    return true;
+                } catch (error) {
+                    console.error('Session refresh failed:', error);
+                    return false;
+                } finally {
+                    this.refreshPromise = null;
+                }
+            })();
+        }
+
+        return this.refreshPromise;
+    }
+
+    /**
+     * Get the logged in user (null when logged out)
+     */
+    getCurrentUser() {
+        return this.session ? this.session.user : null;
+    }
+
+    /**
+     * Check if there is a session
+     */
+    isAuthenticated() {
+        return Boolean(this.session && this.session.accessToken);
+    }
+
+    /**
+     * Store a session returned by the auth endpoints
+     */
+    setSession(session) {
+        this.session = {
+            accessToken: session.accessToken,
+            refreshToken: session.refreshToken,
+            user: session.user
+        };
+
+        try {
+            localStorage.setItem(this.sessionStorageKey, JSON.stringify(this.session));
+        } catch (error) {
+            console.warn('ApiUtils: Could not save session to localStorage:', error);
+        }
+
+        window.dispatchEvent(new CustomEvent('auth:changed', { detail: { user: session.user } }));
+    }
+
+    /**
+     * Forget the current session
+     */
+    clearSession() {
+        const hadSession = Boolean(this.session);
+        this.session = null;
+
+        try {
+            localStorage.removeItem(this.sessionStorageKey);
+        } catch (error) {
+            console.warn('ApiUtils: Could not remove session from localStorage:', error);
+        }
+
+        if (hadSession) {
+            window.dispatchEvent(new CustomEvent('auth:changed', { detail: { user: null } }));
+        }
+    }
+
+    /**
+     * Load the stored session from localStorage
+     */
+    loadSession() {
+        try {
+            const storedSession = localStorage.getItem(this.sessionStorageKey);
+            return storedSession ? JSON.parse(storedSession) : null;
+        } catch (error) {
+            console.warn('ApiUtils: Could not load session from localStorage:', error);
+            return null;
+        }
+    }
+
     /**
      * Make a GET request
      */
     async get(url, includeAuth = true) {
         try {
-            const response = await fetch(`${this.baseUrl}${url}`, {
+            const response = await this.authFetch(`${this.baseUrl}${url}`, {
                 method: 'GET',
                 headers: this.getHeaders(includeAuth)
             });
@@ -50,7 +228,7 @@ class ApiUtils {
      */
     async post(url, data, includeAuth = true) {
         try {
-            const response = await fetch(`${this.baseUrl}${url}`, {
+            const response = await this.authFetch(`${this.baseUrl}${url}`, {
                 method: 'POST',
                 headers: this.getHeaders(includeAuth),
                 body: JSON.stringify(data)
@@ -72,7 +250,7 @@ class ApiUtils {
      */
     async put(url, data, includeAuth = true) {
         try {
-            const response = await fetch(`${this.baseUrl}${url}`, {
+            const response = await this.authFetch(`${this.baseUrl}${url}`, {
                 method: 'PUT',
                 headers: this.getHeaders(includeAuth),
                 body: JSON.stringify(data)
@@ -94,7 +272,7 @@ class ApiUtils {
      */
     async delete(url, includeAuth = true) {
         try {
-            const response = await fetch(`${this.baseUrl}${url}`, {
+            const response = await this.authFetch(`${this.baseUrl}${url}`, {
                 method: 'DELETE',
                 headers: this.getHeaders(includeAuth)
             });
@@ -110,12 +288,32 @@ class ApiUtils {
         }
     }
 
+    /**
+     * GET every item of a paginated listing, following nextCursor
+     * @param {string} url - Listing URL (relative to /api)
+     * @returns {Object} The first response, with data holding every item
+     */
+    async getAll(url) {
+        const separator = url.includes('?') ? '&' : '?';
+        const first = await this.get(`${url}${separator}limit=100`);
+        const data = [...(first.data || [])];
+
+        let cursor = first.pagination?.nextCursor;
+        while (cursor) {
+            const next = await this.get(`${url}${separator}limit=100&cursor=${encodeURIComponent(cursor)}`);
+            data.push(...(next.data || []));
+            cursor = next.pagination?.nextCursor;
+        }
+
+        return { ...first, data };
+    }
+
     // Category-specific API methods
     /**
      * Get all categories
      */
     async getCategories() {
-        return await this.get('/admin/categories');
+        return await this.getAll('/admin/categories');
     }
 
     /**
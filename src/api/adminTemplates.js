@@ -15,6 +15,12 @@ router.put('/:templateId', adminTemplateController.updateTemplate);
 // GET /api/admin/templates/:templateId - Get a specific template
 router.get('/:templateId', adminTemplateController.getTemplate);
 
+// GET /api/admin/templates/:templateId/versions - List the revisions of a template
+router.get('/:templateId/versions', adminTemplateController.getTemplateVersions);
+
+// GET /api/admin/templates/:templateId/versions/:version - Get one revision of a template
+router.get('/:templateId/versions/:version', adminTemplateController.getTemplateVersion);
+
 // GET /api/admin/templates - Get all templates
 router.get('/', adminTemplateController.getAllTemplates);
 
@@ -0,0 +1,24 @@
+const express = require('express');
+const router = express.Router();
+const { authenticateAdmin } = require('../middleware/adminAuth');
+const adminUserController = require('../controllers/adminUserController');
+
+// All routes in this router require admin authentication
+router.use(authenticateAdmin);
+
+// POST /api/admin/users - Create a new user
+router.post('/', adminUserController.createUser);
+
+// PUT /api/admin/users/:userId - Update an existing user
+router.put('/:userId', adminUserController.updateUser);
+
+// GET /api/admin/users/:userId - Get a specific user
+router.get('/:userId', adminUserController.getUser);
+
+// GET /api/admin/users - Get all users
+router.get('/', adminUserController.getAllUsers);
+
+// DELETE /api/admin/users/:userId - Delete a user
+router.delete('/:userId', adminUserController.deleteUser);
+
+module.exports = router;
@@ -0,0 +1,137 @@
+/**
+ * Authentication API Routes
+ *
+ * Login, logout, token refresh and account registration for local user
+ * accounts. Successful login, refresh and registration respond with a session:
+ * { tokenType, accessToken, expiresIn, refreshToken, refreshExpiresIn, user }.
+ */
+
+const express = require('express');
+const router = express.Router();
+const authService = require('../services/authService');
+const userService = require('../services/userService');
+const { authenticate } = require('../middleware/auth');
+
+const TOKEN_ERROR_CODES = ['INVALID_TOKEN', 'TOKEN_EXPIRED', 'TOKEN_REVOKED'];
+
+// POST /api/auth/login - Log in with email and password
+router.post('/login', async (req, res) => {
+    try {
+        const { email, password } = req.body;
+
+        if (!email || !password) {
+            return res.status(400).json({
+                error: 'Email and password are required',
+                code: 'MISSING_CREDENTIALS'
+            });
+        }
+
+        const session = await authService.login(email, password);
+
+        res.json(session);
+    } catch (error) {
+        if (error.code === 'INVALID_CREDENTIALS') {
+            return res.status(401).json({ error: error.message, code: error.code });
+        }
+
+        console.error('Error logging in:', error);
+        res.status(500).json({
+            error: 'Internal server error',
+            code: 'INTERNAL_SERVER_ERROR'
+        });
+    }
+});
+
+// POST /api/auth/refresh - Exchange a refresh token for a new session
+router.post('/refresh', async (req, res) => {
+    try {
+        const { refreshToken } = req.body;
+
+        if (!refreshToken || typeof refreshToken !== 'string') {
+            return res.status(400).json({
+                error: 'Refresh token is required',
+                code: 'MISSING_REFRESH_TOKEN'
+            });
+        }
+
+        const session = await authService.refresh(refreshToken);
+
+        res.json(session);
+    } catch (error) {
+        if (TOKEN_ERROR_CODES.includes(error.code)) {
+            return res.status(401).json({ error: error.message, code: error.code });
+        }
+
+        console.error('Error refreshing session:', error);
+        res.status(500).json({
+            error: 'Internal server error',
+            code: 'INTERNAL_SERVER_ERROR'
+        });
+    }
+});
+
+// POST /api/auth/logout - Revoke the current session's tokens
+router.post('/logout', authenticate, async (req, res) => {
+    try {
+        const { refreshToken } = req.body;
+
+        await authService.logout(req.auth, refreshToken);
+
+        res.json({
+            success: true,
+            message: 'Logged out successfully'
+        });
+    } catch (error) {
+        console.error('Error logging out:', error);
+        res.status(500).json({
+            error: 'Internal server error',
+            code: 'INTERNAL_SERVER_ERROR'
+        });
+    }
+});
+
+// GET /api/auth/me - Get the authenticated user
+router.get('/me', authenticate, (req, res) => {
+    res.json({ user: req.user });
+});
+
+// POST /api/auth/register - Create a user account and log it in (only when AUTH_ALLOW_REGISTRATION is 'true')
+router.post('/register', async (req, res) => {
+    try {
+        if (process.env.AUTH_ALLOW_REGISTRATION !== 'true') {
+            return res.status(403).json({
+                error: 'Registration is disabled',
+                code: 'REGISTRATION_DISABLED'
+            });
+        }
+
+        const { email, name, password } = req.body;
+
+        if (!email || !name || !password) {
+            return res.status(400).json({
+                error: 'Email, name and password are required',
+                code: 'MISSING_REQUIRED_FIELDS'
+            });
+        }
+
+        const user = await userService.createUser({ email, name, password });
+
+        res.status(201).json(authService.createSession(user));
+    } catch (error) {
+        if (['INVALID_PASSWORD', 'INVALID_USER_DATA'].includes(error.code)) {
+            return res.status(400).json({ error: error.message, code: error.code });
+        }
+
+        if (error.code === 'EMAIL_ALREADY_EXISTS') {
+            return res.status(409).json({ error: error.message, code: error.code });
+        }
+
+        console.error('Error registering user:', error);
+        res.status(500).json({
+            error: 'Internal server error',
+            code: 'INTERNAL_SERVER_ERROR'
+        });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,35 @@
+/**
+ * Category API Routes
+ *
+ * Public list of template categories, from the same template service as the
+ * admin category routes.
+ */
+
+const express = require('express');
+const router = express.Router();
+const templateService = require('../services/templateService');
+const {
+    sanitizeCategoryResponse,
+    createErrorResponse,
+    createSuccessResponse
+} = require('../schemas/templateSchemas');
+
+/**
+ * GET /api/categories
+ * List categories sorted alphabetically by name
+ */
+router.get('/', async (req, res) => {
+    try {
+        const categories = await templateService.getAllCategories();
+        const sortedCategories = categories
+            .sort((a, b) => a.name.localeCompare(b.name))
+            .map(sanitizeCategoryResponse);
+
+        res.json(createSuccessResponse(sortedCategories, 'Categories retrieved successfully'));
+    } catch (error) {
+        console.error('Error fetching categories:', error);
+        res.status(500).json(createErrorResponse('Internal server error', 'INTERNAL_SERVER_ERROR'));
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,65 @@
+/**
+ * Content API Routes
+ *
+ * Converts rich text content between formats (see src/utils/richText.js).
+ * Used by the text editor to preview Markdown and to switch a text block
+ * between Markdown and the rich text editor.
+ */
+
+const express = require('express');
+const router = express.Router();
+const { convertRichText, RICH_TEXT_FORMATS } = require('../utils/richText');
+const { authenticate } = require('../middleware/auth');
+
+router.use(authenticate);
+
+// POST /api/content/convert - Convert { format, data } content to another format
+router.post('/convert', (req, res) => {
+    try {
+        const { content, to } = req.body;
+
+        if (!content || typeof content !== 'object' || typeof content.data !== 'string') {
+            return res.status(400).json({
+                error: 'Content must be an object with a string data field',
+                code: 'INVALID_CONTENT'
+            });
+        }
+
+        if (content.format !== undefined && !RICH_TEXT_FORMATS.includes(content.format)) {
+            return res.status(400).json({
+                error: `Content format must be one of: ${RICH_TEXT_FORMATS.join(', ')}`,
+                code: 'INVALID_CONTENT'
+            });
+        }
+
+        if (!to || typeof to !== 'string') {
+            return res.status(400).json({
+                error: 'Target format is required',
+                code: 'INVALID_TARGET_FORMAT'
+            });
+        }
+
+        const converted = convertRichText({ format: content.format || 'html', data: content.data }, to);
+
+        res.json({
+            format: converted.format,
+            data: converted.data
+        });
+    } catch (error) {
+        if (error.code === 'UNSUPPORTED_CONVERSION') {
+            return res.status(400).json({ error: error.message, code: error.code });
+        }
+
+        if (error.code === 'INVALID_RICH_TEXT') {
+            return res.status(400).json({ error: error.message, code: 'INVALID_CONTENT' });
+        }
+
+        console.error('Error converting content:', error);
+        res.status(500).json({
+            error: 'Internal server error',
+            code: 'INTERNAL_SERVER_ERROR'
+        });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,128 @@
+/**
+ * File Storage API Routes
+ *
+ * Upload and download endpoints for the local disk storage driver (see
+ * src/services/storageDrivers/localDiskDriver.js). Upload URLs are signed
+ * and handed out by the upload initiation endpoints, so neither route needs
+ * a session token. With the S3 driver files are uploaded to and served by
+ * S3, and these routes return 404.
+ */
+
+const express = require('express');
+const router = express.Router();
+const storageService = require('../services/storageService');
+
+// Only raster images are served with their stored type; anything else is
+// downloaded as an attachment, since the uploaded type is not trusted
+const INLINE_CONTENT_TYPE = /^image\/(png|jpeg|gif|webp)$/;
+
+// HTTP status codes for upload errors
+const UPLOAD_ERROR_STATUS = {
+    INVALID_KEY: 400,
+    INVALID_UPLOAD_TOKEN: 403,
+    UPLOAD_URL_EXPIRED: 403,
+    FILE_TOO_LARGE: 413,
+    CONTENT_TYPE_MISMATCH: 415
+};
+
+// Middleware to only serve these routes with the local driver
+const requireLocalStorage = (req, res, next) => {
+    if (storageService.getStorageDriver().name !== 'local') {
+        return res.status(404).json({
+            error: 'File not found',
+            code: 'FILE_NOT_FOUND'
+        });
+    }
+
+    next();
+};
+
+router.use(requireLocalStorage);
+
+// PUT /api/files/uploads/{token} - Upload a file to a signed upload URL
+router.put('/uploads/:token', async (req, res) => {
+    try {
+        const contentLength = req.headers['content-length'] !== undefined
+            ? Number(req.headers['content-length'])
+            : undefined;
+
+        const file = await storageService.getStorageDriver().receiveUpload(req.params.token, req, {
+            contentType: req.headers['content-type'],
+            contentLength
+        });
+
+        res.status(200).json({
+            success: true,
+            key: file.key,
+            size: file.size
+        });
+    } catch (error) {
+        const status = UPLOAD_ERROR_STATUS[error.code];
+        if (status) {
+            // The rest of a rejected body is not read
+            if (!req.complete) {
+                res.set('Connection', 'close');
+            }
+            return res.status(status).json({ error: error.message, code: error.code });
+        }
+
+        console.error('Error in PUT /api/files/uploads:', error);
+        res.status(500).json({
+            error: 'Internal server error',
+            code: 'INTERNAL_SERVER_ERROR'
+        });
+    }
+});
+
+// GET /api/files/{key} - Serve a stored file
+router.get('/*', async (req, res) => {
+    const key = req.params[0];
+    const driver = storageService.getStorageDriver();
+
+    try {
+        const info = await driver.head(key);
+        if (!info) {
+            return res.status(404).json({
+                error: 'File not found',
+                code: 'FILE_NOT_FOUND'
+            });
+        }
+
+        const inline = INLINE_CONTENT_TYPE.test(info.contentType);
+        const headers = { 'Content-Type': inline ? info.contentType : 'application/octet-stream' };
+        if (!inline) {
+            headers['Content-Disposition'] = 'attachment';
+        }
+
+        // Keys are unique per upload and files are never rewritten, so they are
+        // cached for a year; ETag and Last-Modified handle conditional requests
+        res.sendFile(key, {
+            root: driver.objectsDir,
+            maxAge: '1y',
+            immutable: true,
+            headers
+        }, (error) => {
+            if (error && !res.headersSent) {
+                res.status(error.status || 500).json({
+                    error: error.status === 404 ? 'File not found' : 'Internal server error',
+                    code: error.status === 404 ? 'FILE_NOT_FOUND' : 'INTERNAL_SERVER_ERROR'
+                });
+            }
+        });
+    } catch (error) {
+        if (error.code === 'INVALID_KEY') {
+            return res.status(404).json({
+                error: 'File not found',
+                code: 'FILE_NOT_FOUND'
+            });
+        }
+
+        console.error(`Error in GET /api/files/${key}:`, error);
+        res.status(500).json({
+            error: 'Internal server error',
+            code: 'INTERNAL_SERVER_ERROR'
+        });
+    }
+});
+
+module.exports = router;
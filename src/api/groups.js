@@ -0,0 +1,254 @@
+/**
+ * Group API Routes
+ *
+ * Lets signed-in users create groups of users, such as teams, and manage
+ * their members, so pages can be shared with a whole group at once (see
+ * POST /api/pages/{pageId}/share). Any signed-in user can list groups; a
+ * group can only be changed by the user who created it or an administrator.
+ */
+
+const express = require('express');
+const router = express.Router();
+const groupService = require('../services/groupService');
+const { authenticate } = require('../middleware/auth');
+const { SEARCH_MODES } = require('../utils/userSearch');
+const { parseListQuery, paginate } = require('../utils/pagination');
+const { isValidUUIDAnyVersion } = require('../utils/uuidValidation');
+
+const MAX_QUERY_LENGTH = 200;
+
+// Fields GET /api/groups can sort by; relevance only applies to searches
+const GROUP_SORT_FIELDS = ['relevance', 'name', 'memberCount', 'createdAt', 'updatedAt'];
+
+// HTTP status for each group service error code
+const ERROR_STATUSES = {
+    GROUP_NOT_FOUND: 404,
+    USER_NOT_FOUND: 404,
+    INVALID_GROUP_DATA: 400,
+    GROUP_NAME_EXISTS: 409,
+    MEMBER_ALREADY_EXISTS: 409,
+    MEMBER_NOT_FOUND: 404,
+    INSUFFICIENT_PERMISSIONS: 403
+};
+
+router.use(authenticate);
+
+// Middleware to validate the groupId parameter
+const validateGroupId = (req, res, next) => {
+    if (!isValidUUIDAnyVersion(req.params.groupId)) {
+        return res.status(400).json({
+            error: 'Invalid group ID format. Must be a valid UUID.',
+            code: 'INVALID_GROUP_ID_FORMAT'
+        });
+    }
+    next();
+};
+
+/**
+ * Get a group the requesting user may change
+ * @param {string} groupId - Group ID
+ * @param {Object} user - Requesting user
+ * @returns {Group} Group
+ * @throws {Error} GROUP_NOT_FOUND or INSUFFICIENT_PERMISSIONS
+ */
+function requireManagedGroup(groupId, user) {
+    const group = groupService.requireGroup(groupId);
+    if (!group.canManage(user)) {
+        const error = new Error('Only the group creator or an administrator can change this group');
+        error.code = 'INSUFFICIENT_PERMISSIONS';
+        throw error;
+    }
+    return group;
+}
+
+/**
+ * Send the response for an error thrown while handling a group request
+ * @param {Object} res - Express response
+ * @param {Error} error - Error
+ * @param {string} action - What was being done, for the log
+ */
+function sendGroupError(res, error, action) {
+    if (ERROR_STATUSES[error.code]) {
+        return res.status(ERROR_STATUSES[error.code]).json({ error: error.message, code: error.code });
+    }
+
+    console.error(`Error ${action}:`, error);
+    res.status(500).json({
+        error: 'Internal server error',
+        code: 'INTERNAL_SERVER_ERROR'
+    });
+}
+
+// GET /api/groups?q=&mode=&sortBy=&order=&limit=&cursor= - List groups, or search them by name
+router.get('/', (req, res) => {
+    try {
+        const { q, mode = 'fuzzy' } = req.query;
+        const isSearch = typeof q === 'string' && q.trim().length > 0;
+
+        if (isSearch && q.length > MAX_QUERY_LENGTH) {
+            return res.status(400).json({
+                error: `Search query cannot exceed ${MAX_QUERY_LENGTH} characters`,
+                code: 'QUERY_TOO_LONG'
+            });
+        }
+
+        if (!SEARCH_MODES.includes(mode)) {
+            return res.status(400).json({
+                error: `mode must be one of: ${SEARCH_MODES.join(', ')}`,
+                code: 'INVALID_SEARCH_MODE'
+            });
+        }
+
+        let listQuery;
+        try {
+            listQuery = parseListQuery(req.query, {
+                sortFields: GROUP_SORT_FIELDS,
+                defaultSortBy: isSearch ? 'relevance' : 'name',
+                defaultOrder: isSearch ? 'desc' : 'asc'
+            });
+        } catch (error) {
+            return res.status(400).json({ error: error.message, code: error.code });
+        }
+
+        const groups = isSearch
+            ? groupService.searchGroups(q, { mode })
+            : groupService.listGroups().map(group => group.getSummary());
+        const { items, pagination } = paginate(groups, listQuery);
+
+        res.json({
+            success: true,
+            data: items,
+            count: items.length,
+            pagination
+        });
+    } catch (error) {
+        sendGroupError(res, error, 'listing groups');
+    }
+});
+
+// POST /api/groups - Create a group; the requesting user manages it
+router.post('/', async (req, res) => {
+    try {
+        const { name, description, memberIds = [] } = req.body;
+
+        if (!Array.isArray(memberIds) || !memberIds.every(isValidUUIDAnyVersion)) {
+            return res.status(400).json({
+                error: 'memberIds must be an array of user IDs',
+                code: 'INVALID_MEMBER_IDS'
+            });
+        }
+
+        const group = await groupService.createGroup({ name, description, memberIds }, req.user.id);
+
+        res.status(201).json({
+            success: true,
+            data: await groupService.getGroupDetails(group.id),
+            message: 'Group created successfully'
+        });
+    } catch (error) {
+        sendGroupError(res, error, 'creating group');
+    }
+});
+
+// GET /api/groups/:groupId - Get a group with its members
+router.get('/:groupId', validateGroupId, async (req, res) => {
+    try {
+        res.json({
+            success: true,
+            data: await groupService.getGroupDetails(req.params.groupId)
+        });
+    } catch (error) {
+        sendGroupError(res, error, `fetching group ${req.params.groupId}`);
+    }
+});
+
+// PUT /api/groups/:groupId - Rename a group or change its description
+router.put('/:groupId', validateGroupId, async (req, res) => {
+    try {
+        const { groupId } = req.params;
+        const { name, description } = req.body;
+
+        if (name === undefined && description === undefined) {
+            return res.status(400).json({
+                error: 'Provide a name or description to update',
+                code: 'MISSING_UPDATE_FIELDS'
+            });
+        }
+
+        requireManagedGroup(groupId, req.user);
+        groupService.updateGroup(groupId, { name, description });
+
+        res.json({
+            success: true,
+            data: await groupService.getGroupDetails(groupId),
+            message: 'Group updated successfully'
+        });
+    } catch (error) {
+        sendGroupError(res, error, `updating group ${req.params.groupId}`);
+    }
+});
+
+// DELETE /api/groups/:groupId - Delete a group and the page shares with it
+router.delete('/:groupId', validateGroupId, (req, res) => {
+    try {
+        const { groupId } = req.params;
+
+        requireManagedGroup(groupId, req.user);
+        groupService.deleteGroup(groupId);
+        const deletedShares = req.app.locals.pageShareService.deletePageSharesForGroup(groupId);
+
+        res.json({
+            success: true,
+            message: 'Group deleted successfully',
+            deletedShares
+        });
+    } catch (error) {
+        sendGroupError(res, error, `deleting group ${req.params.groupId}`);
+    }
+});
+
+// POST /api/groups/:groupId/members - Add a member ({ userId })
+router.post('/:groupId/members', validateGroupId, async (req, res) => {
+    try {
+        const { groupId } = req.params;
+        const { userId } = req.body;
+
+        if (!isValidUUIDAnyVersion(userId)) {
+            return res.status(400).json({
+                error: 'Invalid user ID format. Must be a valid UUID.',
+                code: 'INVALID_USER_ID_FORMAT'
+            });
+        }
+
+        requireManagedGroup(groupId, req.user);
+        await groupService.addMember(groupId, userId);
+
+        res.status(201).json({
+            success: true,
+            data: await groupService.getGroupDetails(groupId),
+            message: 'Member added successfully'
+        });
+    } catch (error) {
+        sendGroupError(res, error, `adding member to group ${req.params.groupId}`);
+    }
+});
+
+// DELETE /api/groups/:groupId/members/:userId - Remove a member
+router.delete('/:groupId/members/:userId', validateGroupId, async (req, res) => {
+    try {
+        const { groupId, userId } = req.params;
+
+        requireManagedGroup(groupId, req.user);
+        groupService.removeMember(groupId, userId);
+
+        res.json({
+            success: true,
+            data: await groupService.getGroupDetails(groupId),
+            message: 'Member removed successfully'
+        });
+    } catch (error) {
+        sendGroupError(res, error, `removing member from group ${req.params.groupId}`);
+    }
+});
+
+module.exports = router;
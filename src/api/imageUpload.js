@@ -55,4 +55,10 @@ router.get('/upload/stats', imageUploadController.getUploadStats);
  */
 router.post('/upload/cleanup', imageUploadController.cleanupExpiredSessions);
 
+/**
+ * GET /api/admin/images/:imageId
+ * Gets an image with its processing status, dimensions and variants
+ */
+router.get('/:imageId', imageUploadController.getImage);
+
 module.exports = router;
@@ -0,0 +1,169 @@
+/**
+ * Image Library API Routes
+ *
+ * Browse, inspect and delete uploaded images (see
+ * src/controllers/imageLibraryController.js). Uploading stays under
+ * /api/admin/images/upload.
+ */
+
+const express = require('express');
+const router = express.Router();
+const imageLibraryController = require('../controllers/imageLibraryController');
+const { authenticate } = require('../middleware/auth');
+const { isValidUUID } = require('../utils/uuidValidation');
+const { parseListQuery } = require('../utils/pagination');
+
+// Fields GET /api/images can sort by
+const IMAGE_SORT_FIELDS = ['createdAt', 'fileName', 'fileSize'];
+
+// Dimension filters, in pixels
+const DIMENSION_FILTERS = ['minWidth', 'maxWidth', 'minHeight', 'maxHeight'];
+
+router.use(authenticate);
+
+// Middleware to validate imageId parameter
+const validateImageId = (req, res, next) => {
+    if (!isValidUUID(req.params.imageId)) {
+        return res.status(400).json({
+            error: 'Invalid image ID format. Must be a valid UUID.',
+            code: 'INVALID_IMAGE_ID_FORMAT'
+        });
+    }
+
+    next();
+};
+
+/**
+ * Parse a date query parameter
+ * @param {string} value - Query value
+ * @returns {Date|null|undefined} Date, undefined when absent, null when invalid
+ */
+function parseDate(value) {
+    if (value === undefined) {
+        return undefined;
+    }
+
+    const date = new Date(value);
+    return typeof value === 'string' && !isNaN(date.getTime()) ? date : null;
+}
+
+// GET /api/images - List and search images
+router.get('/', async (req, res) => {
+    try {
+        const { q, uploadedBy } = req.query;
+
+        let listQuery;
+        try {
+            listQuery = parseListQuery(req.query, {
+                sortFields: IMAGE_SORT_FIELDS,
+                defaultSortBy: 'createdAt',
+                defaultOrder: 'desc'
+            });
+        } catch (error) {
+            return res.status(400).json({ error: error.message, code: error.code });
+        }
+
+        if (q !== undefined && typeof q !== 'string') {
+            return res.status(400).json({
+                error: 'Search query must be a string',
+                code: 'INVALID_QUERY'
+            });
+        }
+
+        if (uploadedBy !== undefined && typeof uploadedBy !== 'string') {
+            return res.status(400).json({
+                error: 'Uploader ID must be a string',
+                code: 'INVALID_UPLOADER_ID'
+            });
+        }
+
+        const createdAfter = parseDate(req.query.createdAfter);
+        const createdBefore = parseDate(req.query.createdBefore);
+        if (createdAfter === null || createdBefore === null) {
+            return res.status(400).json({
+                error: 'createdAfter and createdBefore must be valid dates',
+                code: 'INVALID_DATE'
+            });
+        }
+
+        const dimensions = {};
+        for (const filter of DIMENSION_FILTERS) {
+            if (req.query[filter] === undefined) {
+                continue;
+            }
+            const value = Number(req.query[filter]);
+            if (!Number.isInteger(value) || value < 1) {
+                return res.status(400).json({
+                    error: `${filter} must be a positive integer`,
+                    code: 'INVALID_DIMENSION'
+                });
+            }
+            dimensions[filter] = value;
+        }
+
+        const result = await imageLibraryController.listImages({
+            query: q ? q.trim() : undefined,
+            uploadedBy,
+            createdAfter,
+            createdBefore,
+            ...dimensions,
+            listQuery
+        });
+
+        res.json(result);
+    } catch (error) {
+        console.error('Error in GET /api/images:', error);
+        res.status(500).json({
+            error: 'Internal server error',
+            code: 'INTERNAL_SERVER_ERROR'
+        });
+    }
+});
+
+// GET /api/images/{imageId} - Get an image with where it is used
+router.get('/:imageId', validateImageId, async (req, res) => {
+    try {
+        const image = await imageLibraryController.getImage(req.params.imageId, req.user, req.app.locals.pageShareService);
+
+        res.json(image);
+    } catch (error) {
+        if (error.code === 'IMAGE_NOT_FOUND') {
+            return res.status(404).json({ error: error.message, code: error.code });
+        }
+
+        console.error(`Error in GET /api/images/${req.params.imageId}:`, error);
+        res.status(500).json({
+            error: 'Internal server error',
+            code: 'INTERNAL_SERVER_ERROR'
+        });
+    }
+});
+
+// DELETE /api/images/{imageId} - Delete an image no page uses
+router.delete('/:imageId', validateImageId, async (req, res) => {
+    try {
+        await imageLibraryController.deleteImage(req.params.imageId, req.user);
+
+        res.status(204).send();
+    } catch (error) {
+        if (error.code === 'IMAGE_NOT_FOUND') {
+            return res.status(404).json({ error: error.message, code: error.code });
+        }
+
+        if (error.code === 'FORBIDDEN') {
+            return res.status(403).json({ error: error.message, code: error.code });
+        }
+
+        if (error.code === 'IMAGE_IN_USE') {
+            return res.status(409).json({ error: error.message, code: error.code, usageCount: error.usageCount });
+        }
+
+        console.error(`Error in DELETE /api/images/${req.params.imageId}:`, error);
+        res.status(500).json({
+            error: 'Internal server error',
+            code: 'INTERNAL_SERVER_ERROR'
+        });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,110 @@
+/**
+ * Page Publishing API Routes
+ *
+ * Endpoints for the page publishing workflow (see
+ * src/controllers/pagePublishController.js). Publishing and unpublishing
+ * need owner access; moving a page to draft or review needs edit access.
+ */
+
+const express = require('express');
+const router = express.Router();
+const pagePublishController = require('../controllers/pagePublishController');
+const { authenticate } = require('../middleware/auth');
+const { requirePageAccess } = require('../middleware/pageAccess');
+
+router.use(authenticate);
+
+// POST /api/pages/{pageId}/publish - Publish the current components now or at publishAt
+router.post('/:pageId/publish', requirePageAccess('owner'), async (req, res) => {
+    try {
+        const { pageId } = req.params;
+        const { publishAt, versionName, changeDescription } = req.body;
+
+        if (versionName && typeof versionName !== 'string') {
+            return res.status(400).json({
+                error: 'Version name must be a string',
+                code: 'INVALID_VERSION_NAME_TYPE'
+            });
+        }
+
+        if (changeDescription && typeof changeDescription !== 'string') {
+            return res.status(400).json({
+                error: 'Change description must be a string',
+                code: 'INVALID_CHANGE_DESCRIPTION_TYPE'
+            });
+        }
+
+        const result = await pagePublishController.publishPage(pageId, req.user.id, {
+            publishAt,
+            versionName,
+            changeDescription
+        });
+
+        res.json(result);
+    } catch (error) {
+        console.error(`Error publishing page ${req.params.pageId}:`, error);
+
+        if (error.code === 'PAGE_NOT_FOUND') {
+            return res.status(404).json({ error: error.message, code: error.code });
+        }
+
+        if (error.code === 'INVALID_PUBLISH_AT') {
+            return res.status(400).json({ error: error.message, code: error.code });
+        }
+
+        res.status(500).json({
+            error: 'Internal server error',
+            code: 'INTERNAL_SERVER_ERROR'
+        });
+    }
+});
+
+// POST /api/pages/{pageId}/unpublish - Take the page down and cancel a scheduled publish
+router.post('/:pageId/unpublish', requirePageAccess('owner'), async (req, res) => {
+    try {
+        const result = await pagePublishController.unpublishPage(req.params.pageId);
+
+        res.json(result);
+    } catch (error) {
+        console.error(`Error unpublishing page ${req.params.pageId}:`, error);
+
+        if (error.code === 'PAGE_NOT_FOUND') {
+            return res.status(404).json({ error: error.message, code: error.code });
+        }
+
+        if (error.code === 'PAGE_NOT_PUBLISHED') {
+            return res.status(409).json({ error: error.message, code: error.code });
+        }
+
+        res.status(500).json({
+            error: 'Internal server error',
+            code: 'INTERNAL_SERVER_ERROR'
+        });
+    }
+});
+
+// PUT /api/pages/{pageId}/status - Move the page to draft or in review
+router.put('/:pageId/status', requirePageAccess('edit'), async (req, res) => {
+    try {
+        const result = await pagePublishController.setPageStatus(req.params.pageId, req.body.status);
+
+        res.json(result);
+    } catch (error) {
+        console.error(`Error setting status of page ${req.params.pageId}:`, error);
+
+        if (error.code === 'PAGE_NOT_FOUND') {
+            return res.status(404).json({ error: error.message, code: error.code });
+        }
+
+        if (error.code === 'INVALID_PAGE_STATUS') {
+            return res.status(400).json({ error: error.message, code: error.code });
+        }
+
+        res.status(500).json({
+            error: 'Internal server error',
+            code: 'INTERNAL_SERVER_ERROR'
+        });
+    }
+});
+
+module.exports = router;
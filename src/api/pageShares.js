@@ -3,12 +3,15 @@
  * Work Order #34: Implement Page Sharing API Endpoints with Permission Management
  * 
  * This module provides API endpoints for managing page sharing permissions,
- * including creating, updating, revoking, and viewing page shares.
+ * including creating, updating, revoking, and viewing page shares. Only the
+ * page owner (or an admin) and users who can edit the page manage its shares.
  */
 
 const express = require('express');
 const router = express.Router();
 const pageShareController = require('../controllers/pageShareController');
+const { authenticate } = require('../middleware/auth');
+const { requirePageAccess } = require('../middleware/pageAccess');
 
 // Helper for UUID validation
 const isValidUUID = (uuid) => {
@@ -20,32 +23,6 @@ const isValidPermissionLevel = (permissionLevel) => {
     return ['view', 'edit'].includes(permissionLevel);
 };
 
-// Mock authentication middleware (in a real app, this would integrate with your auth system)
-const authenticateUser = (req, res, next) => {
-    // For demo purposes, we'll use a mock user ID
-    // In a real implementation, this would extract user info from JWT token or session
-    req.user = {
-        id: '550e8400-e29b-41d4-a716-446655440010', // Mock authenticated user ID
-        email: 'user@example.com',
-        name: 'Test User'
-    };
-    next();
-};
-
-// Middleware to validate pageId parameter
-const validatePageId = (req, res, next) => {
-    const { pageId } = req.params;
-    
-    if (!isValidUUID(pageId)) {
-        return res.status(400).json({ 
-            error: 'Invalid page ID format. Must be a valid UUID.', 
-            code: 'INVALID_PAGE_ID_FORMAT' 
-        });
-    }
-    
-    next();
-};
-
 // Middleware to validate shareId parameter
 const validateShareId = (req, res, next) => {
     const { shareId } = req.params;
@@ -60,27 +37,41 @@ const validateShareId = (req, res, next) => {
     next();
 };
 
-// POST /api/pages/{pageId}/share - Create a new page share
-router.post('/:pageId/share', authenticateUser, validatePageId, async (req, res) => {
+// POST /api/pages/{pageId}/share - Create a new page share with a user (userId) or a group (groupId)
+router.post('/:pageId/share', authenticate, requirePageAccess('edit'), async (req, res) => {
     try {
         const { pageId } = req.params;
-        const { userId, permissionLevel } = req.body;
+        const { userId, groupId, permissionLevel } = req.body;
         const sharedByUserId = req.user.id;
         
         // Validate request body
-        if (!userId) {
+        if (!userId && !groupId) {
             return res.status(400).json({ 
-                error: 'User ID is required', 
+                error: 'User ID or group ID is required', 
                 code: 'MISSING_USER_ID' 
             });
         }
+
+        if (userId && groupId) {
+            return res.status(400).json({ 
+                error: 'Share with either a user or a group, not both', 
+                code: 'INVALID_SHARE_TARGET' 
+            });
+        }
         
-        if (!isValidUUID(userId)) {
+        if (userId && !isValidUUID(userId)) {
             return res.status(400).json({ 
                 error: 'Invalid user ID format. Must be a valid UUID.', 
                 code: 'INVALID_USER_ID_FORMAT' 
             });
         }
+
+        if (groupId && !isValidUUID(groupId)) {
+            return res.status(400).json({ 
+                error: 'Invalid group ID format. Must be a valid UUID.', 
+                code: 'INVALID_GROUP_ID_FORMAT' 
+            });
+        }
         
         if (!permissionLevel) {
             return res.status(400).json({ 
@@ -96,13 +87,9 @@ router.post('/:pageId/share', authenticateUser, validatePageId, async (req, res)
             });
         }
         
-        const result = await pageShareController.createPageShare(
-            pageId, 
-            userId, 
-            sharedByUserId, 
-            permissionLevel,
-            req
-        );
+        const result = groupId
+            ? await pageShareController.createGroupPageShare(pageId, groupId, sharedByUserId, permissionLevel, req)
+            : await pageShareController.createPageShare(pageId, userId, sharedByUserId, permissionLevel, req);
         
         res.status(201).json({
             success: true,
@@ -112,13 +99,17 @@ router.post('/:pageId/share', authenticateUser, validatePageId, async (req, res)
     } catch (error) {
         console.error(`Error creating page share for page ${req.params.pageId}:`, error);
         
-        if (error.code === 'PAGE_NOT_FOUND') {
+        if (error.code === 'PAGE_NOT_FOUND' || error.code === 'USER_NOT_FOUND' || error.code === 'GROUP_NOT_FOUND') {
             return res.status(404).json({ error: error.message, code: error.code });
         }
         
         if (error.code === 'CANNOT_SHARE_WITH_SELF') {
             return res.status(400).json({ error: error.message, code: error.code });
         }
+
+        if (error.code === 'INSUFFICIENT_PERMISSIONS') {
+            return res.status(403).json({ error: error.message, code: error.code });
+        }
         
         if (error.code === 'SHARE_ALREADY_EXISTS') {
             return res.status(409).json({ error: error.message, code: error.code });
@@ -132,7 +123,7 @@ router.post('/:pageId/share', authenticateUser, validatePageId, async (req, res)
 });
 
 // PUT /api/pages/{pageId}/share/{shareId} - Update page share permissions
-router.put('/:pageId/share/:shareId', authenticateUser, validatePageId, validateShareId, async (req, res) => {
+router.put('/:pageId/share/:shareId', authenticate, requirePageAccess('edit'), validateShareId, async (req, res) => {
     try {
         const { pageId, shareId } = req.params;
         const { permissionLevel } = req.body;
@@ -189,7 +180,7 @@ router.put('/:pageId/share/:shareId', authenticateUser, validatePageId, validate
 });
 
 // DELETE /api/pages/{pageId}/share/{shareId} - Delete page share
-router.delete('/:pageId/share/:shareId', authenticateUser, validatePageId, validateShareId, async (req, res) => {
+router.delete('/:pageId/share/:shareId', authenticate, requirePageAccess('edit'), validateShareId, async (req, res) => {
     try {
         const { pageId, shareId } = req.params;
         const requestingUserId = req.user.id;
@@ -225,7 +216,7 @@ router.delete('/:pageId/share/:shareId', authenticateUser, validatePageId, valid
 });
 
 // GET /api/pages/{pageId}/share - Get all shares for a page
-router.get('/:pageId/share', authenticateUser, validatePageId, async (req, res) => {
+router.get('/:pageId/share', authenticate, requirePageAccess('edit'), async (req, res) => {
     try {
         const { pageId } = req.params;
         const requestingUserId = req.user.id;
@@ -255,26 +246,8 @@ router.get('/:pageId/share', authenticateUser, validatePageId, async (req, res)
     }
 });
 
-// GET /api/users/me/shared-pages - Get all pages shared with authenticated user
-router.get('/users/me/shared-pages', authenticateUser, async (req, res) => {
-    try {
-        const userId = req.user.id;
-        
-        const sharedPages = await pageShareController.getSharedPages(userId, req);
-        
-        res.json(sharedPages);
-    } catch (error) {
-        console.error(`Error fetching shared pages for user ${req.user.id}:`, error);
-        
-        res.status(500).json({ 
-            error: 'Internal server error', 
-            code: 'INTERNAL_SERVER_ERROR' 
-        });
-    }
-});
-
 // GET /api/pages/{pageId}/share/stats - Get share statistics for a page
-router.get('/:pageId/share/stats', authenticateUser, validatePageId, async (req, res) => {
+router.get('/:pageId/share/stats', authenticate, requirePageAccess('edit'), async (req, res) => {
     try {
         const { pageId } = req.params;
         
@@ -3,12 +3,21 @@
  * Work Order #31: Implement Page Version Management API Endpoints
  * 
  * This module provides API endpoints for managing page versions,
- * including creating, listing, retrieving, and reverting page versions.
+ * including creating, listing, retrieving, comparing, reverting, selectively
+ * restoring and pruning page versions.
  */
 
 const express = require('express');
 const router = express.Router();
 const pageVersionController = require('../controllers/pageVersionController');
+const PageVersion = require('../models/PageVersion');
+const { authenticate } = require('../middleware/auth');
+const { requirePageAccess } = require('../middleware/pageAccess');
+
+// All version routes require an authenticated user. Reading versions needs
+// view access to the page; creating, reverting, restoring and pruning need
+// edit access.
+router.use(authenticate);
 
 // Helper for UUID validation
 const isValidUUID = (uuid) => {
@@ -44,10 +53,10 @@ const validateVersionId = (req, res, next) => {
 };
 
 // POST /api/pages/{pageId}/versions - Create a new page version
-router.post('/:pageId/versions', validatePageId, async (req, res) => {
+router.post('/:pageId/versions', validatePageId, requirePageAccess('edit'), async (req, res) => {
     try {
         const { pageId } = req.params;
-        const { versionName, changeDescription } = req.body;
+        const { versionName, changeDescription, auto = false, checkpointReason } = req.body;
         
         // Validate request body
         if (versionName && typeof versionName !== 'string') {
@@ -64,11 +73,33 @@ router.post('/:pageId/versions', validatePageId, async (req, res) => {
             });
         }
         
+        if (typeof auto !== 'boolean') {
+            return res.status(400).json({ 
+                error: 'auto must be a boolean', 
+                code: 'INVALID_AUTO_TYPE' 
+            });
+        }
+        
+        if (checkpointReason !== undefined && (!auto || !PageVersion.CHECKPOINT_REASONS.includes(checkpointReason))) {
+            return res.status(400).json({ 
+                error: `checkpointReason is only allowed with auto and must be one of: ${PageVersion.CHECKPOINT_REASONS.join(', ')}`, 
+                code: 'INVALID_CHECKPOINT_REASON' 
+            });
+        }
+        
         const result = await pageVersionController.createPageVersion(pageId, {
+            userId: req.user.id,
             versionName,
-            changeDescription
+            changeDescription,
+            auto,
+            checkpointReason
         });
         
+        // An automatic checkpoint of an unchanged page is skipped
+        if (!result) {
+            return res.status(204).end();
+        }
+        
         res.status(201).json(result);
     } catch (error) {
         console.error(`Error creating page version for page ${req.params.pageId}:`, error);
@@ -89,7 +120,7 @@ router.post('/:pageId/versions', validatePageId, async (req, res) => {
 });
 
 // GET /api/pages/{pageId}/versions - Get all versions for a page
-router.get('/:pageId/versions', validatePageId, async (req, res) => {
+router.get('/:pageId/versions', validatePageId, requirePageAccess('view'), async (req, res) => {
     try {
         const { pageId } = req.params;
         
@@ -110,8 +141,47 @@ router.get('/:pageId/versions', validatePageId, async (req, res) => {
     }
 });
 
+// POST /api/pages/{pageId}/versions/prune - Prune versions according to a retention policy
+router.post('/:pageId/versions/prune', validatePageId, requirePageAccess('edit'), async (req, res) => {
+    try {
+        const { pageId } = req.params;
+        const { keepLast, maxAgeDays, keepNamed = true, dryRun = false } = req.body;
+
+        // Validate request body (the policy itself is validated by the controller)
+        if (typeof dryRun !== 'boolean') {
+            return res.status(400).json({
+                error: 'dryRun must be a boolean',
+                code: 'INVALID_DRY_RUN_TYPE'
+            });
+        }
+
+        const result = await pageVersionController.prunePageVersions(
+            pageId,
+            { keepLast, maxAgeDays, keepNamed },
+            { dryRun }
+        );
+
+        res.json(result);
+    } catch (error) {
+        console.error(`Error pruning versions for page ${req.params.pageId}:`, error);
+
+        if (error.code === 'PAGE_NOT_FOUND') {
+            return res.status(404).json({ error: error.message, code: error.code });
+        }
+
+        if (error.code === 'INVALID_RETENTION_POLICY') {
+            return res.status(400).json({ error: error.message, code: error.code });
+        }
+
+        res.status(500).json({
+            error: 'Internal server error',
+            code: 'INTERNAL_SERVER_ERROR'
+        });
+    }
+});
+
 // GET /api/pages/{pageId}/versions/{versionId} - Get specific version content
-router.get('/:pageId/versions/:versionId', validatePageId, validateVersionId, async (req, res) => {
+router.get('/:pageId/versions/:versionId', validatePageId, validateVersionId, requirePageAccess('view'), async (req, res) => {
     try {
         const { pageId, versionId } = req.params;
         
@@ -136,8 +206,42 @@ router.get('/:pageId/versions/:versionId', validatePageId, validateVersionId, as
     }
 });
 
+// GET /api/pages/{pageId}/versions/{a}/diff/{b} - Diff two versions ('current' for the current page)
+router.get('/:pageId/versions/:fromVersionId/diff/:toVersionId', validatePageId, requirePageAccess('view'), async (req, res) => {
+    try {
+        const { pageId, fromVersionId, toVersionId } = req.params;
+
+        const isVersionRef = (versionId) => versionId === pageVersionController.CURRENT_VERSION_ID || isValidUUID(versionId);
+        if (!isVersionRef(fromVersionId) || !isVersionRef(toVersionId)) {
+            return res.status(400).json({
+                error: `Invalid version ID format. Must be a valid UUID or '${pageVersionController.CURRENT_VERSION_ID}'.`,
+                code: 'INVALID_VERSION_ID_FORMAT'
+            });
+        }
+
+        const diff = await pageVersionController.getPageVersionDiff(pageId, fromVersionId, toVersionId);
+
+        res.json(diff);
+    } catch (error) {
+        console.error(`Error diffing versions ${req.params.fromVersionId} and ${req.params.toVersionId} for page ${req.params.pageId}:`, error);
+
+        if (error.code === 'PAGE_NOT_FOUND') {
+            return res.status(404).json({ error: error.message, code: error.code });
+        }
+
+        if (error.code === 'VERSION_NOT_FOUND') {
+            return res.status(404).json({ error: error.message, code: error.code });
+        }
+
+        res.status(500).json({
+            error: 'Internal server error',
+            code: 'INTERNAL_SERVER_ERROR'
+        });
+    }
+});
+
 // POST /api/pages/{pageId}/revert/{versionId} - Revert page to specific version
-router.post('/:pageId/revert/:versionId', validatePageId, validateVersionId, async (req, res) => {
+router.post('/:pageId/revert/:versionId', validatePageId, validateVersionId, requirePageAccess('edit'), async (req, res) => {
     try {
         const { pageId, versionId } = req.params;
         const { createBackup = true } = req.body;
@@ -175,4 +279,46 @@ router.post('/:pageId/revert/:versionId', validatePageId, validateVersionId, asy
     }
 });
 
+// POST /api/pages/{pageId}/versions/{versionId}/restore - Restore selected components of a version
+router.post('/:pageId/versions/:versionId/restore', validatePageId, validateVersionId, requirePageAccess('edit'), async (req, res) => {
+    try {
+        const { pageId, versionId } = req.params;
+        const { componentIds, items, createBackup = true } = req.body;
+        
+        // Validate request body (the selection itself is validated by the controller)
+        if (typeof createBackup !== 'boolean') {
+            return res.status(400).json({ 
+                error: 'createBackup must be a boolean', 
+                code: 'INVALID_CREATE_BACKUP_TYPE' 
+            });
+        }
+        
+        const result = await pageVersionController.restorePageComponents(pageId, versionId, { componentIds, items }, {
+            createBackup,
+            userId: req.user.id
+        });
+        
+        res.json(result);
+    } catch (error) {
+        console.error(`Error restoring components of page ${req.params.pageId} from version ${req.params.versionId}:`, error);
+        
+        if (['PAGE_NOT_FOUND', 'VERSION_NOT_FOUND', 'COMPONENT_NOT_FOUND', 'ITEM_NOT_FOUND'].includes(error.code)) {
+            return res.status(404).json({ error: error.message, code: error.code });
+        }
+        
+        if (error.code === 'INVALID_RESTORE_SELECTION') {
+            return res.status(400).json({ error: error.message, code: error.code });
+        }
+        
+        if (error.code === 'COMPONENT_NOT_ON_PAGE' || error.code === 'REVISION_CONFLICT') {
+            return res.status(409).json({ error: error.message, code: error.code });
+        }
+        
+        res.status(500).json({ 
+            error: 'Internal server error', 
+            code: 'INTERNAL_SERVER_ERROR' 
+        });
+    }
+});
+
 module.exports = router;
@@ -10,12 +10,100 @@ const express = require('express');
 const router = express.Router();
 const pageRepository = require('../data/pageRepository');
 const Page = require('../models/Page');
+const { authenticate } = require('../middleware/auth');
+const { requirePageAccess, resolvePagePermission } = require('../middleware/pageAccess');
+const { diffComponents } = require('../utils/componentDiff');
+const { renderPageDocument, collectImageUrls } = require('../utils/pageRenderer');
+const pageExportService = require('../services/pageExportService');
+const imageUploadService = require('../services/imageUploadService');
+const templateService = require('../services/templateService');
+const pageTemplateController = require('../controllers/pageTemplateController');
+const { PAGE_STATUSES } = require('../controllers/pagePublishController');
+const { parseListQuery, paginate } = require('../utils/pagination');
+
+// Fields GET /api/pages can sort by
+const PAGE_SORT_FIELDS = ['createdAt', 'updatedAt'];
+
+// All page routes require an authenticated user
+router.use(authenticate);
+
+/**
+ * Build the ETag for a page revision
+ * @param {number} revision - Page revision
+ * @returns {string} Quoted entity tag
+ */
+const revisionETag = (revision) => `"${revision}"`;
+
+/**
+ * Read the revision a PUT request was based on, from the If-Match header
+ * (e.g. If-Match: "3") or a `revision` body field. If-Match: * matches any
+ * revision and skips the check.
+ * @param {Object} req - Express request
+ * @returns {Object} { revision } (undefined for *), { missing: true } or { error } when malformed
+ */
+const getExpectedRevision = (req) => {
+    const ifMatch = req.get('If-Match');
+
+    if (ifMatch !== undefined) {
+        if (ifMatch.trim() === '*') {
+            return { revision: undefined };
+        }
+
+        const match = ifMatch.trim().match(/^(?:W\/)?"(\d+)"$/);
+        if (!match) {
+            return { error: 'If-Match must be a page ETag such as "3"' };
+        }
+        return { revision: Number(match[1]) };
+    }
+
+    if (req.body && req.body.revision !== undefined) {
+        if (!Number.isInteger(req.body.revision) || req.body.revision < 1) {
+            return { error: 'revision must be a positive integer' };
+        }
+        return { revision: req.body.revision };
+    }
+
+    return { missing: true };
+};
+
+/**
+ * GET /api/pages/outdated
+ * List the pages the user can view that are pinned to an older version of
+ * their template. Query parameter: templateId.
+ */
+router.get('/outdated', async (req, res) => {
+    try {
+        const { templateId } = req.query;
+
+        if (templateId !== undefined && !pageRepository.isValidUUID(templateId)) {
+            return res.status(400).json({
+                error: 'Invalid template ID format. Must be a valid UUID.',
+                code: 'INVALID_TEMPLATE_ID_FORMAT'
+            });
+        }
+
+        const pages = await pageTemplateController.getOutdatedPages(
+            req.user,
+            req.app.locals.pageShareService,
+            { templateId }
+        );
+
+        res.json(pages);
+    } catch (error) {
+        console.error('Error in GET /api/pages/outdated:', error);
+        res.status(500).json({
+            error: 'Internal server error',
+            code: 'INTERNAL_SERVER_ERROR',
+            message: error.message
+        });
+    }
+});
 
 /**
  * GET /api/pages/:pageId
- * Retrieve a page by ID with its components
+ * Retrieve a page by ID with its components (requires view access)
  */
-router.get('/:pageId', async (req, res) => {
+router.get('/:pageId', requirePageAccess('view'), async (req, res) => {
     try {
         const { pageId } = req.params;
 
@@ -46,13 +134,22 @@ router.get('/:pageId', async (req, res) => {
             });
         }
 
-        // Return page data
+        // Return page data with the caller's permission level
+        res.set('ETag', revisionETag(page.revision));
         res.json({
             id: page.id,
             templateId: page.templateId,
+            templateVersion: page.templateVersion,
+            ownerId: page.ownerId,
             components: page.components,
+            revision: page.revision,
+            status: page.status,
+            publishedVersionId: page.publishedVersionId,
+            publishedAt: page.publishedAt,
+            scheduledPublishAt: page.scheduledPublishAt,
             createdAt: page.createdAt,
-            updatedAt: page.updatedAt
+            updatedAt: page.updatedAt,
+            permissionLevel: req.pageAccess.permissionLevel
         });
 
     } catch (error) {
@@ -65,11 +162,39 @@ router.get('/:pageId', async (req, res) => {
     }
 });
 
+/**
+ * Respond 409 for an update made against an outdated revision
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Object} currentPage - Current page data
+ * @param {Object} details - Extra response fields (e.g. diff)
+ */
+const sendRevisionConflict = (req, res, currentPage, details = {}) => {
+    res.set('ETag', revisionETag(currentPage.revision));
+    return res.status(409).json({
+        error: 'The page has been modified since it was loaded',
+        code: 'REVISION_CONFLICT',
+        expectedRevision: getExpectedRevision(req).revision,
+        currentRevision: currentPage.revision,
+        ...details,
+        currentPage: {
+            id: currentPage.id,
+            components: currentPage.components,
+            revision: currentPage.revision,
+            updatedAt: currentPage.updatedAt
+        }
+    });
+};
+
 /**
  * PUT /api/pages/:pageId
- * Update page components with validation and atomic updates
+ * Update page components with validation and atomic updates (requires edit access).
+ * The request must name the revision it was based on with If-Match or a
+ * `revision` body field; if the page has changed since, responds 409 with the
+ * current revision and a component diff instead of overwriting. Rich text is
+ * sanitized before it is saved; `sanitized` lists what was removed.
  */
-router.put('/:pageId', async (req, res) => {
+router.put('/:pageId', requirePageAccess('edit'), async (req, res) => {
     try {
         const { pageId } = req.params;
         const { components } = req.body;
@@ -113,6 +238,21 @@ router.put('/:pageId', async (req, res) => {
             });
         }
 
+        // Require the revision the changes were based on
+        const expectedRevision = getExpectedRevision(req);
+        if (expectedRevision.error) {
+            return res.status(400).json({
+                error: expectedRevision.error,
+                code: 'INVALID_REVISION'
+            });
+        }
+        if (expectedRevision.missing) {
+            return res.status(428).json({
+                error: 'Updates must include the page revision in an If-Match header or a revision field',
+                code: 'REVISION_REQUIRED'
+            });
+        }
+
         // Additional validation using Page model
         const page = new Page({ id: pageId, components });
         const validation = page.validateComponents(components);
@@ -135,18 +275,32 @@ router.put('/:pageId', async (req, res) => {
         }
 
         // Update page components atomically
-        const updatedPage = await pageRepository.updatePageComponents(pageId, components);
+        const updatedPage = await pageRepository.updatePageComponents(pageId, components, {
+            expectedRevision: expectedRevision.revision
+        });
 
         // Return updated page data
+        res.set('ETag', revisionETag(updatedPage.revision));
         res.json({
             id: updatedPage.id,
             templateId: updatedPage.templateId,
+            ownerId: updatedPage.ownerId,
             components: updatedPage.components,
+            revision: updatedPage.revision,
             createdAt: updatedPage.createdAt,
-            updatedAt: updatedPage.updatedAt
+            updatedAt: updatedPage.updatedAt,
+            sanitized: updatedPage.sanitized
         });
 
     } catch (error) {
+        // Someone else saved first: report what the server has now
+        if (error.code === 'REVISION_CONFLICT') {
+            // Changes on the server relative to the submitted components
+            return sendRevisionConflict(req, res, error.currentPage, {
+                diff: diffComponents(req.body.components, error.currentPage.components)
+            });
+        }
+
         console.error('Error in PUT /api/pages/:pageId:', error);
         
         // Handle specific error types
@@ -174,13 +328,217 @@ router.put('/:pageId', async (req, res) => {
     }
 });
 
+/**
+ * PATCH /api/pages/:pageId
+ * Apply component-level operations atomically (requires edit access).
+ * Body: { operations: [...] } (see src/utils/pageOperations.js). If-Match or
+ * a `revision` body field is optional; when given, the patch is rejected with
+ * 409 if the page has changed since that revision.
+ */
+router.patch('/:pageId', requirePageAccess('edit'), async (req, res) => {
+    try {
+        const { pageId } = req.params;
+        const { operations } = req.body || {};
+
+        if (!Array.isArray(operations)) {
+            return res.status(400).json({
+                error: 'operations must be an array',
+                code: 'INVALID_OPERATIONS'
+            });
+        }
+
+        const expectedRevision = getExpectedRevision(req);
+        if (expectedRevision.error) {
+            return res.status(400).json({
+                error: expectedRevision.error,
+                code: 'INVALID_REVISION'
+            });
+        }
+
+        const { page: updatedPage, results } = await pageRepository.applyComponentOperations(pageId, operations, {
+            expectedRevision: expectedRevision.revision
+        });
+
+        res.set('ETag', revisionETag(updatedPage.revision));
+        res.json({
+            id: updatedPage.id,
+            templateId: updatedPage.templateId,
+            ownerId: updatedPage.ownerId,
+            components: updatedPage.components,
+            revision: updatedPage.revision,
+            createdAt: updatedPage.createdAt,
+            updatedAt: updatedPage.updatedAt,
+            sanitized: updatedPage.sanitized,
+            results
+        });
+
+    } catch (error) {
+        if (error.code === 'REVISION_CONFLICT') {
+            return sendRevisionConflict(req, res, error.currentPage);
+        }
+
+        if (error.code === 'INVALID_PAGE_OPERATION') {
+            return res.status(400).json({
+                error: error.message,
+                code: error.code,
+                operationIndex: error.operationIndex
+            });
+        }
+
+        if (error.message.includes('Page not found')) {
+            return res.status(404).json({
+                error: 'Page not found',
+                code: 'PAGE_NOT_FOUND',
+                pageId: req.params.pageId
+            });
+        }
+
+        console.error('Error in PATCH /api/pages/:pageId:', error);
+        res.status(500).json({
+            error: 'Internal server error',
+            code: 'INTERNAL_SERVER_ERROR',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * POST /api/pages/:pageId/upgrade-template
+ * Upgrade the page to the latest version of its template (requires edit
+ * access). Components added to the template are inserted and components the
+ * user has not edited get the new defaults; edited content is kept. If-Match
+ * or a `revision` body field is optional, as for PATCH.
+ */
+router.post('/:pageId/upgrade-template', requirePageAccess('edit'), async (req, res) => {
+    try {
+        const expectedRevision = getExpectedRevision(req);
+        if (expectedRevision.error) {
+            return res.status(400).json({
+                error: expectedRevision.error,
+                code: 'INVALID_REVISION'
+            });
+        }
+
+        const result = await pageTemplateController.upgradePageTemplate(req.params.pageId, {
+            expectedRevision: expectedRevision.revision
+        });
+
+        res.set('ETag', revisionETag(result.page.revision));
+        res.json({
+            id: result.page.id,
+            templateId: result.page.templateId,
+            templateVersion: result.page.templateVersion,
+            fromTemplateVersion: result.fromVersion,
+            components: result.page.components,
+            revision: result.page.revision,
+            added: result.added,
+            updated: result.updated,
+            kept: result.kept,
+            updatedAt: result.page.updatedAt
+        });
+    } catch (error) {
+        if (error.code === 'REVISION_CONFLICT') {
+            return sendRevisionConflict(req, res, error.currentPage);
+        }
+
+        if (error.code === 'PAGE_NOT_FOUND') {
+            return res.status(404).json({ error: error.message, code: error.code, pageId: req.params.pageId });
+        }
+
+        if (error.code === 'TEMPLATE_VERSION_UNKNOWN' || error.code === 'TEMPLATE_VERSION_NOT_FOUND') {
+            return res.status(409).json({ error: error.message, code: error.code });
+        }
+
+        console.error('Error in POST /api/pages/:pageId/upgrade-template:', error);
+
+        if (error.message.includes('Component validation failed')) {
+            return res.status(400).json({
+                error: 'Component validation failed',
+                code: 'COMPONENT_VALIDATION_ERROR',
+                message: error.message
+            });
+        }
+
+        res.status(500).json({
+            error: 'Internal server error',
+            code: 'INTERNAL_SERVER_ERROR',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * GET /api/pages/:pageId/export
+ * Download the page as standalone HTML (requires view access).
+ * Query: format=html|zip (default html), images=reference|inline (default reference)
+ */
+router.get('/:pageId/export', requirePageAccess('view'), async (req, res) => {
+    try {
+        const { format, images } = req.query;
+
+        const exported = await pageExportService.exportPage(req.page, { format, images });
+
+        res.set('Content-Type', exported.contentType);
+        res.set('Content-Disposition', `attachment; filename="${exported.fileName}"`);
+        res.send(exported.body);
+
+    } catch (error) {
+        if (error.code === 'INVALID_EXPORT_FORMAT' || error.code === 'INVALID_EXPORT_OPTION') {
+            return res.status(400).json({
+                error: error.message,
+                code: error.code
+            });
+        }
+
+        console.error('Error in GET /api/pages/:pageId/export:', error);
+        res.status(500).json({
+            error: 'Internal server error',
+            code: 'INTERNAL_SERVER_ERROR',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * POST /api/pages/preview
+ * Render components with the export renderer, for previewing unsaved edits.
+ * Body: { components: [...] }. Responds with an HTML document.
+ */
+router.post('/preview', async (req, res) => {
+    try {
+        const { components } = req.body || {};
+
+        if (!Array.isArray(components)) {
+            return res.status(400).json({
+                error: 'components must be an array',
+                code: 'INVALID_COMPONENTS'
+            });
+        }
+
+        const srcsets = await imageUploadService.getImageSrcsets(collectImageUrls(components));
+
+        res.type('html').send(renderPageDocument({ components }, { imageSrcset: url => srcsets.get(url) }));
+
+    } catch (error) {
+        console.error('Error in POST /api/pages/preview:', error);
+        res.status(500).json({
+            error: 'Internal server error',
+            code: 'INTERNAL_SERVER_ERROR',
+            message: error.message
+        });
+    }
+});
+
 /**
  * POST /api/pages
- * Create a new page (bonus endpoint for completeness)
+ * Create a new page owned by the authenticated user. Pages created from a
+ * catalog template are pinned to its latest version and, when no components
+ * are given, start with the template's components.
  */
 router.post('/', async (req, res) => {
     try {
-        const { templateId, components = [] } = req.body;
+        const { templateId } = req.body;
+        let { components = [] } = req.body;
 
         // Validate request body
         if (!req.body || typeof req.body !== 'object') {
@@ -213,16 +571,29 @@ router.post('/', async (req, res) => {
             });
         }
 
+        // Pin the page to the latest revision of a catalog template
+        const templateVersion = await pageTemplateController.getLatestTemplateVersion(templateId);
+        if (templateVersion && req.body.components === undefined) {
+            const revision = await templateService.getTemplateVersion(templateId, templateVersion);
+            components = Page.createFromTemplate(revision).components;
+        }
+
         // Create new page
-        const newPage = await pageRepository.createPage(templateId, components);
+        const newPage = await pageRepository.createPage(templateId, components, req.user.id, templateVersion);
 
         // Return created page data
+        res.set('ETag', revisionETag(newPage.revision));
         res.status(201).json({
             id: newPage.id,
             templateId: newPage.templateId,
+            templateVersion: newPage.templateVersion,
+            ownerId: newPage.ownerId,
             components: newPage.components,
+            revision: newPage.revision,
+            status: newPage.status,
             createdAt: newPage.createdAt,
-            updatedAt: newPage.updatedAt
+            updatedAt: newPage.updatedAt,
+            sanitized: newPage.sanitized
         });
 
     } catch (error) {
@@ -246,9 +617,9 @@ router.post('/', async (req, res) => {
 
 /**
  * DELETE /api/pages/:pageId
- * Delete a page (bonus endpoint for completeness)
+ * Delete a page (requires edit access)
  */
-router.delete('/:pageId', async (req, res) => {
+router.delete('/:pageId', requirePageAccess('edit'), async (req, res) => {
     try {
         const { pageId } = req.params;
 
@@ -293,12 +664,67 @@ router.delete('/:pageId', async (req, res) => {
 
 /**
  * GET /api/pages
- * Get all pages (bonus endpoint for debugging/admin)
+ * List the pages the authenticated user can view, with cursor pagination
+ * (see ../utils/pagination.js). Filters: templateId, ownerId, status and
+ * componentType (pages containing a component of that type).
  */
 router.get('/', async (req, res) => {
     try {
+        const { templateId, ownerId, status, componentType } = req.query;
+
+        let listQuery;
+        try {
+            listQuery = parseListQuery(req.query, {
+                sortFields: PAGE_SORT_FIELDS,
+                defaultSortBy: 'updatedAt',
+                defaultOrder: 'desc'
+            });
+        } catch (error) {
+            return res.status(400).json({ error: error.message, code: error.code });
+        }
+
+        if (templateId !== undefined && !pageRepository.isValidUUID(templateId)) {
+            return res.status(400).json({
+                error: 'Invalid template ID format. Must be a valid UUID.',
+                code: 'INVALID_TEMPLATE_ID_FORMAT'
+            });
+        }
+
+        if (ownerId !== undefined && typeof ownerId !== 'string') {
+            return res.status(400).json({
+                error: 'Owner ID must be a string',
+                code: 'INVALID_OWNER_ID'
+            });
+        }
+
+        if (status !== undefined && !PAGE_STATUSES.includes(status)) {
+            return res.status(400).json({
+                error: `Status must be one of: ${PAGE_STATUSES.join(', ')}`,
+                code: 'INVALID_STATUS'
+            });
+        }
+
+        if (componentType !== undefined && typeof componentType !== 'string') {
+            return res.status(400).json({
+                error: 'Component type must be a string',
+                code: 'INVALID_COMPONENT_TYPE'
+            });
+        }
+
+        const pageShareService = req.app.locals.pageShareService;
         const pages = await pageRepository.getAllPages();
-        res.json(pages);
+
+        const accessiblePages = pages
+            .filter(page => templateId === undefined || page.templateId === templateId)
+            .filter(page => ownerId === undefined || page.ownerId === ownerId)
+            .filter(page => status === undefined || page.status === status)
+            .filter(page => componentType === undefined || page.componentTypes.includes(componentType))
+            .map(page => ({ ...page, permissionLevel: resolvePagePermission(page, req.user, pageShareService) }))
+            .filter(page => page.permissionLevel);
+
+        const { items, pagination } = paginate(accessiblePages, listQuery);
+
+        res.json({ pages: items, pagination });
     } catch (error) {
         console.error('Error in GET /api/pages:', error);
         res.status(500).json({
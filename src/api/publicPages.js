@@ -0,0 +1,68 @@
+/**
+ * Public Page API Routes
+ *
+ * Read-only, unauthenticated access to published pages. Only the snapshot
+ * taken when the page was published is served; pages that are not
+ * published respond 404.
+ */
+
+const express = require('express');
+const router = express.Router();
+const pagePublishController = require('../controllers/pagePublishController');
+const imageUploadService = require('../services/imageUploadService');
+const { renderPageDocument, collectImageUrls } = require('../utils/pageRenderer');
+const { isValidUUIDAnyVersion } = require('../utils/uuidValidation');
+
+/**
+ * Respond to an error from the publish controller
+ * @param {Object} res - Express response
+ * @param {Error} error - Error
+ */
+const sendError = (res, error) => {
+    if (error.code === 'PAGE_NOT_FOUND') {
+        return res.status(404).json({ error: error.message, code: error.code });
+    }
+
+    console.error('Error serving published page:', error);
+    res.status(500).json({
+        error: 'Internal server error',
+        code: 'INTERNAL_SERVER_ERROR'
+    });
+};
+
+// Middleware to validate pageId parameter
+const validatePageId = (req, res, next) => {
+    if (!isValidUUIDAnyVersion(req.params.pageId)) {
+        return res.status(400).json({
+            error: 'Invalid page ID format. Must be a valid UUID.',
+            code: 'INVALID_PAGE_ID_FORMAT'
+        });
+    }
+
+    next();
+};
+
+// GET /api/public/pages/{pageId} - Published page as JSON
+router.get('/:pageId', validatePageId, async (req, res) => {
+    try {
+        const page = await pagePublishController.getPublishedPage(req.params.pageId);
+
+        res.json(page);
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+// GET /api/public/pages/{pageId}/html - Published page rendered as an HTML document
+router.get('/:pageId/html', validatePageId, async (req, res) => {
+    try {
+        const page = await pagePublishController.getPublishedPage(req.params.pageId);
+        const srcsets = await imageUploadService.getImageSrcsets(collectImageUrls(page.components));
+
+        res.type('html').send(renderPageDocument(page, { imageSrcset: url => srcsets.get(url) }));
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+module.exports = router;
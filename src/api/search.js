@@ -0,0 +1,112 @@
+/**
+ * Search API Routes
+ *
+ * Full-text search across the pages the user can view (see
+ * src/controllers/searchController.js).
+ */
+
+const express = require('express');
+const router = express.Router();
+const searchController = require('../controllers/searchController');
+const { SEARCHABLE_COMPONENT_TYPES } = require('../services/searchIndexService');
+const { authenticate } = require('../middleware/auth');
+const { isValidUUID } = require('../utils/uuidValidation');
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+const MAX_QUERY_LENGTH = 200;
+
+router.use(authenticate);
+
+/**
+ * Parse a date query parameter
+ * @param {string} value - Query value
+ * @returns {Date|null|undefined} Date, undefined when absent, null when invalid
+ */
+function parseDate(value) {
+    if (value === undefined) {
+        return undefined;
+    }
+
+    const date = new Date(value);
+    return typeof value === 'string' && !isNaN(date.getTime()) ? date : null;
+}
+
+// GET /api/search?q= - Search pages by component text
+router.get('/', async (req, res) => {
+    try {
+        const { q, templateId, componentType, updatedAfter, updatedBefore } = req.query;
+
+        if (typeof q !== 'string' || !q.trim()) {
+            return res.status(400).json({
+                error: 'Search query (q) is required',
+                code: 'MISSING_QUERY'
+            });
+        }
+
+        if (q.length > MAX_QUERY_LENGTH) {
+            return res.status(400).json({
+                error: `Search query must be at most ${MAX_QUERY_LENGTH} characters`,
+                code: 'QUERY_TOO_LONG'
+            });
+        }
+
+        if (templateId !== undefined && !isValidUUID(templateId)) {
+            return res.status(400).json({
+                error: 'Invalid template ID format. Must be a valid UUID.',
+                code: 'INVALID_TEMPLATE_ID_FORMAT'
+            });
+        }
+
+        // componentType=TextComponent,CardComponent or repeated componentType parameters
+        let componentTypes;
+        if (componentType !== undefined) {
+            componentTypes = [].concat(componentType).join(',').split(',').map(type => type.trim()).filter(Boolean);
+            const unknown = componentTypes.filter(type => !SEARCHABLE_COMPONENT_TYPES.includes(type));
+            if (componentTypes.length === 0 || unknown.length > 0) {
+                return res.status(400).json({
+                    error: `Component type must be one of: ${SEARCHABLE_COMPONENT_TYPES.join(', ')}`,
+                    code: 'INVALID_COMPONENT_TYPE'
+                });
+            }
+        }
+
+        const after = parseDate(updatedAfter);
+        const before = parseDate(updatedBefore);
+        if (after === null || before === null) {
+            return res.status(400).json({
+                error: 'updatedAfter and updatedBefore must be valid dates',
+                code: 'INVALID_DATE'
+            });
+        }
+
+        const limit = req.query.limit === undefined ? DEFAULT_LIMIT : Number(req.query.limit);
+        const offset = req.query.offset === undefined ? 0 : Number(req.query.offset);
+        if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT || !Number.isInteger(offset) || offset < 0) {
+            return res.status(400).json({
+                error: `limit must be an integer from 1 to ${MAX_LIMIT} and offset a non-negative integer`,
+                code: 'INVALID_PAGINATION'
+            });
+        }
+
+        const result = await searchController.searchPages(req.user, req.app.locals.pageShareService, {
+            query: q.trim(),
+            templateId,
+            componentTypes,
+            updatedAfter: after,
+            updatedBefore: before,
+            limit,
+            offset
+        });
+
+        res.json(result);
+    } catch (error) {
+        console.error('Error in GET /api/search:', error);
+        res.status(500).json({
+            error: 'Internal server error',
+            code: 'INTERNAL_SERVER_ERROR'
+        });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,122 @@
+/**
+ * Template API Routes
+ *
+ * Public template catalog used by the template browser and the editor.
+ * Backed by the same template service as the admin routes, and responds
+ * with the same { success, data, message } shape and template fields.
+ */
+
+const express = require('express');
+const router = express.Router();
+const templateService = require('../services/templateService');
+const { authenticate } = require('../middleware/auth');
+const {
+    validateTemplateId,
+    sanitizeTemplateResponse,
+    createErrorResponse,
+    createSuccessResponse
+} = require('../schemas/templateSchemas');
+
+/**
+ * GET /api/templates
+ * List active templates. Query parameters: categoryId (or category),
+ * search (or keyword) and sortBy (name, description, createdAt, updatedAt).
+ */
+router.get('/', async (req, res) => {
+    try {
+        const { categoryId, category, keyword, search, sortBy } = req.query;
+
+        const templates = await templateService.listTemplates({
+            categoryId: categoryId || category,
+            search: search || keyword,
+            sortBy
+        });
+
+        res.json(
+            createSuccessResponse(templates.map(sanitizeTemplateResponse), 'Templates retrieved successfully')
+        );
+    } catch (error) {
+        if (error.code === 'INVALID_SORT_FIELD' || error.code === 'INVALID_CATEGORY_ID') {
+            return res.status(400).json(createErrorResponse(error.message, error.code));
+        }
+
+        console.error('Error fetching templates:', error);
+        res.status(500).json(createErrorResponse('Internal server error', 'INTERNAL_SERVER_ERROR'));
+    }
+});
+
+/**
+ * GET /api/templates/:templateId
+ * Get a single template
+ */
+router.get('/:templateId', async (req, res) => {
+    try {
+        const { templateId } = req.params;
+
+        const idValidation = validateTemplateId(templateId);
+        if (!idValidation.isValid) {
+            return res.status(400).json(
+                createErrorResponse('Invalid template ID', 'INVALID_TEMPLATE_ID', idValidation.errors)
+            );
+        }
+
+        const template = await templateService.getTemplateById(templateId);
+        if (!template || template.isActive === false) {
+            return res.status(404).json(createErrorResponse('Template not found', 'TEMPLATE_NOT_FOUND'));
+        }
+
+        res.json(createSuccessResponse(sanitizeTemplateResponse(template), 'Template retrieved successfully'));
+    } catch (error) {
+        console.error('Error fetching template:', error);
+        res.status(500).json(createErrorResponse('Internal server error', 'INTERNAL_SERVER_ERROR'));
+    }
+});
+
+/**
+ * POST /api/templates
+ * Save the editor's components as a new template (requires authentication).
+ * Editing and deleting templates is done through the admin routes.
+ */
+router.post('/', authenticate, async (req, res) => {
+    try {
+        const { name, description, categoryId, previewImageUrl, components = [] } = req.body;
+
+        if (typeof name !== 'string' || typeof description !== 'string' || typeof categoryId !== 'string'
+            || !name.trim() || !description.trim()) {
+            return res.status(400).json(
+                createErrorResponse('Missing required fields: name, description, categoryId', 'MISSING_REQUIRED_FIELDS')
+            );
+        }
+
+        if (!Array.isArray(components)) {
+            return res.status(400).json(createErrorResponse('Components must be an array', 'INVALID_COMPONENTS_TYPE'));
+        }
+
+        const newTemplate = await templateService.createTemplateFromWizard({
+            name,
+            description,
+            categoryId,
+            previewImageUrl: previewImageUrl || null,
+            components,
+            createdBy: req.user.id,
+            source: 'editor'
+        });
+
+        res.status(201).json(
+            createSuccessResponse(sanitizeTemplateResponse(templateService.enrichTemplate(newTemplate)), 'Template created successfully')
+        );
+    } catch (error) {
+        if (error.code === 'TEMPLATE_NAME_EXISTS') {
+            return res.status(409).json(createErrorResponse(error.message, error.code));
+        }
+
+        if (error.code === 'CATEGORY_NOT_FOUND') {
+            return res.status(400).json(createErrorResponse(error.message, error.code));
+        }
+
+        console.error('Error creating template:', error);
+        res.status(500).json(createErrorResponse('Internal server error', 'INTERNAL_SERVER_ERROR'));
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,167 @@
+/**
+ * User Directory API Routes
+ *
+ * Lets signed-in users find other users, e.g. to share a page, and resolve
+ * user IDs to names. Only directory profiles are returned:
+ * { id, name, email, avatarUrl, team }. Accounts are managed through
+ * /api/admin/users. Also lists the pages shared with the signed-in user.
+ */
+
+const express = require('express');
+const router = express.Router();
+const userService = require('../services/userService');
+const pageShareController = require('../controllers/pageShareController');
+const { authenticate } = require('../middleware/auth');
+const { SEARCH_MODES } = require('../utils/userSearch');
+const { parseListQuery, paginate, MAX_LIMIT } = require('../utils/pagination');
+const { isValidUUIDAnyVersion } = require('../utils/uuidValidation');
+
+const MIN_QUERY_LENGTH = 2;
+const MAX_QUERY_LENGTH = 200;
+
+// Fields GET /api/users/search can sort by
+const SEARCH_SORT_FIELDS = ['relevance', 'name', 'email', 'team'];
+
+router.use(authenticate);
+
+// GET /api/users/search?q=&mode=&sortBy=&order=&limit=&cursor= - Search the user directory
+router.get('/search', async (req, res) => {
+    try {
+        const { q, mode = 'fuzzy' } = req.query;
+
+        if (typeof q !== 'string' || q.trim().length < MIN_QUERY_LENGTH) {
+            return res.json({
+                success: true,
+                data: [],
+                message: `Search query must be at least ${MIN_QUERY_LENGTH} characters`
+            });
+        }
+
+        if (q.length > MAX_QUERY_LENGTH) {
+            return res.status(400).json({
+                error: `Search query cannot exceed ${MAX_QUERY_LENGTH} characters`,
+                code: 'QUERY_TOO_LONG'
+            });
+        }
+
+        if (!SEARCH_MODES.includes(mode)) {
+            return res.status(400).json({
+                error: `mode must be one of: ${SEARCH_MODES.join(', ')}`,
+                code: 'INVALID_SEARCH_MODE'
+            });
+        }
+
+        let listQuery;
+        try {
+            listQuery = parseListQuery(req.query, {
+                sortFields: SEARCH_SORT_FIELDS,
+                defaultSortBy: 'relevance',
+                defaultOrder: 'desc'
+            });
+        } catch (error) {
+            return res.status(400).json({ error: error.message, code: error.code });
+        }
+
+        const matches = await userService.searchUsers(q, { mode });
+        const { items, pagination } = paginate(matches, listQuery);
+
+        res.json({
+            success: true,
+            data: items,
+            query: q,
+            mode,
+            count: items.length,
+            pagination
+        });
+    } catch (error) {
+        console.error('Error searching users:', error);
+        res.status(500).json({
+            error: 'Internal server error',
+            code: 'INTERNAL_SERVER_ERROR'
+        });
+    }
+});
+
+// GET /api/users/lookup?ids=id1,id2 - Resolve user IDs to profiles
+router.get('/lookup', async (req, res) => {
+    try {
+        const { ids } = req.query;
+
+        if (typeof ids !== 'string' || !ids.trim()) {
+            return res.status(400).json({
+                error: 'ids must be a comma-separated list of user IDs',
+                code: 'MISSING_USER_IDS'
+            });
+        }
+
+        const userIds = [...new Set(ids.split(',').map(id => id.trim()).filter(Boolean))];
+        if (userIds.length > MAX_LIMIT) {
+            return res.status(400).json({
+                error: `At most ${MAX_LIMIT} user IDs can be looked up at once`,
+                code: 'TOO_MANY_USER_IDS'
+            });
+        }
+
+        const users = await userService.getUsersByIds(userIds);
+        const profiles = userIds.filter(id => users.has(id)).map(id => users.get(id).toProfileJSON());
+
+        res.json({
+            success: true,
+            data: profiles,
+            notFound: userIds.filter(id => !users.has(id))
+        });
+    } catch (error) {
+        console.error('Error looking up users:', error);
+        res.status(500).json({
+            error: 'Internal server error',
+            code: 'INTERNAL_SERVER_ERROR'
+        });
+    }
+});
+
+// GET /api/users/me/shared-pages - Get all pages shared with authenticated user
+router.get('/me/shared-pages', async (req, res) => {
+    try {
+        const userId = req.user.id;
+
+        const sharedPages = await pageShareController.getSharedPages(userId, req);
+
+        res.json(sharedPages);
+    } catch (error) {
+        console.error(`Error fetching shared pages for user ${req.user.id}:`, error);
+
+        res.status(500).json({
+            error: 'Internal server error',
+            code: 'INTERNAL_SERVER_ERROR'
+        });
+    }
+});
+
+// GET /api/users/:userId - Get a user's profile
+router.get('/:userId', async (req, res) => {
+    try {
+        const { userId } = req.params;
+
+        if (!isValidUUIDAnyVersion(userId)) {
+            return res.status(400).json({
+                error: 'Invalid user ID format. Must be a valid UUID.',
+                code: 'INVALID_USER_ID_FORMAT'
+            });
+        }
+
+        const user = await userService.getUserById(userId);
+        if (!user) {
+            return res.status(404).json({ error: 'User not found', code: 'USER_NOT_FOUND' });
+        }
+
+        res.json({ success: true, data: user.toProfileJSON() });
+    } catch (error) {
+        console.error(`Error fetching user ${req.params.userId}:`, error);
+        res.status(500).json({
+            error: 'Internal server error',
+            code: 'INTERNAL_SERVER_ERROR'
+        });
+    }
+});
+
+module.exports = router;
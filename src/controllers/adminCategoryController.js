@@ -1,10 +1,14 @@
-const categoryService = require('../services/categoryService');
+const templateService = require('../services/templateService');
 const {
     validateCategoryId,
     sanitizeCategoryResponse,
     createErrorResponse,
     createSuccessResponse
 } = require('../schemas/templateSchemas');
+const { parseListQuery, paginate } = require('../utils/pagination');
+
+// Fields GET /api/admin/categories can sort by
+const CATEGORY_LIST_SORT_FIELDS = ['name', 'createdAt', 'updatedAt'];
 
 /**
  * Admin Category Controller
@@ -62,7 +66,7 @@ const createCategory = async (req, res) => {
             description
         };
 
-        const newCategory = await categoryService.createCategory(categoryData);
+        const newCategory = await templateService.createCategory(categoryData);
         const sanitizedCategory = sanitizeCategoryResponse(newCategory);
 
         res.status(201).json(
@@ -117,7 +121,7 @@ const updateCategory = async (req, res) => {
             description
         };
 
-        const updatedCategory = await categoryService.updateCategory(categoryId, updateData);
+        const updatedCategory = await templateService.updateCategory(categoryId, updateData);
         const sanitizedCategory = sanitizeCategoryResponse(updatedCategory);
 
         res.status(200).json(
@@ -162,7 +166,7 @@ const getCategory = async (req, res) => {
             );
         }
 
-        const category = await categoryService.getCategoryById(categoryId);
+        const category = await templateService.getCategoryById(categoryId);
         if (!category) {
             return res.status(404).json(
                 createErrorResponse('Category not found', 'CATEGORY_NOT_FOUND')
@@ -183,17 +187,33 @@ const getCategory = async (req, res) => {
 };
 
 /**
- * Get all categories
- * GET /api/admin/categories
+ * Get categories, with cursor pagination (see ../utils/pagination.js)
+ * GET /api/admin/categories?sortBy=&order=&limit=&cursor=
  */
 const getAllCategories = async (req, res) => {
     try {
-        const categories = await categoryService.getAllCategories();
+        let listQuery;
+        try {
+            listQuery = parseListQuery(req.query, {
+                sortFields: CATEGORY_LIST_SORT_FIELDS,
+                defaultSortBy: 'name',
+                defaultOrder: 'asc'
+            });
+        } catch (error) {
+            return res.status(400).json(
+                createErrorResponse(error.message, error.code)
+            );
+        }
+
+        const categories = await templateService.getAllCategories();
         const sanitizedCategories = categories.map(category => sanitizeCategoryResponse(category));
 
-        res.status(200).json(
-            createSuccessResponse(sanitizedCategories, 'Categories retrieved successfully')
-        );
+        const { items, pagination } = paginate(sanitizedCategories, listQuery);
+
+        res.status(200).json({
+            ...createSuccessResponse(items, 'Categories retrieved successfully'),
+            pagination
+        });
 
     } catch (error) {
         console.error('[adminCategoryController] Error getting categories:', error);
@@ -219,7 +239,7 @@ const deleteCategory = async (req, res) => {
             );
         }
 
-        const deleted = await categoryService.deleteCategory(categoryId);
+        const deleted = await templateService.deleteCategory(categoryId);
         if (!deleted) {
             return res.status(404).json(
                 createErrorResponse('Category not found', 'CATEGORY_NOT_FOUND')
@@ -260,7 +280,7 @@ const getCategoryStats = async (req, res) => {
             );
         }
 
-        const stats = await categoryService.getCategoryStats(categoryId);
+        const stats = await templateService.getCategoryStats(categoryId);
         res.status(200).json(
             createSuccessResponse(stats, 'Category statistics retrieved successfully')
         );
@@ -298,14 +318,14 @@ const getCategoryTemplates = async (req, res) => {
         }
 
         // Check if category exists
-        const category = await categoryService.getCategoryById(categoryId);
+        const category = await templateService.getCategoryById(categoryId);
         if (!category) {
             return res.status(404).json(
                 createErrorResponse('Category not found', 'CATEGORY_NOT_FOUND')
             );
         }
 
-        const templates = await categoryService.getActiveTemplatesForCategory(categoryId);
+        const templates = await templateService.getActiveTemplatesForCategory(categoryId);
         res.status(200).json(
             createSuccessResponse(templates, 'Category templates retrieved successfully')
         );
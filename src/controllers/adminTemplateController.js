@@ -1,6 +1,7 @@
 const templateService = require('../services/templateService');
 const templateUploadService = require('../services/templateUploadService');
-const s3Service = require('../services/s3Service');
+const storageService = require('../services/storageService');
+const backgroundTasks = require('../services/backgroundTasks');
 const {
     validateCreateTemplateRequest,
     validateUpdateTemplateRequest,
@@ -12,6 +13,14 @@ const {
 const {
     sanitizeUploadSessionResponse
 } = require('../schemas/templateUploadSchemas');
+const { isValidUUID } = require('../utils/uuidValidation');
+const { parseListQuery, paginate } = require('../utils/pagination');
+
+// Uploaded file types that are turned into draft templates after upload
+const FIGMA_FILE_EXTENSIONS = ['fig', 'figma'];
+
+// Fields GET /api/admin/templates can sort by
+const TEMPLATE_LIST_SORT_FIELDS = ['name', 'createdAt', 'updatedAt'];
 
 /**
  * Admin Template Controller
@@ -80,7 +89,7 @@ const createTemplate = async (req, res) => {
 const updateTemplate = async (req, res) => {
     try {
         const { templateId } = req.params;
-        const { name, description, categoryId, previewImageUrl, components } = req.body;
+        const { name, description, categoryId, previewImageUrl, components, isActive } = req.body;
         const userId = req.userId; // From adminAuth middleware
 
         // Validate template ID
@@ -105,7 +114,8 @@ const updateTemplate = async (req, res) => {
             description,
             categoryId,
             previewImageUrl,
-            components
+            components,
+            isActive
         };
 
         const updatedTemplate = await templateService.updateTemplate(templateId, updateData);
@@ -180,20 +190,122 @@ const getTemplate = async (req, res) => {
 };
 
 /**
- * Get all templates
- * GET /api/admin/templates
+ * Get templates, with cursor pagination (see ../utils/pagination.js)
+ * GET /api/admin/templates?categoryId=&sortBy=&order=&limit=&cursor=
  */
 const getAllTemplates = async (req, res) => {
     try {
+        let listQuery;
+        try {
+            listQuery = parseListQuery(req.query, {
+                sortFields: TEMPLATE_LIST_SORT_FIELDS,
+                defaultSortBy: 'name',
+                defaultOrder: 'asc'
+            });
+        } catch (error) {
+            return res.status(400).json(
+                createErrorResponse(error.message, error.code)
+            );
+        }
+
+        const { categoryId } = req.query;
+        if (categoryId !== undefined && !isValidUUID(categoryId)) {
+            return res.status(400).json(
+                createErrorResponse('Category ID must be a valid UUID', 'INVALID_CATEGORY_ID')
+            );
+        }
+
         const templates = await templateService.getAllTemplates();
-        const sanitizedTemplates = templates.map(template => sanitizeTemplateResponse(template));
+        const filteredTemplates = templates
+            .filter(template => categoryId === undefined || template.categoryId === categoryId)
+            .map(template => sanitizeTemplateResponse(template));
+
+        const { items, pagination } = paginate(filteredTemplates, listQuery);
+
+        res.status(200).json({
+            ...createSuccessResponse(items, 'Templates retrieved successfully'),
+            pagination
+        });
+
+    } catch (error) {
+        console.error('[adminTemplateController] Error getting templates:', error);
+        res.status(500).json(
+            createErrorResponse('Internal server error', 'INTERNAL_SERVER_ERROR', [error.message])
+        );
+    }
+};
+
+/**
+ * Get the revisions of a template, newest first
+ * GET /api/admin/templates/:templateId/versions
+ */
+const getTemplateVersions = async (req, res) => {
+    try {
+        const { templateId } = req.params;
+
+        // Validate template ID
+        const idValidation = validateTemplateId(templateId);
+        if (!idValidation.isValid) {
+            return res.status(400).json(
+                createErrorResponse('Invalid template ID', 'INVALID_TEMPLATE_ID', idValidation.errors)
+            );
+        }
+
+        const versions = await templateService.getTemplateVersions(templateId);
+        if (!versions) {
+            return res.status(404).json(
+                createErrorResponse('Template not found', 'TEMPLATE_NOT_FOUND')
+            );
+        }
 
         res.status(200).json(
-            createSuccessResponse(sanitizedTemplates, 'Templates retrieved successfully')
+            createSuccessResponse(versions, 'Template versions retrieved successfully')
         );
 
     } catch (error) {
-        console.error('[adminTemplateController] Error getting templates:', error);
+        console.error('[adminTemplateController] Error getting template versions:', error);
+        res.status(500).json(
+            createErrorResponse('Internal server error', 'INTERNAL_SERVER_ERROR', [error.message])
+        );
+    }
+};
+
+/**
+ * Get one revision of a template with its components
+ * GET /api/admin/templates/:templateId/versions/:version
+ */
+const getTemplateVersion = async (req, res) => {
+    try {
+        const { templateId } = req.params;
+        const version = Number(req.params.version);
+
+        // Validate template ID
+        const idValidation = validateTemplateId(templateId);
+        if (!idValidation.isValid) {
+            return res.status(400).json(
+                createErrorResponse('Invalid template ID', 'INVALID_TEMPLATE_ID', idValidation.errors)
+            );
+        }
+
+        if (!Number.isInteger(version) || version < 1) {
+            return res.status(400).json(
+                createErrorResponse('Version must be a positive integer', 'INVALID_TEMPLATE_VERSION')
+            );
+        }
+
+        const revision = await templateService.getTemplateVersion(templateId, version);
+        if (!revision) {
+            return res.status(404).json(
+                createErrorResponse('Template version not found', 'TEMPLATE_VERSION_NOT_FOUND')
+            );
+        }
+
+        res.status(200).json(
+            createSuccessResponse(revision, 'Template version retrieved successfully')
+        );
+
+    } catch (error) {
+        console.error('[adminTemplateController] Error getting template version:', error);
         res.status(500).json(
             createErrorResponse('Internal server error', 'INTERNAL_SERVER_ERROR', [error.message])
         );
@@ -280,7 +392,7 @@ const initiateTemplateUpload = async (req, res) => {
         const sanitizedSession = sanitizeUploadSessionResponse(result.session);
 
         // Get public URL for the uploaded file
-        const publicUrl = s3Service.getPublicUrl(result.s3Key);
+        const publicUrl = storageService.getPublicUrl(result.s3Key);
 
         res.status(200).json(
             createSuccessResponse({
@@ -326,7 +438,21 @@ const completeTemplateUpload = async (req, res) => {
 
         const result = await templateUploadService.completeTemplateUpload(uploadId);
 
-        const sanitizedSession = sanitizeUploadSessionResponse(result.session);
+        // Figma files are parsed into a draft template in the background; the
+        // upload status reports progress and the new template's ID
+        let session = result.session;
+        const extension = session.fileName.split('.').pop().toLowerCase();
+        if (FIGMA_FILE_EXTENSIONS.includes(extension)) {
+            backgroundTasks.queueFigmaProcessing({
+                uploadId,
+                s3Key: result.s3Key,
+                fileName: session.fileName,
+                createdBy: userId
+            });
+            session = templateUploadService.setProcessingStatus(uploadId, 'pending');
+        }
+
+        const sanitizedSession = sanitizeUploadSessionResponse(session);
 
         res.status(200).json(
             createSuccessResponse({
@@ -542,6 +668,8 @@ module.exports = {
     updateTemplate,
     getTemplate,
     getAllTemplates,
+    getTemplateVersions,
+    getTemplateVersion,
     deleteTemplate,
     getAllCategories,
     initiateTemplateUpload,
@@ -0,0 +1,286 @@
+const userService = require('../services/userService');
+const User = require('../models/User');
+const {
+    createErrorResponse,
+    createSuccessResponse
+} = require('../schemas/templateSchemas');
+const { parseListQuery, paginate } = require('../utils/pagination');
+const { isValidUUIDAnyVersion } = require('../utils/uuidValidation');
+
+// Fields GET /api/admin/users can sort by
+const USER_LIST_SORT_FIELDS = ['name', 'email', 'team', 'role', 'createdAt', 'updatedAt'];
+
+/**
+ * Admin User Controller
+ * Handles user account CRUD operations for administrators
+ */
+
+/**
+ * Validate user creation/update request. Updates may leave fields out;
+ * avatarUrl and team can be set to null to clear them.
+ * @param {Object} data - Request data
+ * @param {boolean} isUpdate - True for updates
+ * @returns {Object} Validation result
+ */
+const validateUserRequest = (data, isUpdate = false) => {
+    const errors = [];
+    const isMissing = (field) => data[field] === undefined;
+
+    ['email', 'name', 'password'].forEach(field => {
+        if (isMissing(field)) {
+            if (!isUpdate) {
+                errors.push(`User ${field} is required`);
+            }
+        } else if (typeof data[field] !== 'string' || data[field].trim().length === 0) {
+            errors.push(`User ${field} must be a non-empty string`);
+        }
+    });
+
+    if (!isMissing('role') && !Object.prototype.hasOwnProperty.call(User.ROLE_PERMISSIONS, data.role)) {
+        errors.push(`User role must be one of: ${Object.keys(User.ROLE_PERMISSIONS).join(', ')}`);
+    }
+
+    ['avatarUrl', 'team'].forEach(field => {
+        if (!isMissing(field) && data[field] !== null && typeof data[field] !== 'string') {
+            errors.push(`User ${field} must be a string or null`);
+        }
+    });
+
+    if (isUpdate && ['email', 'name', 'password', 'role', 'avatarUrl', 'team'].every(isMissing)) {
+        errors.push('Provide at least one field to update');
+    }
+
+    return {
+        isValid: errors.length === 0,
+        errors
+    };
+};
+
+/**
+ * Map user service errors to responses
+ * @param {Object} res - Express response
+ * @param {Error} error - Error thrown by the user service
+ * @returns {boolean} True if a response was sent
+ */
+const handleUserServiceError = (res, error) => {
+    const statuses = {
+        USER_NOT_FOUND: 404,
+        EMAIL_ALREADY_EXISTS: 409,
+        INVALID_PASSWORD: 400,
+        INVALID_USER_DATA: 400
+    };
+
+    if (!statuses[error.code]) {
+        return false;
+    }
+
+    res.status(statuses[error.code]).json(createErrorResponse(error.message, error.code));
+    return true;
+};
+
+/**
+ * Create a new user
+ * POST /api/admin/users
+ */
+const createUser = async (req, res) => {
+    try {
+        const { email, name, password, role, avatarUrl, team } = req.body;
+
+        // Validate request data
+        const validation = validateUserRequest(req.body);
+        if (!validation.isValid) {
+            return res.status(400).json(
+                createErrorResponse('Invalid request data', 'INVALID_REQUEST_DATA', validation.errors)
+            );
+        }
+
+        const newUser = await userService.createUser({ email, name, password, role, avatarUrl, team });
+
+        res.status(201).json(
+            createSuccessResponse(newUser.toPublicJSON(), 'User created successfully')
+        );
+
+    } catch (error) {
+        console.error('[adminUserController] Error creating user:', error);
+
+        if (handleUserServiceError(res, error)) {
+            return;
+        }
+
+        res.status(500).json(
+            createErrorResponse('Internal server error', 'INTERNAL_SERVER_ERROR', [error.message])
+        );
+    }
+};
+
+/**
+ * Update an existing user; fields left out are unchanged
+ * PUT /api/admin/users/:userId
+ */
+const updateUser = async (req, res) => {
+    try {
+        const { userId } = req.params;
+        const { email, name, password, role, avatarUrl, team } = req.body;
+
+        // Validate user ID
+        if (!isValidUUIDAnyVersion(userId)) {
+            return res.status(400).json(
+                createErrorResponse('Invalid user ID', 'INVALID_USER_ID')
+            );
+        }
+
+        // Validate request data
+        const validation = validateUserRequest(req.body, true);
+        if (!validation.isValid) {
+            return res.status(400).json(
+                createErrorResponse('Invalid request data', 'INVALID_REQUEST_DATA', validation.errors)
+            );
+        }
+
+        // Keep administrators from locking themselves out
+        if (userId === req.userId && role !== undefined && role !== 'admin') {
+            return res.status(409).json(
+                createErrorResponse('You cannot remove your own admin role', 'CANNOT_CHANGE_OWN_ROLE')
+            );
+        }
+
+        const updatedUser = await userService.updateUser(userId, { email, name, password, role, avatarUrl, team });
+
+        res.status(200).json(
+            createSuccessResponse(updatedUser.toPublicJSON(), 'User updated successfully')
+        );
+
+    } catch (error) {
+        console.error('[adminUserController] Error updating user:', error);
+
+        if (handleUserServiceError(res, error)) {
+            return;
+        }
+
+        res.status(500).json(
+            createErrorResponse('Internal server error', 'INTERNAL_SERVER_ERROR', [error.message])
+        );
+    }
+};
+
+/**
+ * Get user by ID
+ * GET /api/admin/users/:userId
+ */
+const getUser = async (req, res) => {
+    try {
+        const { userId } = req.params;
+
+        // Validate user ID
+        if (!isValidUUIDAnyVersion(userId)) {
+            return res.status(400).json(
+                createErrorResponse('Invalid user ID', 'INVALID_USER_ID')
+            );
+        }
+
+        const user = await userService.getUserById(userId);
+        if (!user) {
+            return res.status(404).json(
+                createErrorResponse('User not found', 'USER_NOT_FOUND')
+            );
+        }
+
+        res.status(200).json(
+            createSuccessResponse(user.toPublicJSON(), 'User retrieved successfully')
+        );
+
+    } catch (error) {
+        console.error('[adminUserController] Error getting user:', error);
+        res.status(500).json(
+            createErrorResponse('Internal server error', 'INTERNAL_SERVER_ERROR', [error.message])
+        );
+    }
+};
+
+/**
+ * Get users, optionally filtered by role and team, with cursor pagination
+ * (see ../utils/pagination.js)
+ * GET /api/admin/users?role=&team=&sortBy=&order=&limit=&cursor=
+ */
+const getAllUsers = async (req, res) => {
+    try {
+        const { role, team } = req.query;
+
+        let listQuery;
+        try {
+            listQuery = parseListQuery(req.query, {
+                sortFields: USER_LIST_SORT_FIELDS,
+                defaultSortBy: 'name',
+                defaultOrder: 'asc'
+            });
+        } catch (error) {
+            return res.status(400).json(
+                createErrorResponse(error.message, error.code)
+            );
+        }
+
+        const users = (await userService.listUsers())
+            .filter(user => role === undefined || user.role === role)
+            .filter(user => team === undefined || (user.team || '').toLowerCase() === String(team).toLowerCase())
+            .map(user => user.toPublicJSON());
+
+        const { items, pagination } = paginate(users, listQuery);
+
+        res.status(200).json({
+            ...createSuccessResponse(items, 'Users retrieved successfully'),
+            pagination
+        });
+
+    } catch (error) {
+        console.error('[adminUserController] Error getting users:', error);
+        res.status(500).json(
+            createErrorResponse('Internal server error', 'INTERNAL_SERVER_ERROR', [error.message])
+        );
+    }
+};
+
+/**
+ * Delete user by ID. Pages, shares and versions keep the user's ID.
+ * DELETE /api/admin/users/:userId
+ */
+const deleteUser = async (req, res) => {
+    try {
+        const { userId } = req.params;
+
+        // Validate user ID
+        if (!isValidUUIDAnyVersion(userId)) {
+            return res.status(400).json(
+                createErrorResponse('Invalid user ID', 'INVALID_USER_ID')
+            );
+        }
+
+        if (userId === req.userId) {
+            return res.status(409).json(
+                createErrorResponse('You cannot delete your own account', 'CANNOT_DELETE_SELF')
+            );
+        }
+
+        const deleted = await userService.deleteUser(userId);
+        if (!deleted) {
+            return res.status(404).json(
+                createErrorResponse('User not found', 'USER_NOT_FOUND')
+            );
+        }
+
+        res.status(204).send();
+
+    } catch (error) {
+        console.error('[adminUserController] Error deleting user:', error);
+        res.status(500).json(
+            createErrorResponse('Internal server error', 'INTERNAL_SERVER_ERROR', [error.message])
+        );
+    }
+};
+
+module.exports = {
+    createUser,
+    updateUser,
+    getUser,
+    getAllUsers,
+    deleteUser
+};
@@ -0,0 +1,195 @@
+/**
+ * Image Library Controller
+ *
+ * The media library: browsing and searching uploaded images so they can be
+ * reused across pages, and deleting images that are no longer needed.
+ *
+ * An image is in use while a page's current components reference its URL
+ * (see src/services/imageUsageService.js) or while the page's published or
+ * scheduled snapshot does. Images in use cannot be deleted. Usage is listed
+ * only for the pages the user can view; usageCount counts every page.
+ */
+
+const imageRepository = require('../repositories/imageRepository');
+const pageRepository = require('../data/pageRepository');
+const pageVersionRepository = require('../data/pageVersionRepository');
+const imageUsageService = require('../services/imageUsageService');
+const storageService = require('../services/storageService');
+const { resolvePagePermission } = require('../middleware/pageAccess');
+const { paginate } = require('../utils/pagination');
+
+const { collectImageReferences } = imageUsageService;
+
+/**
+ * Create an image library error with a machine-readable code
+ * @param {string} message - Error message
+ * @param {string} code - Error code
+ * @returns {Error} Error instance
+ */
+function imageLibraryError(message, code) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+}
+
+/**
+ * Build the usage index from storage if it has not been built yet
+ */
+async function ensureUsageIndex() {
+    await imageUsageService.ensureBuilt(() => pageRepository.getAllPagesWithComponents());
+}
+
+/**
+ * Find every use of an image: pages' current components, and their
+ * published and scheduled snapshots
+ * @param {Object} image - Image
+ * @param {Array} pages - Page summaries (from pageRepository.getAllPages)
+ * @returns {Array} { pageId, componentId, componentType, field, source } where
+ *   source is 'page', 'published' or 'scheduled'
+ */
+async function findImageUsage(image, pages) {
+    await ensureUsageIndex();
+
+    const usage = imageUsageService.getUsage(image.url).map(entry => ({ ...entry, source: 'page' }));
+
+    for (const page of pages) {
+        const snapshots = [
+            { source: 'published', versionId: page.publishedVersionId },
+            { source: 'scheduled', versionId: page.scheduledVersionId }
+        ].filter(snapshot => snapshot.versionId);
+
+        for (const snapshot of snapshots) {
+            const version = await pageVersionRepository.getVersion(page.id, snapshot.versionId);
+            if (!version) {
+                continue;
+            }
+            collectImageReferences(version.components)
+                .filter(reference => reference.url === image.url)
+                .forEach(({ componentId, componentType, field }) => {
+                    usage.push({ pageId: page.id, componentId, componentType, field, source: snapshot.source });
+                });
+        }
+    }
+
+    return usage;
+}
+
+/**
+ * Count the distinct pages in a usage list
+ * @param {Array} usage - Usage entries
+ * @returns {number} Page count
+ */
+function countUsagePages(usage) {
+    return new Set(usage.map(entry => entry.pageId)).size;
+}
+
+/**
+ * List images, newest first by default
+ * @param {Object} params - Filters and paging
+ * @param {string} params.query - Text to find in the file name or alt text
+ * @param {string} params.uploadedBy - Only images uploaded by this user
+ * @param {Date} params.createdAfter - Only images uploaded after this time
+ * @param {Date} params.createdBefore - Only images uploaded before this time
+ * @param {number} params.minWidth - Minimum width in pixels
+ * @param {number} params.maxWidth - Maximum width in pixels
+ * @param {number} params.minHeight - Minimum height in pixels
+ * @param {number} params.maxHeight - Maximum height in pixels
+ * @param {Object} params.listQuery - Parsed pagination query (see src/utils/pagination.js)
+ * @returns {Object} { images, pagination } where each image has a usageCount
+ */
+async function listImages(params) {
+    await ensureUsageIndex();
+
+    const images = await imageRepository.searchImages({
+        query: params.query,
+        uploadedBy: params.uploadedBy,
+        createdAfter: params.createdAfter,
+        createdBefore: params.createdBefore,
+        minWidth: params.minWidth,
+        maxWidth: params.maxWidth,
+        minHeight: params.minHeight,
+        maxHeight: params.maxHeight
+    });
+
+    const { items, pagination } = paginate(images, params.listQuery);
+
+    return {
+        images: items.map(image => ({
+            ...image.toJSON(),
+            usageCount: imageUsageService.countPages(image.url)
+        })),
+        pagination
+    };
+}
+
+/**
+ * Get an image with where it is used
+ * @param {string} imageId - Image ID
+ * @param {Object} user - Authenticated user
+ * @param {Object} pageShareService - Page share service
+ * @returns {Object} Image with usage and usageCount
+ * @throws {Error} IMAGE_NOT_FOUND
+ */
+async function getImage(imageId, user, pageShareService) {
+    const image = await imageRepository.getImageById(imageId);
+    if (!image) {
+        throw imageLibraryError('Image not found', 'IMAGE_NOT_FOUND');
+    }
+
+    const pages = await pageRepository.getAllPages();
+    const pagesById = new Map(pages.map(page => [page.id, page]));
+    const usage = await findImageUsage(image, pages);
+
+    return {
+        ...image.toJSON(),
+        usageCount: countUsagePages(usage),
+        usage: usage.filter(entry => {
+            const page = pagesById.get(entry.pageId);
+            return page && resolvePagePermission(page, user, pageShareService);
+        })
+    };
+}
+
+/**
+ * Delete an image and its files (the original and its variants). Only the
+ * uploader or an admin can delete an image, and only while no page uses it.
+ * @param {string} imageId - Image ID
+ * @param {Object} user - Authenticated user
+ * @returns {boolean} True when deleted
+ * @throws {Error} IMAGE_NOT_FOUND, FORBIDDEN or IMAGE_IN_USE (with usageCount)
+ */
+async function deleteImage(imageId, user) {
+    const image = await imageRepository.getImageById(imageId);
+    if (!image) {
+        throw imageLibraryError('Image not found', 'IMAGE_NOT_FOUND');
+    }
+
+    if (user.role !== 'admin' && image.uploadedBy !== user.id) {
+        throw imageLibraryError('Only the uploader or an admin can delete this image', 'FORBIDDEN');
+    }
+
+    const usage = await findImageUsage(image, await pageRepository.getAllPages());
+    if (usage.length > 0) {
+        const usageCount = countUsagePages(usage);
+        const error = imageLibraryError(`Image is used by ${usageCount} page(s)`, 'IMAGE_IN_USE');
+        error.usageCount = usageCount;
+        throw error;
+    }
+
+    await imageRepository.deleteImage(imageId);
+
+    // The image is gone either way; files that fail to delete are only logged
+    try {
+        await storageService.deleteUploadFiles(image.s3Key);
+    } catch (error) {
+        console.error(`Failed to delete files of image ${imageId}:`, error);
+    }
+
+    return true;
+}
+
+module.exports = {
+    listImages,
+    getImage,
+    deleteImage
+};
@@ -194,6 +194,38 @@ const cleanupExpiredSessions = async (req, res) => {
     }
 };
 
+/**
+ * Gets an image with its processing status and variants
+ */
+const getImage = async (req, res) => {
+    try {
+        const { imageId } = req.params;
+
+        const result = await imageUploadService.getImage(imageId);
+
+        if (!result) {
+            return res.status(404).json({
+                success: false,
+                error: 'Image not found',
+                message: 'Image not found'
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            data: result
+        });
+
+    } catch (error) {
+        console.error('Error in getImage:', error);
+        res.status(400).json({
+            success: false,
+            error: 'Failed to get image',
+            message: error.message
+        });
+    }
+};
+
 module.exports = {
     initiateImageUpload,
     completeImageUpload,
@@ -201,5 +233,6 @@ module.exports = {
     getUserUploadSessions,
     cancelUpload,
     getUploadStats,
-    cleanupExpiredSessions
+    cleanupExpiredSessions,
+    getImage
 };
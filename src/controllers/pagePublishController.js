@@ -0,0 +1,294 @@
+/**
+ * Page Publish Controller
+ *
+ * Handles the publishing workflow of a page. Publishing snapshots the page's
+ * current components as a page version; the public page routes serve only
+ * that snapshot, so later edits are not live until the page is published
+ * again.
+ *
+ * Page statuses:
+ *   draft       - not submitted for publishing (default)
+ *   in_review   - waiting for the owner to publish it
+ *   scheduled   - a snapshot will be published at scheduledPublishAt
+ *   published   - publishedVersionId is live
+ *   unpublished - taken down; nothing is served publicly
+ *
+ * A page that is already published stays live while a newer snapshot is
+ * scheduled, and while it is moved back to draft or review for further
+ * edits. Scheduled publishes run on the background task queue and are
+ * queued again from storage when the server starts.
+ */
+
+const pageRepository = require('../data/pageRepository');
+const pageVersionRepository = require('../data/pageVersionRepository');
+const pageVersionController = require('./pageVersionController');
+const backgroundTasks = require('../services/backgroundTasks');
+
+const PAGE_STATUSES = ['draft', 'in_review', 'scheduled', 'published', 'unpublished'];
+
+// Statuses a user can set directly; the others come from publishing
+const EDITABLE_STATUSES = ['draft', 'in_review'];
+
+// Background task for each page's pending scheduled publish
+const scheduledTaskIds = new Map();
+
+/**
+ * Create a publishing error with a machine-readable code
+ * @param {string} message - Error message
+ * @param {string} code - Error code
+ * @returns {Error} Error instance
+ */
+function publishError(message, code) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+}
+
+/**
+ * Load a page or throw PAGE_NOT_FOUND
+ * @param {string} pageId - Page ID
+ * @returns {Object} Page data
+ */
+async function getExistingPage(pageId) {
+    const page = await pageRepository.getPageById(pageId);
+    if (!page) {
+        throw publishError('Page not found', 'PAGE_NOT_FOUND');
+    }
+    return page;
+}
+
+/**
+ * Get the publishing state of a page for API responses
+ * @param {Object} page - Page data
+ * @returns {Object} Publishing state
+ */
+function getPublishingState(page) {
+    return {
+        pageId: page.id,
+        status: page.status,
+        publishedVersionId: page.publishedVersionId,
+        publishedAt: page.publishedAt,
+        scheduledVersionId: page.scheduledVersionId,
+        scheduledPublishAt: page.scheduledPublishAt
+    };
+}
+
+/**
+ * Cancel the pending scheduled publish of a page, if any
+ * @param {string} pageId - Page ID
+ */
+function cancelScheduledTask(pageId) {
+    const taskId = scheduledTaskIds.get(pageId);
+    if (taskId) {
+        backgroundTasks.cancelTask(taskId);
+        scheduledTaskIds.delete(pageId);
+    }
+}
+
+/**
+ * Queue the background task that publishes a scheduled version
+ * @param {string} pageId - Page ID
+ * @param {string} versionId - Version to publish
+ * @param {Date} publishAt - When to publish
+ */
+function scheduleTask(pageId, versionId, publishAt) {
+    cancelScheduledTask(pageId);
+    const taskId = backgroundTasks.queuePagePublish({ pageId, versionId }, publishAt);
+    scheduledTaskIds.set(pageId, taskId);
+}
+
+/**
+ * Parse the optional publishAt time of a publish request
+ * @param {string} publishAt - ISO 8601 date-time
+ * @returns {Date|null} Publish time, or null to publish now
+ */
+function parsePublishAt(publishAt) {
+    if (publishAt === undefined || publishAt === null) {
+        return null;
+    }
+
+    const date = typeof publishAt === 'string' ? new Date(publishAt) : null;
+    if (!date || Number.isNaN(date.getTime())) {
+        throw publishError('publishAt must be an ISO 8601 date-time', 'INVALID_PUBLISH_AT');
+    }
+
+    return date.getTime() > Date.now() ? date : null;
+}
+
+/**
+ * Publish the page's current components, now or at a later time
+ * @param {string} pageId - Page ID
+ * @param {string} userId - ID of the publishing user
+ * @param {Object} options - Publish options
+ * @param {string} options.publishAt - ISO date-time to publish at (default: now)
+ * @param {string} options.versionName - Name for the published version
+ * @param {string} options.changeDescription - Description for the published version
+ * @returns {Object} Publishing state and the snapshot version metadata
+ */
+async function publishPage(pageId, userId, options = {}) {
+    try {
+        const publishAt = parsePublishAt(options.publishAt);
+        await getExistingPage(pageId);
+
+        const version = await pageVersionController.createPageVersion(pageId, {
+            userId,
+            versionName: options.versionName || (publishAt ? `Scheduled for ${publishAt.toISOString()}` : 'Published'),
+            changeDescription: options.changeDescription || null
+        });
+
+        let page;
+        if (publishAt) {
+            page = await pageRepository.updatePublishingState(pageId, {
+                status: 'scheduled',
+                scheduledVersionId: version.id,
+                scheduledPublishAt: publishAt
+            });
+            scheduleTask(pageId, version.id, publishAt);
+        } else {
+            cancelScheduledTask(pageId);
+            page = await pageRepository.updatePublishingState(pageId, {
+                status: 'published',
+                publishedVersionId: version.id,
+                publishedAt: new Date(),
+                scheduledVersionId: null,
+                scheduledPublishAt: null
+            });
+        }
+
+        if (!page) {
+            throw publishError('Page not found', 'PAGE_NOT_FOUND');
+        }
+
+        return {
+            ...getPublishingState(page),
+            version
+        };
+    } catch (error) {
+        if (error.code) {
+            throw error;
+        }
+        throw new Error(`Failed to publish page: ${error.message}`);
+    }
+}
+
+/**
+ * Take a page down and cancel any scheduled publish
+ * @param {string} pageId - Page ID
+ * @returns {Object} Publishing state
+ */
+async function unpublishPage(pageId) {
+    try {
+        const page = await getExistingPage(pageId);
+        if (!page.publishedVersionId && page.status !== 'scheduled') {
+            throw publishError('Page is not published or scheduled', 'PAGE_NOT_PUBLISHED');
+        }
+
+        cancelScheduledTask(pageId);
+        const updatedPage = await pageRepository.updatePublishingState(pageId, {
+            status: 'unpublished',
+            publishedVersionId: null,
+            publishedAt: null,
+            scheduledVersionId: null,
+            scheduledPublishAt: null
+        });
+
+        return getPublishingState(updatedPage);
+    } catch (error) {
+        if (error.code) {
+            throw error;
+        }
+        throw new Error(`Failed to unpublish page: ${error.message}`);
+    }
+}
+
+/**
+ * Move a page to draft or in review. Setting the status of a scheduled page
+ * cancels the scheduled publish; a live snapshot stays live.
+ * @param {string} pageId - Page ID
+ * @param {string} status - 'draft' or 'in_review'
+ * @returns {Object} Publishing state
+ */
+async function setPageStatus(pageId, status) {
+    try {
+        if (!EDITABLE_STATUSES.includes(status)) {
+            throw publishError(
+                `status must be one of: ${EDITABLE_STATUSES.join(', ')}. Use publish or unpublish for the other statuses.`,
+                'INVALID_PAGE_STATUS'
+            );
+        }
+
+        await getExistingPage(pageId);
+
+        cancelScheduledTask(pageId);
+        const updatedPage = await pageRepository.updatePublishingState(pageId, {
+            status,
+            scheduledVersionId: null,
+            scheduledPublishAt: null
+        });
+
+        return getPublishingState(updatedPage);
+    } catch (error) {
+        if (error.code) {
+            throw error;
+        }
+        throw new Error(`Failed to set page status: ${error.message}`);
+    }
+}
+
+/**
+ * Get the published snapshot of a page
+ * @param {string} pageId - Page ID
+ * @returns {Object} Published page data
+ */
+async function getPublishedPage(pageId) {
+    try {
+        const page = await pageRepository.getPageById(pageId);
+        const version = page && page.publishedVersionId
+            ? await pageVersionRepository.getVersion(pageId, page.publishedVersionId)
+            : null;
+
+        if (!version) {
+            throw publishError('Page not found', 'PAGE_NOT_FOUND');
+        }
+
+        return {
+            id: page.id,
+            templateId: page.templateId,
+            components: version.components,
+            versionId: version.id,
+            versionNumber: version.versionNumber,
+            publishedAt: page.publishedAt
+        };
+    } catch (error) {
+        if (error.code) {
+            throw error;
+        }
+        throw new Error(`Failed to get published page: ${error.message}`);
+    }
+}
+
+/**
+ * Queue the scheduled publishes stored with the pages. Called once at
+ * startup, since the background task queue is kept in memory; publishes
+ * whose time passed while the server was down run immediately.
+ * @returns {number} Number of scheduled publishes queued
+ */
+async function restoreScheduledPublishes() {
+    const pages = await pageRepository.getAllPages();
+    const scheduledPages = pages.filter(page => page.status === 'scheduled' && page.scheduledVersionId);
+
+    scheduledPages.forEach(page => {
+        scheduleTask(page.id, page.scheduledVersionId, page.scheduledPublishAt || new Date());
+    });
+
+    return scheduledPages.length;
+}
+
+module.exports = {
+    PAGE_STATUSES,
+    publishPage,
+    unpublishPage,
+    setPageStatus,
+    getPublishedPage,
+    restoreScheduledPublishes
+};
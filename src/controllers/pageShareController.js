@@ -3,7 +3,9 @@
  * Work Order #34: Implement Page Sharing API Endpoints with Permission Management
  * 
  * This controller handles the business logic for page sharing operations,
- * including creating, updating, revoking, and viewing page shares.
+ * including creating, updating, revoking, and viewing page shares. The routes
+ * check that the requester owns the page or can edit it (requirePageAccess)
+ * before these functions run, and leave the result in req.pageAccess.
  */
 
 const PageShare = require('../models/PageShare');
@@ -22,6 +24,12 @@ async function createPageShare(pageId, userId, sharedByUserId, permissionLevel,
     try {
         const pageShareService = req.app.locals.pageShareService;
         
+        if (!canSharePage(req.pageAccess)) {
+            const error = new Error('Only the page owner or an editor can share this page');
+            error.code = 'INSUFFICIENT_PERMISSIONS';
+            throw error;
+        }
+
         // Check if user is trying to share with themselves
         if (userId === sharedByUserId) {
             const error = new Error('Cannot share page with yourself');
@@ -30,7 +38,7 @@ async function createPageShare(pageId, userId, sharedByUserId, permissionLevel,
         }
 
         // Use PageShareService to create the share
-        const result = pageShareService.createPageShare(pageId, userId, sharedByUserId, permissionLevel);
+        const result = await pageShareService.createPageShare(pageId, userId, sharedByUserId, permissionLevel);
         
         return result;
     } catch (error) {
@@ -41,6 +49,38 @@ async function createPageShare(pageId, userId, sharedByUserId, permissionLevel,
     }
 }
 
+/**
+ * Create a new page share with a group
+ * @param {string} pageId - Page ID
+ * @param {string} groupId - Group ID to share with
+ * @param {string} sharedByUserId - User ID who is sharing
+ * @param {string} permissionLevel - Permission level ('view' or 'edit')
+ * @param {Object} req - Express request object (to access PageShareService)
+ * @returns {Object} Created share details
+ */
+async function createGroupPageShare(pageId, groupId, sharedByUserId, permissionLevel, req) {
+    try {
+        const pageShareService = req.app.locals.pageShareService;
+
+        // A group share reaches every member, so only users who can edit the page may create one
+        if (!canSharePage(req.pageAccess)) {
+            const error = new Error('Only the page owner or an editor can share this page');
+            error.code = 'INSUFFICIENT_PERMISSIONS';
+            throw error;
+        }
+
+        // Use PageShareService to create the share
+        const result = await pageShareService.createGroupPageShare(pageId, groupId, sharedByUserId, permissionLevel);
+
+        return result;
+    } catch (error) {
+        if (error.code) {
+            throw error;
+        }
+        throw new Error(`Failed to create group page share: ${error.message}`);
+    }
+}
+
 /**
  * Update an existing page share
  * @param {string} pageId - Page ID
@@ -56,14 +96,14 @@ async function updatePageShare(pageId, shareId, permissionLevel, requestingUserI
         
         // Get the existing share to check permissions
         const existingShare = pageShareService.getPageShareById(shareId);
-        if (!existingShare) {
+        if (!existingShare || existingShare.pageId !== pageId) {
             const error = new Error('Share not found');
             error.code = 'SHARE_NOT_FOUND';
             throw error;
         }
 
         // Check if requesting user has permission to update this share
-        if (existingShare.sharedByUserId !== requestingUserId) {
+        if (!canManageShare(existingShare, requestingUserId, req.pageAccess)) {
             const error = new Error('Insufficient permissions to update this share');
             error.code = 'INSUFFICIENT_PERMISSIONS';
             throw error;
@@ -95,14 +135,14 @@ async function deletePageShare(pageId, shareId, requestingUserId, req) {
         
         // Get the existing share to check permissions
         const existingShare = pageShareService.getPageShareById(shareId);
-        if (!existingShare) {
+        if (!existingShare || existingShare.pageId !== pageId) {
             const error = new Error('Share not found');
             error.code = 'SHARE_NOT_FOUND';
             throw error;
         }
 
         // Check if requesting user has permission to delete this share
-        if (existingShare.sharedByUserId !== requestingUserId) {
+        if (!canManageShare(existingShare, requestingUserId, req.pageAccess)) {
             const error = new Error('Insufficient permissions to delete this share');
             error.code = 'INSUFFICIENT_PERMISSIONS';
             throw error;
@@ -130,16 +170,9 @@ async function deletePageShare(pageId, shareId, requestingUserId, req) {
 async function getPageShares(pageId, requestingUserId, req) {
     try {
         const pageShareService = req.app.locals.pageShareService;
-        
-        // Check if requesting user has permission to view shares
-        if (!canViewPageShares(pageId, requestingUserId, pageShareService)) {
-            const error = new Error('Insufficient permissions to view page shares');
-            error.code = 'INSUFFICIENT_PERMISSIONS';
-            throw error;
-        }
 
         // Use PageShareService to get shares
-        const shares = pageShareService.getPageSharesByPageId(pageId);
+        const shares = await pageShareService.getPageSharesByPageId(pageId);
         
         return shares;
     } catch (error) {
@@ -161,7 +194,7 @@ async function getSharedPages(userId, req) {
         const pageShareService = req.app.locals.pageShareService;
         
         // Use PageShareService to get shared pages
-        const sharedPages = pageShareService.getPageSharesByUserId(userId);
+        const sharedPages = await pageShareService.getPageSharesByUserId(userId);
         
         return sharedPages;
     } catch (error) {
@@ -170,32 +203,24 @@ async function getSharedPages(userId, req) {
 }
 
 /**
- * Check if a user can manage a share
- * @param {PageShare} pageShare - Page share to check
- * @param {string} userId - User ID to check
- * @returns {boolean} True if user can manage the share
+ * Check if a user may share a page with others
+ * @param {Object} pageAccess - The user's access to the page (req.pageAccess)
+ * @returns {boolean} True if the user owns the page or can edit it
  */
-function canManageShare(pageShare, userId) {
-    // User can manage if they are the one who shared the page
-    return pageShare.sharedByUserId === userId;
+function canSharePage(pageAccess) {
+    return Boolean(pageAccess && pageAccess.canEdit);
 }
 
 /**
- * Check if a user can view page shares
- * @param {string} pageId - Page ID
+ * Check if a user can manage a share
+ * @param {Object} pageShare - Page share to check
  * @param {string} userId - User ID to check
- * @param {PageShareService} pageShareService - PageShareService instance
- * @returns {boolean} True if user can view page shares
+ * @param {Object} pageAccess - The user's access to the page (req.pageAccess)
+ * @returns {boolean} True if user can manage the share
  */
-function canViewPageShares(pageId, userId, pageShareService) {
-    // For now, we'll allow the user who shared the page to view shares
-    // In a real implementation, this might also include page owners
-    const allShares = pageShareService.getAllPageShares();
-    const userShares = allShares.filter(share => 
-        share.pageId === pageId && share.sharedByUserId === userId
-    );
-    
-    return userShares.length > 0;
+function canManageShare(pageShare, userId, pageAccess) {
+    // The user who shared the page and the page owner can manage a share
+    return pageShare.sharedByUserId === userId || Boolean(pageAccess && pageAccess.permissionLevel === 'owner');
 }
 
 /**
@@ -223,7 +248,7 @@ async function getPageShareStats(pageId, req) {
         const pageShareService = req.app.locals.pageShareService;
         
         // Use PageShareService to get stats
-        const stats = pageShareService.getPageShareStats(pageId);
+        const stats = await pageShareService.getPageShareStats(pageId);
         
         return stats;
     } catch (error) {
@@ -236,6 +261,7 @@ async function getPageShareStats(pageId, req) {
 
 module.exports = {
     createPageShare,
+    createGroupPageShare,
     updatePageShare,
     deletePageShare,
     getPageShares,
@@ -0,0 +1,149 @@
+/**
+ * Page Template Controller
+ *
+ * Keeps pages in step with the template they were created from. A page is
+ * pinned to the template version it was created from (templateVersion); when
+ * the template has newer revisions the page is outdated and can be upgraded
+ * (see ../utils/templateUpgrade.js). Pages created before template versions
+ * were recorded have no templateVersion and cannot be upgraded.
+ */
+
+const pageRepository = require('../data/pageRepository');
+const templateService = require('../services/templateService');
+const { resolvePagePermission } = require('../middleware/pageAccess');
+const { upgradePageComponents } = require('../utils/templateUpgrade');
+const { isValidUUID } = require('../utils/uuidValidation');
+
+/**
+ * Create a page template error with a machine-readable code
+ * @param {string} message - Error message
+ * @param {string} code - Error code
+ * @returns {Error} Error instance
+ */
+function pageTemplateError(message, code) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+}
+
+/**
+ * Get the latest version number of a template
+ * @param {string} templateId - Template ID
+ * @returns {number|null} Latest version, or null if the template has no revisions
+ */
+async function getLatestTemplateVersion(templateId) {
+    // Catalog templates have v4 IDs; pages may reference other templates
+    if (!isValidUUID(templateId)) {
+        return null;
+    }
+
+    const versions = await templateService.getTemplateVersions(templateId);
+    return versions ? versions[0].version : null;
+}
+
+/**
+ * List the pages a user can view that are pinned to an older template version
+ * @param {Object} user - Authenticated user
+ * @param {Object} pageShareService - Page share service
+ * @param {Object} filters - Filters
+ * @param {string} filters.templateId - Only pages created from this template
+ * @returns {Array} Outdated pages with their current and latest template versions
+ */
+async function getOutdatedPages(user, pageShareService, filters = {}) {
+    const pages = await pageRepository.getAllPages();
+    const latestVersions = new Map();
+    const outdatedPages = [];
+
+    for (const page of pages) {
+        if (!page.templateVersion || (filters.templateId && page.templateId !== filters.templateId)) {
+            continue;
+        }
+
+        const permissionLevel = resolvePagePermission(page, user, pageShareService);
+        if (!permissionLevel) {
+            continue;
+        }
+
+        if (!latestVersions.has(page.templateId)) {
+            latestVersions.set(page.templateId, await getLatestTemplateVersion(page.templateId));
+        }
+
+        const latestTemplateVersion = latestVersions.get(page.templateId);
+        if (latestTemplateVersion && page.templateVersion < latestTemplateVersion) {
+            outdatedPages.push({
+                id: page.id,
+                templateId: page.templateId,
+                templateVersion: page.templateVersion,
+                latestTemplateVersion,
+                permissionLevel,
+                updatedAt: page.updatedAt
+            });
+        }
+    }
+
+    return outdatedPages;
+}
+
+/**
+ * Upgrade a page to the latest version of its template. New template
+ * components are added and unedited components get the new defaults; content
+ * the user has changed is kept.
+ * @param {string} pageId - Page ID
+ * @param {Object} options - Upgrade options
+ * @param {number} options.expectedRevision - Reject with REVISION_CONFLICT
+ *   unless the page is still at this revision
+ * @returns {Object} { page, fromVersion, toVersion, added, updated, kept }
+ */
+async function upgradePageTemplate(pageId, options = {}) {
+    const page = await pageRepository.getPageById(pageId);
+    if (!page) {
+        throw pageTemplateError('Page not found', 'PAGE_NOT_FOUND');
+    }
+
+    if (!page.templateVersion) {
+        throw pageTemplateError(
+            'The template version this page was created from is unknown, so it cannot be upgraded',
+            'TEMPLATE_VERSION_UNKNOWN'
+        );
+    }
+
+    const latestVersion = await getLatestTemplateVersion(page.templateId);
+    const fromRevision = latestVersion && await templateService.getTemplateVersion(page.templateId, page.templateVersion);
+    if (!fromRevision) {
+        throw pageTemplateError('Template version not found', 'TEMPLATE_VERSION_NOT_FOUND');
+    }
+
+    if (page.templateVersion >= latestVersion) {
+        return {
+            page,
+            fromVersion: page.templateVersion,
+            toVersion: page.templateVersion,
+            added: [],
+            updated: [],
+            kept: []
+        };
+    }
+
+    const toRevision = await templateService.getTemplateVersion(page.templateId, latestVersion);
+    const { components, added, updated, kept } = upgradePageComponents(page.components, fromRevision, toRevision);
+
+    const updatedPage = await pageRepository.updatePageComponents(pageId, components, {
+        expectedRevision: options.expectedRevision,
+        templateVersion: latestVersion
+    });
+
+    return {
+        page: updatedPage,
+        fromVersion: page.templateVersion,
+        toVersion: latestVersion,
+        added,
+        updated,
+        kept
+    };
+}
+
+module.exports = {
+    getLatestTemplateVersion,
+    getOutdatedPages,
+    upgradePageTemplate
+};
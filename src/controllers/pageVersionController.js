@@ -6,17 +6,27 @@
  * including creating, retrieving, and reverting page versions.
  */
 
-const PageVersion = require('../models/PageVersion');
 const pageRepository = require('../data/pageRepository');
+const pageVersionRepository = require('../data/pageVersionRepository');
+const userService = require('../services/userService');
+const { diffPageComponents, isEqual } = require('../utils/componentDiff');
+const { restoreFromVersion } = require('../utils/versionRestore');
+const { selectVersionsToPrune, getDefaultRetentionPolicy } = require('../utils/versionRetention');
 
-// In-memory data store for page versions (simulating database)
-const pageVersions = [];
+// Version ID that stands for the page's current components in diffs
+const CURRENT_VERSION_ID = 'current';
 
 /**
  * Create a new page version
  * @param {string} pageId - Page ID
  * @param {Object} options - Version options
- * @returns {Object} Created version metadata
+ * @param {string} options.userId - ID of the user creating the version
+ * @param {string} options.versionName - Optional version name
+ * @param {string} options.changeDescription - Optional change description
+ * @param {boolean} options.auto - Create an automatic checkpoint rather than a manual version
+ * @param {string} options.checkpointReason - Why the checkpoint is created (see PageVersion.CHECKPOINT_REASONS)
+ * @returns {Object|null} Created version metadata, or null when an automatic
+ *   checkpoint was skipped because the page has not changed since the latest version
  */
 async function createPageVersion(pageId, options = {}) {
     try {
@@ -31,23 +41,30 @@ async function createPageVersion(pageId, options = {}) {
         // Get current page components
         const currentComponents = page.components || [];
 
-        // Get next version number
-        const nextVersionNumber = await getNextVersionNumber(pageId);
+        // Checkpoints of unchanged pages would only fill the history
+        if (options.auto) {
+            const [latestVersion] = await pageVersionRepository.getVersionsByPageId(pageId);
+            if (latestVersion && latestVersion.hasSameComponents({ components: currentComponents })) {
+                return null;
+            }
+        }
 
-        // Create new page version
-        const versionData = {
+        // Create and store the new page version
+        const pageVersion = await pageVersionRepository.createVersion({
             pageId: pageId,
             components: currentComponents,
-            versionNumber: nextVersionNumber,
             userId: options.userId || 'system', // In a real app, this would come from auth
             versionName: options.versionName || null,
-            changeDescription: options.changeDescription || null
-        };
-
-        const pageVersion = new PageVersion(versionData);
-        
-        // Store the version
-        pageVersions.push(pageVersion.toJSON());
+            changeDescription: options.changeDescription || null,
+            auto: options.auto === true,
+            checkpointReason: options.auto ? options.checkpointReason || null : null
+        });
+
+        // Apply the configured retention policy so history does not grow without bound
+        const defaultPolicy = getDefaultRetentionPolicy();
+        if (defaultPolicy) {
+            await pruneVersions(pageId, defaultPolicy);
+        }
 
         // Return metadata (excluding components for performance)
         return pageVersion.getMetadata();
@@ -62,7 +79,7 @@ async function createPageVersion(pageId, options = {}) {
 /**
  * Get all versions for a page
  * @param {string} pageId - Page ID
- * @returns {Array} Array of version metadata
+ * @returns {Array} Array of version metadata with the author's profile (author)
  */
 async function getPageVersions(pageId) {
     try {
@@ -74,16 +91,16 @@ async function getPageVersions(pageId) {
             throw error;
         }
 
-        // Get all versions for this page
-        const versions = pageVersions
-            .filter(v => v.pageId === pageId)
-            .sort((a, b) => b.versionNumber - a.versionNumber) // Sort by version number descending
-            .map(versionData => {
-                const version = new PageVersion(versionData);
-                return version.getMetadata();
-            });
+        // Get all versions for this page (sorted by version number descending)
+        const versions = await pageVersionRepository.getVersionsByPageId(pageId);
+
+        // Resolve version authors from the user directory ('system' and deleted users have no profile)
+        const authors = await userService.getUsersByIds(versions.map(version => version.userId));
 
-        return versions;
+        return versions.map(version => ({
+            ...version.getMetadata(),
+            author: authors.has(version.userId) ? authors.get(version.userId).toProfileJSON() : null
+        }));
     } catch (error) {
         if (error.code) {
             throw error;
@@ -109,14 +126,13 @@ async function getPageVersionContent(pageId, versionId) {
         }
 
         // Find the specific version
-        const versionData = pageVersions.find(v => v.id === versionId && v.pageId === pageId);
-        if (!versionData) {
+        const pageVersion = await pageVersionRepository.getVersion(pageId, versionId);
+        if (!pageVersion) {
             const error = new Error('Version not found');
             error.code = 'VERSION_NOT_FOUND';
             throw error;
         }
 
-        const pageVersion = new PageVersion(versionData);
         return pageVersion.getFullData();
     } catch (error) {
         if (error.code) {
@@ -126,6 +142,67 @@ async function getPageVersionContent(pageId, versionId) {
     }
 }
 
+/**
+ * Diff two versions of a page. Either version ID may be 'current' to compare
+ * with the page as it is now.
+ * @param {string} pageId - Page ID
+ * @param {string} fromVersionId - ID of the version to compare from
+ * @param {string} toVersionId - ID of the version to compare to
+ * @returns {Object} { from, to, ...diff } where from and to are version
+ *   metadata and the diff is described in src/utils/componentDiff.js
+ */
+async function getPageVersionDiff(pageId, fromVersionId, toVersionId) {
+    try {
+        // Check if page exists
+        const page = await pageRepository.getPageById(pageId);
+        if (!page) {
+            const error = new Error('Page not found');
+            error.code = 'PAGE_NOT_FOUND';
+            throw error;
+        }
+
+        const loadSide = async (versionId) => {
+            if (versionId === CURRENT_VERSION_ID) {
+                const components = page.components || [];
+                return {
+                    metadata: {
+                        id: CURRENT_VERSION_ID,
+                        pageId,
+                        versionNumber: null,
+                        timestamp: page.updatedAt,
+                        versionName: 'Current page',
+                        changeDescription: null,
+                        componentCount: components.length
+                    },
+                    components
+                };
+            }
+
+            const version = await pageVersionRepository.getVersion(pageId, versionId);
+            if (!version) {
+                const error = new Error(`Version ${versionId} not found`);
+                error.code = 'VERSION_NOT_FOUND';
+                throw error;
+            }
+            return { metadata: version.getMetadata(), components: version.components };
+        };
+
+        const from = await loadSide(fromVersionId);
+        const to = await loadSide(toVersionId);
+
+        return {
+            from: from.metadata,
+            to: to.metadata,
+            ...diffPageComponents(from.components, to.components)
+        };
+    } catch (error) {
+        if (error.code) {
+            throw error;
+        }
+        throw new Error(`Failed to diff page versions: ${error.message}`);
+    }
+}
+
 /**
  * Revert page to specific version
  * @param {string} pageId - Page ID
@@ -144,15 +221,13 @@ async function revertPageToVersion(pageId, versionId, createBackup = true) {
         }
 
         // Find the version to revert to
-        const versionData = pageVersions.find(v => v.id === versionId && v.pageId === pageId);
-        if (!versionData) {
+        const targetVersion = await pageVersionRepository.getVersion(pageId, versionId);
+        if (!targetVersion) {
             const error = new Error('Version not found');
             error.code = 'VERSION_NOT_FOUND';
             throw error;
         }
 
-        const targetVersion = new PageVersion(versionData);
-
         // Create backup of current state if requested
         let backupVersion = null;
         if (createBackup) {
@@ -160,19 +235,15 @@ async function revertPageToVersion(pageId, versionId, createBackup = true) {
             
             // Check if current state is different from target version
             if (!targetVersion.hasSameComponents({ components: currentComponents })) {
-                const nextVersionNumber = await getNextVersionNumber(pageId);
-                
-                const backupData = {
+                backupVersion = await pageVersionRepository.createVersion({
                     pageId: pageId,
                     components: currentComponents,
-                    versionNumber: nextVersionNumber,
                     userId: 'system',
                     versionName: `Backup before revert to v${targetVersion.versionNumber}`,
-                    changeDescription: `Automatic backup created before reverting to version ${targetVersion.versionNumber}`
-                };
-
-                backupVersion = new PageVersion(backupData);
-                pageVersions.push(backupVersion.toJSON());
+                    changeDescription: `Automatic backup created before reverting to version ${targetVersion.versionNumber}`,
+                    auto: true,
+                    checkpointReason: 'before-revert'
+                });
             }
         }
 
@@ -194,6 +265,7 @@ async function revertPageToVersion(pageId, versionId, createBackup = true) {
             updatedPage: {
                 id: updatedPage.id,
                 componentCount: updatedPage.components.length,
+                revision: updatedPage.revision,
                 updatedAt: updatedPage.updatedAt
             }
         };
@@ -206,19 +278,85 @@ async function revertPageToVersion(pageId, versionId, createBackup = true) {
 }
 
 /**
- * Get the next version number for a page
+ * Restore selected components, accordion items and links of a version into
+ * the page, leaving the rest of the page as it is
  * @param {string} pageId - Page ID
- * @returns {number} Next version number
+ * @param {string} versionId - Version ID to restore from
+ * @param {Object} selection - { componentIds, items } to restore (see src/utils/versionRestore.js)
+ * @param {Object} options - Restore options
+ * @param {boolean} options.createBackup - Whether to create a backup of current state
+ * @param {string} options.userId - ID of the user restoring
+ * @returns {Object} Restore result
  */
-async function getNextVersionNumber(pageId) {
-    const pageVersionsForPage = pageVersions.filter(v => v.pageId === pageId);
-    
-    if (pageVersionsForPage.length === 0) {
-        return 1;
-    }
+async function restorePageComponents(pageId, versionId, selection, options = {}) {
+    const { createBackup = true, userId } = options;
 
-    const maxVersion = Math.max(...pageVersionsForPage.map(v => v.versionNumber));
-    return maxVersion + 1;
+    try {
+        // Check if page exists
+        const page = await pageRepository.getPageById(pageId);
+        if (!page) {
+            const error = new Error('Page not found');
+            error.code = 'PAGE_NOT_FOUND';
+            throw error;
+        }
+
+        // Find the version to restore from
+        const sourceVersion = await pageVersionRepository.getVersion(pageId, versionId);
+        if (!sourceVersion) {
+            const error = new Error('Version not found');
+            error.code = 'VERSION_NOT_FOUND';
+            throw error;
+        }
+
+        const currentComponents = page.components || [];
+        const { components, restored } = restoreFromVersion(currentComponents, sourceVersion.components, selection);
+        const changed = !isEqual(components, currentComponents);
+
+        // Create backup of current state if the restore changes anything
+        let backupVersion = null;
+        if (createBackup && changed) {
+            backupVersion = await pageVersionRepository.createVersion({
+                pageId: pageId,
+                components: currentComponents,
+                userId: userId || 'system',
+                versionName: `Backup before restoring from v${sourceVersion.versionNumber}`,
+                changeDescription: `Automatic backup created before restoring ${restored.length} selected part(s) of version ${sourceVersion.versionNumber}`,
+                auto: true,
+                checkpointReason: 'before-restore'
+            });
+        }
+
+        // Merge against the revision the restore was computed from
+        const updatedPage = changed
+            ? await pageRepository.updatePageComponents(pageId, components, { expectedRevision: page.revision })
+            : page;
+
+        return {
+            success: true,
+            message: changed ? 'Components restored successfully' : 'Selected components already match this version',
+            restoredFrom: {
+                versionId: sourceVersion.id,
+                versionNumber: sourceVersion.versionNumber,
+                timestamp: sourceVersion.timestamp
+            },
+            restored,
+            backup: backupVersion ? {
+                versionId: backupVersion.id,
+                versionNumber: backupVersion.versionNumber
+            } : null,
+            updatedPage: {
+                id: updatedPage.id,
+                componentCount: updatedPage.components.length,
+                revision: updatedPage.revision,
+                updatedAt: updatedPage.updatedAt
+            }
+        };
+    } catch (error) {
+        if (error.code) {
+            throw error;
+        }
+        throw new Error(`Failed to restore components: ${error.message}`);
+    }
 }
 
 /**
@@ -236,19 +374,16 @@ async function getPageVersionStats(pageId) {
             throw error;
         }
 
-        const pageVersionsForPage = pageVersions.filter(v => v.pageId === pageId);
+        const sortedVersions = await pageVersionRepository.getVersionsByPageId(pageId);
         
         const stats = {
-            totalVersions: pageVersionsForPage.length,
+            totalVersions: sortedVersions.length,
             latestVersion: 0,
             oldestVersion: 0,
             versionHistory: []
         };
 
-        if (pageVersionsForPage.length > 0) {
-            const versions = pageVersionsForPage.map(v => new PageVersion(v));
-            const sortedVersions = versions.sort((a, b) => b.versionNumber - a.versionNumber);
-            
+        if (sortedVersions.length > 0) {
             stats.latestVersion = sortedVersions[0].versionNumber;
             stats.oldestVersion = sortedVersions[sortedVersions.length - 1].versionNumber;
             stats.versionHistory = sortedVersions.map(v => v.getSummary());
@@ -280,15 +415,20 @@ async function deletePageVersion(pageId, versionId) {
         }
 
         // Find the version to delete
-        const versionIndex = pageVersions.findIndex(v => v.id === versionId && v.pageId === pageId);
-        if (versionIndex === -1) {
+        const deletedVersion = await pageVersionRepository.getVersion(pageId, versionId);
+        if (!deletedVersion) {
             const error = new Error('Version not found');
             error.code = 'VERSION_NOT_FOUND';
             throw error;
         }
 
-        const deletedVersion = pageVersions[versionIndex];
-        pageVersions.splice(versionIndex, 1);
+        if (getProtectedVersionIds(page).includes(versionId)) {
+            const error = new Error('Version is published or scheduled for publishing and cannot be deleted');
+            error.code = 'VERSION_IN_USE';
+            throw error;
+        }
+
+        await pageVersionRepository.deleteVersions(pageId, [versionId]);
 
         return {
             success: true,
@@ -306,11 +446,82 @@ async function deletePageVersion(pageId, versionId) {
     }
 }
 
+/**
+ * Prune versions of a page according to a retention policy
+ * @param {string} pageId - Page ID
+ * @param {Object} policy - Retention policy (keepLast, maxAgeDays, keepNamed)
+ * @param {Object} options - Prune options
+ * @param {boolean} options.dryRun - Report what would be pruned without deleting
+ * @returns {Object} Prune result
+ */
+async function prunePageVersions(pageId, policy, options = {}) {
+    try {
+        // Check if page exists
+        const page = await pageRepository.getPageById(pageId);
+        if (!page) {
+            const error = new Error('Page not found');
+            error.code = 'PAGE_NOT_FOUND';
+            throw error;
+        }
+
+        return await pruneVersions(pageId, policy, options);
+    } catch (error) {
+        if (error.code) {
+            throw error;
+        }
+        throw new Error(`Failed to prune page versions: ${error.message}`);
+    }
+}
+
+/**
+ * Get the IDs of the versions a page's publishing state refers to
+ * @param {Object} page - Page data
+ * @returns {Array} Published and scheduled version IDs
+ */
+function getProtectedVersionIds(page) {
+    return [page.publishedVersionId, page.scheduledVersionId].filter(Boolean);
+}
+
+/**
+ * Apply a retention policy to the versions of an existing page. Published
+ * and scheduled versions are never pruned.
+ * @param {string} pageId - Page ID
+ * @param {Object} policy - Retention policy
+ * @param {Object} options - Prune options
+ * @param {boolean} options.dryRun - Report what would be pruned without deleting
+ * @returns {Object} Prune result
+ */
+async function pruneVersions(pageId, policy, options = {}) {
+    const page = await pageRepository.getPageById(pageId);
+    const protectedIds = page ? getProtectedVersionIds(page) : [];
+
+    const versions = await pageVersionRepository.getVersionsByPageId(pageId);
+    const toPrune = selectVersionsToPrune(versions, policy)
+        .filter(version => !protectedIds.includes(version.id));
+
+    let prunedCount = 0;
+    if (!options.dryRun && toPrune.length > 0) {
+        prunedCount = await pageVersionRepository.deleteVersions(pageId, toPrune.map(version => version.id));
+    }
+
+    return {
+        success: true,
+        dryRun: Boolean(options.dryRun),
+        prunedCount: options.dryRun ? toPrune.length : prunedCount,
+        remainingCount: versions.length - (options.dryRun ? 0 : prunedCount),
+        prunedVersions: toPrune.map(version => version.getMetadata())
+    };
+}
+
 module.exports = {
     createPageVersion,
     getPageVersions,
     getPageVersionContent,
+    getPageVersionDiff,
     revertPageToVersion,
+    restorePageComponents,
     getPageVersionStats,
-    deletePageVersion
+    deletePageVersion,
+    prunePageVersions,
+    CURRENT_VERSION_ID
 };
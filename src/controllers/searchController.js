@@ -0,0 +1,106 @@
+/**
+ * Search Controller
+ *
+ * Full-text search across every page a user can view, using the search
+ * index (see src/services/searchIndexService.js). Each result lists the
+ * page's best matching fields with a snippet of text around the first
+ * match, highlighted with Page.highlightMatch.
+ */
+
+const Page = require('../models/Page');
+const pageRepository = require('../data/pageRepository');
+const searchIndexService = require('../services/searchIndexService');
+const { resolvePagePermission } = require('../middleware/pageAccess');
+
+// Characters of context on each side of the first match in a snippet
+const SNIPPET_CONTEXT = 60;
+
+// Matching fields listed per result
+const MAX_MATCHES_PER_PAGE = 3;
+
+/**
+ * Build a snippet of a field's text around the first matching term
+ * @param {string} text - Field text
+ * @param {Array} terms - Query terms
+ * @returns {string} Highlighted snippet (HTML)
+ */
+function buildSnippet(text, terms) {
+    const lowerText = text.toLowerCase();
+    const positions = terms
+        .map(term => lowerText.search(new RegExp(`(^|[^\\p{L}\\p{N}])${term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}`, 'u')))
+        .filter(position => position !== -1);
+    const first = positions.length > 0 ? Math.min(...positions) : 0;
+
+    let start = Math.max(0, first - SNIPPET_CONTEXT);
+    let end = Math.min(text.length, first + SNIPPET_CONTEXT * 2);
+
+    // Do not cut words in half
+    if (start > 0) {
+        const space = text.indexOf(' ', start);
+        start = space !== -1 && space < first ? space + 1 : start;
+    }
+    if (end < text.length) {
+        const space = text.lastIndexOf(' ', end);
+        end = space > first ? space : end;
+    }
+
+    const context = text.substring(start, end).replace(/\s+/g, ' ');
+    const highlighted = new Page().highlightMatch(context, terms);
+    return `${start > 0 ? '…' : ''}${highlighted}${end < text.length ? '…' : ''}`;
+}
+
+/**
+ * Search pages the user can view
+ * @param {Object} user - Authenticated user
+ * @param {Object} pageShareService - Page share service
+ * @param {Object} params - Search parameters
+ * @param {string} params.query - Search query
+ * @param {string} params.templateId - Only pages created from this template
+ * @param {Array} params.componentTypes - Only search these component types
+ * @param {Date} params.updatedAfter - Only pages updated at or after this time
+ * @param {Date} params.updatedBefore - Only pages updated at or before this time
+ * @param {number} params.limit - Results to return
+ * @param {number} params.offset - Results to skip
+ * @returns {Object} { query, total, limit, offset, results }
+ */
+async function searchPages(user, pageShareService, params) {
+    await searchIndexService.ensureBuilt(() => pageRepository.getAllPagesWithComponents());
+
+    const permissions = new Map();
+    const results = searchIndexService.search(params.query, {
+        templateId: params.templateId,
+        componentTypes: params.componentTypes,
+        updatedAfter: params.updatedAfter,
+        updatedBefore: params.updatedBefore,
+        canView: page => {
+            const permissionLevel = resolvePagePermission(page, user, pageShareService);
+            permissions.set(page.id, permissionLevel);
+            return permissionLevel;
+        }
+    });
+
+    return {
+        query: params.query,
+        total: results.length,
+        limit: params.limit,
+        offset: params.offset,
+        results: results.slice(params.offset, params.offset + params.limit).map(result => ({
+            pageId: result.page.id,
+            templateId: result.page.templateId,
+            permissionLevel: permissions.get(result.page.id),
+            score: Math.round(result.score * 1000) / 1000,
+            createdAt: result.page.createdAt,
+            updatedAt: result.page.updatedAt,
+            matches: result.fields.slice(0, MAX_MATCHES_PER_PAGE).map(field => ({
+                componentId: field.componentId,
+                componentType: field.componentType,
+                field: field.field,
+                snippet: buildSnippet(field.text, result.terms)
+            }))
+        }))
+    };
+}
+
+module.exports = {
+    searchPages
+};
@@ -0,0 +1,308 @@
+/**
+ * In-Memory Storage Adapter
+ *
+ * Keeps page, page version and user records in Maps for the lifetime of the process.
+ * This is the default adapter and the one used by tests; data is lost on restart.
+ */
+
+const { getSamplePages } = require('../sampleData');
+
+class MemoryStorageAdapter {
+    /**
+     * @param {Object} options - Adapter options
+     * @param {boolean} options.seedSampleData - Seed the store with sample pages
+     */
+    constructor(options = {}) {
+        this.name = 'memory';
+        this.options = {
+            seedSampleData: true,
+            ...options
+        };
+
+        // In-memory storage for pages, page versions and users (structured like database)
+        this.pages = new Map();
+        this.pageVersions = new Map();
+        this.users = new Map();
+
+        if (this.options.seedSampleData) {
+            getSamplePages().forEach(pageData => {
+                this.pages.set(pageData.id, pageData);
+            });
+        }
+    }
+
+    /**
+     * Prepare the adapter for use (nothing to do for memory storage)
+     */
+    async init() {
+        return this;
+    }
+
+    /**
+     * Get a page record by ID
+     * @param {string} pageId - Page ID
+     * @returns {Object|null} Page record or null if not found
+     */
+    async getPage(pageId) {
+        const pageData = this.pages.get(pageId);
+        return pageData ? this.clonePage(pageData) : null;
+    }
+
+    /**
+     * Insert a new page record
+     * @param {Object} page - Page record
+     * @returns {Object} Stored page record
+     */
+    async insertPage(page) {
+        const storedPage = this.clonePage({ ...page, revision: page.revision || 1, status: page.status || 'draft' });
+        this.pages.set(page.id, storedPage);
+        return this.clonePage(storedPage);
+    }
+
+    /**
+     * Update fields of an existing page record and increment its revision
+     * @param {string} pageId - Page ID
+     * @param {Object} fields - Fields to update
+     * @param {Object} options - Update options
+     * @param {number} options.expectedRevision - Only update if the page is at this revision
+     * @param {boolean} options.incrementRevision - Set to false to leave the revision unchanged
+     * @returns {Object|null} Updated page record, or null if not found or at another revision
+     */
+    async updatePage(pageId, fields, options = {}) {
+        const existingPage = this.pages.get(pageId);
+        if (!existingPage) {
+            return null;
+        }
+
+        const currentRevision = existingPage.revision || 1;
+        if (options.expectedRevision !== undefined && options.expectedRevision !== currentRevision) {
+            return null;
+        }
+
+        const revision = options.incrementRevision === false ? currentRevision : currentRevision + 1;
+        const updatedPage = this.clonePage({ ...existingPage, ...fields, revision });
+        this.pages.set(pageId, updatedPage);
+        return this.clonePage(updatedPage);
+    }
+
+    /**
+     * Delete a page record
+     * @param {string} pageId - Page ID
+     * @returns {boolean} True if a page was deleted
+     */
+    async deletePage(pageId) {
+        const deleted = this.pages.delete(pageId);
+
+        // Cascade to the page's versions like the database foreign key does
+        if (deleted) {
+            for (const [versionId, version] of this.pageVersions) {
+                if (version.pageId === pageId) {
+                    this.pageVersions.delete(versionId);
+                }
+            }
+        }
+
+        return deleted;
+    }
+
+    /**
+     * List all page records
+     * @returns {Array} Array of page records
+     */
+    async listPages() {
+        return Array.from(this.pages.values()).map(pageData => this.clonePage(pageData));
+    }
+
+    /**
+     * Insert a new page version record
+     * @param {Object} version - Page version record
+     * @returns {Object} Stored page version record
+     */
+    async insertVersion(version) {
+        this.pageVersions.set(version.id, this.cloneVersion(version));
+        return this.cloneVersion(version);
+    }
+
+    /**
+     * Get a page version record
+     * @param {string} pageId - Page ID
+     * @param {string} versionId - Version ID
+     * @returns {Object|null} Page version record or null if not found
+     */
+    async getVersion(pageId, versionId) {
+        const version = this.pageVersions.get(versionId);
+        return version && version.pageId === pageId ? this.cloneVersion(version) : null;
+    }
+
+    /**
+     * List the version records of a page, newest version number first
+     * @param {string} pageId - Page ID
+     * @returns {Array} Array of page version records
+     */
+    async listVersions(pageId) {
+        return Array.from(this.pageVersions.values())
+            .filter(version => version.pageId === pageId)
+            .sort((a, b) => b.versionNumber - a.versionNumber)
+            .map(version => this.cloneVersion(version));
+    }
+
+    /**
+     * Get the highest version number used by a page
+     * @param {string} pageId - Page ID
+     * @returns {number} Highest version number, 0 when the page has no versions
+     */
+    async getMaxVersionNumber(pageId) {
+        let maxVersion = 0;
+        for (const version of this.pageVersions.values()) {
+            if (version.pageId === pageId && version.versionNumber > maxVersion) {
+                maxVersion = version.versionNumber;
+            }
+        }
+        return maxVersion;
+    }
+
+    /**
+     * Delete page version records
+     * @param {string} pageId - Page ID
+     * @param {Array} versionIds - IDs of the versions to delete
+     * @returns {number} Number of deleted versions
+     */
+    async deleteVersions(pageId, versionIds) {
+        let deletedCount = 0;
+        versionIds.forEach(versionId => {
+            const version = this.pageVersions.get(versionId);
+            if (version && version.pageId === pageId) {
+                this.pageVersions.delete(versionId);
+                deletedCount++;
+            }
+        });
+        return deletedCount;
+    }
+
+    /**
+     * Insert a new user record
+     * @param {Object} user - User record
+     * @returns {Object} Stored user record
+     * @throws {Error} EMAIL_ALREADY_EXISTS if another user has the email
+     */
+    async insertUser(user) {
+        this.assertEmailAvailable(user.email, user.id);
+        this.users.set(user.id, { ...user });
+        return { ...user };
+    }
+
+    /**
+     * Get a user record by ID
+     * @param {string} userId - User ID
+     * @returns {Object|null} User record or null if not found
+     */
+    async getUser(userId) {
+        const user = this.users.get(userId);
+        return user ? { ...user } : null;
+    }
+
+    /**
+     * Get a user record by email address
+     * @param {string} email - Lowercased email address
+     * @returns {Object|null} User record or null if not found
+     */
+    async getUserByEmail(email) {
+        for (const user of this.users.values()) {
+            if (user.email === email) {
+                return { ...user };
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Update fields of an existing user record
+     * @param {string} userId - User ID
+     * @param {Object} fields - Fields to update
+     * @returns {Object|null} Updated user record, or null if not found
+     * @throws {Error} EMAIL_ALREADY_EXISTS if another user has the new email
+     */
+    async updateUser(userId, fields) {
+        const existingUser = this.users.get(userId);
+        if (!existingUser) {
+            return null;
+        }
+
+        if (fields.email !== undefined) {
+            this.assertEmailAvailable(fields.email, userId);
+        }
+
+        const updatedUser = { ...existingUser };
+        Object.keys(fields).forEach(field => {
+            if (fields[field] !== undefined) {
+                updatedUser[field] = fields[field];
+            }
+        });
+        this.users.set(userId, updatedUser);
+        return { ...updatedUser };
+    }
+
+    /**
+     * Delete a user record
+     * @param {string} userId - User ID
+     * @returns {boolean} True if a user was deleted
+     */
+    async deleteUser(userId) {
+        return this.users.delete(userId);
+    }
+
+    /**
+     * List all user records
+     * @returns {Array} Array of user records
+     */
+    async listUsers() {
+        return Array.from(this.users.values()).map(user => ({ ...user }));
+    }
+
+    /**
+     * Enforce unique emails like the database constraint does
+     * @param {string} email - Lowercased email address
+     * @param {string} userId - ID of the user the email is for
+     * @throws {Error} EMAIL_ALREADY_EXISTS if another user has the email
+     */
+    assertEmailAvailable(email, userId) {
+        for (const user of this.users.values()) {
+            if (user.email === email && user.id !== userId) {
+                const error = new Error('A user with this email already exists');
+                error.code = 'EMAIL_ALREADY_EXISTS';
+                throw error;
+            }
+        }
+    }
+
+    /**
+     * Release adapter resources (nothing to do for memory storage)
+     */
+    async close() {}
+
+    /**
+     * Copy a page record so callers cannot mutate stored data
+     * @param {Object} pageData - Page record
+     * @returns {Object} Copied page record
+     */
+    clonePage(pageData) {
+        return {
+            ...pageData,
+            components: JSON.parse(JSON.stringify(pageData.components || []))
+        };
+    }
+
+    /**
+     * Copy a page version record so callers cannot mutate stored data
+     * @param {Object} version - Page version record
+     * @returns {Object} Copied page version record
+     */
+    cloneVersion(version) {
+        return {
+            ...version,
+            components: JSON.parse(JSON.stringify(version.components || []))
+        };
+    }
+}
+
+module.exports = MemoryStorageAdapter;
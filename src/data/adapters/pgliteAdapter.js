@@ -0,0 +1,514 @@
+/**
+ * PGlite Storage Adapter
+ *
+ * Stores pages, page versions and users in an embedded PostgreSQL database (PGlite) persisted to a
+ * local data directory. The schema comes from the SQL files in
+ * database/migrations, which are applied by the MigrationRunner on first use
+ * unless autoMigrate is disabled (see `npm run migrate`).
+ */
+
+const fs = require('fs');
+const { PGlite } = require('@electric-sql/pglite');
+const { uuid_ossp } = require('@electric-sql/pglite/contrib/uuid_ossp');
+const MigrationRunner = require('../migrationRunner');
+const { getSamplePages } = require('../sampleData');
+
+class PgliteStorageAdapter {
+    /**
+     * @param {Object} options - Adapter options
+     * @param {string} options.dataDir - Directory holding the database files (omit for an in-memory database)
+     * @param {string} options.migrationsDir - Directory holding the SQL migrations (default: database/migrations)
+     * @param {boolean} options.autoMigrate - Apply pending migrations on initialization
+     * @param {boolean} options.seedSampleData - Seed an empty database with sample pages
+     */
+    constructor(options = {}) {
+        this.name = 'pglite';
+        this.options = {
+            dataDir: null,
+            migrationsDir: undefined,
+            autoMigrate: true,
+            seedSampleData: true,
+            ...options
+        };
+        this.db = null;
+        this.initPromise = null;
+    }
+
+    /**
+     * Open the database, apply pending migrations and seed sample data.
+     * Safe to call repeatedly; initialization only happens once.
+     */
+    async init() {
+        if (!this.initPromise) {
+            this.initPromise = this.initialize().catch(error => {
+                this.initPromise = null;
+                throw error;
+            });
+        }
+        return this.initPromise;
+    }
+
+    /**
+     * Perform the one-time initialization
+     */
+    async initialize() {
+        await this.openDatabase();
+
+        if (this.options.autoMigrate) {
+            await new MigrationRunner(this.db, { migrationsDir: this.options.migrationsDir }).up();
+        }
+
+        if (this.options.seedSampleData) {
+            await this.seedSampleData();
+        }
+
+        return this;
+    }
+
+    /**
+     * Open the database without migrating or seeding it
+     * @returns {Object} PGlite database handle
+     */
+    async openDatabase() {
+        if (this.db) {
+            return this.db;
+        }
+
+        if (this.options.dataDir) {
+            fs.mkdirSync(this.options.dataDir, { recursive: true });
+        }
+
+        this.db = this.options.dataDir
+            ? new PGlite(this.options.dataDir, { extensions: { uuid_ossp } })
+            : new PGlite({ extensions: { uuid_ossp } });
+        await this.db.waitReady;
+
+        return this.db;
+    }
+
+    /**
+     * Insert the sample pages when the page table is empty
+     */
+    async seedSampleData() {
+        const result = await this.db.query('SELECT COUNT(*)::int AS count FROM Page');
+        if (result.rows[0].count > 0) {
+            return;
+        }
+
+        for (const page of getSamplePages()) {
+            await this.insertPageRow(page);
+        }
+    }
+
+    /**
+     * Get a page record by ID
+     * @param {string} pageId - Page ID
+     * @returns {Object|null} Page record or null if not found
+     */
+    async getPage(pageId) {
+        await this.init();
+
+        const result = await this.db.query('SELECT * FROM Page WHERE id = $1', [pageId]);
+        return result.rows.length > 0 ? this.rowToPage(result.rows[0]) : null;
+    }
+
+    /**
+     * Insert a new page record
+     * @param {Object} page - Page record
+     * @returns {Object} Stored page record
+     */
+    async insertPage(page) {
+        await this.init();
+        return this.insertPageRow(page);
+    }
+
+    /**
+     * Insert a page row without waiting for initialization
+     * @param {Object} page - Page record
+     * @returns {Object} Stored page record
+     */
+    async insertPageRow(page) {
+        const result = await this.db.query(
+            `INSERT INTO Page (id, template_id, template_version, owner_id, components, revision, status, created_at, updated_at)
+             VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+             RETURNING *`,
+            [page.id, page.templateId, page.templateVersion || null, page.ownerId || null, JSON.stringify(page.components || []), page.revision || 1, page.status || 'draft', page.createdAt, page.updatedAt]
+        );
+        return this.rowToPage(result.rows[0]);
+    }
+
+    /**
+     * Update fields of an existing page record and increment its revision
+     * @param {string} pageId - Page ID
+     * @param {Object} fields - Fields to update
+     * @param {Object} options - Update options
+     * @param {number} options.expectedRevision - Only update if the page is at this revision
+     * @param {boolean} options.incrementRevision - Set to false to leave the revision unchanged
+     * @returns {Object|null} Updated page record, or null if not found or at another revision
+     */
+    async updatePage(pageId, fields, options = {}) {
+        await this.init();
+
+        const columns = {
+            templateId: 'template_id',
+            templateVersion: 'template_version',
+            ownerId: 'owner_id',
+            components: 'components',
+            status: 'status',
+            publishedVersionId: 'published_version_id',
+            publishedAt: 'published_at',
+            scheduledVersionId: 'scheduled_version_id',
+            scheduledPublishAt: 'scheduled_publish_at',
+            updatedAt: 'updated_at'
+        };
+
+        const assignments = [];
+        const values = [];
+        Object.keys(columns).forEach(field => {
+            if (fields[field] !== undefined) {
+                values.push(field === 'components' ? JSON.stringify(fields[field]) : fields[field]);
+                assignments.push(`${columns[field]} = $${values.length}`);
+            }
+        });
+
+        if (assignments.length === 0) {
+            return this.getPage(pageId);
+        }
+
+        if (options.incrementRevision !== false) {
+            assignments.push('revision = revision + 1');
+        }
+
+        values.push(pageId);
+        let condition = `id = $${values.length}`;
+        if (options.expectedRevision !== undefined) {
+            values.push(options.expectedRevision);
+            condition += ` AND revision = $${values.length}`;
+        }
+
+        const result = await this.db.query(
+            `UPDATE Page SET ${assignments.join(', ')} WHERE ${condition} RETURNING *`,
+            values
+        );
+        return result.rows.length > 0 ? this.rowToPage(result.rows[0]) : null;
+    }
+
+    /**
+     * Delete a page record
+     * @param {string} pageId - Page ID
+     * @returns {boolean} True if a page was deleted
+     */
+    async deletePage(pageId) {
+        await this.init();
+
+        const result = await this.db.query('DELETE FROM Page WHERE id = $1', [pageId]);
+        return result.affectedRows > 0;
+    }
+
+    /**
+     * List all page records
+     * @returns {Array} Array of page records
+     */
+    async listPages() {
+        await this.init();
+
+        const result = await this.db.query('SELECT * FROM Page ORDER BY created_at');
+        return result.rows.map(row => this.rowToPage(row));
+    }
+
+    /**
+     * Insert a new page version record
+     * @param {Object} version - Page version record
+     * @returns {Object} Stored page version record
+     */
+    async insertVersion(version) {
+        await this.init();
+
+        const result = await this.db.query(
+            `INSERT INTO page_versions
+                (id, page_id, version_number, timestamp, user_id, version_name, change_description, auto, checkpoint_reason, components)
+             VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+             RETURNING *`,
+            [
+                version.id,
+                version.pageId,
+                version.versionNumber,
+                version.timestamp,
+                version.userId,
+                version.versionName,
+                version.changeDescription,
+                version.auto === true,
+                version.checkpointReason || null,
+                JSON.stringify(version.components || [])
+            ]
+        );
+        return this.rowToVersion(result.rows[0]);
+    }
+
+    /**
+     * Get a page version record
+     * @param {string} pageId - Page ID
+     * @param {string} versionId - Version ID
+     * @returns {Object|null} Page version record or null if not found
+     */
+    async getVersion(pageId, versionId) {
+        await this.init();
+
+        const result = await this.db.query(
+            'SELECT * FROM page_versions WHERE id = $1 AND page_id = $2',
+            [versionId, pageId]
+        );
+        return result.rows.length > 0 ? this.rowToVersion(result.rows[0]) : null;
+    }
+
+    /**
+     * List the version records of a page, newest version number first
+     * @param {string} pageId - Page ID
+     * @returns {Array} Array of page version records
+     */
+    async listVersions(pageId) {
+        await this.init();
+
+        const result = await this.db.query(
+            'SELECT * FROM page_versions WHERE page_id = $1 ORDER BY version_number DESC',
+            [pageId]
+        );
+        return result.rows.map(row => this.rowToVersion(row));
+    }
+
+    /**
+     * Get the highest version number used by a page
+     * @param {string} pageId - Page ID
+     * @returns {number} Highest version number, 0 when the page has no versions
+     */
+    async getMaxVersionNumber(pageId) {
+        await this.init();
+
+        const result = await this.db.query(
+            'SELECT COALESCE(MAX(version_number), 0)::int AS max_version FROM page_versions WHERE page_id = $1',
+            [pageId]
+        );
+        return result.rows[0].max_version;
+    }
+
+    /**
+     * Delete page version records
+     * @param {string} pageId - Page ID
+     * @param {Array} versionIds - IDs of the versions to delete
+     * @returns {number} Number of deleted versions
+     */
+    async deleteVersions(pageId, versionIds) {
+        await this.init();
+
+        if (versionIds.length === 0) {
+            return 0;
+        }
+
+        const result = await this.db.query(
+            'DELETE FROM page_versions WHERE page_id = $1 AND id = ANY($2::uuid[])',
+            [pageId, versionIds]
+        );
+        return result.affectedRows;
+    }
+
+    /**
+     * Insert a new user record
+     * @param {Object} user - User record
+     * @returns {Object} Stored user record
+     * @throws {Error} EMAIL_ALREADY_EXISTS if another user has the email
+     */
+    async insertUser(user) {
+        await this.init();
+
+        const result = await this.runUserQuery(
+            `INSERT INTO users (id, email, name, role, password_hash, avatar_url, team, created_at, updated_at)
+             VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+             RETURNING *`,
+            [user.id, user.email, user.name, user.role, user.passwordHash, user.avatarUrl || null, user.team || null, user.createdAt, user.updatedAt]
+        );
+        return this.rowToUser(result.rows[0]);
+    }
+
+    /**
+     * Get a user record by ID
+     * @param {string} userId - User ID
+     * @returns {Object|null} User record or null if not found
+     */
+    async getUser(userId) {
+        await this.init();
+
+        const result = await this.db.query('SELECT * FROM users WHERE id = $1', [userId]);
+        return result.rows.length > 0 ? this.rowToUser(result.rows[0]) : null;
+    }
+
+    /**
+     * Get a user record by email address
+     * @param {string} email - Lowercased email address
+     * @returns {Object|null} User record or null if not found
+     */
+    async getUserByEmail(email) {
+        await this.init();
+
+        const result = await this.db.query('SELECT * FROM users WHERE email = $1', [email]);
+        return result.rows.length > 0 ? this.rowToUser(result.rows[0]) : null;
+    }
+
+    /**
+     * Update fields of an existing user record
+     * @param {string} userId - User ID
+     * @param {Object} fields - Fields to update
+     * @returns {Object|null} Updated user record, or null if not found
+     * @throws {Error} EMAIL_ALREADY_EXISTS if another user has the new email
+     */
+    async updateUser(userId, fields) {
+        await this.init();
+
+        const columns = {
+            email: 'email',
+            name: 'name',
+            role: 'role',
+            passwordHash: 'password_hash',
+            avatarUrl: 'avatar_url',
+            team: 'team',
+            updatedAt: 'updated_at'
+        };
+
+        const assignments = [];
+        const values = [];
+        Object.keys(columns).forEach(field => {
+            if (fields[field] !== undefined) {
+                values.push(fields[field]);
+                assignments.push(`${columns[field]} = $${values.length}`);
+            }
+        });
+
+        if (assignments.length === 0) {
+            return this.getUser(userId);
+        }
+
+        values.push(userId);
+        const result = await this.runUserQuery(
+            `UPDATE users SET ${assignments.join(', ')} WHERE id = $${values.length} RETURNING *`,
+            values
+        );
+        return result.rows.length > 0 ? this.rowToUser(result.rows[0]) : null;
+    }
+
+    /**
+     * Delete a user record
+     * @param {string} userId - User ID
+     * @returns {boolean} True if a user was deleted
+     */
+    async deleteUser(userId) {
+        await this.init();
+
+        const result = await this.db.query('DELETE FROM users WHERE id = $1', [userId]);
+        return result.affectedRows > 0;
+    }
+
+    /**
+     * List all user records
+     * @returns {Array} Array of user records
+     */
+    async listUsers() {
+        await this.init();
+
+        const result = await this.db.query('SELECT * FROM users ORDER BY created_at');
+        return result.rows.map(row => this.rowToUser(row));
+    }
+
+    /**
+     * Run a query that writes a user row, reporting duplicate emails with a code
+     * @param {string} sql - SQL statement
+     * @param {Array} values - Query parameters
+     * @returns {Object} Query result
+     * @throws {Error} EMAIL_ALREADY_EXISTS on a unique violation of users.email
+     */
+    async runUserQuery(sql, values) {
+        try {
+            return await this.db.query(sql, values);
+        } catch (dbError) {
+            if (dbError.code === '23505') {
+                const error = new Error('A user with this email already exists');
+                error.code = 'EMAIL_ALREADY_EXISTS';
+                throw error;
+            }
+            throw dbError;
+        }
+    }
+
+    /**
+     * Close the database
+     */
+    async close() {
+        if (this.db) {
+            await this.db.close();
+            this.db = null;
+            this.initPromise = null;
+        }
+    }
+
+    /**
+     * Map a Page table row to a page record
+     * @param {Object} row - Database row
+     * @returns {Object} Page record
+     */
+    rowToPage(row) {
+        return {
+            id: row.id,
+            templateId: row.template_id,
+            templateVersion: row.template_version,
+            ownerId: row.owner_id,
+            components: row.components || [],
+            revision: row.revision,
+            status: row.status,
+            publishedVersionId: row.published_version_id,
+            publishedAt: row.published_at,
+            scheduledVersionId: row.scheduled_version_id,
+            scheduledPublishAt: row.scheduled_publish_at,
+            createdAt: row.created_at,
+            updatedAt: row.updated_at
+        };
+    }
+
+    /**
+     * Map a page_versions table row to a page version record
+     * @param {Object} row - Database row
+     * @returns {Object} Page version record
+     */
+    rowToVersion(row) {
+        return {
+            id: row.id,
+            pageId: row.page_id,
+            versionNumber: row.version_number,
+            timestamp: new Date(row.timestamp).toISOString(),
+            userId: row.user_id,
+            versionName: row.version_name,
+            changeDescription: row.change_description,
+            auto: row.auto === true,
+            checkpointReason: row.checkpoint_reason,
+            components: row.components || []
+        };
+    }
+
+    /**
+     * Map a users table row to a user record
+     * @param {Object} row - Database row
+     * @returns {Object} User record
+     */
+    rowToUser(row) {
+        return {
+            id: row.id,
+            email: row.email,
+            name: row.name,
+            role: row.role,
+            passwordHash: row.password_hash,
+            avatarUrl: row.avatar_url,
+            team: row.team,
+            createdAt: new Date(row.created_at).toISOString(),
+            updatedAt: new Date(row.updated_at).toISOString()
+        };
+    }
+}
+
+module.exports = PgliteStorageAdapter;
@@ -0,0 +1,285 @@
+/**
+ * Migration Runner
+ *
+ * Applies and rolls back the SQL migrations in database/migrations.
+ *
+ * Migration files are named NNN_description.sql and run in numeric order. An
+ * optional NNN_description.down.sql file holds the rollback script. Applied
+ * migrations are recorded in the schema_migrations table together with a
+ * checksum of the file, and the runner refuses to continue when an applied
+ * file has been edited or removed since it ran.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const DEFAULT_MIGRATIONS_DIR = path.join(__dirname, '..', '..', 'database', 'migrations');
+const MIGRATION_FILE_PATTERN = /^(\d{3})_([a-z0-9_]+)\.sql$/;
+const DOWN_FILE_PATTERN = /^(\d{3})_([a-z0-9_]+)\.down\.sql$/;
+
+/**
+ * Create an error with a machine-readable code
+ * @param {string} message - Error message
+ * @param {string} code - Error code
+ * @returns {Error} Error instance
+ */
+function migrationError(message, code) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+}
+
+class MigrationRunner {
+    /**
+     * @param {Object} db - Database handle exposing exec(), query() and transaction() (PGlite)
+     * @param {Object} options - Runner options
+     * @param {string} options.migrationsDir - Directory holding the SQL migrations
+     * @param {Function} options.logger - Logging function
+     */
+    constructor(db, options = {}) {
+        this.db = db;
+        this.migrationsDir = options.migrationsDir || DEFAULT_MIGRATIONS_DIR;
+        this.logger = options.logger || console.log;
+    }
+
+    /**
+     * Create the bookkeeping table if needed
+     */
+    async ensureMigrationsTable() {
+        await this.db.exec(`
+            CREATE TABLE IF NOT EXISTS schema_migrations (
+                filename VARCHAR(255) PRIMARY KEY,
+                applied_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT CURRENT_TIMESTAMP
+            );
+            ALTER TABLE schema_migrations ADD COLUMN IF NOT EXISTS version INTEGER;
+            ALTER TABLE schema_migrations ADD COLUMN IF NOT EXISTS checksum VARCHAR(64);
+        `);
+    }
+
+    /**
+     * Read the migration files from disk, validated and sorted by version
+     * @returns {Array} Array of migration descriptors
+     */
+    loadMigrations() {
+        const files = fs.readdirSync(this.migrationsDir).filter(file => file.endsWith('.sql'));
+        const migrations = [];
+        const downFiles = new Set();
+        const versions = new Map();
+
+        files.forEach(file => {
+            if (DOWN_FILE_PATTERN.test(file)) {
+                downFiles.add(file);
+                return;
+            }
+
+            const match = file.match(MIGRATION_FILE_PATTERN);
+            if (!match) {
+                throw migrationError(
+                    `Invalid migration file name "${file}". Expected NNN_description.sql (lowercase, underscores).`,
+                    'INVALID_MIGRATION_NAME'
+                );
+            }
+
+            const version = parseInt(match[1], 10);
+            if (versions.has(version)) {
+                throw migrationError(
+                    `Duplicate migration version ${match[1]}: "${versions.get(version)}" and "${file}"`,
+                    'DUPLICATE_MIGRATION_VERSION'
+                );
+            }
+            versions.set(version, file);
+
+            const sql = fs.readFileSync(path.join(this.migrationsDir, file), 'utf8');
+            migrations.push({
+                version,
+                name: match[2],
+                filename: file,
+                checksum: this.calculateChecksum(sql),
+                sql,
+                downFilename: file.replace(/\.sql$/, '.down.sql')
+            });
+        });
+
+        downFiles.forEach(file => {
+            if (!files.includes(file.replace(/\.down\.sql$/, '.sql'))) {
+                throw migrationError(`Rollback file "${file}" has no matching migration`, 'ORPHANED_ROLLBACK_FILE');
+            }
+        });
+
+        migrations.forEach(migration => {
+            migration.hasDown = downFiles.has(migration.downFilename);
+        });
+
+        return migrations.sort((a, b) => a.version - b.version);
+    }
+
+    /**
+     * Calculate the checksum of a migration file
+     * @param {string} sql - File contents
+     * @returns {string} SHA-256 hex digest (line endings normalized)
+     */
+    calculateChecksum(sql) {
+        return crypto.createHash('sha256').update(sql.replace(/\r\n/g, '\n')).digest('hex');
+    }
+
+    /**
+     * Get the applied migration records
+     * @returns {Array} Applied migrations ordered by file name
+     */
+    async getAppliedMigrations() {
+        await this.ensureMigrationsTable();
+        const result = await this.db.query(
+            'SELECT filename, version, checksum, applied_at FROM schema_migrations ORDER BY filename'
+        );
+        return result.rows;
+    }
+
+    /**
+     * Compare migration files against the bookkeeping table
+     * @returns {Object} Status with migrations list, pending and problem entries
+     */
+    async status() {
+        const migrations = this.loadMigrations();
+        const appliedRows = await this.getAppliedMigrations();
+
+        // Databases migrated before checksums were recorded get them backfilled once
+        for (const row of appliedRows) {
+            const migration = migrations.find(m => m.filename === row.filename);
+            if (migration && !row.checksum) {
+                await this.db.query(
+                    'UPDATE schema_migrations SET checksum = $1, version = $2 WHERE filename = $3',
+                    [migration.checksum, migration.version, row.filename]
+                );
+                row.checksum = migration.checksum;
+            }
+        }
+
+        const appliedByFile = new Map(appliedRows.map(row => [row.filename, row]));
+        const entries = migrations.map(migration => {
+            const applied = appliedByFile.get(migration.filename);
+            let state = 'pending';
+            if (applied) {
+                state = applied.checksum === migration.checksum ? 'applied' : 'modified';
+            }
+            return {
+                version: migration.version,
+                filename: migration.filename,
+                state,
+                appliedAt: applied ? applied.applied_at : null,
+                hasDown: migration.hasDown
+            };
+        });
+
+        const missing = appliedRows
+            .filter(row => !migrations.some(m => m.filename === row.filename))
+            .map(row => ({
+                version: row.version,
+                filename: row.filename,
+                state: 'missing',
+                appliedAt: row.applied_at,
+                hasDown: false
+            }));
+
+        return {
+            migrations: [...entries, ...missing],
+            pending: entries.filter(entry => entry.state === 'pending'),
+            problems: [...entries.filter(entry => entry.state === 'modified'), ...missing]
+        };
+    }
+
+    /**
+     * Throw if any applied migration was modified or removed
+     * @param {Object} currentStatus - Result of status()
+     */
+    assertIntegrity(currentStatus) {
+        const problem = currentStatus.problems[0];
+        if (!problem) {
+            return;
+        }
+
+        if (problem.state === 'modified') {
+            throw migrationError(
+                `Migration "${problem.filename}" was modified after it was applied (checksum mismatch). ` +
+                'Create a new migration instead of editing an applied one.',
+                'MIGRATION_CHECKSUM_MISMATCH'
+            );
+        }
+
+        throw migrationError(
+            `Migration "${problem.filename}" was applied but its file no longer exists`,
+            'MIGRATION_FILE_MISSING'
+        );
+    }
+
+    /**
+     * Apply pending migrations
+     * @param {Object} options - Options
+     * @param {number} options.steps - Maximum number of migrations to apply (default: all)
+     * @returns {Array} File names of the applied migrations
+     */
+    async up(options = {}) {
+        const currentStatus = await this.status();
+        this.assertIntegrity(currentStatus);
+
+        const migrations = this.loadMigrations();
+        const pending = currentStatus.pending.slice(0, options.steps || currentStatus.pending.length);
+        const applied = [];
+
+        for (const entry of pending) {
+            const migration = migrations.find(m => m.filename === entry.filename);
+            await this.db.transaction(async (tx) => {
+                await tx.exec(migration.sql);
+                await tx.query(
+                    'INSERT INTO schema_migrations (filename, version, checksum) VALUES ($1, $2, $3)',
+                    [migration.filename, migration.version, migration.checksum]
+                );
+            });
+            this.logger(`Applied migration ${migration.filename}`);
+            applied.push(migration.filename);
+        }
+
+        return applied;
+    }
+
+    /**
+     * Roll back the most recently applied migrations
+     * @param {Object} options - Options
+     * @param {number} options.steps - Number of migrations to roll back (default: 1)
+     * @returns {Array} File names of the rolled back migrations
+     */
+    async down(options = {}) {
+        const currentStatus = await this.status();
+        this.assertIntegrity(currentStatus);
+
+        const steps = options.steps || 1;
+        const migrations = this.loadMigrations();
+        const toRollback = currentStatus.migrations
+            .filter(entry => entry.state === 'applied')
+            .sort((a, b) => b.version - a.version)
+            .slice(0, steps);
+        const rolledBack = [];
+
+        for (const entry of toRollback) {
+            const migration = migrations.find(m => m.filename === entry.filename);
+            if (!migration.hasDown) {
+                throw migrationError(
+                    `Migration "${migration.filename}" has no rollback file (${migration.downFilename})`,
+                    'ROLLBACK_NOT_AVAILABLE'
+                );
+            }
+
+            const downSql = fs.readFileSync(path.join(this.migrationsDir, migration.downFilename), 'utf8');
+            await this.db.transaction(async (tx) => {
+                await tx.exec(downSql);
+                await tx.query('DELETE FROM schema_migrations WHERE filename = $1', [migration.filename]);
+            });
+            this.logger(`Rolled back migration ${migration.filename}`);
+            rolledBack.push(migration.filename);
+        }
+
+        return rolledBack;
+    }
+}
+
+module.exports = MigrationRunner;
@@ -4,215 +4,26 @@
  * 
  * This module provides data access layer for page operations,
  * handling database interactions for page retrieval and updates.
- * Currently uses in-memory storage but structured for easy database integration.
+ * Records are persisted through the configured storage adapter (see ./storage.js).
  */
 
 const { v4: uuidv4 } = require('uuid');
 const Page = require('../models/Page');
+const { getStorageAdapter } = require('./storage');
+const { applyPageOperations } = require('../utils/pageOperations');
+const { sanitizePageComponents } = require('../utils/htmlSanitizer');
+const searchIndexService = require('../services/searchIndexService');
+const imageUsageService = require('../services/imageUsageService');
 
-class PageRepository {
-    constructor() {
-        // In-memory storage for pages (structured like database)
-        this.pages = new Map();
-        this.initializeSampleData();
-    }
+// How often a patch is re-applied when another update lands between read and write
+const MAX_PATCH_ATTEMPTS = 3;
 
+class PageRepository {
     /**
-     * Initialize sample data for testing
+     * @param {Object} adapter - Storage adapter (see ./storage.js)
      */
-    initializeSampleData() {
-        // Sample pages with realistic component data
-        const samplePages = [
-            {
-                id: '750e8400-e29b-41d4-a716-446655440001',
-                templateId: '650e8400-e29b-41d4-a716-446655440001', // Modern Business Homepage
-                components: [
-                    {
-                        id: 'banner-001',
-                        type: 'BannerComponent',
-                        data: {
-                            headlineText: 'Welcome to Our Platform',
-                            backgroundImageUrl: 'https://images.unsplash.com/photo-1551434678-e076c223a692?ixlib=rb-4.0.3&auto=format&fit=crop&w=1200&q=80',
-                            backgroundImageAltText: 'Modern workspace with laptop and coffee',
-                            callToAction: {
-                                buttonText: 'Get Started',
-                                linkUrl: '/get-started',
-                                linkTarget: '_self'
-                            },
-                            style: 'default'
-                        },
-                        order: 1
-                    },
-                    {
-                        id: 'text-001',
-                        type: 'TextComponent',
-                        data: {
-                            content: {
-                                format: 'html',
-                                data: '<p>Build amazing things with our powerful tools and intuitive interface. Perfect for businesses and individuals alike.</p>',
-                                metadata: {
-                                    version: '1.0',
-                                    created: new Date().toISOString(),
-                                    lastModified: new Date().toISOString()
-                                }
-                            }
-                        },
-                        order: 2
-                    },
-                    {
-                        id: 'card-001',
-                        type: 'CardComponent',
-                        data: {
-                            title: 'Advanced Features',
-                            description: {
-                                format: 'html',
-                                data: '<p>Discover our comprehensive suite of tools designed to help you create stunning content.</p>',
-                                metadata: {
-                                    version: '1.0',
-                                    created: new Date().toISOString(),
-                                    lastModified: new Date().toISOString()
-                                }
-                            },
-                            imageUrl: 'https://images.unsplash.com/photo-1551288049-bebda4e38f71?ixlib=rb-4.0.3&auto=format&fit=crop&w=800&q=80',
-                            altText: 'Data visualization charts and graphs',
-                            linkUrl: '/features',
-                            linkText: 'Learn More',
-                            linkTarget: '_self',
-                            style: 'default'
-                        },
-                        order: 3
-                    }
-                ],
-                createdAt: new Date('2024-01-15T10:00:00Z'),
-                updatedAt: new Date('2024-01-15T10:00:00Z')
-            },
-            {
-                id: '750e8400-e29b-41d4-a716-446655440002',
-                templateId: '650e8400-e29b-41d4-a716-446655440002', // E-commerce Product Showcase
-                components: [
-                    {
-                        id: 'banner-002',
-                        type: 'BannerComponent',
-                        data: {
-                            headlineText: 'Shop Our Latest Collection',
-                            backgroundImageUrl: 'https://images.unsplash.com/photo-1441986300917-64674bd600d8?ixlib=rb-4.0.3&auto=format&fit=crop&w=1200&q=80',
-                            backgroundImageAltText: 'Modern retail store interior',
-                            callToAction: {
-                                buttonText: 'Shop Now',
-                                linkUrl: '/products',
-                                linkTarget: '_self'
-                            },
-                            style: 'default'
-                        },
-                        order: 1
-                    },
-                    {
-                        id: 'accordion-001',
-                        type: 'AccordionComponent',
-                        data: {
-                            items: [
-                                {
-                                    id: 'accordion-item-1',
-                                    header: 'What payment methods do you accept?',
-                                    content: {
-                                        format: 'html',
-                                        data: '<p>We accept all major credit cards, PayPal, and bank transfers. All transactions are secure and encrypted.</p>',
-                                        metadata: {
-                                            version: '1.0',
-                                            created: new Date().toISOString(),
-                                            lastModified: new Date().toISOString()
-                                        }
-                                    },
-                                    isOpen: false,
-                                    order: 1
-                                },
-                                {
-                                    id: 'accordion-item-2',
-                                    header: 'What is your return policy?',
-                                    content: {
-                                        format: 'html',
-                                        data: '<p>We offer a 30-day return policy for all items. Items must be in original condition with tags attached.</p>',
-                                        metadata: {
-                                            version: '1.0',
-                                            created: new Date().toISOString(),
-                                            lastModified: new Date().toISOString()
-                                        }
-                                    },
-                                    isOpen: false,
-                                    order: 2
-                                }
-                            ],
-                            allowMultipleOpen: true,
-                            style: 'default'
-                        },
-                        order: 2
-                    }
-                ],
-                createdAt: new Date('2024-01-16T14:30:00Z'),
-                updatedAt: new Date('2024-01-16T14:30:00Z')
-            },
-            {
-                id: '750e8400-e29b-41d4-a716-446655440003',
-                templateId: '650e8400-e29b-41d4-a716-446655440003', // Creative Portfolio Landing
-                components: [
-                    {
-                        id: 'text-002',
-                        type: 'TextComponent',
-                        data: {
-                            content: {
-                                format: 'html',
-                                data: '<h1>Creative Portfolio</h1><p>Showcasing innovative design and development work.</p>',
-                                metadata: {
-                                    version: '1.0',
-                                    created: new Date().toISOString(),
-                                    lastModified: new Date().toISOString()
-                                }
-                            }
-                        },
-                        order: 1
-                    },
-                    {
-                        id: 'linkgroup-001',
-                        type: 'LinkGroupComponent',
-                        data: {
-                            title: 'Navigation',
-                            links: [
-                                {
-                                    id: 'link-001',
-                                    linkText: 'Portfolio',
-                                    linkUrl: '/portfolio',
-                                    linkTarget: '_self',
-                                    order: 0
-                                },
-                                {
-                                    id: 'link-002',
-                                    linkText: 'About',
-                                    linkUrl: '/about',
-                                    linkTarget: '_self',
-                                    order: 1
-                                },
-                                {
-                                    id: 'link-003',
-                                    linkText: 'Contact',
-                                    linkUrl: '/contact',
-                                    linkTarget: '_self',
-                                    order: 2
-                                }
-                            ],
-                            style: 'default'
-                        },
-                        order: 2
-                    }
-                ],
-                createdAt: new Date('2024-01-17T09:15:00Z'),
-                updatedAt: new Date('2024-01-17T09:15:00Z')
-            }
-        ];
-
-        // Store sample pages
-        samplePages.forEach(pageData => {
-            this.pages.set(pageData.id, pageData);
-        });
+    constructor(adapter = getStorageAdapter()) {
+        this.adapter = adapter;
     }
 
     /**
@@ -227,7 +38,7 @@ class PageRepository {
                 throw new Error('Invalid page ID format');
             }
 
-            const pageData = this.pages.get(pageId);
+            const pageData = await this.adapter.getPage(pageId);
             if (!pageData) {
                 return null;
             }
@@ -236,7 +47,11 @@ class PageRepository {
             return {
                 id: pageData.id,
                 templateId: pageData.templateId,
+                templateVersion: pageData.templateVersion || null,
+                ownerId: pageData.ownerId || null,
                 components: JSON.parse(JSON.stringify(pageData.components)),
+                revision: pageData.revision || 1,
+                ...this.getPublishingFields(pageData),
                 createdAt: pageData.createdAt,
                 updatedAt: pageData.updatedAt
             };
@@ -247,12 +62,17 @@ class PageRepository {
     }
 
     /**
-     * Update page components atomically
+     * Update page components atomically. Rich text is sanitized before it is
+     * stored (see ../utils/htmlSanitizer.js).
      * @param {string} pageId - Page ID
      * @param {Array} components - New components array
-     * @returns {Object} Updated page data
+     * @param {Object} options - Update options
+     * @param {number} options.expectedRevision - Reject the update with REVISION_CONFLICT
+     *   unless the page is still at this revision
+     * @param {number} options.templateVersion - Template version to record with the components
+     * @returns {Object} Updated page data, with `sanitized` listing the content removed by sanitizing
      */
-    async updatePageComponents(pageId, components) {
+    async updatePageComponents(pageId, components, options = {}) {
         try {
             // Validate pageId format
             if (!this.isValidUUID(pageId)) {
@@ -260,7 +80,7 @@ class PageRepository {
             }
 
             // Check if page exists
-            const existingPage = this.pages.get(pageId);
+            const existingPage = await this.adapter.getPage(pageId);
             if (!existingPage) {
                 throw new Error('Page not found');
             }
@@ -272,37 +92,103 @@ class PageRepository {
                 throw new Error(`Component validation failed: ${validation.errors.join(', ')}`);
             }
 
-            // Simulate atomic transaction
-            const updatedPage = {
-                ...existingPage,
-                components: JSON.parse(JSON.stringify(components)), // Deep copy
+            const { components: sanitizedComponents, sanitized } = sanitizePageComponents(components);
+
+            // Atomic update (conditional on the revision when one is expected)
+            const fields = {
+                components: JSON.parse(JSON.stringify(sanitizedComponents)), // Deep copy
                 updatedAt: new Date()
             };
+            if (options.templateVersion !== undefined) {
+                fields.templateVersion = options.templateVersion;
+            }
+
+            const updatedPage = await this.adapter.updatePage(pageId, fields, { expectedRevision: options.expectedRevision });
+            if (!updatedPage) {
+                const currentPage = await this.getPageById(pageId);
+                if (currentPage && options.expectedRevision !== undefined) {
+                    throw this.revisionConflictError(options.expectedRevision, currentPage);
+                }
+                throw new Error('Page not found');
+            }
 
-            // Atomic update
-            this.pages.set(pageId, updatedPage);
+            searchIndexService.indexPage(updatedPage);
+            imageUsageService.indexPage(updatedPage);
 
             // Return updated page data
             return {
                 id: updatedPage.id,
                 templateId: updatedPage.templateId,
+                templateVersion: updatedPage.templateVersion || null,
+                ownerId: updatedPage.ownerId || null,
                 components: updatedPage.components,
+                revision: updatedPage.revision,
+                ...this.getPublishingFields(updatedPage),
                 createdAt: updatedPage.createdAt,
-                updatedAt: updatedPage.updatedAt
+                updatedAt: updatedPage.updatedAt,
+                sanitized
             };
         } catch (error) {
-            console.error('Error updating page components:', error);
+            // Revision conflicts are an expected outcome, not a failure
+            if (error.code !== 'REVISION_CONFLICT') {
+                console.error('Error updating page components:', error);
+            }
             throw error;
         }
     }
 
+    /**
+     * Apply component-level operations to a page atomically (see
+     * ../utils/pageOperations.js). Without an expected revision, the operations
+     * are re-applied to the latest components if another update lands first.
+     * @param {string} pageId - Page ID
+     * @param {Array} operations - Operations to apply in order
+     * @param {Object} options - Update options
+     * @param {number} options.expectedRevision - Reject the update with REVISION_CONFLICT
+     *   unless the page is still at this revision
+     * @returns {Object} { page, results } with the updated page data and one result per operation
+     */
+    async applyComponentOperations(pageId, operations, options = {}) {
+        if (!this.isValidUUID(pageId)) {
+            throw new Error('Invalid page ID format');
+        }
+
+        for (let attempt = 1; ; attempt++) {
+            const currentPage = await this.getPageById(pageId);
+            if (!currentPage) {
+                throw new Error('Page not found');
+            }
+
+            if (options.expectedRevision !== undefined && options.expectedRevision !== currentPage.revision) {
+                throw this.revisionConflictError(options.expectedRevision, currentPage);
+            }
+
+            const expectedRevision = currentPage.revision;
+            const { components, results } = applyPageOperations(currentPage.components, operations);
+
+            try {
+                const page = await this.updatePageComponents(pageId, components, { expectedRevision });
+                return { page, results };
+            } catch (error) {
+                const canRetry = error.code === 'REVISION_CONFLICT'
+                    && options.expectedRevision === undefined
+                    && attempt < MAX_PATCH_ATTEMPTS;
+                if (!canRetry) {
+                    throw error;
+                }
+            }
+        }
+    }
+
     /**
      * Create a new page
      * @param {string} templateId - Template ID
      * @param {Array} components - Initial components array
-     * @returns {Object} Created page data
+     * @param {string} ownerId - ID of the user creating the page
+     * @param {number} templateVersion - Template version the page was created from
+     * @returns {Object} Created page data, with `sanitized` listing the content removed by sanitizing
      */
-    async createPage(templateId, components = []) {
+    async createPage(templateId, components = [], ownerId = null, templateVersion = null) {
         try {
             // Validate templateId format
             if (!this.isValidUUID(templateId)) {
@@ -311,11 +197,15 @@ class PageRepository {
 
             const pageId = uuidv4();
             const now = new Date();
+            const { components: sanitizedComponents, sanitized } = sanitizePageComponents(components);
 
             const newPage = {
                 id: pageId,
                 templateId,
-                components: JSON.parse(JSON.stringify(components)), // Deep copy
+                templateVersion,
+                ownerId,
+                components: JSON.parse(JSON.stringify(sanitizedComponents)), // Deep copy
+                revision: 1,
                 createdAt: now,
                 updatedAt: now
             };
@@ -328,14 +218,21 @@ class PageRepository {
             }
 
             // Store the page
-            this.pages.set(pageId, newPage);
+            const storedPage = await this.adapter.insertPage(newPage);
+            searchIndexService.indexPage(storedPage);
+            imageUsageService.indexPage(storedPage);
 
             return {
-                id: newPage.id,
-                templateId: newPage.templateId,
-                components: newPage.components,
-                createdAt: newPage.createdAt,
-                updatedAt: newPage.updatedAt
+                id: storedPage.id,
+                templateId: storedPage.templateId,
+                templateVersion: storedPage.templateVersion || null,
+                ownerId: storedPage.ownerId || null,
+                components: storedPage.components,
+                revision: storedPage.revision || 1,
+                ...this.getPublishingFields(storedPage),
+                createdAt: storedPage.createdAt,
+                updatedAt: storedPage.updatedAt,
+                sanitized
             };
         } catch (error) {
             console.error('Error creating page:', error);
@@ -355,13 +252,12 @@ class PageRepository {
                 throw new Error('Invalid page ID format');
             }
 
-            const pageExists = this.pages.has(pageId);
-            if (!pageExists) {
-                return false;
+            const deleted = await this.adapter.deletePage(pageId);
+            if (deleted) {
+                searchIndexService.removePage(pageId);
+                imageUsageService.removePage(pageId);
             }
-
-            this.pages.delete(pageId);
-            return true;
+            return deleted;
         } catch (error) {
             console.error('Error deleting page:', error);
             throw error;
@@ -374,23 +270,97 @@ class PageRepository {
      */
     async getAllPages() {
         try {
-            const pages = [];
-            for (const [id, pageData] of this.pages) {
-                pages.push({
-                    id: pageData.id,
-                    templateId: pageData.templateId,
-                    componentCount: pageData.components.length,
-                    createdAt: pageData.createdAt,
-                    updatedAt: pageData.updatedAt
-                });
-            }
-            return pages;
+            const pages = await this.adapter.listPages();
+            return pages.map(pageData => ({
+                id: pageData.id,
+                templateId: pageData.templateId,
+                templateVersion: pageData.templateVersion || null,
+                ownerId: pageData.ownerId || null,
+                componentCount: pageData.components.length,
+                componentTypes: [...new Set(pageData.components.map(component => component.type))],
+                revision: pageData.revision || 1,
+                ...this.getPublishingFields(pageData),
+                createdAt: pageData.createdAt,
+                updatedAt: pageData.updatedAt
+            }));
         } catch (error) {
             console.error('Error fetching all pages:', error);
             throw error;
         }
     }
 
+    /**
+     * Get every page with its components (for building in-memory indexes)
+     * @returns {Array} Array of page data
+     */
+    async getAllPagesWithComponents() {
+        const summaries = await this.getAllPages();
+        const pages = await Promise.all(summaries.map(summary => this.getPageById(summary.id)));
+        return pages.filter(Boolean);
+    }
+
+    /**
+     * Update a page's publishing state. Publishing does not change the page's
+     * content, so the revision is left as it is.
+     * @param {string} pageId - Page ID
+     * @param {Object} fields - Any of status, publishedVersionId, publishedAt,
+     *   scheduledVersionId and scheduledPublishAt
+     * @returns {Object|null} Updated page data or null if not found
+     */
+    async updatePublishingState(pageId, fields) {
+        try {
+            if (!this.isValidUUID(pageId)) {
+                throw new Error('Invalid page ID format');
+            }
+
+            const allowedFields = ['status', 'publishedVersionId', 'publishedAt', 'scheduledVersionId', 'scheduledPublishAt'];
+            const updates = {};
+            allowedFields.forEach(field => {
+                if (fields[field] !== undefined) {
+                    updates[field] = fields[field];
+                }
+            });
+
+            const updatedPage = await this.adapter.updatePage(pageId, updates, { incrementRevision: false });
+            if (!updatedPage) {
+                return null;
+            }
+
+            return this.getPageById(pageId);
+        } catch (error) {
+            console.error('Error updating page publishing state:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get the publishing fields of a stored page
+     * @param {Object} pageData - Stored page record
+     * @returns {Object} status, publishedVersionId, publishedAt, scheduledVersionId and scheduledPublishAt
+     */
+    getPublishingFields(pageData) {
+        return {
+            status: pageData.status || 'draft',
+            publishedVersionId: pageData.publishedVersionId || null,
+            publishedAt: pageData.publishedAt || null,
+            scheduledVersionId: pageData.scheduledVersionId || null,
+            scheduledPublishAt: pageData.scheduledPublishAt || null
+        };
+    }
+
+    /**
+     * Create the error for an update made against an outdated revision
+     * @param {number} expectedRevision - Revision the update was based on
+     * @param {Object} currentPage - Current page data
+     * @returns {Error} Error with code REVISION_CONFLICT and the current page
+     */
+    revisionConflictError(expectedRevision, currentPage) {
+        const error = new Error(`Page has been modified (expected revision ${expectedRevision}, current revision ${currentPage.revision})`);
+        error.code = 'REVISION_CONFLICT';
+        error.currentPage = currentPage;
+        return error;
+    }
+
     /**
      * Validate UUID format
      * @param {string} uuid - UUID string
@@ -407,14 +377,15 @@ class PageRepository {
      */
     async getPageStats() {
         try {
+            const pages = await this.adapter.listPages();
             const stats = {
-                totalPages: this.pages.size,
+                totalPages: pages.length,
                 totalComponents: 0,
                 componentTypes: {},
                 averageComponentsPerPage: 0
             };
 
-            for (const [id, pageData] of this.pages) {
+            for (const pageData of pages) {
                 stats.totalComponents += pageData.components.length;
                 
                 pageData.components.forEach(component => {
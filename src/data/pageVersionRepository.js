@@ -0,0 +1,99 @@
+/**
+ * Page Version Repository
+ *
+ * Data access layer for page versions. Records are persisted through the
+ * configured storage adapter (see ./storage.js), the same one used for pages.
+ */
+
+const PageVersion = require('../models/PageVersion');
+const { getStorageAdapter } = require('./storage');
+
+class PageVersionRepository {
+    /**
+     * @param {Object} adapter - Storage adapter (see ./storage.js)
+     */
+    constructor(adapter = getStorageAdapter()) {
+        this.adapter = adapter;
+    }
+
+    /**
+     * Create a new version with the next version number for its page
+     * @param {Object} versionData - Version data (pageId, components, userId, versionName, changeDescription)
+     * @returns {PageVersion} Created page version
+     */
+    async createVersion(versionData) {
+        try {
+            const pageVersion = new PageVersion({
+                ...versionData,
+                versionNumber: await this.getNextVersionNumber(versionData.pageId)
+            });
+
+            const storedVersion = await this.adapter.insertVersion(pageVersion.toJSON());
+            return new PageVersion(storedVersion);
+        } catch (error) {
+            console.error('Error creating page version:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get a version of a page
+     * @param {string} pageId - Page ID
+     * @param {string} versionId - Version ID
+     * @returns {PageVersion|null} Page version or null if not found
+     */
+    async getVersion(pageId, versionId) {
+        try {
+            const versionData = await this.adapter.getVersion(pageId, versionId);
+            return versionData ? new PageVersion(versionData) : null;
+        } catch (error) {
+            console.error('Error fetching page version:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get all versions of a page, newest version number first
+     * @param {string} pageId - Page ID
+     * @returns {Array<PageVersion>} Page versions
+     */
+    async getVersionsByPageId(pageId) {
+        try {
+            const versions = await this.adapter.listVersions(pageId);
+            return versions.map(versionData => new PageVersion(versionData));
+        } catch (error) {
+            console.error('Error fetching page versions:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get the next version number for a page
+     * @param {string} pageId - Page ID
+     * @returns {number} Next version number
+     */
+    async getNextVersionNumber(pageId) {
+        const maxVersion = await this.adapter.getMaxVersionNumber(pageId);
+        return maxVersion + 1;
+    }
+
+    /**
+     * Delete versions of a page
+     * @param {string} pageId - Page ID
+     * @param {Array} versionIds - IDs of the versions to delete
+     * @returns {number} Number of deleted versions
+     */
+    async deleteVersions(pageId, versionIds) {
+        try {
+            return await this.adapter.deleteVersions(pageId, versionIds);
+        } catch (error) {
+            console.error('Error deleting page versions:', error);
+            throw error;
+        }
+    }
+}
+
+// Create singleton instance
+const pageVersionRepository = new PageVersionRepository();
+
+module.exports = pageVersionRepository;
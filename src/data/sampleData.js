@@ -0,0 +1,213 @@
+/**
+ * Sample Page Data
+ * Work Order #2: Implement Page Content Management API Endpoints
+ *
+ * Sample pages used to seed empty page stores in development so the editor
+ * has content to open out of the box. Shared by every storage adapter.
+ */
+
+/**
+ * Build a fresh copy of the sample pages
+ * @returns {Array} Array of page records
+ */
+function getSamplePages() {
+    return [
+        {
+            id: '750e8400-e29b-41d4-a716-446655440001',
+            templateId: '650e8400-e29b-41d4-a716-446655440001', // Modern Business Homepage
+            templateVersion: 1,
+            ownerId: '550e8400-e29b-41d4-a716-446655440010', // John Doe
+            components: [
+                {
+                    id: 'banner-001',
+                    type: 'BannerComponent',
+                    data: {
+                        headlineText: 'Welcome to Our Platform',
+                        backgroundImageUrl: 'https://images.unsplash.com/photo-1551434678-e076c223a692?ixlib=rb-4.0.3&auto=format&fit=crop&w=1200&q=80',
+                        backgroundImageAltText: 'Modern workspace with laptop and coffee',
+                        callToAction: {
+                            buttonText: 'Get Started',
+                            linkUrl: '/get-started',
+                            linkTarget: '_self'
+                        },
+                        style: 'default'
+                    },
+                    order: 1
+                },
+                {
+                    id: 'text-001',
+                    type: 'TextComponent',
+                    data: {
+                        content: {
+                            format: 'html',
+                            data: '<p>Build amazing things with our powerful tools and intuitive interface. Perfect for businesses and individuals alike.</p>',
+                            metadata: {
+                                version: '1.0',
+                                created: new Date().toISOString(),
+                                lastModified: new Date().toISOString()
+                            }
+                        }
+                    },
+                    order: 2
+                },
+                {
+                    id: 'card-001',
+                    type: 'CardComponent',
+                    data: {
+                        title: 'Advanced Features',
+                        description: {
+                            format: 'html',
+                            data: '<p>Discover our comprehensive suite of tools designed to help you create stunning content.</p>',
+                            metadata: {
+                                version: '1.0',
+                                created: new Date().toISOString(),
+                                lastModified: new Date().toISOString()
+                            }
+                        },
+                        imageUrl: 'https://images.unsplash.com/photo-1551288049-bebda4e38f71?ixlib=rb-4.0.3&auto=format&fit=crop&w=800&q=80',
+                        altText: 'Data visualization charts and graphs',
+                        linkUrl: '/features',
+                        linkText: 'Learn More',
+                        linkTarget: '_self',
+                        style: 'default'
+                    },
+                    order: 3
+                }
+            ],
+            createdAt: new Date('2024-01-15T10:00:00Z'),
+            updatedAt: new Date('2024-01-15T10:00:00Z'),
+            revision: 1
+        },
+        {
+            id: '750e8400-e29b-41d4-a716-446655440002',
+            templateId: '650e8400-e29b-41d4-a716-446655440002', // E-commerce Product Showcase
+            templateVersion: 1,
+            ownerId: '550e8400-e29b-41d4-a716-446655440011', // Jane Smith
+            components: [
+                {
+                    id: 'banner-002',
+                    type: 'BannerComponent',
+                    data: {
+                        headlineText: 'Shop Our Latest Collection',
+                        backgroundImageUrl: 'https://images.unsplash.com/photo-1441986300917-64674bd600d8?ixlib=rb-4.0.3&auto=format&fit=crop&w=1200&q=80',
+                        backgroundImageAltText: 'Modern retail store interior',
+                        callToAction: {
+                            buttonText: 'Shop Now',
+                            linkUrl: '/products',
+                            linkTarget: '_self'
+                        },
+                        style: 'default'
+                    },
+                    order: 1
+                },
+                {
+                    id: 'accordion-001',
+                    type: 'AccordionComponent',
+                    data: {
+                        items: [
+                            {
+                                id: 'accordion-item-1',
+                                header: 'What payment methods do you accept?',
+                                content: {
+                                    format: 'html',
+                                    data: '<p>We accept all major credit cards, PayPal, and bank transfers. All transactions are secure and encrypted.</p>',
+                                    metadata: {
+                                        version: '1.0',
+                                        created: new Date().toISOString(),
+                                        lastModified: new Date().toISOString()
+                                    }
+                                },
+                                isOpen: false,
+                                order: 1
+                            },
+                            {
+                                id: 'accordion-item-2',
+                                header: 'What is your return policy?',
+                                content: {
+                                    format: 'html',
+                                    data: '<p>We offer a 30-day return policy for all items. Items must be in original condition with tags attached.</p>',
+                                    metadata: {
+                                        version: '1.0',
+                                        created: new Date().toISOString(),
+                                        lastModified: new Date().toISOString()
+                                    }
+                                },
+                                isOpen: false,
+                                order: 2
+                            }
+                        ],
+                        allowMultipleOpen: true,
+                        style: 'default'
+                    },
+                    order: 2
+                }
+            ],
+            createdAt: new Date('2024-01-16T14:30:00Z'),
+            updatedAt: new Date('2024-01-16T14:30:00Z'),
+            revision: 1
+        },
+        {
+            id: '750e8400-e29b-41d4-a716-446655440003',
+            templateId: '650e8400-e29b-41d4-a716-446655440003', // Creative Portfolio Landing
+            templateVersion: 1,
+            ownerId: '550e8400-e29b-41d4-a716-446655440010', // John Doe
+            components: [
+                {
+                    id: 'text-002',
+                    type: 'TextComponent',
+                    data: {
+                        content: {
+                            format: 'html',
+                            data: '<h1>Creative Portfolio</h1><p>Showcasing innovative design and development work.</p>',
+                            metadata: {
+                                version: '1.0',
+                                created: new Date().toISOString(),
+                                lastModified: new Date().toISOString()
+                            }
+                        }
+                    },
+                    order: 1
+                },
+                {
+                    id: 'linkgroup-001',
+                    type: 'LinkGroupComponent',
+                    data: {
+                        title: 'Navigation',
+                        links: [
+                            {
+                                id: 'link-001',
+                                linkText: 'Portfolio',
+                                linkUrl: '/portfolio',
+                                linkTarget: '_self',
+                                order: 0
+                            },
+                            {
+                                id: 'link-002',
+                                linkText: 'About',
+                                linkUrl: '/about',
+                                linkTarget: '_self',
+                                order: 1
+                            },
+                            {
+                                id: 'link-003',
+                                linkText: 'Contact',
+                                linkUrl: '/contact',
+                                linkTarget: '_self',
+                                order: 2
+                            }
+                        ],
+                        style: 'default'
+                    },
+                    order: 2
+                }
+            ],
+            createdAt: new Date('2024-01-17T09:15:00Z'),
+            updatedAt: new Date('2024-01-17T09:15:00Z'),
+            revision: 1
+        }
+    ];
+}
+
+module.exports = {
+    getSamplePages
+};
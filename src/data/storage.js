@@ -0,0 +1,64 @@
+/**
+ * Storage Adapter Factory
+ *
+ * Selects the persistence backend from environment configuration:
+ * - STORAGE_ADAPTER: "memory" (default) or "pglite"
+ * - DATABASE_DIR: data directory for the pglite adapter (default: ./data/pglite)
+ * - DATABASE_AUTO_MIGRATE: set to "false" to skip applying migrations on startup
+ *
+ * Repositories share a single adapter instance obtained from getStorageAdapter().
+ */
+
+const path = require('path');
+const MemoryStorageAdapter = require('./adapters/memoryAdapter');
+const PgliteStorageAdapter = require('./adapters/pgliteAdapter');
+
+const ADAPTERS = {
+    memory: MemoryStorageAdapter,
+    pglite: PgliteStorageAdapter
+};
+
+let sharedAdapter = null;
+
+/**
+ * Create a storage adapter
+ * @param {Object} config - Adapter configuration
+ * @param {string} config.adapter - Adapter name ("memory" or "pglite")
+ * @param {string} config.dataDir - Data directory for file-backed adapters
+ * @returns {Object} Storage adapter instance
+ */
+function createStorageAdapter(config = {}) {
+    const { adapter, ...options } = config;
+    const adapterName = (adapter || process.env.STORAGE_ADAPTER || 'memory').toLowerCase();
+    const Adapter = ADAPTERS[adapterName];
+
+    if (!Adapter) {
+        throw new Error(`Unknown storage adapter "${adapterName}". Supported adapters: ${Object.keys(ADAPTERS).join(', ')}`);
+    }
+
+    if (adapterName === 'pglite') {
+        const dataDir = options.dataDir || process.env.DATABASE_DIR || path.join(process.cwd(), 'data', 'pglite');
+        const autoMigrate = options.autoMigrate !== undefined
+            ? options.autoMigrate
+            : process.env.DATABASE_AUTO_MIGRATE !== 'false';
+        return new Adapter({ ...options, dataDir, autoMigrate });
+    }
+
+    return new Adapter(options);
+}
+
+/**
+ * Get the storage adapter shared by all repositories
+ * @returns {Object} Storage adapter instance
+ */
+function getStorageAdapter() {
+    if (!sharedAdapter) {
+        sharedAdapter = createStorageAdapter();
+    }
+    return sharedAdapter;
+}
+
+module.exports = {
+    createStorageAdapter,
+    getStorageAdapter
+};
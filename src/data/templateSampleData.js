@@ -0,0 +1,377 @@
+/**
+ * Sample Template Data
+ *
+ * Sample categories and templates used to seed the template catalog (see
+ * ../services/templateService.js) in development, so the template browser and
+ * the admin dashboard have content out of the box.
+ */
+
+// Time the sample categories were created
+const CATEGORY_CREATED_AT = '2024-01-15T09:00:00Z';
+
+/**
+ * Build a fresh copy of the sample categories
+ * @returns {Array} Array of category records
+ */
+function getSampleCategories() {
+    return [
+        { id: '550e8400-e29b-41d4-a716-446655440001', name: 'Business', description: 'Websites for companies and small businesses' },
+        { id: '550e8400-e29b-41d4-a716-446655440002', name: 'E-commerce', description: 'Online stores and product showcases' },
+        { id: '550e8400-e29b-41d4-a716-446655440003', name: 'Landing Page', description: 'Single-page product and campaign sites' },
+        { id: '550e8400-e29b-41d4-a716-446655440004', name: 'Portfolio', description: 'Showcases for creative work' },
+        { id: '550e8400-e29b-41d4-a716-446655440005', name: 'Blog', description: 'Articles and publishing layouts' },
+        { id: '550e8400-e29b-41d4-a716-446655440006', name: 'Corporate', description: 'Company information and about pages' }
+    ].map(category => ({
+        ...category,
+        createdAt: new Date(CATEGORY_CREATED_AT),
+        updatedAt: new Date(CATEGORY_CREATED_AT)
+    }));
+}
+
+/**
+ * Build a fresh copy of the sample templates
+ * @returns {Array} Array of template records
+ */
+function getSampleTemplates() {
+    return [
+        {
+            id: '650e8400-e29b-41d4-a716-446655440001',
+            name: 'Modern Business Homepage',
+            description: 'A clean and professional business homepage template with hero section, services, and contact information.',
+            categoryId: '550e8400-e29b-41d4-a716-446655440001',
+            createdAt: new Date('2024-01-15T10:00:00Z'),
+            updatedAt: new Date('2024-01-15T10:00:00Z'),
+            isActive: true,
+            components: [
+                {
+                    type: 'banner',
+                    defaultValues: {
+                        headlineText: 'Welcome to Our Business',
+                        callToAction: {
+                            buttonText: 'Get Started',
+                            linkUrl: '#contact'
+                        },
+                        backgroundImageUrl: '',
+                        backgroundImageAltText: 'Business background'
+                    }
+                },
+                {
+                    type: 'text',
+                    defaultValues: {
+                        content: 'We provide innovative solutions to help your business grow and succeed in today\'s competitive market.',
+                        format: 'html'
+                    }
+                },
+                {
+                    type: 'card',
+                    defaultValues: {
+                        title: 'Our Services',
+                        description: {
+                            format: 'html',
+                            data: 'We offer a comprehensive range of services designed to meet your business needs.'
+                        },
+                        imageUrl: '',
+                        altText: 'Services illustration'
+                    }
+                }
+            ]
+        },
+        {
+            id: '650e8400-e29b-41d4-a716-446655440002',
+            name: 'E-commerce Product Showcase',
+            description: 'A responsive e-commerce template featuring product grids, shopping cart, and checkout flow.',
+            categoryId: '550e8400-e29b-41d4-a716-446655440002',
+            createdAt: new Date('2024-01-16T14:30:00Z'),
+            updatedAt: new Date('2024-01-16T14:30:00Z'),
+            isActive: true,
+            components: [
+                {
+                    type: 'banner',
+                    defaultValues: {
+                        headlineText: 'Shop Our Latest Collection',
+                        callToAction: {
+                            buttonText: 'Shop Now',
+                            linkUrl: '#products'
+                        },
+                        backgroundImageUrl: '',
+                        backgroundImageAltText: 'Product showcase'
+                    }
+                },
+                {
+                    type: 'card',
+                    defaultValues: {
+                        title: 'Featured Product',
+                        description: {
+                            format: 'html',
+                            data: 'Discover our most popular items with unbeatable quality and style.'
+                        },
+                        imageUrl: '',
+                        altText: 'Featured product'
+                    }
+                },
+                {
+                    type: 'button',
+                    defaultValues: {
+                        text: 'Add to Cart',
+                        style: 'primary',
+                        linkUrl: '#cart'
+                    }
+                }
+            ]
+        },
+        {
+            id: '650e8400-e29b-41d4-a716-446655440003',
+            name: 'Creative Portfolio Landing',
+            description: 'A stunning portfolio template perfect for designers, photographers, and creative professionals.',
+            categoryId: '550e8400-e29b-41d4-a716-446655440004',
+            createdAt: new Date('2024-01-17T09:15:00Z'),
+            updatedAt: new Date('2024-01-17T09:15:00Z'),
+            isActive: true,
+            components: [
+                {
+                    type: 'banner',
+                    defaultValues: {
+                        headlineText: 'Creative Portfolio',
+                        callToAction: {
+                            buttonText: 'View My Work',
+                            linkUrl: '#portfolio'
+                        },
+                        backgroundImageUrl: '',
+                        backgroundImageAltText: 'Creative background'
+                    }
+                },
+                {
+                    type: 'text',
+                    defaultValues: {
+                        content: 'I am a passionate creative professional specializing in innovative design solutions.',
+                        format: 'html'
+                    }
+                },
+                {
+                    type: 'image',
+                    defaultValues: {
+                        imageUrl: '',
+                        altText: 'Portfolio showcase',
+                        width: 400,
+                        height: 300
+                    }
+                }
+            ]
+        },
+        {
+            id: '650e8400-e29b-41d4-a716-446655440004',
+            name: 'Corporate About Page',
+            description: 'Professional corporate about page template with team section, company history, and values.',
+            categoryId: '550e8400-e29b-41d4-a716-446655440006',
+            createdAt: new Date('2024-01-18T11:45:00Z'),
+            updatedAt: new Date('2024-01-18T11:45:00Z'),
+            isActive: true,
+            components: [
+                {
+                    type: 'banner',
+                    defaultValues: {
+                        headlineText: 'About Our Company',
+                        callToAction: {
+                            buttonText: 'Learn More',
+                            linkUrl: '#history'
+                        },
+                        backgroundImageUrl: '',
+                        backgroundImageAltText: 'Corporate background'
+                    }
+                },
+                {
+                    type: 'text',
+                    defaultValues: {
+                        content: 'We are a leading company with over 20 years of experience in delivering exceptional solutions to our clients.',
+                        format: 'html'
+                    }
+                },
+                {
+                    type: 'accordion',
+                    defaultValues: {
+                        title: 'Company Information',
+                        items: [
+                            {
+                                title: 'Our Mission',
+                                content: 'To provide innovative solutions that drive business success.'
+                            },
+                            {
+                                title: 'Our Values',
+                                content: 'Integrity, excellence, and customer satisfaction are at the core of everything we do.'
+                            }
+                        ]
+                    }
+                }
+            ]
+        },
+        {
+            id: '650e8400-e29b-41d4-a716-446655440005',
+            name: 'Blog Article Layout',
+            description: 'Clean and readable blog template with article layout, sidebar, and comment section.',
+            categoryId: '550e8400-e29b-41d4-a716-446655440005',
+            createdAt: new Date('2024-01-19T16:20:00Z'),
+            updatedAt: new Date('2024-01-19T16:20:00Z'),
+            isActive: true,
+            components: [
+                {
+                    type: 'text',
+                    defaultValues: {
+                        content: '<h1>Blog Article Title</h1><p>This is a sample blog article with clean, readable formatting.</p>',
+                        format: 'html'
+                    }
+                },
+                {
+                    type: 'image',
+                    defaultValues: {
+                        imageUrl: '',
+                        altText: 'Article featured image',
+                        width: 600,
+                        height: 400
+                    }
+                },
+                {
+                    type: 'text',
+                    defaultValues: {
+                        content: '<p>Lorem ipsum dolor sit amet, consectetur adipiscing elit. Sed do eiusmod tempor incididunt ut labore et dolore magna aliqua.</p>',
+                        format: 'html'
+                    }
+                }
+            ]
+        },
+        {
+            id: '650e8400-e29b-41d4-a716-446655440006',
+            name: 'SaaS Landing Page',
+            description: 'High-converting SaaS landing page template with pricing tables, testimonials, and CTA sections.',
+            categoryId: '550e8400-e29b-41d4-a716-446655440003',
+            createdAt: new Date('2024-01-20T13:10:00Z'),
+            updatedAt: new Date('2024-01-20T13:10:00Z'),
+            isActive: true,
+            components: [
+                {
+                    type: 'banner',
+                    defaultValues: {
+                        headlineText: 'Revolutionary SaaS Solution',
+                        callToAction: {
+                            buttonText: 'Start Free Trial',
+                            linkUrl: '#signup'
+                        },
+                        backgroundImageUrl: '',
+                        backgroundImageAltText: 'SaaS platform'
+                    }
+                },
+                {
+                    type: 'text',
+                    defaultValues: {
+                        content: 'Transform your business with our cutting-edge software solution. Join thousands of satisfied customers.',
+                        format: 'html'
+                    }
+                },
+                {
+                    type: 'button',
+                    defaultValues: {
+                        text: 'Get Started Now',
+                        style: 'primary',
+                        linkUrl: '#pricing'
+                    }
+                }
+            ]
+        },
+        {
+            id: '650e8400-e29b-41d4-a716-446655440007',
+            name: 'Restaurant Menu Page',
+            description: 'Appetizing restaurant template featuring menu display, location info, and reservation form.',
+            categoryId: '550e8400-e29b-41d4-a716-446655440001',
+            createdAt: new Date('2024-01-21T08:30:00Z'),
+            updatedAt: new Date('2024-01-21T08:30:00Z'),
+            isActive: true,
+            components: [
+                {
+                    type: 'banner',
+                    defaultValues: {
+                        headlineText: 'Welcome to Our Restaurant',
+                        callToAction: {
+                            buttonText: 'Make Reservation',
+                            linkUrl: '#reservation'
+                        },
+                        backgroundImageUrl: '',
+                        backgroundImageAltText: 'Restaurant interior'
+                    }
+                },
+                {
+                    type: 'text',
+                    defaultValues: {
+                        content: 'Experience fine dining with our carefully crafted menu featuring fresh, locally sourced ingredients.',
+                        format: 'html'
+                    }
+                },
+                {
+                    type: 'card',
+                    defaultValues: {
+                        title: 'Chef\'s Special',
+                        description: {
+                            format: 'html',
+                            data: 'Our signature dish prepared with the finest ingredients and traditional cooking techniques.'
+                        },
+                        imageUrl: '',
+                        altText: 'Chef special dish'
+                    }
+                }
+            ]
+        },
+        {
+            id: '650e8400-e29b-41d4-a716-446655440008',
+            name: 'Online Store Homepage',
+            description: 'Complete online store template with featured products, categories, and promotional banners.',
+            categoryId: '550e8400-e29b-41d4-a716-446655440002',
+            createdAt: new Date('2024-01-22T15:45:00Z'),
+            updatedAt: new Date('2024-01-22T15:45:00Z'),
+            isActive: true,
+            components: [
+                {
+                    type: 'banner',
+                    defaultValues: {
+                        headlineText: 'Welcome to Our Online Store',
+                        callToAction: {
+                            buttonText: 'Shop Now',
+                            linkUrl: '#products'
+                        },
+                        backgroundImageUrl: '',
+                        backgroundImageAltText: 'Online store banner'
+                    }
+                },
+                {
+                    type: 'text',
+                    defaultValues: {
+                        content: 'Discover amazing products at unbeatable prices. Free shipping on orders over $50!',
+                        format: 'html'
+                    }
+                },
+                {
+                    type: 'linkgroup',
+                    defaultValues: {
+                        title: 'Quick Links',
+                        links: [
+                            {
+                                text: 'New Arrivals',
+                                url: '#new-arrivals'
+                            },
+                            {
+                                text: 'Best Sellers',
+                                url: '#best-sellers'
+                            },
+                            {
+                                text: 'Sale Items',
+                                url: '#sale'
+                            }
+                        ]
+                    }
+                }
+            ]
+        }
+    ];
+}
+
+module.exports = {
+    getSampleCategories,
+    getSampleTemplates
+};
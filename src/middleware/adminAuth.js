@@ -3,57 +3,22 @@
  * Work Order #32: Template Upload Initiation and Completion API Endpoints
  * 
  * Provides authentication and authorization for admin-only endpoints.
- * In a production environment, this would integrate with a proper auth system.
+ * Authentication uses the shared session token middleware (./auth.js).
  */
 
-// Mock admin user for demonstration
-const MOCK_ADMIN_USER = {
-    id: 'admin-user-123-abc-456-def',
-    email: 'admin@templateeditor.com',
-    role: 'admin',
-    permissions: ['template_upload', 'template_management']
-};
+const { authenticate } = require('./auth');
 
 /**
- * Mock authentication middleware for admin endpoints
- * In a real application, this would verify JWT tokens, session cookies, etc.
+ * Authentication middleware for admin endpoints
+ * Verifies the session token and requires the admin role.
  */
 const authenticateAdmin = (req, res, next) => {
-    try {
-        // Mock authentication - in production, verify actual auth token
-        const authHeader = req.headers.authorization;
-        
-        if (!authHeader || !authHeader.startsWith('Bearer ')) {
-            return res.status(401).json({
-                error: 'Authentication required',
-                code: 'AUTHENTICATION_REQUIRED',
-                message: 'Please provide a valid authentication token'
-            });
-        }
-
-        // Mock token validation - in production, verify JWT signature
-        const token = authHeader.substring(7);
-        if (token !== 'mock-admin-token-123') {
-            return res.status(401).json({
-                error: 'Invalid authentication token',
-                code: 'INVALID_TOKEN',
-                message: 'The provided authentication token is invalid'
-            });
+    authenticate(req, res, (error) => {
+        if (error) {
+            return next(error);
         }
-
-        // Set user information in request object
-        req.user = MOCK_ADMIN_USER;
-        req.userId = MOCK_ADMIN_USER.id;
-        
-        next();
-    } catch (error) {
-        console.error('Admin authentication error:', error);
-        res.status(500).json({
-            error: 'Authentication service error',
-            code: 'AUTH_SERVICE_ERROR',
-            message: 'An error occurred during authentication'
-        });
-    }
+        authorizeAdmin()(req, res, next);
+    });
 };
 
 /**
@@ -102,12 +67,11 @@ const authorizeAdmin = (requiredPermission) => {
  * Combined middleware for admin authentication and authorization
  */
 const requireAdmin = (requiredPermission = null) => {
-    return [authenticateAdmin, authorizeAdmin(requiredPermission)];
+    return [authenticate, authorizeAdmin(requiredPermission)];
 };
 
 module.exports = {
     authenticateAdmin,
     authorizeAdmin,
-    requireAdmin,
-    MOCK_ADMIN_USER
+    requireAdmin
 };
@@ -0,0 +1,72 @@
+/**
+ * Authentication Middleware
+ *
+ * Shared middleware that verifies the Bearer access token on a request and
+ * populates req.user (public user data), req.userId and req.auth (token claims).
+ * Used by the page, version, share and admin routes.
+ */
+
+const authService = require('../services/authService');
+
+const TOKEN_ERROR_MESSAGES = {
+    TOKEN_EXPIRED: 'The authentication token has expired. Refresh the session and try again.',
+    TOKEN_REVOKED: 'The authentication token has been revoked',
+    INVALID_TOKEN: 'The provided authentication token is invalid'
+};
+
+/**
+ * Extract the Bearer token from the Authorization header
+ * @param {Object} req - Express request
+ * @returns {string|null} Token or null if missing
+ */
+const getBearerToken = (req) => {
+    const authHeader = req.headers.authorization;
+    if (!authHeader || !authHeader.startsWith('Bearer ')) {
+        return null;
+    }
+    return authHeader.substring(7).trim() || null;
+};
+
+/**
+ * Require a valid access token
+ */
+const authenticate = async (req, res, next) => {
+    const token = getBearerToken(req);
+    if (!token) {
+        return res.status(401).json({
+            error: 'Authentication required',
+            code: 'AUTHENTICATION_REQUIRED',
+            message: 'Please provide a valid authentication token'
+        });
+    }
+
+    try {
+        const { user, claims } = await authService.authenticate(token);
+
+        req.user = user.toPublicJSON();
+        req.userId = user.id;
+        req.auth = claims;
+
+        next();
+    } catch (error) {
+        if (TOKEN_ERROR_MESSAGES[error.code]) {
+            return res.status(401).json({
+                error: 'Invalid authentication token',
+                code: error.code,
+                message: TOKEN_ERROR_MESSAGES[error.code]
+            });
+        }
+
+        console.error('Authentication error:', error);
+        res.status(500).json({
+            error: 'Authentication service error',
+            code: 'AUTH_SERVICE_ERROR',
+            message: 'An error occurred during authentication'
+        });
+    }
+};
+
+module.exports = {
+    authenticate,
+    getBearerToken
+};
@@ -0,0 +1,131 @@
+/**
+ * Page Access Middleware
+ *
+ * Enforces page permissions for the page and version routes. A user's
+ * permission on a page is the highest of:
+ *   owner - the user created the page (administrators are treated as owners)
+ *   edit  - the page is shared with the user, or a group the user belongs
+ *           to, with edit permission
+ *   view  - the page is shared with the user, or a group the user belongs
+ *           to, with view permission
+ *
+ * Must run after the authenticate middleware. On success the page and the
+ * resolved permission are available as req.page and req.pageAccess.
+ */
+
+const pageRepository = require('../data/pageRepository');
+
+// Rank of each permission level; a higher rank includes the lower ones
+const PERMISSION_RANK = {
+    view: 1,
+    edit: 2,
+    owner: 3
+};
+
+/**
+ * Resolve a user's permission on a page
+ * @param {Object} page - Page data (with ownerId)
+ * @param {Object} user - Authenticated user (req.user)
+ * @param {Object} pageShareService - PageShareService instance
+ * @returns {string|null} 'owner', 'edit', 'view' or null when the user has no access
+ */
+const resolvePagePermission = (page, user, pageShareService) => {
+    if (!page || !user) {
+        return null;
+    }
+
+    if (page.ownerId && page.ownerId === user.id) {
+        return 'owner';
+    }
+
+    if (user.role === 'admin') {
+        return 'owner';
+    }
+
+    if (pageShareService) {
+        const shareAccess = pageShareService.checkPageAccess(page.id, user.id, 'view');
+        if (shareAccess.hasAccess) {
+            return shareAccess.permissionLevel;
+        }
+    }
+
+    return null;
+};
+
+/**
+ * Check whether a permission level satisfies a required level
+ * @param {string|null} permissionLevel - Permission the user has
+ * @param {string} requiredPermission - Permission the operation needs
+ * @returns {boolean} True if allowed
+ */
+const hasPermission = (permissionLevel, requiredPermission) => {
+    return Boolean(permissionLevel) && PERMISSION_RANK[permissionLevel] >= PERMISSION_RANK[requiredPermission];
+};
+
+/**
+ * Require a permission on the page named by req.params.pageId
+ * @param {string} requiredPermission - 'view', 'edit' or 'owner'
+ */
+const requirePageAccess = (requiredPermission = 'view') => {
+    return async (req, res, next) => {
+        try {
+            const { pageId } = req.params;
+
+            if (!pageRepository.isValidUUID(pageId)) {
+                return res.status(400).json({
+                    error: 'Invalid page ID format. Must be a valid UUID.',
+                    code: 'INVALID_PAGE_ID_FORMAT'
+                });
+            }
+
+            const page = await pageRepository.getPageById(pageId);
+            if (!page) {
+                return res.status(404).json({
+                    error: 'Page not found',
+                    code: 'PAGE_NOT_FOUND',
+                    pageId: pageId
+                });
+            }
+
+            const permissionLevel = resolvePagePermission(page, req.user, req.app.locals.pageShareService);
+
+            if (!permissionLevel) {
+                return res.status(403).json({
+                    error: 'You do not have access to this page',
+                    code: 'PAGE_ACCESS_DENIED',
+                    requiredPermission,
+                    permissionLevel: null
+                });
+            }
+
+            if (!hasPermission(permissionLevel, requiredPermission)) {
+                return res.status(403).json({
+                    error: `This operation requires ${requiredPermission} permission on the page`,
+                    code: 'INSUFFICIENT_PAGE_PERMISSION',
+                    requiredPermission,
+                    permissionLevel
+                });
+            }
+
+            req.page = page;
+            req.pageAccess = {
+                permissionLevel,
+                canEdit: hasPermission(permissionLevel, 'edit')
+            };
+
+            next();
+        } catch (error) {
+            console.error('Page access check error:', error);
+            res.status(500).json({
+                error: 'Internal server error',
+                code: 'INTERNAL_SERVER_ERROR'
+            });
+        }
+    };
+};
+
+module.exports = {
+    requirePageAccess,
+    resolvePagePermission,
+    hasPermission
+};
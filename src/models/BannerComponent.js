@@ -157,6 +157,11 @@ class BannerComponent {
             return null;
         }
 
+        // Site-relative paths such as '/about' are allowed
+        if (trimmedUrl.startsWith('/') && !trimmedUrl.startsWith('//')) {
+            return trimmedUrl;
+        }
+
         // Basic URL validation
         try {
             new URL(trimmedUrl);
@@ -301,12 +306,8 @@ class BannerComponent {
                 errors.push('LinkUrl must be a string');
             } else if (callToAction.linkUrl.length > 2048) {
                 errors.push('LinkUrl must not exceed 2048 characters');
-            } else {
-                try {
-                    new URL(callToAction.linkUrl);
-                } catch {
-                    errors.push('LinkUrl must be a valid URL');
-                }
+            } else if (this.validateLinkUrl(callToAction.linkUrl) === null) {
+                errors.push('LinkUrl must be a valid URL');
             }
         }
 
@@ -188,6 +188,11 @@ class CardComponent {
             return null;
         }
 
+        // Site-relative paths such as '/about' are allowed
+        if (trimmedUrl.startsWith('/') && !trimmedUrl.startsWith('//')) {
+            return trimmedUrl;
+        }
+
         // Basic URL validation
         try {
             new URL(trimmedUrl);
@@ -319,12 +324,8 @@ class CardComponent {
                 errors.push('LinkUrl must be a string');
             } else if (data.linkUrl.length > 2048) {
                 errors.push('LinkUrl must not exceed 2048 characters');
-            } else {
-                try {
-                    new URL(data.linkUrl);
-                } catch {
-                    errors.push('LinkUrl must be a valid URL');
-                }
+            } else if (this.validateLinkUrl(data.linkUrl) === null) {
+                errors.push('LinkUrl must be a valid URL');
             }
         }
 
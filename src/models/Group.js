@@ -0,0 +1,143 @@
+/**
+ * Group Data Model
+ *
+ * This model represents a named group of users, such as a team, that pages
+ * can be shared with. Members get the permission of the group's page shares.
+ * A group is managed by the user who created it and by administrators.
+ */
+
+const { v4: uuidv4 } = require('uuid');
+
+const MAX_NAME_LENGTH = 100;
+const MAX_DESCRIPTION_LENGTH = 500;
+
+class Group {
+    constructor(data = {}) {
+        this.id = data.id || uuidv4();
+        this.name = typeof data.name === 'string' ? data.name.trim() : data.name;
+        this.description = typeof data.description === 'string' ? data.description.trim() || null : data.description || null;
+        this.memberIds = Array.isArray(data.memberIds) ? [...new Set(data.memberIds)] : data.memberIds;
+        this.createdByUserId = data.createdByUserId || null;
+        this.createdAt = data.createdAt || new Date().toISOString();
+        this.updatedAt = data.updatedAt || new Date().toISOString();
+
+        this.validate();
+    }
+
+    /**
+     * Validate the Group data
+     * @throws {Error} If validation fails
+     */
+    validate() {
+        if (!this.name || typeof this.name !== 'string') {
+            throw new Error('Group name is required');
+        }
+
+        if (this.name.length > MAX_NAME_LENGTH) {
+            throw new Error(`Group name cannot exceed ${MAX_NAME_LENGTH} characters`);
+        }
+
+        if (this.description !== null && (typeof this.description !== 'string' || this.description.length > MAX_DESCRIPTION_LENGTH)) {
+            throw new Error(`Group description must be a string of at most ${MAX_DESCRIPTION_LENGTH} characters`);
+        }
+
+        if (!Array.isArray(this.memberIds) || !this.memberIds.every(memberId => this.isValidUUID(memberId))) {
+            throw new Error('Group memberIds must be an array of user IDs');
+        }
+
+        if (!this.createdByUserId || !this.isValidUUID(this.createdByUserId)) {
+            throw new Error('Group createdByUserId must be a valid UUID');
+        }
+    }
+
+    /**
+     * Check if a string is a valid UUID
+     * @param {string} uuid - String to validate
+     * @returns {boolean} True if valid UUID
+     */
+    isValidUUID(uuid) {
+        return /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(uuid);
+    }
+
+    /**
+     * Check if a user is a member of the group
+     * @param {string} userId - User ID
+     * @returns {boolean} True if member
+     */
+    hasMember(userId) {
+        return this.memberIds.includes(userId);
+    }
+
+    /**
+     * Add a member
+     * @param {string} userId - User ID
+     * @returns {boolean} True if the user was added, false if already a member
+     */
+    addMember(userId) {
+        if (this.hasMember(userId)) {
+            return false;
+        }
+
+        this.memberIds.push(userId);
+        this.updatedAt = new Date().toISOString();
+        return true;
+    }
+
+    /**
+     * Remove a member
+     * @param {string} userId - User ID
+     * @returns {boolean} True if the user was removed, false if not a member
+     */
+    removeMember(userId) {
+        if (!this.hasMember(userId)) {
+            return false;
+        }
+
+        this.memberIds = this.memberIds.filter(memberId => memberId !== userId);
+        this.updatedAt = new Date().toISOString();
+        return true;
+    }
+
+    /**
+     * Check if a user can rename, delete and change the members of the group
+     * @param {Object} user - User (with id and role)
+     * @returns {boolean} True if the user manages the group
+     */
+    canManage(user) {
+        return Boolean(user) && (user.id === this.createdByUserId || user.role === 'admin');
+    }
+
+    /**
+     * Get a summary of the Group for API responses
+     * @returns {Object} Summary object
+     */
+    getSummary() {
+        return {
+            id: this.id,
+            name: this.name,
+            description: this.description,
+            memberCount: this.memberIds.length,
+            createdByUserId: this.createdByUserId,
+            createdAt: this.createdAt,
+            updatedAt: this.updatedAt
+        };
+    }
+
+    /**
+     * Convert Group to JSON object
+     * @returns {Object} JSON representation
+     */
+    toJSON() {
+        return {
+            id: this.id,
+            name: this.name,
+            description: this.description,
+            memberIds: [...this.memberIds],
+            createdByUserId: this.createdByUserId,
+            createdAt: this.createdAt,
+            updatedAt: this.updatedAt
+        };
+    }
+}
+
+module.exports = Group;
@@ -3,10 +3,19 @@
  * Work Order #26: Build ImageUploader Component for Banner Background Images
  * 
  * Represents an uploaded image with metadata and S3 storage information.
+ *
+ * After upload the file is inspected by the image processing task (see
+ * src/tasks/imageProcessing.js), which fills in width, height and variants
+ * and moves processingStatus from pending to ready (or failed, with
+ * processingError). Each variant is
+ *   { name, url, s3Key, width, height, contentType, fileSize }
+ * named 'thumbnail' or 'w<width>' for the responsive widths.
  */
 
 const { v4: uuidv4 } = require('uuid');
 
+const PROCESSING_STATUSES = ['pending', 'processing', 'ready', 'failed'];
+
 class Image {
     constructor(data = {}) {
         this.id = data.id || uuidv4();
@@ -18,6 +27,12 @@ class Image {
         this.fileName = data.fileName || '';
         this.fileSize = data.fileSize || 0;
         this.contentType = data.contentType || '';
+        this.width = data.width || null;
+        this.height = data.height || null;
+        this.variants = Array.isArray(data.variants) ? data.variants : [];
+        this.processingStatus = data.processingStatus || 'pending';
+        this.processingError = data.processingError || null;
+        this.processedAt = data.processedAt || null;
         this.createdAt = data.createdAt || new Date().toISOString();
         this.updatedAt = data.updatedAt || new Date().toISOString();
     }
@@ -64,6 +79,14 @@ class Image {
             errors.push('Content type must be a valid string');
         }
 
+        if (!PROCESSING_STATUSES.includes(this.processingStatus)) {
+            errors.push(`Processing status must be one of: ${PROCESSING_STATUSES.join(', ')}`);
+        }
+
+        if (!Array.isArray(this.variants)) {
+            errors.push('Variants must be an array');
+        }
+
         if (!this.createdAt || typeof this.createdAt !== 'string') {
             errors.push('Created at must be a valid ISO string');
         }
@@ -90,10 +113,42 @@ class Image {
         if (data.fileName !== undefined) this.fileName = data.fileName;
         if (data.fileSize !== undefined) this.fileSize = data.fileSize;
         if (data.contentType !== undefined) this.contentType = data.contentType;
+        if (data.width !== undefined) this.width = data.width;
+        if (data.height !== undefined) this.height = data.height;
+        if (data.variants !== undefined) this.variants = data.variants;
+        if (data.processingStatus !== undefined) this.processingStatus = data.processingStatus;
+        if (data.processingError !== undefined) this.processingError = data.processingError;
+        if (data.processedAt !== undefined) this.processedAt = data.processedAt;
         
         this.updatedAt = new Date().toISOString();
     }
 
+    /**
+     * Gets a variant by name
+     */
+    getVariant(name) {
+        return this.variants.find(variant => variant.name === name) || null;
+    }
+
+    /**
+     * Builds a srcset attribute value from the responsive variants and the
+     * original, or an empty string until the image has been processed
+     */
+    getSrcset() {
+        if (this.processingStatus !== 'ready' || !this.width) {
+            return '';
+        }
+
+        const sources = this.variants
+            .filter(variant => variant.name !== 'thumbnail')
+            .concat({ url: this.url, width: this.width })
+            .sort((a, b) => a.width - b.width);
+
+        return sources.length > 1
+            ? sources.map(source => `${source.url} ${source.width}w`).join(', ')
+            : '';
+    }
+
     /**
      * Converts the image to a plain object
      */
@@ -108,6 +163,12 @@ class Image {
             fileName: this.fileName,
             fileSize: this.fileSize,
             contentType: this.contentType,
+            width: this.width,
+            height: this.height,
+            variants: this.variants,
+            processingStatus: this.processingStatus,
+            processingError: this.processingError,
+            processedAt: this.processedAt,
             createdAt: this.createdAt,
             updatedAt: this.updatedAt
         };
@@ -121,4 +182,6 @@ class Image {
     }
 }
 
+Image.PROCESSING_STATUSES = PROCESSING_STATUSES;
+
 module.exports = Image;
@@ -52,6 +52,11 @@ class Link {
             return null;
         }
 
+        // Site-relative paths such as '/about' are allowed
+        if (trimmedUrl.startsWith('/') && !trimmedUrl.startsWith('//')) {
+            return trimmedUrl;
+        }
+
         // Basic URL validation
         try {
             new URL(trimmedUrl);
@@ -103,12 +108,8 @@ class Link {
             errors.push('LinkUrl cannot be empty');
         } else if (this.linkUrl.length > 2048) {
             errors.push('LinkUrl must not exceed 2048 characters');
-        } else {
-            try {
-                new URL(this.linkUrl);
-            } catch {
-                errors.push('LinkUrl must be a valid URL');
-            }
+        } else if (this.validateLinkUrl(this.linkUrl) === null) {
+            errors.push('LinkUrl must be a valid URL');
         }
 
         // Validate linkTarget
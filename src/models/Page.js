@@ -19,6 +19,7 @@ class Page {
     constructor(data = {}) {
         this.id = data.id || uuidv4();
         this.templateId = data.templateId || data.template_id;
+        this.templateVersion = data.templateVersion ?? data.template_version ?? null;
         this.components = data.components || [];
         this.createdAt = data.createdAt || data.created_at || new Date();
         this.updatedAt = data.updatedAt || data.updated_at || new Date();
@@ -38,6 +39,11 @@ class Page {
             errors.push('templateId must be a valid UUID');
         }
 
+        // Validate templateVersion
+        if (this.templateVersion !== null && (!Number.isInteger(this.templateVersion) || this.templateVersion < 1)) {
+            errors.push('templateVersion must be a positive integer');
+        }
+
         // Validate components array
         if (!Array.isArray(this.components)) {
             errors.push('components must be an array');
@@ -268,7 +274,20 @@ class Page {
     getTextComponents() {
         return this.components
             .filter(c => c.type === 'TextComponent')
-            .map(c => new TextComponent(c));
+            .map(c => this.toTextComponent(c));
+    }
+
+    /**
+     * Build a TextComponent instance from a page component. Page components
+     * keep their content in data.content.
+     * @param {Object} component - Page component
+     * @returns {TextComponent} TextComponent instance
+     */
+    toTextComponent(component) {
+        return new TextComponent({
+            ...component,
+            content: component.data ? component.data.content : component.content
+        });
     }
 
     /**
@@ -279,7 +298,7 @@ class Page {
     getTextComponentById(componentId) {
         const component = this.getComponentById(componentId);
         if (component && component.type === 'TextComponent') {
-            return new TextComponent(component);
+            return this.toTextComponent(component);
         }
         return null;
     }
@@ -321,7 +340,10 @@ class Page {
         }
 
         textComponent.updateContent(content, format);
-        this.updateComponent(componentId, textComponent.toJSON());
+        const component = this.getComponentById(componentId);
+        this.updateComponent(componentId, {
+            data: { ...(component.data || {}), content: textComponent.content }
+        });
         return true;
     }
 
@@ -343,20 +365,17 @@ class Page {
      */
     searchTextContent(searchTerm, caseSensitive = false) {
         const results = [];
-        const searchRegex = new RegExp(
-            caseSensitive ? searchTerm : searchTerm.toLowerCase(),
-            'g'
-        );
+        if (!searchTerm) {
+            return results;
+        }
 
+        // Markdown and JSON content is searched by its rendered text
         this.getTextComponents().forEach(textComponent => {
-            const content = caseSensitive ? 
-                textComponent.getAsPlainText() : 
-                textComponent.getAsPlainText().toLowerCase();
-
-            if (searchRegex.test(content)) {
+            const matches = this.getTextMatches(textComponent.getAsPlainText(), searchTerm, caseSensitive);
+            if (matches.length > 0) {
                 results.push({
                     component: textComponent,
-                    matches: this.getTextMatches(textComponent.getAsPlainText(), searchTerm, caseSensitive)
+                    matches
                 });
             }
         });
@@ -398,16 +417,28 @@ class Page {
     /**
      * Highlight search term in context
      * @param {string} context - Text context
-     * @param {string} searchTerm - Search term
+     * @param {string|Array} searchTerm - Search term, or several terms to highlight
      * @param {boolean} caseSensitive - Case sensitive search
-     * @returns {string} Highlighted context
+     * @returns {string} Highlighted context (HTML-escaped)
      */
     highlightMatch(context, searchTerm, caseSensitive = false) {
+        const escapeHtml = text => text
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+        const terms = (Array.isArray(searchTerm) ? searchTerm : [searchTerm])
+            .filter(Boolean)
+            .sort((a, b) => b.length - a.length);
+        if (terms.length === 0) {
+            return escapeHtml(context);
+        }
+
         const regex = new RegExp(
-            `(${searchTerm.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')})`,
+            `(${terms.map(term => escapeHtml(term).replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('|')})`,
             caseSensitive ? 'g' : 'gi'
         );
-        return context.replace(regex, '<mark>$1</mark>');
+        return escapeHtml(context).replace(regex, '<mark>$1</mark>');
     }
 
     /**
@@ -1234,7 +1265,9 @@ class Page {
     }
 
     /**
-     * Initialize page from template
+     * Initialize page from template. A template revision (with a version
+     * number) pins the page to that version, and each page component keeps
+     * the ID of the template component it came from in templateComponentId.
      * @param {Object} template - Template object with components
      * @returns {boolean} Success status
      */
@@ -1243,24 +1276,41 @@ class Page {
             throw new Error('Template must have components array');
         }
 
-        this.templateId = template.id;
+        this.templateId = template.templateId || template.id;
+        this.templateVersion = template.version || null;
         this.components = [];
 
         // Convert template components to page components
         template.components.forEach((templateComponent, index) => {
-            const pageComponent = {
-                id: `${templateComponent.type.toLowerCase()}-${Date.now()}-${index}`,
-                type: this.mapTemplateComponentType(templateComponent.type),
-                data: { ...templateComponent.defaultValues },
-                order: index + 1
-            };
-            this.addComponent(pageComponent);
+            this.addComponent(this.createComponentFromTemplate(templateComponent, index + 1));
         });
 
         this.updatedAt = new Date();
         return true;
     }
 
+    /**
+     * Create a page component from a template component
+     * @param {Object} templateComponent - Template component with type and defaultValues (or data)
+     * @param {number} order - Order of the new component
+     * @returns {Object} Page component
+     */
+    createComponentFromTemplate(templateComponent, order) {
+        const type = this.mapTemplateComponentType(templateComponent.type);
+        const component = {
+            id: `${type.replace(/Component$/, '').toLowerCase()}-${uuidv4()}`,
+            type,
+            data: JSON.parse(JSON.stringify(templateComponent.defaultValues || templateComponent.data || {})),
+            order
+        };
+
+        if (templateComponent.id) {
+            component.templateComponentId = templateComponent.id;
+        }
+
+        return component;
+    }
+
     /**
      * Map template component type to page component type
      * @param {string} templateType - Template component type
@@ -1278,6 +1328,10 @@ class Page {
             'linkgroup': 'LinkGroupComponent'
         };
 
+        if (templateType.endsWith('Component')) {
+            return templateType;
+        }
+
         return typeMapping[templateType] || 'TextComponent';
     }
 
@@ -1311,6 +1365,7 @@ class Page {
         return {
             id: this.id,
             templateId: this.templateId,
+            templateVersion: this.templateVersion,
             components: this.components,
             createdAt: this.createdAt,
             updatedAt: this.updatedAt
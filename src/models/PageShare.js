@@ -3,7 +3,8 @@
  * Work Order #39: Implement PageShare Data Model for Collaborative Sharing
  * 
  * This model represents a page sharing record that tracks which users have access
- * to specific pages and their permission levels.
+ * to specific pages and their permission levels. A share targets either a
+ * single user (userId) or a group of users (groupId, see Group.js).
  */
 
 const { v4: uuidv4 } = require('uuid');
@@ -13,6 +14,7 @@ class PageShare {
         this.id = data.id || uuidv4();
         this.pageId = data.pageId || null;
         this.userId = data.userId || null;
+        this.groupId = data.groupId || null;
         this.permissionLevel = data.permissionLevel || 'view';
         this.sharedByUserId = data.sharedByUserId || null;
         this.createdAt = data.createdAt || new Date().toISOString();
@@ -31,8 +33,8 @@ class PageShare {
             throw new Error('PageShare pageId is required');
         }
         
-        if (!this.userId) {
-            throw new Error('PageShare userId is required');
+        if (!this.userId === !this.groupId) {
+            throw new Error('PageShare requires either a userId or a groupId');
         }
         
         if (!this.sharedByUserId) {
@@ -44,9 +46,13 @@ class PageShare {
             throw new Error('PageShare pageId must be a valid UUID');
         }
         
-        if (!this.isValidUUID(this.userId)) {
+        if (this.userId && !this.isValidUUID(this.userId)) {
             throw new Error('PageShare userId must be a valid UUID');
         }
+
+        if (this.groupId && !this.isValidUUID(this.groupId)) {
+            throw new Error('PageShare groupId must be a valid UUID');
+        }
         
         if (!this.isValidUUID(this.sharedByUserId)) {
             throw new Error('PageShare sharedByUserId must be a valid UUID');
@@ -111,6 +117,14 @@ class PageShare {
         return true;
     }
 
+    /**
+     * Get what the share targets
+     * @returns {string} 'user' or 'group'
+     */
+    getTargetType() {
+        return this.groupId ? 'group' : 'user';
+    }
+
     /**
      * Check if the user can view the page
      * @returns {boolean} True if user can view
@@ -135,7 +149,9 @@ class PageShare {
         return {
             id: this.id,
             pageId: this.pageId,
+            targetType: this.getTargetType(),
             userId: this.userId,
+            groupId: this.groupId,
             permissionLevel: this.permissionLevel,
             sharedByUserId: this.sharedByUserId,
             canView: this.canView(),
@@ -154,6 +170,7 @@ class PageShare {
             id: this.id,
             pageId: this.pageId,
             userId: this.userId,
+            groupId: this.groupId,
             permissionLevel: this.permissionLevel,
             sharedByUserId: this.sharedByUserId,
             createdAt: this.createdAt,
@@ -180,6 +197,23 @@ class PageShare {
         return new PageShare(data);
     }
 
+    /**
+     * Create a new PageShare instance for a group
+     * @param {string} pageId - Page ID
+     * @param {string} groupId - Group ID
+     * @param {string} sharedByUserId - User ID who is sharing
+     * @param {string} permissionLevel - Permission level
+     * @returns {PageShare} New PageShare instance
+     */
+    static createForGroup(pageId, groupId, sharedByUserId, permissionLevel = 'view') {
+        return new PageShare({
+            pageId,
+            groupId,
+            sharedByUserId,
+            permissionLevel
+        });
+    }
+
     /**
      * Create PageShare from existing data
      * @param {Object} data - Existing data
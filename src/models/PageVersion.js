@@ -7,6 +7,10 @@
  */
 
 const { v4: uuidv4 } = require('uuid');
+const { diffPageComponents } = require('../utils/componentDiff');
+
+// Why an automatic checkpoint version was created
+const CHECKPOINT_REASONS = ['session-start', 'interval', 'before-revert', 'before-restore'];
 
 class PageVersion {
     constructor(data = {}) {
@@ -17,6 +21,8 @@ class PageVersion {
         this.userId = data.userId || data.user_id || 'system'; // Default to 'system' for now
         this.versionName = data.versionName || data.version_name || null;
         this.changeDescription = data.changeDescription || data.change_description || null;
+        this.auto = data.auto === true; // Checkpoint created automatically rather than saved by a user
+        this.checkpointReason = data.checkpointReason || data.checkpoint_reason || null;
         this.components = data.components || [];
         
         // Validate the data
@@ -69,6 +75,14 @@ class PageVersion {
             errors.push('Change description must be a string or null');
         }
 
+        if (this.checkpointReason !== null) {
+            if (!this.auto) {
+                errors.push('Only automatic versions can have a checkpoint reason');
+            } else if (!CHECKPOINT_REASONS.includes(this.checkpointReason)) {
+                errors.push(`Checkpoint reason must be one of: ${CHECKPOINT_REASONS.join(', ')}`);
+            }
+        }
+
         if (!Array.isArray(this.components)) {
             errors.push('Components must be an array');
         }
@@ -111,6 +125,8 @@ class PageVersion {
             userId: this.userId,
             versionName: this.versionName,
             changeDescription: this.changeDescription,
+            auto: this.auto,
+            checkpointReason: this.checkpointReason,
             componentCount: this.components.length
         };
     }
@@ -128,6 +144,8 @@ class PageVersion {
             userId: this.userId,
             versionName: this.versionName,
             changeDescription: this.changeDescription,
+            auto: this.auto,
+            checkpointReason: this.checkpointReason,
             components: this.components
         };
     }
@@ -163,7 +181,9 @@ class PageVersion {
             versionNumber: options.versionNumber || 1,
             userId: options.userId || 'system',
             versionName: options.versionName || null,
-            changeDescription: options.changeDescription || null
+            changeDescription: options.changeDescription || null,
+            auto: options.auto === true,
+            checkpointReason: options.checkpointReason || null
         };
 
         return new PageVersion(data);
@@ -180,6 +200,8 @@ class PageVersion {
             timestamp: this.timestamp,
             versionName: this.versionName || `Version ${this.versionNumber}`,
             changeDescription: this.changeDescription,
+            auto: this.auto,
+            checkpointReason: this.checkpointReason,
             componentCount: this.components.length,
             isLatest: false // This would be determined by comparing with other versions
         };
@@ -203,6 +225,15 @@ class PageVersion {
         return JSON.stringify(this.components) === JSON.stringify(otherVersion.components);
     }
 
+    /**
+     * Diff the components of this version against a later one
+     * @param {PageVersion|Object} otherVersion - Version (or object with components) to compare with
+     * @returns {Object} Component diff (see diffPageComponents in src/utils/componentDiff.js)
+     */
+    diff(otherVersion) {
+        return diffPageComponents(this.components, otherVersion ? otherVersion.components : []);
+    }
+
     /**
      * Get component statistics
      * @returns {Object} Component statistics
@@ -222,4 +253,6 @@ class PageVersion {
     }
 }
 
+PageVersion.CHECKPOINT_REASONS = CHECKPOINT_REASONS;
+
 module.exports = PageVersion;
@@ -7,6 +7,8 @@
  */
 
 const { v4: uuidv4 } = require('uuid');
+const { sanitizeHtml } = require('../utils/htmlSanitizer');
+const richText = require('../utils/richText');
 
 class TextComponent {
     constructor(data = {}) {
@@ -121,7 +123,7 @@ class TextComponent {
         }
 
         // Validate format
-        const validFormats = ['html', 'json', 'markdown', 'plain'];
+        const validFormats = richText.RICH_TEXT_FORMATS;
         if (!content.format || !validFormats.includes(content.format)) {
             errors.push(`Content format must be one of: ${validFormats.join(', ')}`);
         }
@@ -167,37 +169,32 @@ class TextComponent {
     }
 
     /**
-     * Validate HTML content
+     * Validate HTML content against the sanitizer's allow-list (see
+     * ../utils/htmlSanitizer.js). Content is invalid if sanitizing it would
+     * remove anything other than comments.
      * @param {string} html - HTML content to validate
      * @returns {Object} Validation result
      */
     validateHtml(html) {
-        const errors = [];
-
         // Basic HTML structure validation
         if (typeof html !== 'string') {
             return { isValid: false, errors: ['HTML content must be a string'] };
         }
 
-        // Check for basic HTML tags
-        const allowedTags = ['p', 'br', 'strong', 'em', 'u', 'a', 'ul', 'ol', 'li', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'div', 'span'];
-        const tagRegex = /<\/?([a-zA-Z][a-zA-Z0-9]*)\b[^<>]*>/g;
-        const foundTags = [];
-        let match;
-
-        while ((match = tagRegex.exec(html)) !== null) {
-            foundTags.push(match[1].toLowerCase());
-        }
-
-        const invalidTags = foundTags.filter(tag => !allowedTags.includes(tag));
-        if (invalidTags.length > 0) {
-            errors.push(`Invalid HTML tags found: ${invalidTags.join(', ')}`);
-        }
-
-        // Check for script tags (security)
-        if (/<script/i.test(html)) {
-            errors.push('Script tags are not allowed for security reasons');
-        }
+        const errors = sanitizeHtml(html).removed
+            .filter(item => item.type !== 'comment')
+            .map(item => {
+                switch (item.type) {
+                    case 'element':
+                        return `HTML tag not allowed: ${item.tag}`;
+                    case 'url':
+                        return `Unsafe URL in ${item.tag} ${item.attribute}`;
+                    case 'style':
+                        return `Style not allowed on ${item.tag}`;
+                    default:
+                        return `HTML attribute not allowed: ${item.attribute} on ${item.tag}`;
+                }
+            });
 
         return {
             isValid: errors.length === 0,
@@ -206,36 +203,20 @@ class TextComponent {
     }
 
     /**
-     * Validate structured JSON content
+     * Validate structured JSON content against the block document format
+     * (see ../utils/richText.js)
      * @param {string} jsonString - JSON string to validate
      * @returns {Object} Validation result
      */
     validateStructuredJson(jsonString) {
-        const errors = [];
-
+        let parsed;
         try {
-            const parsed = JSON.parse(jsonString);
-            
-            if (typeof parsed !== 'object' || Array.isArray(parsed)) {
-                errors.push('Structured JSON content must be an object');
-            } else {
-                // Basic structure validation for rich text editor formats
-                if (!parsed.type) {
-                    errors.push('Structured JSON must have a type field');
-                }
-                
-                if (!parsed.content && !parsed.children) {
-                    errors.push('Structured JSON must have content or children field');
-                }
-            }
+            parsed = JSON.parse(jsonString);
         } catch (e) {
-            errors.push('Invalid JSON format');
+            return { isValid: false, errors: ['Invalid JSON format'] };
         }
 
-        return {
-            isValid: errors.length === 0,
-            errors
-        };
+        return richText.validateBlocks(parsed);
     }
 
     /**
@@ -267,22 +248,11 @@ class TextComponent {
     }
 
     /**
-     * Get content as HTML
+     * Get content as sanitized HTML
      * @returns {string} HTML representation
      */
     getAsHtml() {
-        switch (this.content.format) {
-            case 'html':
-                return this.content.data;
-            case 'markdown':
-                return this.markdownToHtml(this.content.data);
-            case 'json':
-                return this.structuredJsonToHtml(this.content.data);
-            case 'plain':
-                return this.escapeHtml(this.content.data);
-            default:
-                return this.escapeHtml(this.content.data);
-        }
+        return richText.toHtml(this.content);
     }
 
     /**
@@ -290,109 +260,50 @@ class TextComponent {
      * @returns {string} Plain text representation
      */
     getAsPlainText() {
-        switch (this.content.format) {
-            case 'html':
-                return this.htmlToPlainText(this.content.data);
-            case 'json':
-                return this.structuredJsonToPlainText(this.content.data);
-            case 'plain':
-                return this.content.data;
-            default:
-                return this.content.data;
-        }
+        return richText.toPlainText(this.content);
     }
 
     /**
-     * Convert markdown to HTML (basic implementation)
+     * Convert content to another format (html, json or plain)
+     * @param {string} format - Target format
+     * @returns {Object} Converted content object
+     */
+    convertTo(format) {
+        const converted = richText.convertRichText(this.content, format);
+        return {
+            ...converted,
+            metadata: {
+                ...this.content.metadata,
+                lastModified: new Date().toISOString()
+            }
+        };
+    }
+
+    /**
+     * Convert markdown to HTML
      * @param {string} markdown - Markdown content
      * @returns {string} HTML content
      */
     markdownToHtml(markdown) {
-        // Basic markdown to HTML conversion
-        let html = markdown
-            .replace(/^# (.*$)/gm, '<h1>$1</h1>')
-            .replace(/^## (.*$)/gm, '<h2>$1</h2>')
-            .replace(/^### (.*$)/gm, '<h3>$1</h3>')
-            .replace(/\*\*(.*)\*\*/g, '<strong>$1</strong>')
-            .replace(/\*(.*)\*/g, '<em>$1</em>')
-            .replace(/\[([^\]]+)\]\(([^)]+)\)/g, '<a href="$2">$1</a>')
-            .replace(/\n/g, '<br>');
-
-        // Wrap in paragraph if no block elements
-        if (!/<[h1-6]|<ul|<ol|<div/i.test(html)) {
-            html = `<p>${html}</p>`;
-        }
-
-        return html;
+        return richText.markdownToHtml(markdown);
     }
 
     /**
-     * Convert structured JSON to HTML (basic implementation)
+     * Convert structured JSON to HTML
      * @param {string} jsonString - JSON string
      * @returns {string} HTML content
      */
     structuredJsonToHtml(jsonString) {
-        try {
-            const parsed = JSON.parse(jsonString);
-            
-            if (parsed.type === 'doc' && parsed.content) {
-                return this.convertNodesToHtml(parsed.content);
-            } else if (parsed.children) {
-                return this.convertNodesToHtml(parsed.children);
-            } else {
-                return this.escapeHtml(jsonString);
-            }
-        } catch (e) {
-            return this.escapeHtml(jsonString);
-        }
+        return richText.toHtml({ format: 'json', data: jsonString });
     }
 
     /**
-     * Convert nodes array to HTML
-     * @param {Array} nodes - Array of node objects
-     * @returns {string} HTML content
+     * Convert HTML to a structured JSON string
+     * @param {string} html - HTML content
+     * @returns {string} JSON string
      */
-    convertNodesToHtml(nodes) {
-        if (!Array.isArray(nodes)) return '';
-
-        return nodes.map(node => {
-            switch (node.type) {
-                case 'paragraph':
-                    return `<p>${node.content ? this.convertNodesToHtml(node.content) : ''}</p>`;
-                case 'heading':
-                    const level = node.attrs?.level || 1;
-                    return `<h${level}>${node.content ? this.convertNodesToHtml(node.content) : ''}</h${level}>`;
-                case 'text':
-                    let text = node.text || '';
-                    if (node.marks) {
-                        node.marks.forEach(mark => {
-                            switch (mark.type) {
-                                case 'bold':
-                                    text = `<strong>${text}</strong>`;
-                                    break;
-                                case 'italic':
-                                    text = `<em>${text}</em>`;
-                                    break;
-                                case 'underline':
-                                    text = `<u>${text}</u>`;
-                                    break;
-                                case 'link':
-                                    text = `<a href="${mark.attrs?.href || '#'}">${text}</a>`;
-                                    break;
-                            }
-                        });
-                    }
-                    return text;
-                case 'bulletList':
-                    return `<ul>${node.content ? this.convertNodesToHtml(node.content) : ''}</ul>`;
-                case 'orderedList':
-                    return `<ol>${node.content ? this.convertNodesToHtml(node.content) : ''}</ol>`;
-                case 'listItem':
-                    return `<li>${node.content ? this.convertNodesToHtml(node.content) : ''}</li>`;
-                default:
-                    return node.text || '';
-            }
-        }).join('');
+    htmlToStructuredJson(html) {
+        return JSON.stringify(richText.htmlToBlocks(html));
     }
 
     /**
@@ -401,33 +312,7 @@ class TextComponent {
      * @returns {string} Plain text
      */
     htmlToPlainText(html) {
-        return html
-            .replace(/<br\s*\/?>/gi, '\n')
-            .replace(/<\/p>/gi, '\n\n')
-            .replace(/<\/h[1-6]>/gi, '\n\n')
-            .replace(/<\/li>/gi, '\n')
-            .replace(/<[^>]*>/g, '')
-            .replace(/&nbsp;/g, ' ')
-            .replace(/&amp;/g, '&')
-            .replace(/&lt;/g, '<')
-            .replace(/&gt;/g, '>')
-            .replace(/&quot;/g, '"')
-            .trim();
-    }
-
-    /**
-     * Convert structured JSON to plain text
-     * @param {string} jsonString - JSON string
-     * @returns {string} Plain text
-     */
-    structuredJsonToPlainText(jsonString) {
-        try {
-            const parsed = JSON.parse(jsonString);
-            const html = this.structuredJsonToHtml(jsonString);
-            return this.htmlToPlainText(html);
-        } catch (e) {
-            return jsonString;
-        }
+        return richText.htmlToPlainText(html);
     }
 
     /**
@@ -436,14 +321,7 @@ class TextComponent {
      * @returns {string} Escaped HTML
      */
     escapeHtml(text) {
-        const div = document ? document.createElement('div') : null;
-        if (div) {
-            div.textContent = text;
-            return div.innerHTML;
-        }
-        
-        // Fallback for server-side
-        return text
+        return String(text)
             .replace(/&/g, '&amp;')
             .replace(/</g, '&lt;')
             .replace(/>/g, '&gt;')
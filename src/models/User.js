@@ -0,0 +1,160 @@
+/**
+ * User Data Model
+ *
+ * This model represents a local user account and its directory profile
+ * (avatar and team). Passwords are never stored in clear text; the record
+ * holds a salted hash produced by src/utils/password.js.
+ */
+
+const { v4: uuidv4 } = require('uuid');
+
+// Permissions granted by each role
+const ROLE_PERMISSIONS = {
+    user: [],
+    admin: ['template_upload', 'template_management']
+};
+
+const MAX_NAME_LENGTH = 255;
+const MAX_TEAM_LENGTH = 100;
+
+class User {
+    constructor(data = {}) {
+        this.id = data.id || uuidv4();
+        this.email = typeof data.email === 'string' ? data.email.trim().toLowerCase() : data.email;
+        this.name = data.name || null;
+        this.role = data.role || 'user';
+        this.passwordHash = data.passwordHash || null;
+        this.avatarUrl = data.avatarUrl || null;
+        this.team = typeof data.team === 'string' ? data.team.trim() || null : data.team || null;
+        this.createdAt = data.createdAt || new Date().toISOString();
+        this.updatedAt = data.updatedAt || new Date().toISOString();
+
+        this.validate();
+    }
+
+    /**
+     * Validate the User data
+     * @throws {Error} If validation fails
+     */
+    validate() {
+        if (!this.email) {
+            throw new Error('User email is required');
+        }
+
+        if (!this.isValidEmail(this.email)) {
+            throw new Error('User email must be a valid email address');
+        }
+
+        if (!this.name || typeof this.name !== 'string') {
+            throw new Error('User name is required');
+        }
+
+        if (this.name.length > MAX_NAME_LENGTH) {
+            throw new Error(`User name cannot exceed ${MAX_NAME_LENGTH} characters`);
+        }
+
+        if (this.avatarUrl !== null && !this.isValidAvatarUrl(this.avatarUrl)) {
+            throw new Error('User avatarUrl must be an http(s) URL or an absolute path');
+        }
+
+        if (this.team !== null && (typeof this.team !== 'string' || this.team.length > MAX_TEAM_LENGTH)) {
+            throw new Error(`User team must be a string of at most ${MAX_TEAM_LENGTH} characters`);
+        }
+
+        if (!Object.prototype.hasOwnProperty.call(ROLE_PERMISSIONS, this.role)) {
+            throw new Error(`User role must be one of: ${Object.keys(ROLE_PERMISSIONS).join(', ')}`);
+        }
+
+        if (!this.passwordHash) {
+            throw new Error('User passwordHash is required');
+        }
+    }
+
+    /**
+     * Validate email format
+     * @param {string} email - Email to validate
+     * @returns {boolean} True if valid email
+     */
+    isValidEmail(email) {
+        return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email);
+    }
+
+    /**
+     * Validate an avatar URL (uploaded files are served from absolute paths)
+     * @param {string} url - URL to validate
+     * @returns {boolean} True if valid avatar URL
+     */
+    isValidAvatarUrl(url) {
+        return typeof url === 'string' && /^(https?:\/\/|\/)\S+$/.test(url);
+    }
+
+    /**
+     * Get the permissions granted by the user's role
+     * @returns {Array} Permission names
+     */
+    getPermissions() {
+        return [...ROLE_PERMISSIONS[this.role]];
+    }
+
+    /**
+     * Check if the user is an administrator
+     * @returns {boolean} True if admin
+     */
+    isAdmin() {
+        return this.role === 'admin';
+    }
+
+    /**
+     * Get the user data that is safe to expose (no password hash)
+     * @returns {Object} Public user data
+     */
+    toPublicJSON() {
+        return {
+            id: this.id,
+            email: this.email,
+            name: this.name,
+            role: this.role,
+            permissions: this.getPermissions(),
+            avatarUrl: this.avatarUrl,
+            team: this.team,
+            createdAt: this.createdAt,
+            updatedAt: this.updatedAt
+        };
+    }
+
+    /**
+     * Get the directory profile shown to other users
+     * @returns {Object} Profile data
+     */
+    toProfileJSON() {
+        return {
+            id: this.id,
+            name: this.name,
+            email: this.email,
+            avatarUrl: this.avatarUrl,
+            team: this.team
+        };
+    }
+
+    /**
+     * Convert to plain object for storage
+     * @returns {Object} Plain object representation including the password hash
+     */
+    toJSON() {
+        return {
+            id: this.id,
+            email: this.email,
+            name: this.name,
+            role: this.role,
+            passwordHash: this.passwordHash,
+            avatarUrl: this.avatarUrl,
+            team: this.team,
+            createdAt: this.createdAt,
+            updatedAt: this.updatedAt
+        };
+    }
+}
+
+User.ROLE_PERMISSIONS = ROLE_PERMISSIONS;
+
+module.exports = User;
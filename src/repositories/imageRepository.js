@@ -54,6 +54,22 @@ class ImageRepository {
         }
     }
 
+    /**
+     * Retrieves an image by its public URL
+     */
+    async getImageByUrl(url) {
+        try {
+            if (!url || typeof url !== 'string') {
+                throw new Error('Image URL must be a valid string');
+            }
+
+            return Array.from(images.values()).find(image => image.url === url) || null;
+        } catch (error) {
+            console.error('Error retrieving image by URL:', error);
+            throw new Error(`Failed to retrieve image by URL: ${error.message}`);
+        }
+    }
+
     /**
      * Retrieves all images
      */
@@ -147,10 +163,34 @@ class ImageRepository {
                 results = results.filter(image => image.uploadedBy === criteria.uploadedBy);
             }
 
+            if (criteria.query) {
+                const query = criteria.query.toLowerCase();
+                results = results.filter(image =>
+                    image.fileName.toLowerCase().includes(query) ||
+                    image.altText.toLowerCase().includes(query)
+                );
+            }
+
             if (criteria.contentType) {
                 results = results.filter(image => image.contentType === criteria.contentType);
             }
 
+            if (criteria.minWidth) {
+                results = results.filter(image => image.width >= criteria.minWidth);
+            }
+
+            if (criteria.maxWidth) {
+                results = results.filter(image => image.width && image.width <= criteria.maxWidth);
+            }
+
+            if (criteria.minHeight) {
+                results = results.filter(image => image.height >= criteria.minHeight);
+            }
+
+            if (criteria.maxHeight) {
+                results = results.filter(image => image.height && image.height <= criteria.maxHeight);
+            }
+
             if (criteria.minFileSize) {
                 results = results.filter(image => image.fileSize >= criteria.minFileSize);
             }
@@ -87,8 +87,15 @@ const validateCreateTemplateRequest = (data) => {
  * @returns {Object} Validation result
  */
 const validateUpdateTemplateRequest = (data) => {
-    // For updates, we use the same validation as create
-    return validateCreateTemplateRequest(data);
+    // For updates, we use the same validation as create, plus the active flag
+    const validation = validateCreateTemplateRequest(data);
+
+    if (data.isActive !== undefined && typeof data.isActive !== 'boolean') {
+        validation.errors.push('isActive must be a boolean');
+        validation.isValid = false;
+    }
+
+    return validation;
 };
 
 /**
@@ -146,6 +153,8 @@ const sanitizeTemplateResponse = (template) => {
         fileType: template.fileType, // Include file type information
         previewImageUrl: template.previewImageUrl,
         components: template.components,
+        isActive: template.isActive !== false,
+        version: template.version,
         createdAt: template.createdAt,
         updatedAt: template.updatedAt
     };
@@ -5,7 +5,7 @@
  * Defines validation schemas for template file upload requests and responses.
  */
 
-const s3Service = require('../services/s3Service');
+const storageService = require('../services/storageService');
 
 /**
  * Validates initiate template upload request
@@ -43,7 +43,7 @@ const validateInitiateTemplateUpload = (req, res, next) => {
         }
 
         // File validation using S3 service
-        const validation = s3Service.validateFile(fileName, fileType, fileSize);
+        const validation = storageService.validateFile(fileName, fileType, fileSize);
         if (!validation.isValid) {
             return res.status(400).json({
                 success: false,
@@ -275,7 +275,10 @@ const sanitizeUploadSessionResponse = (session) => {
         createdAt: session.createdAt,
         updatedAt: session.updatedAt,
         error: session.error,
-        expiresAt: session.expiresAt
+        expiresAt: session.expiresAt,
+        processingStatus: session.processingStatus,
+        processingError: session.processingError,
+        templateId: session.templateId
     };
 };
 
@@ -0,0 +1,199 @@
+/**
+ * Auth Service
+ *
+ * Issues and verifies session tokens for local user accounts. Sessions use a
+ * short-lived access token and a longer-lived refresh token, both HMAC-signed
+ * JWTs (see src/utils/jwt.js). Refresh tokens are rotated on use, and logout
+ * revokes the tokens it is given until they would have expired anyway.
+ *
+ * Configuration:
+ *   AUTH_TOKEN_SECRET          - signing secret (a random one is generated per
+ *                                process when unset, so sessions end on restart)
+ *   AUTH_ACCESS_TOKEN_TTL      - access token lifetime in seconds (default 900)
+ *   AUTH_REFRESH_TOKEN_TTL     - refresh token lifetime in seconds (default 604800)
+ */
+
+const crypto = require('crypto');
+const jwt = require('../utils/jwt');
+const userService = require('./userService');
+
+const DEFAULT_ACCESS_TOKEN_TTL = 15 * 60;
+const DEFAULT_REFRESH_TOKEN_TTL = 7 * 24 * 60 * 60;
+
+/**
+ * Create an auth error with a machine-readable code
+ * @param {string} message - Error message
+ * @param {string} code - Error code
+ * @returns {Error} Error instance
+ */
+function authError(message, code) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+}
+
+class AuthService {
+    /**
+     * @param {Object} options - Service options
+     * @param {Object} options.userService - User service used to look up accounts
+     * @param {string} options.secret - Token signing secret
+     * @param {number} options.accessTokenTtl - Access token lifetime in seconds
+     * @param {number} options.refreshTokenTtl - Refresh token lifetime in seconds
+     */
+    constructor(options = {}) {
+        this.userService = options.userService || userService;
+        this.secret = options.secret || process.env.AUTH_TOKEN_SECRET;
+        this.accessTokenTtl = options.accessTokenTtl || Number(process.env.AUTH_ACCESS_TOKEN_TTL) || DEFAULT_ACCESS_TOKEN_TTL;
+        this.refreshTokenTtl = options.refreshTokenTtl || Number(process.env.AUTH_REFRESH_TOKEN_TTL) || DEFAULT_REFRESH_TOKEN_TTL;
+
+        if (!this.secret) {
+            this.secret = crypto.randomBytes(32).toString('hex');
+            console.warn('AUTH_TOKEN_SECRET is not set; using a random secret. Sessions will not survive a restart.');
+        }
+
+        // Revoked token IDs mapped to their expiry (seconds since epoch)
+        this.revokedTokens = new Map();
+    }
+
+    /**
+     * Log a user in with email and password
+     * @param {string} email - Email address
+     * @param {string} password - Clear text password
+     * @returns {Object} Session with tokens and the public user data
+     */
+    async login(email, password) {
+        const user = await this.userService.verifyCredentials(email, password);
+        if (!user) {
+            throw authError('Invalid email or password', 'INVALID_CREDENTIALS');
+        }
+
+        return this.createSession(user);
+    }
+
+    /**
+     * Exchange a refresh token for a new session. The refresh token is revoked.
+     * @param {string} refreshToken - Refresh token
+     * @returns {Object} Session with tokens and the public user data
+     */
+    async refresh(refreshToken) {
+        const claims = this.verifyToken(refreshToken, 'refresh');
+
+        const user = await this.userService.getUserById(claims.sub);
+        if (!user) {
+            throw authError('User no longer exists', 'INVALID_TOKEN');
+        }
+
+        this.revoke(claims);
+        return this.createSession(user);
+    }
+
+    /**
+     * End a session by revoking its tokens
+     * @param {Object} accessClaims - Claims of the access token used for the request
+     * @param {string} refreshToken - Refresh token of the session (optional)
+     */
+    async logout(accessClaims, refreshToken) {
+        if (accessClaims) {
+            this.revoke(accessClaims);
+        }
+
+        if (refreshToken) {
+            try {
+                this.revoke(this.verifyToken(refreshToken, 'refresh'));
+            } catch (error) {
+                // An expired or invalid refresh token cannot be used anyway
+            }
+        }
+    }
+
+    /**
+     * Resolve the user of an access token
+     * @param {string} accessToken - Access token
+     * @returns {Object} The user and the token claims
+     */
+    async authenticate(accessToken) {
+        const claims = this.verifyToken(accessToken, 'access');
+
+        const user = await this.userService.getUserById(claims.sub);
+        if (!user) {
+            throw authError('User no longer exists', 'INVALID_TOKEN');
+        }
+
+        return { user, claims };
+    }
+
+    /**
+     * Issue an access and refresh token pair for a user
+     * @param {User} user - Authenticated user
+     * @returns {Object} Session with tokens and the public user data
+     */
+    createSession(user) {
+        const sessionId = crypto.randomUUID();
+        const accessToken = jwt.sign(
+            { sub: user.id, role: user.role, type: 'access', sid: sessionId, jti: crypto.randomUUID() },
+            this.secret,
+            { expiresIn: this.accessTokenTtl }
+        );
+        const refreshToken = jwt.sign(
+            { sub: user.id, type: 'refresh', sid: sessionId, jti: crypto.randomUUID() },
+            this.secret,
+            { expiresIn: this.refreshTokenTtl }
+        );
+
+        return {
+            tokenType: 'Bearer',
+            accessToken,
+            expiresIn: this.accessTokenTtl,
+            refreshToken,
+            refreshExpiresIn: this.refreshTokenTtl,
+            user: user.toPublicJSON()
+        };
+    }
+
+    /**
+     * Verify a token's signature, expiry, type and revocation state
+     * @param {string} token - Signed token
+     * @param {string} expectedType - 'access' or 'refresh'
+     * @returns {Object} Token claims
+     */
+    verifyToken(token, expectedType) {
+        const claims = jwt.verify(token, this.secret);
+
+        if (claims.type !== expectedType) {
+            throw authError(`Expected a ${expectedType} token`, 'INVALID_TOKEN');
+        }
+
+        if (this.revokedTokens.has(claims.jti)) {
+            throw authError('Token has been revoked', 'TOKEN_REVOKED');
+        }
+
+        return claims;
+    }
+
+    /**
+     * Revoke a token until it expires
+     * @param {Object} claims - Token claims
+     */
+    revoke(claims) {
+        this.pruneRevokedTokens();
+        this.revokedTokens.set(claims.jti, claims.exp);
+    }
+
+    /**
+     * Forget revoked tokens that have expired
+     */
+    pruneRevokedTokens() {
+        const now = Math.floor(Date.now() / 1000);
+        for (const [jti, exp] of this.revokedTokens) {
+            if (exp <= now) {
+                this.revokedTokens.delete(jti);
+            }
+        }
+    }
+}
+
+// Create singleton instance
+const authService = new AuthService();
+
+module.exports = authService;
+module.exports.AuthService = AuthService;
@@ -7,14 +7,23 @@
  */
 
 const figmaProcessing = require('../tasks/figmaProcessing');
+const pagePublishing = require('../tasks/pagePublishing');
+const imageProcessing = require('../tasks/imageProcessing');
 
 // In-memory task queue
 const taskQueue = [];
 const processingTasks = new Map();
 const completedTasks = new Map();
 
+// Tasks waiting for their runAt time, with their timers
+const scheduledTasks = new Map();
+
+// Longest delay setTimeout supports; longer waits are re-armed
+const MAX_TIMER_DELAY_MS = 2147483647;
+
 // Task statuses
 const TASK_STATUS = {
+    SCHEDULED: 'scheduled',
     QUEUED: 'queued',
     PROCESSING: 'processing',
     COMPLETED: 'completed',
@@ -22,9 +31,10 @@ const TASK_STATUS = {
 };
 
 /**
- * Adds a task to the queue
+ * Adds a task to the queue. With options.runAt in the future the task is
+ * held as scheduled and queued when that time arrives.
  */
-const queueTask = (taskType, taskData) => {
+const queueTask = (taskType, taskData, options = {}) => {
     const taskId = generateTaskId();
     const task = {
         id: taskId,
@@ -35,15 +45,75 @@ const queueTask = (taskType, taskData) => {
         priority: taskData.priority || 0
     };
     
+    const runAt = options.runAt ? new Date(options.runAt) : null;
+    if (runAt && runAt.getTime() > Date.now()) {
+        task.status = TASK_STATUS.SCHEDULED;
+        task.runAt = runAt.toISOString();
+        scheduledTasks.set(taskId, { task, timer: null });
+        armScheduledTask(task);
+        console.log(`Scheduled task ${taskId} of type ${taskType} for ${task.runAt}`);
+        return taskId;
+    }
+    
+    enqueueTask(task);
+    return taskId;
+};
+
+/**
+ * Moves a task onto the queue and starts processing if idle
+ */
+const enqueueTask = (task) => {
+    task.status = TASK_STATUS.QUEUED;
     taskQueue.push(task);
-    console.log(`Queued task ${taskId} of type ${taskType}`);
+    console.log(`Queued task ${task.id} of type ${task.type}`);
     
     // Process tasks if not already processing
     if (processingTasks.size === 0) {
         processNextTask();
     }
+};
+
+/**
+ * Sets the timer that queues a scheduled task when its runAt time arrives
+ */
+const armScheduledTask = (task) => {
+    const entry = scheduledTasks.get(task.id);
+    if (!entry) {
+        return;
+    }
     
-    return taskId;
+    const delay = new Date(task.runAt).getTime() - Date.now();
+    entry.timer = setTimeout(() => {
+        if (new Date(task.runAt).getTime() > Date.now()) {
+            armScheduledTask(task);
+            return;
+        }
+        scheduledTasks.delete(task.id);
+        enqueueTask(task);
+    }, Math.max(0, Math.min(delay, MAX_TIMER_DELAY_MS)));
+    
+    // A pending schedule should not keep the process alive
+    entry.timer.unref();
+};
+
+/**
+ * Cancels a scheduled or queued task that has not started yet
+ */
+const cancelTask = (taskId) => {
+    const scheduled = scheduledTasks.get(taskId);
+    if (scheduled) {
+        clearTimeout(scheduled.timer);
+        scheduledTasks.delete(taskId);
+        return true;
+    }
+    
+    const index = taskQueue.findIndex(task => task.id === taskId);
+    if (index !== -1) {
+        taskQueue.splice(index, 1);
+        return true;
+    }
+    
+    return false;
 };
 
 /**
@@ -76,6 +146,12 @@ const processNextTask = async () => {
             case 'figma_processing':
                 result = await figmaProcessing.processFigmaFile(task.data);
                 break;
+            case 'page_publish':
+                result = await pagePublishing.publishScheduledPage(task.data);
+                break;
+            case 'image_processing':
+                result = await imageProcessing.processUploadedImage(task.data);
+                break;
             default:
                 throw new Error(`Unknown task type: ${task.type}`);
         }
@@ -116,6 +192,26 @@ const queueFigmaProcessing = (figmaData) => {
     });
 };
 
+/**
+ * Schedules a page publish at a future time
+ */
+const queuePagePublish = (publishData, publishAt) => {
+    return queueTask('page_publish', {
+        ...publishData,
+        priority: 2 // Publish as close to the scheduled time as possible
+    }, { runAt: publishAt });
+};
+
+/**
+ * Queues processing (validation and variants) for an uploaded image
+ */
+const queueImageProcessing = (imageData) => {
+    return queueTask('image_processing', {
+        ...imageData,
+        priority: 0
+    });
+};
+
 /**
  * Gets task status by ID
  */
@@ -136,6 +232,11 @@ const getTaskStatus = (taskId) => {
         return queuedTask;
     }
     
+    // Check scheduled tasks
+    if (scheduledTasks.has(taskId)) {
+        return scheduledTasks.get(taskId).task;
+    }
+    
     return null;
 };
 
@@ -144,6 +245,7 @@ const getTaskStatus = (taskId) => {
  */
 const getAllTasks = (status = null) => {
     const allTasks = [
+        ...Array.from(scheduledTasks.values()).map(entry => entry.task),
         ...taskQueue,
         ...Array.from(processingTasks.values()),
         ...Array.from(completedTasks.values())
@@ -186,16 +288,20 @@ const generateTaskId = () => {
  */
 const getQueueStats = () => {
     return {
+        scheduled: scheduledTasks.size,
         queued: taskQueue.length,
         processing: processingTasks.size,
         completed: completedTasks.size,
-        total: taskQueue.length + processingTasks.size + completedTasks.size
+        total: scheduledTasks.size + taskQueue.length + processingTasks.size + completedTasks.size
     };
 };
 
 module.exports = {
     queueTask,
+    cancelTask,
     queueFigmaProcessing,
+    queuePagePublish,
+    queueImageProcessing,
     getTaskStatus,
     getAllTasks,
     cleanupOldTasks,
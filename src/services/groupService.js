@@ -0,0 +1,260 @@
+/**
+ * Group Service
+ *
+ * Manages groups of users (see ../models/Group.js) using in-memory storage,
+ * like the page shares that target them (see ./pageShareService.js). Members
+ * are validated against the user directory (see ./userService.js). Group
+ * names are unique, ignoring case.
+ */
+
+const Group = require('../models/Group');
+const defaultUserService = require('./userService');
+const { scoreUser } = require('../utils/userSearch');
+
+/**
+ * Create a group service error
+ * @param {string} message - Error message
+ * @param {string} code - Error code
+ * @returns {Error} Error with the given code
+ */
+function groupError(message, code) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+}
+
+class GroupService {
+    /**
+     * @param {Object} options - Service options
+     * @param {Object} options.userService - User directory used to validate members
+     * @param {boolean} options.seedSampleData - Create a sample group
+     */
+    constructor(options = {}) {
+        this.userService = options.userService || defaultUserService;
+
+        // In-memory storage for groups
+        this.groups = new Map();
+
+        if (options.seedSampleData !== false) {
+            this.initializeSampleData();
+        }
+    }
+
+    /**
+     * Initialize sample data for demonstration
+     */
+    initializeSampleData() {
+        const marketing = new Group({
+            name: 'Marketing',
+            description: 'Marketing team',
+            memberIds: ['550e8400-e29b-41d4-a716-446655440010', '550e8400-e29b-41d4-a716-446655440011'],
+            createdByUserId: '550e8400-e29b-41d4-a716-446655440010'
+        });
+        this.groups.set(marketing.id, marketing);
+    }
+
+    /**
+     * Create a new group
+     * @param {Object} groupData - Group data
+     * @param {string} groupData.name - Group name (unique)
+     * @param {string} groupData.description - Optional description
+     * @param {Array<string>} groupData.memberIds - IDs of the initial members
+     * @param {string} createdByUserId - ID of the user creating the group
+     * @returns {Group} Created group
+     */
+    async createGroup({ name, description = null, memberIds = [] }, createdByUserId) {
+        let group;
+        try {
+            group = new Group({ name, description, memberIds, createdByUserId });
+        } catch (validationError) {
+            throw groupError(validationError.message, 'INVALID_GROUP_DATA');
+        }
+
+        this.assertNameAvailable(group.name);
+        await this.assertUsersExist(group.memberIds);
+
+        this.groups.set(group.id, group);
+        console.log(`Created group ${group.id} (${group.name}) with ${group.memberIds.length} member(s)`);
+        return group;
+    }
+
+    /**
+     * Get a group by ID
+     * @param {string} groupId - Group ID
+     * @returns {Group|null} Group or null if not found
+     */
+    getGroupById(groupId) {
+        return this.groups.get(groupId) || null;
+    }
+
+    /**
+     * Get a group by ID, failing when it does not exist
+     * @param {string} groupId - Group ID
+     * @returns {Group} Group
+     * @throws {Error} GROUP_NOT_FOUND
+     */
+    requireGroup(groupId) {
+        const group = this.getGroupById(groupId);
+        if (!group) {
+            throw groupError('Group not found', 'GROUP_NOT_FOUND');
+        }
+        return group;
+    }
+
+    /**
+     * Get the IDs of the groups a user belongs to
+     * @param {string} userId - User ID
+     * @returns {Array<string>} Group IDs
+     */
+    getGroupIdsForUser(userId) {
+        const groupIds = [];
+        for (const group of this.groups.values()) {
+            if (group.hasMember(userId)) {
+                groupIds.push(group.id);
+            }
+        }
+        return groupIds;
+    }
+
+    /**
+     * List all groups
+     * @returns {Array<Group>} Groups
+     */
+    listGroups() {
+        return Array.from(this.groups.values());
+    }
+
+    /**
+     * Search groups by name, scored like users (see ../utils/userSearch.js)
+     * @param {string} query - Search query
+     * @param {Object} options - Search options
+     * @param {string} options.mode - 'prefix' or 'fuzzy' (default)
+     * @returns {Array<Object>} Matching group summaries with their relevance, best match first
+     */
+    searchGroups(query, { mode = 'fuzzy' } = {}) {
+        return this.listGroups()
+            .map(group => ({ ...group.getSummary(), relevance: scoreUser({ name: group.name, email: '' }, query, mode) }))
+            .filter(summary => summary.relevance > 0)
+            .sort((a, b) => b.relevance - a.relevance || a.name.localeCompare(b.name));
+    }
+
+    /**
+     * Get a group with the directory profiles of its members
+     * @param {string} groupId - Group ID
+     * @returns {Object} Group summary with members (users that no longer exist are left out)
+     */
+    async getGroupDetails(groupId) {
+        const group = this.requireGroup(groupId);
+        const users = await this.userService.getUsersByIds(group.memberIds);
+
+        return {
+            ...group.getSummary(),
+            members: group.memberIds.filter(memberId => users.has(memberId)).map(memberId => users.get(memberId).toProfileJSON())
+        };
+    }
+
+    /**
+     * Rename a group or change its description
+     * @param {string} groupId - Group ID
+     * @param {Object} changes - { name, description }; undefined fields are unchanged
+     * @returns {Group} Updated group
+     */
+    updateGroup(groupId, { name, description } = {}) {
+        const group = this.requireGroup(groupId);
+
+        let updatedGroup;
+        try {
+            updatedGroup = new Group({
+                ...group.toJSON(),
+                name: name !== undefined ? name : group.name,
+                description: description !== undefined ? description : group.description,
+                updatedAt: new Date().toISOString()
+            });
+        } catch (validationError) {
+            throw groupError(validationError.message, 'INVALID_GROUP_DATA');
+        }
+
+        this.assertNameAvailable(updatedGroup.name, groupId);
+
+        this.groups.set(groupId, updatedGroup);
+        return updatedGroup;
+    }
+
+    /**
+     * Delete a group. Page shares with the group are removed by the page share service.
+     * @param {string} groupId - Group ID
+     * @returns {boolean} True if a group was deleted
+     */
+    deleteGroup(groupId) {
+        const deleted = this.groups.delete(groupId);
+        if (deleted) {
+            console.log(`Deleted group ${groupId}`);
+        }
+        return deleted;
+    }
+
+    /**
+     * Add a member to a group
+     * @param {string} groupId - Group ID
+     * @param {string} userId - User ID
+     * @returns {Group} Updated group
+     */
+    async addMember(groupId, userId) {
+        const group = this.requireGroup(groupId);
+        await this.assertUsersExist([userId]);
+
+        if (!group.addMember(userId)) {
+            throw groupError('User is already a member of this group', 'MEMBER_ALREADY_EXISTS');
+        }
+        return group;
+    }
+
+    /**
+     * Remove a member from a group
+     * @param {string} groupId - Group ID
+     * @param {string} userId - User ID
+     * @returns {Group} Updated group
+     */
+    removeMember(groupId, userId) {
+        const group = this.requireGroup(groupId);
+
+        if (!group.removeMember(userId)) {
+            throw groupError('User is not a member of this group', 'MEMBER_NOT_FOUND');
+        }
+        return group;
+    }
+
+    /**
+     * Check that no other group has a name
+     * @param {string} name - Group name
+     * @param {string} groupId - ID of the group the name is for (when renaming)
+     * @throws {Error} GROUP_NAME_EXISTS
+     */
+    assertNameAvailable(name, groupId = null) {
+        const normalizedName = name.toLowerCase();
+        for (const group of this.groups.values()) {
+            if (group.id !== groupId && group.name.toLowerCase() === normalizedName) {
+                throw groupError('A group with this name already exists', 'GROUP_NAME_EXISTS');
+            }
+        }
+    }
+
+    /**
+     * Check that users exist in the user directory
+     * @param {Array<string>} userIds - User IDs
+     * @throws {Error} USER_NOT_FOUND naming the first unknown user
+     */
+    async assertUsersExist(userIds) {
+        const users = await this.userService.getUsersByIds(userIds);
+        const missingId = userIds.find(userId => !users.has(userId));
+        if (missingId) {
+            throw groupError(`User not found: ${missingId}`, 'USER_NOT_FOUND');
+        }
+    }
+}
+
+// Create singleton instance
+const groupService = new GroupService();
+
+module.exports = groupService;
+module.exports.GroupService = GroupService;
@@ -5,9 +5,10 @@
  * Handles business logic for general image uploads, distinct from template uploads.
  */
 
-const s3Service = require('./s3Service');
+const storageService = require('./storageService');
 const imageRepository = require('../repositories/imageRepository');
 const Image = require('../models/Image');
+const backgroundTasks = require('./backgroundTasks');
 const { validateInitiateImageUpload, validateCompleteImageUpload } = require('../schemas/imageUpload');
 
 // In-memory storage for upload sessions
@@ -26,10 +27,10 @@ class ImageUploadService {
             }
 
             // Generate upload ID
-            const uploadId = s3Service.generateUploadId();
+            const uploadId = storageService.generateUploadId();
 
             // Generate pre-signed URL
-            const uploadInfo = await s3Service.generatePresignedUrl(
+            const uploadInfo = await storageService.generatePresignedUrl(
                 data.fileName,
                 data.fileType,
                 data.fileSize,
@@ -83,21 +84,26 @@ class ImageUploadService {
                 throw new Error('Upload session not found or expired');
             }
 
-            // Verify upload in S3
-            const verification = await s3Service.verifyUpload(data.s3Key);
+            // The file must be the one uploaded for this session
+            if (data.s3Key !== uploadSession.s3Key) {
+                throw new Error('Storage key does not match the upload session');
+            }
+
+            // Verify upload in storage
+            const verification = await storageService.verifyUpload(data.s3Key);
             if (!verification.exists) {
-                throw new Error('File not found in S3');
+                throw new Error('File not found in storage');
             }
 
             // Get public URL
-            const publicUrl = s3Service.getPublicUrl(data.s3Key);
+            const publicUrl = storageService.getPublicUrl(data.s3Key);
 
             // Create image record
             const image = new Image({
                 url: publicUrl,
                 altText: data.altText || uploadSession.altText,
                 s3Key: data.s3Key,
-                bucket: data.bucket,
+                bucket: uploadSession.bucket,
                 uploadedBy,
                 fileName: data.fileName,
                 fileSize: data.fileSize,
@@ -112,6 +118,9 @@ class ImageUploadService {
             uploadSession.imageId = savedImage.id;
             uploadSession.completedAt = new Date().toISOString();
 
+            // Validate the file and generate its variants in the background
+            backgroundTasks.queueImageProcessing({ imageId: savedImage.id });
+
             return {
                 imageId: savedImage.id,
                 url: savedImage.url,
@@ -121,6 +130,7 @@ class ImageUploadService {
                 fileName: savedImage.fileName,
                 fileSize: savedImage.fileSize,
                 contentType: savedImage.contentType,
+                processingStatus: savedImage.processingStatus,
                 createdAt: savedImage.createdAt
             };
 
@@ -130,6 +140,42 @@ class ImageUploadService {
         }
     }
 
+    /**
+     * Gets an image with its processing status, dimensions and variants
+     */
+    async getImage(imageId) {
+        try {
+            if (!imageId || typeof imageId !== 'string') {
+                throw new Error('Image ID must be a valid string');
+            }
+
+            const image = await imageRepository.getImageById(imageId);
+            return image ? image.toJSON() : null;
+
+        } catch (error) {
+            console.error('Error getting image:', error);
+            throw new Error(`Failed to get image: ${error.message}`);
+        }
+    }
+
+    /**
+     * Gets responsive srcset values for image URLs used by page components.
+     * Only processed uploads with variants are included.
+     */
+    async getImageSrcsets(urls) {
+        const srcsets = new Map();
+
+        for (const url of urls) {
+            const image = await imageRepository.getImageByUrl(url);
+            const srcset = image ? image.getSrcset() : '';
+            if (srcset) {
+                srcsets.set(url, srcset);
+            }
+        }
+
+        return srcsets;
+    }
+
     /**
      * Gets upload session status
      */
@@ -0,0 +1,179 @@
+/**
+ * Image Usage Service
+ *
+ * In-memory index of which pages use which image URLs, used by the media
+ * library (see src/controllers/imageLibraryController.js) to show where an
+ * image is used and to stop images from being deleted while a page still
+ * references them. Image references are:
+ *
+ *   BannerComponent  backgroundImageUrl
+ *   CardComponent    imageUrl
+ *
+ * The page repository keeps the index current when pages are created,
+ * updated and deleted; the index is built from storage on first use. It
+ * covers pages' current components; published snapshots are checked
+ * separately by the controller.
+ */
+
+/**
+ * List the image references in a page's components
+ * @param {Array} components - Stored page components
+ * @returns {Array} References: { url, componentId, componentType, field }
+ */
+function collectImageReferences(components) {
+    const references = [];
+    (Array.isArray(components) ? components : []).forEach(component => {
+        const data = (component && component.data) || {};
+        const add = (field, url) => {
+            if (typeof url === 'string' && url.trim()) {
+                references.push({ url: url.trim(), componentId: component.id, componentType: component.type, field });
+            }
+        };
+
+        if (component && component.type === 'BannerComponent') {
+            add('backgroundImageUrl', data.backgroundImageUrl);
+        }
+        if (component && component.type === 'CardComponent') {
+            add('imageUrl', data.imageUrl);
+        }
+    });
+    return references;
+}
+
+class ImageUsageService {
+    constructor() {
+        // url -> Set of page IDs
+        this.pagesByUrl = new Map();
+
+        // pageId -> { revision, references }
+        this.pages = new Map();
+
+        this.built = false;
+        this.buildPromise = null;
+
+        // Pages removed while the index was being built, so the build does not re-add them
+        this.removedDuringBuild = new Set();
+    }
+
+    /**
+     * Build the index from storage, once
+     * @param {Function} loadPages - Async function returning every page with its components
+     */
+    async ensureBuilt(loadPages) {
+        if (this.built) {
+            return;
+        }
+
+        if (!this.buildPromise) {
+            this.removedDuringBuild.clear();
+            this.buildPromise = (async () => {
+                const pages = await loadPages();
+                pages.forEach(page => {
+                    if (!this.removedDuringBuild.has(page.id)) {
+                        this.indexPage(page);
+                    }
+                });
+                this.built = true;
+            })().finally(() => {
+                this.buildPromise = null;
+                this.removedDuringBuild.clear();
+            });
+        }
+
+        await this.buildPromise;
+    }
+
+    /**
+     * Add or replace a page's image references. An older revision of a page
+     * never replaces a newer one.
+     * @param {Object} page - Page data with components
+     */
+    indexPage(page) {
+        const existing = this.pages.get(page.id);
+        if (existing && (page.revision || 1) < existing.revision) {
+            return;
+        }
+
+        this.removeReferences(page.id);
+
+        const references = collectImageReferences(page.components);
+        references.forEach(reference => {
+            if (!this.pagesByUrl.has(reference.url)) {
+                this.pagesByUrl.set(reference.url, new Set());
+            }
+            this.pagesByUrl.get(reference.url).add(page.id);
+        });
+
+        this.pages.set(page.id, { revision: page.revision || 1, references });
+    }
+
+    /**
+     * Remove a deleted page from the index
+     * @param {string} pageId - Page ID
+     */
+    removePage(pageId) {
+        this.removeReferences(pageId);
+        this.pages.delete(pageId);
+        if (this.buildPromise) {
+            this.removedDuringBuild.add(pageId);
+        }
+    }
+
+    /**
+     * Remove a page's references from the URL map
+     * @param {string} pageId - Page ID
+     */
+    removeReferences(pageId) {
+        const entry = this.pages.get(pageId);
+        if (!entry) {
+            return;
+        }
+
+        entry.references.forEach(reference => {
+            const pageIds = this.pagesByUrl.get(reference.url);
+            if (pageIds) {
+                pageIds.delete(pageId);
+                if (pageIds.size === 0) {
+                    this.pagesByUrl.delete(reference.url);
+                }
+            }
+        });
+    }
+
+    /**
+     * Get the components that use an image URL
+     * @param {string} url - Image URL
+     * @returns {Array} { pageId, componentId, componentType, field }
+     */
+    getUsage(url) {
+        const pageIds = this.pagesByUrl.get(url);
+        if (!pageIds) {
+            return [];
+        }
+
+        const usage = [];
+        pageIds.forEach(pageId => {
+            this.pages.get(pageId).references
+                .filter(reference => reference.url === url)
+                .forEach(({ componentId, componentType, field }) => {
+                    usage.push({ pageId, componentId, componentType, field });
+                });
+        });
+        return usage;
+    }
+
+    /**
+     * Count the pages that use an image URL
+     * @param {string} url - Image URL
+     * @returns {number} Page count
+     */
+    countPages(url) {
+        const pageIds = this.pagesByUrl.get(url);
+        return pageIds ? pageIds.size : 0;
+    }
+}
+
+const imageUsageService = new ImageUsageService();
+
+module.exports = imageUsageService;
+module.exports.collectImageReferences = collectImageReferences;
@@ -0,0 +1,230 @@
+/**
+ * Page Export Service
+ *
+ * Builds standalone exports of a page using the page renderer
+ * (src/utils/pageRenderer.js):
+ *   html - a single HTML document with the stylesheet inlined
+ *   zip  - index.html, styles.css and, when images are inlined, an images/ folder
+ *
+ * Images are referenced by their original URLs by default. With
+ * images=inline they are downloaded and embedded: as data URLs in the html
+ * format, or as files under images/ in the zip. Only absolute http(s) URLs on
+ * public hosts are downloaded; an image that cannot be fetched stays
+ * referenced by URL.
+ *
+ * Configuration:
+ *   EXPORT_IMAGE_TIMEOUT_MS   - per-image download timeout (default 10000)
+ *   EXPORT_IMAGE_MAX_BYTES    - largest image that will be inlined (default 5 MB)
+ */
+
+const dns = require('dns').promises;
+const net = require('net');
+const JSZip = require('jszip');
+const { PAGE_STYLES, renderPageDocument, collectImageUrls } = require('../utils/pageRenderer');
+
+const EXPORT_FORMATS = ['html', 'zip'];
+const IMAGE_MODES = ['reference', 'inline'];
+
+const DEFAULT_IMAGE_TIMEOUT_MS = 10000;
+const DEFAULT_IMAGE_MAX_BYTES = 5 * 1024 * 1024;
+
+// File extensions for inlined image types
+const IMAGE_EXTENSIONS = {
+    'image/jpeg': 'jpg',
+    'image/png': 'png',
+    'image/gif': 'gif',
+    'image/webp': 'webp',
+    'image/svg+xml': 'svg',
+    'image/avif': 'avif'
+};
+
+/**
+ * Create an export error with a machine-readable code
+ * @param {string} message - Error message
+ * @param {string} code - Error code
+ * @returns {Error} Error instance
+ */
+function exportError(message, code) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+}
+
+/**
+ * Check whether an IP address is loopback, private, link-local or otherwise
+ * not a public internet address
+ * @param {string} address - IPv4 or IPv6 address
+ * @returns {boolean} True if the address must not be fetched
+ */
+function isPrivateAddress(address) {
+    if (net.isIPv4(address)) {
+        const [a, b] = address.split('.').map(Number);
+        return a === 0 || a === 10 || a === 127
+            || (a === 100 && b >= 64 && b <= 127)
+            || (a === 169 && b === 254)
+            || (a === 172 && b >= 16 && b <= 31)
+            || (a === 192 && b === 168)
+            || a >= 224;
+    }
+
+    const normalized = address.toLowerCase();
+    if (normalized.startsWith('::ffff:')) {
+        return isPrivateAddress(normalized.slice(7));
+    }
+    return normalized === '::' || normalized === '::1'
+        || normalized.startsWith('fc') || normalized.startsWith('fd')
+        || normalized.startsWith('fe80');
+}
+
+class PageExportService {
+    /**
+     * @param {Object} options - Service options
+     * @param {number} options.imageTimeoutMs - Per-image download timeout
+     * @param {number} options.imageMaxBytes - Largest image that will be inlined
+     */
+    constructor(options = {}) {
+        this.imageTimeoutMs = options.imageTimeoutMs || Number(process.env.EXPORT_IMAGE_TIMEOUT_MS) || DEFAULT_IMAGE_TIMEOUT_MS;
+        this.imageMaxBytes = options.imageMaxBytes || Number(process.env.EXPORT_IMAGE_MAX_BYTES) || DEFAULT_IMAGE_MAX_BYTES;
+    }
+
+    /**
+     * Export a page
+     * @param {Object} page - Page with id and components
+     * @param {Object} options - Export options
+     * @param {string} options.format - 'html' (default) or 'zip'
+     * @param {string} options.images - 'reference' (default) or 'inline'
+     * @returns {Promise<Object>} { fileName, contentType, body }
+     */
+    async exportPage(page, options = {}) {
+        const format = options.format || 'html';
+        const images = options.images || 'reference';
+
+        if (!EXPORT_FORMATS.includes(format)) {
+            throw exportError(`format must be one of: ${EXPORT_FORMATS.join(', ')}`, 'INVALID_EXPORT_FORMAT');
+        }
+
+        if (!IMAGE_MODES.includes(images)) {
+            throw exportError(`images must be one of: ${IMAGE_MODES.join(', ')}`, 'INVALID_EXPORT_OPTION');
+        }
+
+        const downloaded = images === 'inline'
+            ? await this.downloadImages(collectImageUrls(page.components))
+            : new Map();
+
+        const baseName = `page-${page.id}`;
+
+        if (format === 'html') {
+            const html = renderPageDocument(page, {
+                imageUrl: url => downloaded.has(url)
+                    ? `data:${downloaded.get(url).contentType};base64,${downloaded.get(url).buffer.toString('base64')}`
+                    : url
+            });
+
+            return {
+                fileName: `${baseName}.html`,
+                contentType: 'text/html; charset=utf-8',
+                body: html
+            };
+        }
+
+        const zip = new JSZip();
+        const imagePaths = new Map();
+        Array.from(downloaded.entries()).forEach(([url, image], index) => {
+            const path = `images/image-${index + 1}.${IMAGE_EXTENSIONS[image.contentType] || 'img'}`;
+            imagePaths.set(url, path);
+            zip.file(path, image.buffer);
+        });
+
+        zip.file('index.html', renderPageDocument(page, {
+            stylesheetHref: 'styles.css',
+            imageUrl: url => imagePaths.get(url) || url
+        }));
+        zip.file('styles.css', PAGE_STYLES);
+
+        return {
+            fileName: `${baseName}.zip`,
+            contentType: 'application/zip',
+            body: await zip.generateAsync({ type: 'nodebuffer', compression: 'DEFLATE' })
+        };
+    }
+
+    /**
+     * Download images for inlining
+     * @param {Array} urls - Image URLs
+     * @returns {Promise<Map>} URL to { buffer, contentType } for the images that could be downloaded
+     */
+    async downloadImages(urls) {
+        const downloaded = new Map();
+
+        await Promise.all(urls.map(async (url) => {
+            try {
+                const image = await this.downloadImage(url);
+                if (image) {
+                    downloaded.set(url, image);
+                }
+            } catch (error) {
+                console.warn(`Export: could not inline image ${url}: ${error.message}`);
+            }
+        }));
+
+        return downloaded;
+    }
+
+    /**
+     * Download one image
+     * @param {string} url - Image URL
+     * @returns {Promise<Object|null>} { buffer, contentType }, or null when the URL is not downloadable
+     */
+    async downloadImage(url) {
+        let parsed;
+        try {
+            parsed = new URL(url);
+        } catch (error) {
+            // Relative URLs stay referenced
+            return null;
+        }
+
+        if (!['http:', 'https:'].includes(parsed.protocol)) {
+            return null;
+        }
+
+        const hostname = parsed.hostname.replace(/^\[|\]$/g, '');
+        const addresses = net.isIP(hostname)
+            ? [hostname]
+            : (await dns.lookup(hostname, { all: true })).map(entry => entry.address);
+        if (addresses.length === 0 || addresses.some(isPrivateAddress)) {
+            throw new Error('host is not a public address');
+        }
+
+        const response = await fetch(parsed, {
+            redirect: 'error',
+            signal: AbortSignal.timeout(this.imageTimeoutMs)
+        });
+
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}`);
+        }
+
+        const contentType = (response.headers.get('content-type') || '').split(';')[0].trim().toLowerCase();
+        if (!contentType.startsWith('image/')) {
+            throw new Error(`unexpected content type '${contentType}'`);
+        }
+
+        const contentLength = Number(response.headers.get('content-length'));
+        if (contentLength > this.imageMaxBytes) {
+            throw new Error('image is too large');
+        }
+
+        const buffer = Buffer.from(await response.arrayBuffer());
+        if (buffer.length > this.imageMaxBytes) {
+            throw new Error('image is too large');
+        }
+
+        return { buffer, contentType };
+    }
+}
+
+const pageExportService = new PageExportService();
+
+module.exports = pageExportService;
+module.exports.PageExportService = PageExportService;
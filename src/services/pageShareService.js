@@ -3,23 +3,42 @@
  * Work Order #39: Implement PageShare Data Model for Collaborative Sharing
  * 
  * This service manages PageShare records using in-memory storage and provides
- * data access methods for collaborative sharing functionality.
+ * data access methods for collaborative sharing functionality. Pages are
+ * looked up through the page repository (see ../data/pageRepository.js) and
+ * users in the user directory (see ./userService.js).
+ *
+ * A page can be shared with single users and with groups (see
+ * ./groupService.js). A user's permission on a page is the highest one
+ * granted by a share with the user or with any group the user belongs to.
  */
 
 const { v4: uuidv4 } = require('uuid');
 const PageShare = require('../models/PageShare');
+const defaultPageRepository = require('../data/pageRepository');
+const defaultUserService = require('./userService');
+const defaultGroupService = require('./groupService');
+
+// Rank of each share permission level; a higher rank includes the lower ones
+const PERMISSION_RANK = {
+    view: 1,
+    edit: 2
+};
 
 class PageShareService {
-    constructor() {
+    /**
+     * @param {Object} options - Service options
+     * @param {Object} options.pageRepository - Pages that can be shared
+     * @param {Object} options.userService - User directory used to validate and describe users
+     * @param {Object} options.groupService - Groups that pages can be shared with
+     */
+    constructor(options = {}) {
+        this.pageRepository = options.pageRepository || defaultPageRepository;
+        this.userService = options.userService || defaultUserService;
+        this.groupService = options.groupService || defaultGroupService;
+
         // In-memory storage for page shares
         this.pageShares = new Map();
         
-        // In-memory storage for pages (simplified for foreign key relationships)
-        this.pages = new Map();
-        
-        // In-memory storage for users (simplified for foreign key relationships)
-        this.users = new Map();
-        
         // Initialize with sample data
         this.initializeSampleData();
     }
@@ -28,69 +47,14 @@ class PageShareService {
      * Initialize sample data for demonstration
      */
     initializeSampleData() {
-        // Sample pages
-        const page1 = {
-            id: '750e8400-e29b-41d4-a716-446655440001',
-            title: 'Sample Page 1',
-            templateId: 'template-1',
-            components: [],
-            createdAt: new Date().toISOString(),
-            updatedAt: new Date().toISOString()
-        };
-        
-        const page2 = {
-            id: '750e8400-e29b-41d4-a716-446655440002',
-            title: 'Sample Page 2',
-            templateId: 'template-2',
-            components: [],
-            createdAt: new Date().toISOString(),
-            updatedAt: new Date().toISOString()
-        };
+        // Sample pages (see ../data/sampleData.js)
+        const page1 = { id: '750e8400-e29b-41d4-a716-446655440001' };
+        const page2 = { id: '750e8400-e29b-41d4-a716-446655440002' };
 
-        this.pages.set(page1.id, page1);
-        this.pages.set(page2.id, page2);
-
-        // Sample users
-        const user1 = {
-            id: '550e8400-e29b-41d4-a716-446655440010',
-            email: 'user1@example.com',
-            name: 'John Doe',
-            createdAt: new Date().toISOString()
-        };
-        
-        const user2 = {
-            id: '550e8400-e29b-41d4-a716-446655440011',
-            email: 'user2@example.com',
-            name: 'Jane Smith',
-            createdAt: new Date().toISOString()
-        };
-        
-        const user3 = {
-            id: '550e8400-e29b-41d4-a716-446655440012',
-            email: 'user3@example.com',
-            name: 'Bob Johnson',
-            createdAt: new Date().toISOString()
-        };
-        
-        const user4 = {
-            id: '550e8400-e29b-41d4-a716-446655440013',
-            email: 'alice.brown@example.com',
-            name: 'Alice Brown',
-            createdAt: new Date().toISOString()
-        };
-        
-        const user5 = {
-            id: '550e8400-e29b-41d4-a716-446655440014',
-            email: 'charlie.wilson@example.com',
-            name: 'Charlie Wilson',
-            createdAt: new Date().toISOString()
-        };
-
-        this.users.set(user1.id, user1);
-        this.users.set(user2.id, user2);
-        this.users.set(user3.id, user3);
-        this.users.set(user4.id, user4);
-        this.users.set(user5.id, user5);
+        // Sample users (accounts seeded by the user service)
+        const user1 = { id: '550e8400-e29b-41d4-a716-446655440010' };
+        const user2 = { id: '550e8400-e29b-41d4-a716-446655440011' };
+        const user3 = { id: '550e8400-e29b-41d4-a716-446655440012' };
 
         // Sample page shares
         const share1 = PageShare.create(
@@ -119,8 +83,6 @@ class PageShareService {
         this.pageShares.set(share3.id, share3);
 
         console.log('PageShareService initialized with sample data:');
-        console.log(`- ${this.pages.size} pages`);
-        console.log(`- ${this.users.size} users`);
         console.log(`- ${this.pageShares.size} page shares`);
     }
 
@@ -132,24 +94,25 @@ class PageShareService {
      * @param {string} permissionLevel - Permission level ('view' or 'edit')
      * @returns {Object} Created share details
      */
-    createPageShare(pageId, userId, sharedByUserId, permissionLevel = 'view') {
+    async createPageShare(pageId, userId, sharedByUserId, permissionLevel = 'view') {
         try {
             // Validate that page exists
-            if (!this.pages.has(pageId)) {
+            if (!await this.pageRepository.getPageById(pageId)) {
                 const error = new Error('Page not found');
                 error.code = 'PAGE_NOT_FOUND';
                 throw error;
             }
 
             // Validate that user exists
-            if (!this.users.has(userId)) {
+            const user = await this.userService.getUserById(userId);
+            if (!user) {
                 const error = new Error('User not found');
                 error.code = 'USER_NOT_FOUND';
                 throw error;
             }
 
             // Validate that sharedBy user exists
-            if (!this.users.has(sharedByUserId)) {
+            if (!await this.userService.getUserById(sharedByUserId)) {
                 const error = new Error('SharedBy user not found');
                 error.code = 'SHARED_BY_USER_NOT_FOUND';
                 throw error;
@@ -171,7 +134,10 @@ class PageShareService {
 
             console.log(`Created page share: ${pageShare.id} for page ${pageId} with user ${userId} (${permissionLevel})`);
             
-            return pageShare.getSummary();
+            return {
+                ...pageShare.getSummary(),
+                user: user.toProfileJSON()
+            };
         } catch (error) {
             if (error.code) {
                 throw error;
@@ -180,15 +146,72 @@ class PageShareService {
         }
     }
 
+    /**
+     * Create a new page share with a group
+     * @param {string} pageId - Page ID
+     * @param {string} groupId - Group ID to share with
+     * @param {string} sharedByUserId - User ID who is sharing
+     * @param {string} permissionLevel - Permission level ('view' or 'edit')
+     * @returns {Object} Created share details
+     */
+    async createGroupPageShare(pageId, groupId, sharedByUserId, permissionLevel = 'view') {
+        try {
+            // Validate that page exists
+            if (!await this.pageRepository.getPageById(pageId)) {
+                const error = new Error('Page not found');
+                error.code = 'PAGE_NOT_FOUND';
+                throw error;
+            }
+
+            // Validate that group exists
+            const group = this.groupService.getGroupById(groupId);
+            if (!group) {
+                const error = new Error('Group not found');
+                error.code = 'GROUP_NOT_FOUND';
+                throw error;
+            }
+
+            // Validate that sharedBy user exists
+            if (!await this.userService.getUserById(sharedByUserId)) {
+                const error = new Error('SharedBy user not found');
+                error.code = 'SHARED_BY_USER_NOT_FOUND';
+                throw error;
+            }
+
+            // Check if share already exists
+            if (this.getPageShareByPageAndGroup(pageId, groupId)) {
+                const error = new Error('Page is already shared with this group');
+                error.code = 'SHARE_ALREADY_EXISTS';
+                throw error;
+            }
+
+            const pageShare = PageShare.createForGroup(pageId, groupId, sharedByUserId, permissionLevel);
+            this.pageShares.set(pageShare.id, pageShare);
+
+            console.log(`Created page share: ${pageShare.id} for page ${pageId} with group ${groupId} (${permissionLevel})`);
+
+            return {
+                ...pageShare.getSummary(),
+                group: group.getSummary()
+            };
+        } catch (error) {
+            if (error.code) {
+                throw error;
+            }
+            throw new Error(`Failed to create group page share: ${error.message}`);
+        }
+    }
+
     /**
      * Get all page shares for a specific page
      * @param {string} pageId - Page ID
-     * @returns {Array} Array of page share summaries
+     * @returns {Array} Array of page share summaries with the profiles of both users,
+     *   or the group for group shares
      */
-    getPageSharesByPageId(pageId) {
+    async getPageSharesByPageId(pageId) {
         try {
             // Validate that page exists
-            if (!this.pages.has(pageId)) {
+            if (!await this.pageRepository.getPageById(pageId)) {
                 const error = new Error('Page not found');
                 error.code = 'PAGE_NOT_FOUND';
                 throw error;
@@ -201,6 +224,15 @@ class PageShareService {
                 }
             }
 
+            const profiles = await this.getUserProfiles(
+                shares.flatMap(share => [share.userId, share.sharedByUserId]).filter(Boolean)
+            );
+            shares.forEach(share => {
+                share.user = share.userId ? profiles.get(share.userId) || null : null;
+                share.group = share.groupId ? this.getGroupSummary(share.groupId) : null;
+                share.sharedBy = profiles.get(share.sharedByUserId) || null;
+            });
+
             // Sort by creation date (newest first)
             shares.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
 
@@ -215,39 +247,56 @@ class PageShareService {
     }
 
     /**
-     * Get all page shares for a specific user
+     * Get the pages shared with a user, directly or through groups. Each page
+     * is listed once, with the share granting the highest permission (a
+     * direct share on a tie); shares through a group include the group.
      * @param {string} userId - User ID
-     * @returns {Array} Array of page share summaries with page details
+     * @returns {Array} Array of page share summaries with page details and the sharer's profile
      */
-    getPageSharesByUserId(userId) {
+    async getPageSharesByUserId(userId) {
         try {
             // Validate that user exists
-            if (!this.users.has(userId)) {
+            if (!await this.userService.getUserById(userId)) {
                 const error = new Error('User not found');
                 error.code = 'USER_NOT_FOUND';
                 throw error;
             }
 
-            const shares = [];
+            const groupIds = this.groupService.getGroupIdsForUser(userId);
+            const bestShares = new Map();
             for (const [shareId, pageShare] of this.pageShares) {
-                if (pageShare.userId === userId) {
-                    const page = this.pages.get(pageShare.pageId);
-                    if (page) {
-                        shares.push({
-                            ...pageShare.getSummary(),
-                            page: {
-                                id: page.id,
-                                title: page.title,
-                                templateId: page.templateId,
-                                componentCount: page.components ? page.components.length : 0,
-                                createdAt: page.createdAt,
-                                updatedAt: page.updatedAt
-                            }
-                        });
+                if (pageShare.userId === userId || groupIds.includes(pageShare.groupId)) {
+                    const best = bestShares.get(pageShare.pageId);
+                    if (!best || this.isBetterShare(pageShare, best)) {
+                        bestShares.set(pageShare.pageId, pageShare);
                     }
                 }
             }
 
+            const shares = [];
+            for (const pageShare of bestShares.values()) {
+                const page = await this.pageRepository.getPageById(pageShare.pageId);
+                if (page) {
+                    shares.push({
+                        ...pageShare.getSummary(),
+                        group: pageShare.groupId ? this.getGroupSummary(pageShare.groupId) : null,
+                        page: {
+                            id: page.id,
+                            title: page.title || null,
+                            templateId: page.templateId,
+                            componentCount: page.components ? page.components.length : 0,
+                            createdAt: page.createdAt,
+                            updatedAt: page.updatedAt
+                        }
+                    });
+                }
+            }
+
+            const profiles = await this.getUserProfiles(shares.map(share => share.sharedByUserId));
+            shares.forEach(share => {
+                share.sharedBy = profiles.get(share.sharedByUserId) || null;
+            });
+
             // Sort by creation date (newest first)
             shares.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
 
@@ -261,6 +310,43 @@ class PageShareService {
         }
     }
 
+    /**
+     * Look up the directory profiles of users
+     * @param {Array<string>} userIds - User IDs
+     * @returns {Map<string, Object>} Profiles of the users that exist, by ID
+     */
+    async getUserProfiles(userIds) {
+        const users = await this.userService.getUsersByIds(userIds);
+        const profiles = new Map();
+        users.forEach((user, userId) => profiles.set(userId, user.toProfileJSON()));
+        return profiles;
+    }
+
+    /**
+     * Look up the summary of a group
+     * @param {string} groupId - Group ID
+     * @returns {Object|null} Group summary or null if the group no longer exists
+     */
+    getGroupSummary(groupId) {
+        const group = this.groupService.getGroupById(groupId);
+        return group ? group.getSummary() : null;
+    }
+
+    /**
+     * Check if a share grants more than another one; a direct share wins a tie
+     * @param {PageShare} pageShare - Candidate share
+     * @param {PageShare} otherShare - Share to compare with
+     * @returns {boolean} True if the candidate share is better
+     */
+    isBetterShare(pageShare, otherShare) {
+        const rank = PERMISSION_RANK[pageShare.permissionLevel] || 0;
+        const otherRank = PERMISSION_RANK[otherShare.permissionLevel] || 0;
+        if (rank !== otherRank) {
+            return rank > otherRank;
+        }
+        return pageShare.getTargetType() === 'user' && otherShare.getTargetType() === 'group';
+    }
+
     /**
      * Get a specific page share by ID
      * @param {string} shareId - Share ID
@@ -286,6 +372,21 @@ class PageShareService {
         return null;
     }
 
+    /**
+     * Get a page share by page ID and group ID
+     * @param {string} pageId - Page ID
+     * @param {string} groupId - Group ID
+     * @returns {Object|null} Page share or null if not found
+     */
+    getPageShareByPageAndGroup(pageId, groupId) {
+        for (const [shareId, pageShare] of this.pageShares) {
+            if (pageShare.pageId === pageId && pageShare.groupId === groupId) {
+                return pageShare.getSummary();
+            }
+        }
+        return null;
+    }
+
     /**
      * Update a page share's permission level
      * @param {string} shareId - Share ID
@@ -342,6 +443,7 @@ class PageShareService {
                     id: pageShare.id,
                     pageId: pageShare.pageId,
                     userId: pageShare.userId,
+                    groupId: pageShare.groupId,
                     permissionLevel: pageShare.permissionLevel
                 }
             };
@@ -353,15 +455,35 @@ class PageShareService {
         }
     }
 
+    /**
+     * Delete all page shares with a group, e.g. when the group is deleted
+     * @param {string} groupId - Group ID
+     * @returns {number} Number of deleted shares
+     */
+    deletePageSharesForGroup(groupId) {
+        let deletedCount = 0;
+        for (const [shareId, pageShare] of this.pageShares) {
+            if (pageShare.groupId === groupId) {
+                this.pageShares.delete(shareId);
+                deletedCount++;
+            }
+        }
+
+        if (deletedCount > 0) {
+            console.log(`Deleted ${deletedCount} page share(s) with group ${groupId}`);
+        }
+        return deletedCount;
+    }
+
     /**
      * Get share statistics for a page
      * @param {string} pageId - Page ID
      * @returns {Object} Share statistics
      */
-    getPageShareStats(pageId) {
+    async getPageShareStats(pageId) {
         try {
             // Validate that page exists
-            if (!this.pages.has(pageId)) {
+            if (!await this.pageRepository.getPageById(pageId)) {
                 const error = new Error('Page not found');
                 error.code = 'PAGE_NOT_FOUND';
                 throw error;
@@ -376,6 +498,8 @@ class PageShareService {
             
             const stats = {
                 totalShares: pageSharesForPage.length,
+                userShares: 0,
+                groupShares: 0,
                 viewShares: 0,
                 editShares: 0,
                 sharesByPermission: {}
@@ -383,6 +507,12 @@ class PageShareService {
 
             pageSharesForPage.forEach(pageShare => {
                 const permission = pageShare.permissionLevel;
+
+                if (pageShare.getTargetType() === 'group') {
+                    stats.groupShares++;
+                } else {
+                    stats.userShares++;
+                }
                 
                 if (permission === 'view') {
                     stats.viewShares++;
@@ -404,43 +534,63 @@ class PageShareService {
     }
 
     /**
-     * Check if a user has access to a page
+     * Check if a user has access to a page. The effective permission is the
+     * highest one granted by the user's own share and by shares with the
+     * groups the user belongs to.
      * @param {string} pageId - Page ID
      * @param {string} userId - User ID
      * @param {string} requiredPermission - Required permission level ('view' or 'edit')
-     * @returns {Object} Access check result
+     * @returns {Object} Access check result; source is 'user' or 'group' for the share that decided it
      */
     checkPageAccess(pageId, userId, requiredPermission = 'view') {
+        const groupIds = this.groupService.getGroupIdsForUser(userId);
+
+        let effectiveShare = null;
         for (const [shareId, pageShare] of this.pageShares) {
-            if (pageShare.pageId === pageId && pageShare.userId === userId) {
-                if (requiredPermission === 'edit' && !pageShare.canEdit()) {
-                    return {
-                        hasAccess: false,
-                        permissionLevel: pageShare.permissionLevel,
-                        reason: 'Insufficient permission level for edit access'
-                    };
+            if (pageShare.pageId !== pageId) {
+                continue;
+            }
+            if (pageShare.userId === userId || groupIds.includes(pageShare.groupId)) {
+                if (!effectiveShare || this.isBetterShare(pageShare, effectiveShare)) {
+                    effectiveShare = pageShare;
                 }
+            }
+        }
 
-                if (requiredPermission === 'view' && !pageShare.canView()) {
-                    return {
-                        hasAccess: false,
-                        permissionLevel: pageShare.permissionLevel,
-                        reason: 'Insufficient permission level for view access'
-                    };
-                }
+        if (!effectiveShare) {
+            return {
+                hasAccess: false,
+                permissionLevel: null,
+                reason: 'No share found for this user'
+            };
+        }
 
-                return {
-                    hasAccess: true,
-                    permissionLevel: pageShare.permissionLevel,
-                    reason: 'Access granted'
-                };
-            }
+        const source = effectiveShare.getTargetType();
+
+        if (requiredPermission === 'edit' && !effectiveShare.canEdit()) {
+            return {
+                hasAccess: false,
+                permissionLevel: effectiveShare.permissionLevel,
+                source,
+                reason: 'Insufficient permission level for edit access'
+            };
+        }
+
+        if (requiredPermission === 'view' && !effectiveShare.canView()) {
+            return {
+                hasAccess: false,
+                permissionLevel: effectiveShare.permissionLevel,
+                source,
+                reason: 'Insufficient permission level for view access'
+            };
         }
 
         return {
-            hasAccess: false,
-            permissionLevel: null,
-            reason: 'No share found for this user'
+            hasAccess: true,
+            permissionLevel: effectiveShare.permissionLevel,
+            source,
+            groupId: effectiveShare.groupId,
+            reason: 'Access granted'
         };
     }
 
@@ -463,8 +613,6 @@ class PageShareService {
     getServiceStats() {
         return {
             totalPageShares: this.pageShares.size,
-            totalPages: this.pages.size,
-            totalUsers: this.users.size,
             sharesByPermission: this.getSharesByPermissionStats()
         };
     }
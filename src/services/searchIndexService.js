@@ -0,0 +1,353 @@
+/**
+ * Search Index Service
+ *
+ * In-memory inverted index over the text of every page's components, used by
+ * the search API (see src/controllers/searchController.js). Each indexed
+ * field is one piece of component text:
+ *
+ *   TextComponent       content
+ *   CardComponent       title, description, linkText
+ *   BannerComponent     headlineText, backgroundImageAltText, callToAction.buttonText
+ *   AccordionComponent  items.<itemId>.title, items.<itemId>.content
+ *   LinkGroupComponent  title, links.<linkId>.linkText, links.<linkId>.linkUrl
+ *
+ * Rich text is indexed by its plain text (see src/utils/richText.js). The
+ * page repository keeps the index current when pages are created, updated
+ * and deleted; the index is built from storage on first use.
+ *
+ * Results are ranked with BM25 over fields, weighted so that headings and
+ * titles count for more than body text, with a bonus for fields containing
+ * the whole query as a phrase.
+ */
+
+const { toPlainText } = require('../utils/richText');
+
+// BM25 parameters
+const K1 = 1.2;
+const B = 0.75;
+
+// Field weights (fields not listed weigh 1)
+const FIELD_WEIGHTS = {
+    headlineText: 2,
+    title: 2
+};
+
+const PHRASE_BONUS = 1.5;
+
+const SEARCHABLE_COMPONENT_TYPES = [
+    'TextComponent',
+    'CardComponent',
+    'BannerComponent',
+    'AccordionComponent',
+    'LinkGroupComponent'
+];
+
+/**
+ * Split text into lower-case search terms
+ * @param {string} text - Text
+ * @returns {Array} Terms in order of appearance
+ */
+function tokenize(text) {
+    return String(text || '').toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+}
+
+/**
+ * Get the searchable text fields of a component
+ * @param {Object} component - Stored page component
+ * @returns {Array} Fields: { field, text }
+ */
+function extractComponentFields(component) {
+    const data = component.data || {};
+    const fields = [];
+    const add = (field, text) => {
+        if (typeof text === 'string' && text.trim()) {
+            fields.push({ field, text: text.trim() });
+        }
+    };
+
+    switch (component.type) {
+        case 'TextComponent':
+            add('content', toPlainText(data.content));
+            break;
+        case 'CardComponent':
+            add('title', data.title);
+            add('description', toPlainText(data.description));
+            add('linkText', data.linkText);
+            break;
+        case 'BannerComponent':
+            add('headlineText', data.headlineText);
+            add('backgroundImageAltText', data.backgroundImageAltText);
+            add('callToAction.buttonText', data.callToAction && data.callToAction.buttonText);
+            break;
+        case 'AccordionComponent':
+            (Array.isArray(data.items) ? data.items : []).forEach(item => {
+                add(`items.${item.id}.title`, item.title);
+                add(`items.${item.id}.content`, toPlainText(item.content));
+            });
+            break;
+        case 'LinkGroupComponent':
+            add('title', data.title);
+            (Array.isArray(data.links) ? data.links : []).forEach(link => {
+                add(`links.${link.id}.linkText`, link.linkText);
+                add(`links.${link.id}.linkUrl`, link.linkUrl);
+            });
+            break;
+        default:
+            break;
+    }
+
+    return fields;
+}
+
+/**
+ * Get the weight of a field
+ * @param {string} field - Field path
+ * @returns {number} Weight
+ */
+function fieldWeight(field) {
+    return FIELD_WEIGHTS[field.split('.').pop()] || 1;
+}
+
+class SearchIndexService {
+    constructor() {
+        // term -> Map(fieldKey -> term frequency)
+        this.postings = new Map();
+        // fieldKey -> { pageId, componentId, componentType, field, text, length }
+        this.fields = new Map();
+        // pageId -> { id, templateId, ownerId, revision, createdAt, updatedAt, fieldKeys }
+        this.pages = new Map();
+        this.totalFieldLength = 0;
+        this.buildPromise = null;
+        this.built = false;
+        // Pages removed while a build was reading storage
+        this.removedDuringBuild = new Set();
+    }
+
+    /**
+     * Build the index from storage unless it has been built already
+     * @param {Function} loadPages - Async function returning all pages with components
+     * @returns {Promise<void>}
+     */
+    async ensureBuilt(loadPages) {
+        if (this.built) {
+            return;
+        }
+
+        if (!this.buildPromise) {
+            this.removedDuringBuild.clear();
+            this.buildPromise = (async () => {
+                const pages = await loadPages();
+                pages.forEach(page => {
+                    if (!this.removedDuringBuild.has(page.id)) {
+                        this.indexPage(page);
+                    }
+                });
+                this.built = true;
+            })().finally(() => {
+                this.buildPromise = null;
+                this.removedDuringBuild.clear();
+            });
+        }
+
+        await this.buildPromise;
+    }
+
+    /**
+     * Add or replace a page in the index. An older revision of a page never
+     * replaces a newer one.
+     * @param {Object} page - Page data with components
+     */
+    indexPage(page) {
+        const existing = this.pages.get(page.id);
+        if (existing && (page.revision || 1) < existing.revision) {
+            return;
+        }
+
+        this.removeFields(page.id);
+
+        const fieldKeys = [];
+        (page.components || []).forEach(component => {
+            extractComponentFields(component).forEach(({ field, text }) => {
+                const terms = tokenize(text);
+                if (terms.length === 0) {
+                    return;
+                }
+
+                const fieldKey = `${page.id}\u0000${component.id}\u0000${field}`;
+                this.fields.set(fieldKey, {
+                    pageId: page.id,
+                    componentId: component.id,
+                    componentType: component.type,
+                    field,
+                    text,
+                    length: terms.length
+                });
+                this.totalFieldLength += terms.length;
+                fieldKeys.push(fieldKey);
+
+                const frequencies = new Map();
+                terms.forEach(term => frequencies.set(term, (frequencies.get(term) || 0) + 1));
+                frequencies.forEach((frequency, term) => {
+                    if (!this.postings.has(term)) {
+                        this.postings.set(term, new Map());
+                    }
+                    this.postings.get(term).set(fieldKey, frequency);
+                });
+            });
+        });
+
+        this.pages.set(page.id, {
+            id: page.id,
+            templateId: page.templateId,
+            ownerId: page.ownerId || null,
+            revision: page.revision || 1,
+            createdAt: page.createdAt,
+            updatedAt: page.updatedAt,
+            fieldKeys
+        });
+    }
+
+    /**
+     * Remove a page from the index
+     * @param {string} pageId - Page ID
+     */
+    removePage(pageId) {
+        if (this.buildPromise) {
+            this.removedDuringBuild.add(pageId);
+        }
+        this.removeFields(pageId);
+        this.pages.delete(pageId);
+    }
+
+    /**
+     * Remove a page's fields and postings
+     * @param {string} pageId - Page ID
+     */
+    removeFields(pageId) {
+        const page = this.pages.get(pageId);
+        if (!page) {
+            return;
+        }
+
+        page.fieldKeys.forEach(fieldKey => {
+            const field = this.fields.get(fieldKey);
+            tokenize(field.text).forEach(term => {
+                const posting = this.postings.get(term);
+                if (posting) {
+                    posting.delete(fieldKey);
+                    if (posting.size === 0) {
+                        this.postings.delete(term);
+                    }
+                }
+            });
+            this.totalFieldLength -= field.length;
+            this.fields.delete(fieldKey);
+        });
+        page.fieldKeys = [];
+    }
+
+    /**
+     * Search the index. A page matches when every query term appears in at
+     * least one of its (filtered) fields.
+     * @param {string} query - Search query
+     * @param {Object} filters - Filters
+     * @param {string} filters.templateId - Only pages created from this template
+     * @param {Array} filters.componentTypes - Only search these component types
+     * @param {Date} filters.updatedAfter - Only pages updated at or after this time
+     * @param {Date} filters.updatedBefore - Only pages updated at or before this time
+     * @param {Function} filters.canView - Only pages for which canView(page) is true
+     * @returns {Array} Results by descending score: { page, score, terms, fields }
+     *   where fields are the matching fields, best first
+     */
+    search(query, filters = {}) {
+        const terms = [...new Set(tokenize(query))];
+        if (terms.length === 0) {
+            return [];
+        }
+
+        const fieldCount = this.fields.size || 1;
+        const averageLength = this.totalFieldLength / fieldCount || 1;
+        const phrase = terms.length > 1 ? tokenize(query).join(' ') : null;
+
+        // pageId -> { terms: Set, fields: Map(fieldKey -> score) }
+        const candidates = new Map();
+
+        terms.forEach(term => {
+            const posting = this.postings.get(term);
+            if (!posting) {
+                return;
+            }
+
+            const idf = Math.log(1 + (fieldCount - posting.size + 0.5) / (posting.size + 0.5));
+            posting.forEach((frequency, fieldKey) => {
+                const field = this.fields.get(fieldKey);
+                if (filters.componentTypes && !filters.componentTypes.includes(field.componentType)) {
+                    return;
+                }
+
+                const termScore = idf * (frequency * (K1 + 1))
+                    / (frequency + K1 * (1 - B + B * field.length / averageLength));
+
+                if (!candidates.has(field.pageId)) {
+                    candidates.set(field.pageId, { terms: new Set(), fields: new Map() });
+                }
+                const candidate = candidates.get(field.pageId);
+                candidate.terms.add(term);
+                candidate.fields.set(fieldKey, (candidate.fields.get(fieldKey) || 0) + termScore * fieldWeight(field.field));
+            });
+        });
+
+        const results = [];
+        candidates.forEach((candidate, pageId) => {
+            const page = this.pages.get(pageId);
+            if (candidate.terms.size < terms.length || !this.matchesFilters(page, filters)) {
+                return;
+            }
+
+            const fields = [...candidate.fields.entries()].map(([fieldKey, score]) => {
+                const field = this.fields.get(fieldKey);
+                const hasPhrase = phrase && tokenize(field.text).join(' ').includes(phrase);
+                return { ...field, score: hasPhrase ? score * PHRASE_BONUS : score };
+            }).sort((a, b) => b.score - a.score);
+
+            results.push({
+                page,
+                score: fields.reduce((total, field) => total + field.score, 0),
+                terms,
+                fields
+            });
+        });
+
+        return results.sort((a, b) => b.score - a.score
+            || new Date(b.page.updatedAt) - new Date(a.page.updatedAt));
+    }
+
+    /**
+     * Check a page against the search filters
+     * @param {Object} page - Indexed page
+     * @param {Object} filters - Filters (see search)
+     * @returns {boolean} True if the page passes
+     */
+    matchesFilters(page, filters) {
+        if (filters.templateId && page.templateId !== filters.templateId) {
+            return false;
+        }
+
+        const updatedAt = new Date(page.updatedAt);
+        if (filters.updatedAfter && updatedAt < filters.updatedAfter) {
+            return false;
+        }
+        if (filters.updatedBefore && updatedAt > filters.updatedBefore) {
+            return false;
+        }
+
+        return !filters.canView || Boolean(filters.canView(page));
+    }
+}
+
+const searchIndexService = new SearchIndexService();
+
+module.exports = searchIndexService;
+module.exports.SEARCHABLE_COMPONENT_TYPES = SEARCHABLE_COMPONENT_TYPES;
+module.exports.tokenize = tokenize;
+module.exports.extractComponentFields = extractComponentFields;
@@ -0,0 +1,352 @@
+/**
+ * Local Disk Storage Driver
+ *
+ * Stores uploaded files in a directory on the server so uploads work without
+ * S3, for self-hosted and offline installs. It mirrors S3's flow: browsers
+ * upload with a signed PUT URL (/api/files/uploads/{token}, see
+ * src/api/files.js) and files are served from /api/files/{key}.
+ *
+ * Upload URLs carry an HMAC-signed token naming the storage key, the declared
+ * content type and the declared size, and expire like pre-signed S3 URLs.
+ * Uploads with a different content type or more bytes than declared are
+ * rejected.
+ *
+ * Layout of the root directory:
+ *   objects/{key}         file contents
+ *   metadata/{key}.json   content type and metadata
+ *   tmp/                  uploads in progress
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { Transform } = require('stream');
+const { pipeline } = require('stream/promises');
+const jwt = require('../../utils/jwt');
+
+const DEFAULT_CONTENT_TYPE = 'application/octet-stream';
+
+/**
+ * Create a storage error with a machine-readable code
+ * @param {string} message - Error message
+ * @param {string} code - Error code
+ * @returns {Error} Error instance
+ */
+function storageError(message, code) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+}
+
+/**
+ * Reduce a Content-Type header to its lower-case MIME type
+ * @param {string} contentType - Content-Type header
+ * @returns {string} MIME type, or an empty string
+ */
+function normalizeContentType(contentType) {
+    return typeof contentType === 'string' ? contentType.split(';')[0].trim().toLowerCase() : '';
+}
+
+class LocalDiskStorageDriver {
+    /**
+     * @param {Object} options - Driver options
+     * @param {string} options.rootDir - Directory holding the files
+     * @param {string} options.publicUrl - Base URL of this server, used for file and upload URLs
+     * @param {string} options.secret - Secret used to sign upload URLs
+     */
+    constructor(options = {}) {
+        this.name = 'local';
+        this.bucket = 'local';
+        this.options = { ...options };
+
+        this.rootDir = path.resolve(options.rootDir);
+        this.objectsDir = path.join(this.rootDir, 'objects');
+        this.metadataDir = path.join(this.rootDir, 'metadata');
+        this.tmpDir = path.join(this.rootDir, 'tmp');
+        this.publicUrl = (options.publicUrl || '').replace(/\/+$/, '');
+
+        this.secret = options.secret;
+        if (!this.secret) {
+            this.secret = crypto.randomBytes(32).toString('hex');
+            console.warn('FILE_STORAGE_SECRET is not set; using a random secret. Upload URLs will not survive a restart.');
+        }
+    }
+
+    /**
+     * Resolve a storage key to its path under the objects directory
+     * @param {string} key - Storage key
+     * @param {string} baseDir - Directory to resolve against (default: objects)
+     * @returns {string} Absolute file path
+     * @throws {Error} INVALID_KEY for keys that would escape the directory
+     */
+    resolvePath(key, baseDir = this.objectsDir) {
+        const segments = typeof key === 'string' ? key.split('/') : [];
+        const isValid = segments.length > 0 && segments.every(segment =>
+            segment && segment !== '.' && segment !== '..' && !/[\\\0]/.test(segment)
+        );
+        if (!isValid) {
+            throw storageError('Invalid storage key', 'INVALID_KEY');
+        }
+
+        const filePath = path.resolve(baseDir, ...segments);
+        if (!filePath.startsWith(baseDir + path.sep)) {
+            throw storageError('Invalid storage key', 'INVALID_KEY');
+        }
+        return filePath;
+    }
+
+    /**
+     * Create a signed URL for uploading a file
+     * @param {string} key - Storage key
+     * @param {Object} options - Upload options
+     * @param {string} options.contentType - Declared MIME type
+     * @param {number} options.contentLength - Declared size in bytes (the upload limit)
+     * @param {Object} options.metadata - Metadata stored with the file
+     * @param {number} options.expiresIn - URL lifetime in seconds
+     * @returns {Object} { url, expiresIn }
+     */
+    async presignUpload(key, options = {}) {
+        this.resolvePath(key);
+
+        const token = jwt.sign({
+            type: 'upload',
+            key,
+            contentType: normalizeContentType(options.contentType),
+            maxSize: options.contentLength,
+            metadata: options.metadata || {}
+        }, this.secret, { expiresIn: options.expiresIn });
+
+        return {
+            url: `${this.publicUrl}/api/files/uploads/${token}`,
+            expiresIn: options.expiresIn
+        };
+    }
+
+    /**
+     * Verify an upload token
+     * @param {string} token - Token from an upload URL
+     * @returns {Object} Token claims: { key, contentType, maxSize, metadata }
+     * @throws {Error} INVALID_UPLOAD_TOKEN or UPLOAD_URL_EXPIRED
+     */
+    verifyUploadToken(token) {
+        let claims;
+        try {
+            claims = jwt.verify(token, this.secret);
+        } catch (error) {
+            if (error.code === 'TOKEN_EXPIRED') {
+                throw storageError('Upload URL has expired', 'UPLOAD_URL_EXPIRED');
+            }
+            throw storageError('Invalid upload URL', 'INVALID_UPLOAD_TOKEN');
+        }
+
+        if (claims.type !== 'upload') {
+            throw storageError('Invalid upload URL', 'INVALID_UPLOAD_TOKEN');
+        }
+        return claims;
+    }
+
+    /**
+     * Store the body of an upload sent to a signed upload URL
+     * @param {string} token - Token from the upload URL
+     * @param {stream.Readable} stream - Request body
+     * @param {Object} options - Request details
+     * @param {string} options.contentType - Content-Type header of the request
+     * @param {number} options.contentLength - Content-Length header of the request, when sent
+     * @returns {Object} { key, size, contentType }
+     * @throws {Error} INVALID_UPLOAD_TOKEN, UPLOAD_URL_EXPIRED, CONTENT_TYPE_MISMATCH or FILE_TOO_LARGE
+     */
+    async receiveUpload(token, stream, options = {}) {
+        const claims = this.verifyUploadToken(token);
+
+        const contentType = normalizeContentType(options.contentType);
+        if (claims.contentType && contentType && contentType !== claims.contentType) {
+            throw storageError(`Content type '${contentType}' does not match the declared type '${claims.contentType}'`, 'CONTENT_TYPE_MISMATCH');
+        }
+
+        const tooLarge = () => storageError(`File exceeds the declared size of ${claims.maxSize} bytes`, 'FILE_TOO_LARGE');
+        if (options.contentLength > claims.maxSize) {
+            throw tooLarge();
+        }
+
+        const filePath = this.resolvePath(claims.key);
+        const tempPath = path.join(this.tmpDir, `${crypto.randomUUID()}.upload`);
+        await fs.promises.mkdir(this.tmpDir, { recursive: true });
+
+        let size = 0;
+        const limit = new Transform({
+            transform(chunk, encoding, callback) {
+                size += chunk.length;
+                callback(size > claims.maxSize ? tooLarge() : null, chunk);
+            }
+        });
+
+        try {
+            await pipeline(stream, limit, fs.createWriteStream(tempPath));
+            await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+            await fs.promises.rename(tempPath, filePath);
+        } catch (error) {
+            await fs.promises.rm(tempPath, { force: true });
+            throw error;
+        }
+
+        const storedType = claims.contentType || contentType || DEFAULT_CONTENT_TYPE;
+        await this.writeMetadata(claims.key, { contentType: storedType, metadata: claims.metadata });
+
+        return { key: claims.key, size, contentType: storedType };
+    }
+
+    /**
+     * Get a file's size, type and metadata without reading it
+     * @param {string} key - Storage key
+     * @returns {Object|null} { size, contentType, lastModified, metadata } or null if not found
+     */
+    async head(key) {
+        let stats;
+        try {
+            stats = await fs.promises.stat(this.resolvePath(key));
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return null;
+            }
+            throw error;
+        }
+
+        if (!stats.isFile()) {
+            return null;
+        }
+
+        const info = await this.readMetadata(key);
+        return {
+            size: stats.size,
+            contentType: info.contentType || DEFAULT_CONTENT_TYPE,
+            lastModified: stats.mtime,
+            metadata: info.metadata || {}
+        };
+    }
+
+    /**
+     * Read a file
+     * @param {string} key - Storage key
+     * @returns {Object|null} { body, contentType, size, lastModified } or null if not found
+     */
+    async get(key) {
+        const info = await this.head(key);
+        if (!info) {
+            return null;
+        }
+
+        const body = await fs.promises.readFile(this.resolvePath(key));
+        return {
+            body,
+            contentType: info.contentType,
+            size: body.length,
+            lastModified: info.lastModified
+        };
+    }
+
+    /**
+     * Write a file
+     * @param {string} key - Storage key
+     * @param {Buffer} body - File contents
+     * @param {Object} options - Write options
+     * @param {string} options.contentType - MIME type
+     */
+    async put(key, body, options = {}) {
+        const filePath = this.resolvePath(key);
+        const tempPath = path.join(this.tmpDir, `${crypto.randomUUID()}.upload`);
+
+        await fs.promises.mkdir(this.tmpDir, { recursive: true });
+        await fs.promises.writeFile(tempPath, body);
+        await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+        await fs.promises.rename(tempPath, filePath);
+
+        await this.writeMetadata(key, { contentType: options.contentType || DEFAULT_CONTENT_TYPE, metadata: {} });
+    }
+
+    /**
+     * Delete a file. Deleting a missing file is not an error.
+     * @param {string} key - Storage key
+     */
+    async delete(key) {
+        await fs.promises.rm(this.resolvePath(key), { force: true });
+        await fs.promises.rm(this.resolvePath(`${key}.json`, this.metadataDir), { force: true });
+    }
+
+    /**
+     * List the files whose keys start with a prefix
+     * @param {string} prefix - Key prefix
+     * @returns {Array} { key, size, lastModified }
+     */
+    async list(prefix = '') {
+        // Only walk the directory the prefix points into
+        const directory = prefix.includes('/') ? prefix.substring(0, prefix.lastIndexOf('/')) : '';
+        const startDir = directory ? this.resolvePath(directory) : this.objectsDir;
+
+        const files = [];
+        const walk = async (dir) => {
+            let entries;
+            try {
+                entries = await fs.promises.readdir(dir, { withFileTypes: true });
+            } catch (error) {
+                if (error.code === 'ENOENT') {
+                    return;
+                }
+                throw error;
+            }
+
+            for (const entry of entries) {
+                const entryPath = path.join(dir, entry.name);
+                if (entry.isDirectory()) {
+                    await walk(entryPath);
+                } else if (entry.isFile()) {
+                    const key = path.relative(this.objectsDir, entryPath).split(path.sep).join('/');
+                    if (key.startsWith(prefix)) {
+                        const stats = await fs.promises.stat(entryPath);
+                        files.push({ key, size: stats.size, lastModified: stats.mtime });
+                    }
+                }
+            }
+        };
+
+        await walk(startDir);
+        return files;
+    }
+
+    /**
+     * Get the public URL of a file
+     * @param {string} key - Storage key
+     * @returns {string} URL
+     */
+    getPublicUrl(key) {
+        return `${this.publicUrl}/api/files/${key.split('/').map(encodeURIComponent).join('/')}`;
+    }
+
+    /**
+     * Read a file's stored content type and metadata
+     * @param {string} key - Storage key
+     * @returns {Object} { contentType, metadata }, empty when none was stored
+     */
+    async readMetadata(key) {
+        try {
+            return JSON.parse(await fs.promises.readFile(this.resolvePath(`${key}.json`, this.metadataDir), 'utf8'));
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return {};
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Store a file's content type and metadata
+     * @param {string} key - Storage key
+     * @param {Object} info - { contentType, metadata }
+     */
+    async writeMetadata(key, info) {
+        const metadataPath = this.resolvePath(`${key}.json`, this.metadataDir);
+        await fs.promises.mkdir(path.dirname(metadataPath), { recursive: true });
+        await fs.promises.writeFile(metadataPath, JSON.stringify(info));
+    }
+}
+
+module.exports = LocalDiskStorageDriver;
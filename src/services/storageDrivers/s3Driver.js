@@ -0,0 +1,182 @@
+/**
+ * S3 Storage Driver
+ *
+ * Stores uploaded files in an AWS S3 bucket. Browsers upload directly to S3
+ * with pre-signed PUT URLs; the signature covers the content type and length,
+ * so S3 rejects uploads that differ from what was declared. Files are served
+ * by S3 from the bucket's public URL.
+ *
+ * The AWS SDK is only loaded when this driver is used.
+ */
+
+class S3StorageDriver {
+    /**
+     * @param {Object} options - Driver options
+     * @param {string} options.region - AWS region
+     * @param {string} options.bucket - Bucket name
+     * @param {string} options.accessKeyId - AWS access key ID
+     * @param {string} options.secretAccessKey - AWS secret access key
+     */
+    constructor(options = {}) {
+        this.name = 's3';
+        this.options = { ...options };
+        this.bucket = options.bucket;
+
+        this.sdk = require('@aws-sdk/client-s3');
+        this.presigner = require('@aws-sdk/s3-request-presigner');
+
+        const clientConfig = { region: options.region };
+        if (options.accessKeyId && options.secretAccessKey) {
+            clientConfig.credentials = {
+                accessKeyId: options.accessKeyId,
+                secretAccessKey: options.secretAccessKey
+            };
+        }
+        this.client = new this.sdk.S3Client(clientConfig);
+    }
+
+    /**
+     * Create a pre-signed URL for uploading a file
+     * @param {string} key - Storage key
+     * @param {Object} options - Upload options
+     * @param {string} options.contentType - Declared MIME type
+     * @param {number} options.contentLength - Declared size in bytes
+     * @param {Object} options.metadata - Metadata stored with the file
+     * @param {number} options.expiresIn - URL lifetime in seconds
+     * @returns {Object} { url, expiresIn }
+     */
+    async presignUpload(key, options = {}) {
+        const command = new this.sdk.PutObjectCommand({
+            Bucket: this.bucket,
+            Key: key,
+            ContentType: options.contentType,
+            ContentLength: options.contentLength,
+            Metadata: options.metadata
+        });
+
+        const url = await this.presigner.getSignedUrl(this.client, command, {
+            expiresIn: options.expiresIn
+        });
+
+        return { url, expiresIn: options.expiresIn };
+    }
+
+    /**
+     * Get a file's size, type and metadata without reading it
+     * @param {string} key - Storage key
+     * @returns {Object|null} { size, contentType, lastModified, metadata } or null if not found
+     */
+    async head(key) {
+        try {
+            const response = await this.client.send(new this.sdk.HeadObjectCommand({
+                Bucket: this.bucket,
+                Key: key
+            }));
+
+            return {
+                size: response.ContentLength,
+                contentType: response.ContentType,
+                lastModified: response.LastModified,
+                metadata: response.Metadata || {}
+            };
+        } catch (error) {
+            if (error.name === 'NotFound') {
+                return null;
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Read a file
+     * @param {string} key - Storage key
+     * @returns {Object|null} { body, contentType, size, lastModified } or null if not found
+     */
+    async get(key) {
+        try {
+            const response = await this.client.send(new this.sdk.GetObjectCommand({
+                Bucket: this.bucket,
+                Key: key
+            }));
+
+            const body = Buffer.from(await response.Body.transformToByteArray());
+            return {
+                body,
+                contentType: response.ContentType,
+                size: body.length,
+                lastModified: response.LastModified
+            };
+        } catch (error) {
+            if (error.name === 'NoSuchKey') {
+                return null;
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Write a file
+     * @param {string} key - Storage key
+     * @param {Buffer} body - File contents
+     * @param {Object} options - Write options
+     * @param {string} options.contentType - MIME type
+     * @param {string} options.cacheControl - Cache-Control header to serve the file with
+     */
+    async put(key, body, options = {}) {
+        await this.client.send(new this.sdk.PutObjectCommand({
+            Bucket: this.bucket,
+            Key: key,
+            Body: body,
+            ContentType: options.contentType,
+            CacheControl: options.cacheControl
+        }));
+    }
+
+    /**
+     * Delete a file. Deleting a missing file is not an error.
+     * @param {string} key - Storage key
+     */
+    async delete(key) {
+        await this.client.send(new this.sdk.DeleteObjectCommand({
+            Bucket: this.bucket,
+            Key: key
+        }));
+    }
+
+    /**
+     * List the files whose keys start with a prefix
+     * @param {string} prefix - Key prefix
+     * @returns {Array} { key, size, lastModified }
+     */
+    async list(prefix) {
+        const files = [];
+        let continuationToken;
+
+        do {
+            const response = await this.client.send(new this.sdk.ListObjectsV2Command({
+                Bucket: this.bucket,
+                Prefix: prefix,
+                ContinuationToken: continuationToken
+            }));
+
+            (response.Contents || []).forEach(object => {
+                files.push({ key: object.Key, size: object.Size, lastModified: object.LastModified });
+            });
+
+            continuationToken = response.IsTruncated ? response.NextContinuationToken : undefined;
+        } while (continuationToken);
+
+        return files;
+    }
+
+    /**
+     * Get the public URL of a file
+     * @param {string} key - Storage key
+     * @returns {string} URL
+     */
+    getPublicUrl(key) {
+        return `https://${this.bucket}.s3.${this.options.region}.amazonaws.com/${key}`;
+    }
+}
+
+module.exports = S3StorageDriver;
@@ -0,0 +1,310 @@
+/**
+ * File Storage Service
+ * Work Order #32: Template Upload Initiation and Completion API Endpoints
+ *
+ * Handles file storage for template and image uploads: validating uploads,
+ * issuing upload URLs, verifying and reading uploaded files, and writing
+ * files generated on the server. Files live in a storage driver selected
+ * from environment configuration:
+ * - FILE_STORAGE_DRIVER: "local" (default) or "s3"
+ * - FILE_STORAGE_DIR: directory for the local driver (default: ./data/uploads)
+ * - FILE_STORAGE_PUBLIC_URL: base URL of this server for local file and
+ *   upload URLs (default: http://localhost:{PORT})
+ * - FILE_STORAGE_SECRET: secret used by the local driver to sign upload URLs
+ * - AWS_REGION, S3_BUCKET_NAME, AWS_ACCESS_KEY_ID, AWS_SECRET_ACCESS_KEY: S3 driver settings
+ *
+ * Drivers (src/services/storageDrivers) implement:
+ *   presignUpload(key, { contentType, contentLength, metadata, expiresIn }) -> { url, expiresIn }
+ *   head(key)  -> { size, contentType, lastModified, metadata } or null
+ *   get(key)   -> { body, contentType, size, lastModified } or null
+ *   put(key, body, { contentType, cacheControl })
+ *   delete(key)
+ *   list(prefix) -> [{ key, size, lastModified }]
+ *   getPublicUrl(key) -> URL
+ * and expose a `name` and the `bucket` recorded with uploads.
+ *
+ * Storage keys are still called s3Key in upload sessions and image records.
+ */
+
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const LocalDiskStorageDriver = require('./storageDrivers/localDiskDriver');
+const S3StorageDriver = require('./storageDrivers/s3Driver');
+
+const DRIVERS = {
+    local: LocalDiskStorageDriver,
+    s3: S3StorageDriver
+};
+
+// Upload URLs expire after an hour
+const UPLOAD_URL_TTL = 3600;
+
+// Files are never overwritten in place (every upload gets a new key), so they
+// can be cached indefinitely
+const IMMUTABLE_CACHE_CONTROL = 'public, max-age=31536000, immutable';
+
+// Allowed file types and their MIME types
+const ALLOWED_FILE_TYPES = {
+    'fig': ['application/octet-stream', 'application/json', 'application/zip', 'application/x-zip-compressed'],
+    'figma': ['application/json', 'application/zip', 'application/x-zip-compressed'],
+    'png': ['image/png'],
+    'jpg': ['image/jpeg'],
+    'jpeg': ['image/jpeg'],
+    'webp': ['image/webp']
+};
+
+// Maximum file sizes (in bytes)
+const MAX_FILE_SIZES = {
+    'fig': 50 * 1024 * 1024,    // 50MB for Figma files
+    'figma': 50 * 1024 * 1024,  // 50MB
+    'png': 10 * 1024 * 1024,    // 10MB
+    'jpg': 10 * 1024 * 1024,    // 10MB
+    'jpeg': 10 * 1024 * 1024,   // 10MB
+    'webp': 10 * 1024 * 1024    // 10MB
+};
+
+let sharedDriver = null;
+
+/**
+ * Create a storage driver
+ * @param {Object} config - Driver configuration
+ * @param {string} config.driver - Driver name ("local" or "s3")
+ * @returns {Object} Storage driver instance
+ */
+const createStorageDriver = (config = {}) => {
+    const { driver, ...options } = config;
+    const driverName = (driver || process.env.FILE_STORAGE_DRIVER || 'local').toLowerCase();
+
+    if (!DRIVERS[driverName]) {
+        throw new Error(`Unknown file storage driver "${driverName}". Supported drivers: ${Object.keys(DRIVERS).join(', ')}`);
+    }
+
+    if (driverName === 's3') {
+        return new S3StorageDriver({
+            region: process.env.AWS_REGION || 'us-east-1',
+            bucket: process.env.S3_BUCKET_NAME || 'template-editor-uploads',
+            accessKeyId: process.env.AWS_ACCESS_KEY_ID,
+            secretAccessKey: process.env.AWS_SECRET_ACCESS_KEY,
+            ...options
+        });
+    }
+
+    return new LocalDiskStorageDriver({
+        rootDir: process.env.FILE_STORAGE_DIR || path.join(process.cwd(), 'data', 'uploads'),
+        publicUrl: process.env.FILE_STORAGE_PUBLIC_URL || `http://localhost:${process.env.PORT || 3000}`,
+        secret: process.env.FILE_STORAGE_SECRET,
+        ...options
+    });
+};
+
+/**
+ * Get the storage driver shared by all uploads
+ * @returns {Object} Storage driver instance
+ */
+const getStorageDriver = () => {
+    if (!sharedDriver) {
+        sharedDriver = createStorageDriver();
+    }
+    return sharedDriver;
+};
+
+/**
+ * Validates file type and size
+ */
+const validateFile = (fileName, fileType, fileSize) => {
+    const errors = [];
+
+    // Extract file extension
+    const extension = fileName.split('.').pop().toLowerCase();
+
+    if (!ALLOWED_FILE_TYPES[extension]) {
+        errors.push(`File type '${extension}' is not allowed. Allowed types: ${Object.keys(ALLOWED_FILE_TYPES).join(', ')}`);
+    }
+
+    if (fileSize && fileSize > MAX_FILE_SIZES[extension]) {
+        errors.push(`File size exceeds maximum allowed size of ${MAX_FILE_SIZES[extension] / (1024 * 1024)}MB`);
+    }
+
+    if (fileType && ALLOWED_FILE_TYPES[extension] && !ALLOWED_FILE_TYPES[extension].includes(fileType)) {
+        errors.push(`MIME type '${fileType}' does not match file extension '${extension}'`);
+    }
+
+    return {
+        isValid: errors.length === 0,
+        errors,
+        extension
+    };
+};
+
+/**
+ * Generates a unique storage key for the file:
+ * templates/{extension}/{uploadId}/{timestamp}-{fileName}
+ */
+const generateStorageKey = (uploadId, fileName, fileType) => {
+    const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+    const safeFileName = fileName.replace(/[^A-Za-z0-9._-]/g, '_');
+    return `templates/${fileType}/${uploadId}/${timestamp}-${safeFileName}`;
+};
+
+/**
+ * Generates a pre-signed URL for uploading a file
+ */
+const generatePresignedUrl = async (fileName, fileType, fileSize, uploadId) => {
+    try {
+        // Validate file
+        const validation = validateFile(fileName, fileType, fileSize);
+        if (!validation.isValid) {
+            throw new Error(`File validation failed: ${validation.errors.join(', ')}`);
+        }
+
+        const driver = getStorageDriver();
+        const s3Key = generateStorageKey(uploadId, fileName, validation.extension);
+
+        const { url, expiresIn } = await driver.presignUpload(s3Key, {
+            contentType: fileType,
+            contentLength: fileSize || MAX_FILE_SIZES[validation.extension],
+            expiresIn: UPLOAD_URL_TTL,
+            metadata: {
+                'upload-id': uploadId,
+                'original-filename': fileName,
+                'upload-timestamp': new Date().toISOString()
+            }
+        });
+
+        return {
+            presignedUrl: url,
+            s3Key,
+            bucket: driver.bucket,
+            expiresIn
+        };
+
+    } catch (error) {
+        console.error('Error generating pre-signed URL:', error);
+        throw new Error(`Failed to generate pre-signed URL: ${error.message}`);
+    }
+};
+
+/**
+ * Verifies that a file was successfully uploaded
+ */
+const verifyUpload = async (s3Key) => {
+    try {
+        const info = await getStorageDriver().head(s3Key);
+        if (!info) {
+            return {
+                exists: false,
+                error: 'File not found in storage'
+            };
+        }
+
+        return {
+            exists: true,
+            size: info.size,
+            lastModified: info.lastModified,
+            contentType: info.contentType,
+            metadata: info.metadata
+        };
+
+    } catch (error) {
+        console.error('Error verifying upload:', error);
+        throw new Error(`Failed to verify upload: ${error.message}`);
+    }
+};
+
+/**
+ * Reads a file from storage
+ */
+const getObject = async (s3Key) => {
+    try {
+        const file = await getStorageDriver().get(s3Key);
+        if (!file) {
+            throw new Error('File not found in storage');
+        }
+
+        return { body: file.body, contentType: file.contentType };
+
+    } catch (error) {
+        console.error('Error reading object:', error);
+        throw new Error(`Failed to read file: ${error.message}`);
+    }
+};
+
+/**
+ * Writes a file to storage (used for files generated on the server, such as
+ * image variants)
+ */
+const putObject = async (s3Key, body, contentType) => {
+    try {
+        const driver = getStorageDriver();
+        await driver.put(s3Key, body, { contentType, cacheControl: IMMUTABLE_CACHE_CONTROL });
+
+        return { s3Key, bucket: driver.bucket };
+
+    } catch (error) {
+        console.error('Error writing object:', error);
+        throw new Error(`Failed to write file: ${error.message}`);
+    }
+};
+
+/**
+ * Deletes an uploaded file and every file derived from it (such as image
+ * variants), i.e. everything under the upload's directory
+ */
+const deleteUploadFiles = async (s3Key) => {
+    try {
+        const driver = getStorageDriver();
+        const directory = s3Key.substring(0, s3Key.lastIndexOf('/') + 1);
+        const files = await driver.list(directory);
+
+        for (const file of files) {
+            await driver.delete(file.key);
+        }
+
+        return files.length;
+
+    } catch (error) {
+        console.error('Error deleting files:', error);
+        throw new Error(`Failed to delete files: ${error.message}`);
+    }
+};
+
+/**
+ * Gets the storage key for a file derived from an upload, stored next to it:
+ * templates/png/{uploadId}/variants/{fileName}
+ */
+const getVariantKey = (s3Key, fileName) => {
+    const directory = s3Key.substring(0, s3Key.lastIndexOf('/'));
+    return `${directory}/variants/${fileName}`;
+};
+
+/**
+ * Gets the public URL for an uploaded file
+ */
+const getPublicUrl = (s3Key) => {
+    return getStorageDriver().getPublicUrl(s3Key);
+};
+
+/**
+ * Generates a unique upload ID
+ */
+const generateUploadId = () => {
+    return uuidv4();
+};
+
+module.exports = {
+    createStorageDriver,
+    getStorageDriver,
+    generatePresignedUrl,
+    verifyUpload,
+    getPublicUrl,
+    getObject,
+    putObject,
+    deleteUploadFiles,
+    getVariantKey,
+    generateUploadId,
+    generateStorageKey,
+    validateFile,
+    ALLOWED_FILE_TYPES,
+    MAX_FILE_SIZES,
+    IMMUTABLE_CACHE_CONTROL
+};
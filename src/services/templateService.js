@@ -1,15 +1,29 @@
 const { v4: uuidv4 } = require('uuid');
 const { isValidUUID } = require('../utils/uuidValidation');
+const { getSampleCategories, getSampleTemplates } = require('../data/templateSampleData');
+
+// Fields the public template list can be sorted by
+const TEMPLATE_SORT_FIELDS = ['name', 'description', 'createdAt', 'updatedAt'];
 
 /**
  * Template Service
- * Handles business logic for template CRUD operations
+ * Handles business logic for templates and their categories. This is the
+ * single template catalog behind both the public template routes and the
+ * admin routes, so templates created by admins appear in the template browser.
+ *
+ * Every create or update of a template stores an immutable revision with the
+ * next version number. Pages record the version they were created from (see
+ * ../utils/templateUpgrade.js), and template components carry stable IDs so
+ * revisions can be compared.
  */
 class TemplateService {
     constructor() {
-        // In-memory storage for templates (in a real app, this would be a database)
+        // In-memory storage for templates and categories (in a real app, this would be a database)
         this.templates = new Map();
         this.categories = new Map();
+
+        // Revisions of each template, oldest first
+        this.templateVersions = new Map();
         
         // Initialize with some sample data
         this.initializeSampleData();
@@ -19,103 +33,105 @@ class TemplateService {
      * Initialize sample data for testing
      */
     initializeSampleData() {
-        // Sample categories
-        const category1 = {
-            id: '550e8400-e29b-41d4-a716-446655440001',
-            name: 'UI Components',
-            description: 'User interface components',
-            createdAt: new Date(),
-            updatedAt: new Date()
-        };
-        
-        const category2 = {
-            id: '550e8400-e29b-41d4-a716-446655440002',
-            name: 'Layout Templates',
-            description: 'Page layout templates',
-            createdAt: new Date(),
-            updatedAt: new Date()
-        };
+        getSampleCategories().forEach(category => this.categories.set(category.id, category));
+        getSampleTemplates().forEach(template => this.storeTemplate({ ...template, version: 1 }));
+    }
 
-        this.categories.set(category1.id, category1);
-        this.categories.set(category2.id, category2);
-
-        // Sample templates with different file types
-        const template1 = {
-            id: '750e8400-e29b-41d4-a716-446655440001',
-            name: 'Modern Landing Page',
-            description: 'A clean and modern landing page template with hero section and features',
-            categoryId: category1.id,
-            previewImageUrl: 'https://example.com/landing-page.png',
-            components: [
-                {
-                    id: 'comp1',
-                    type: 'BannerComponent',
-                    title: 'Welcome to Our Platform',
-                    subtitle: 'Build amazing experiences',
-                    backgroundImage: 'https://example.com/hero-bg.jpg'
-                },
-                {
-                    id: 'comp2',
-                    type: 'TextComponent',
-                    content: 'Discover our features and start building today',
-                    styles: { fontSize: '18px', color: '#333' }
-                }
-            ],
-            createdAt: new Date(),
-            updatedAt: new Date()
+    /**
+     * Store a template and record it as a new immutable revision
+     * @param {Object} template - Template with its version number
+     * @returns {Object} Stored template
+     */
+    storeTemplate(template) {
+        const storedTemplate = {
+            ...template,
+            components: this.assignTemplateComponentIds(template.components || [])
         };
 
-        const template2 = {
-            id: '750e8400-e29b-41d4-a716-446655440002',
-            name: 'E-commerce Product Page',
-            description: 'Complete product showcase template with image gallery and purchase options',
-            categoryId: category2.id,
-            previewImageUrl: 'https://example.com/product-page.fig',
-            components: [
-                {
-                    id: 'comp1',
-                    type: 'ImageComponent',
-                    src: 'https://example.com/product-image.jpg',
-                    alt: 'Product Image'
-                },
-                {
-                    id: 'comp2',
-                    type: 'TextComponent',
-                    content: 'Premium Quality Product',
-                    styles: { fontSize: '24px', fontWeight: 'bold' }
-                }
-            ],
-            createdAt: new Date(Date.now() - 86400000), // 1 day ago
-            updatedAt: new Date(Date.now() - 86400000)
-        };
+        this.templates.set(storedTemplate.id, storedTemplate);
+
+        const versions = this.templateVersions.get(storedTemplate.id) || [];
+        versions.push(JSON.parse(JSON.stringify({
+            templateId: storedTemplate.id,
+            version: storedTemplate.version,
+            name: storedTemplate.name,
+            description: storedTemplate.description,
+            categoryId: storedTemplate.categoryId,
+            previewImageUrl: storedTemplate.previewImageUrl || null,
+            components: storedTemplate.components,
+            createdAt: storedTemplate.updatedAt
+        })));
+        this.templateVersions.set(storedTemplate.id, versions);
+
+        return storedTemplate;
+    }
 
-        const template3 = {
-            id: '750e8400-e29b-41d4-a716-446655440003',
-            name: 'Blog Article Layout',
-            description: 'Professional blog article template with typography and reading experience',
-            categoryId: category1.id,
-            previewImageUrl: 'https://example.com/blog-article.png',
-            components: [
-                {
-                    id: 'comp1',
-                    type: 'TextComponent',
-                    content: 'Article Title',
-                    styles: { fontSize: '32px', fontWeight: 'bold', color: '#1a1a1a' }
-                },
-                {
-                    id: 'comp2',
-                    type: 'TextComponent',
-                    content: 'Article content goes here...',
-                    styles: { fontSize: '16px', lineHeight: '1.6' }
-                }
-            ],
-            createdAt: new Date(Date.now() - 172800000), // 2 days ago
-            updatedAt: new Date(Date.now() - 172800000)
-        };
+    /**
+     * Give every template component a stable ID, so the same component can be
+     * found in later revisions. Missing IDs are derived from the type and
+     * position (e.g. banner-1).
+     * @param {Array} components - Template components
+     * @returns {Array} Copies of the components, each with an id
+     */
+    assignTemplateComponentIds(components) {
+        const usedIds = new Set(components.map(component => component.id).filter(Boolean));
+
+        return components.map((component, index) => {
+            if (component.id) {
+                return JSON.parse(JSON.stringify(component));
+            }
 
-        this.templates.set(template1.id, template1);
-        this.templates.set(template2.id, template2);
-        this.templates.set(template3.id, template3);
+            let id = `${component.type}-${index + 1}`;
+            if (usedIds.has(id)) {
+                id = uuidv4();
+            }
+            usedIds.add(id);
+
+            return { ...JSON.parse(JSON.stringify(component)), id };
+        });
+    }
+
+    /**
+     * Get the revisions of a template
+     * @param {string} templateId - Template ID
+     * @returns {Array|null} Revision summaries, newest first, or null if the template has no revisions
+     */
+    async getTemplateVersions(templateId) {
+        if (!isValidUUID(templateId)) {
+            throw new Error('Template ID must be a valid UUID');
+        }
+
+        const versions = this.templateVersions.get(templateId);
+        if (!versions) {
+            return null;
+        }
+
+        return versions
+            .map(version => ({
+                templateId: version.templateId,
+                version: version.version,
+                name: version.name,
+                componentCount: version.components.length,
+                createdAt: version.createdAt
+            }))
+            .reverse();
+    }
+
+    /**
+     * Get one revision of a template. Revisions are kept after the template
+     * is deleted, since pages may still be pinned to them.
+     * @param {string} templateId - Template ID
+     * @param {number} version - Version number
+     * @returns {Object|null} Revision with components, or null if not found
+     */
+    async getTemplateVersion(templateId, version) {
+        if (!isValidUUID(templateId)) {
+            throw new Error('Template ID must be a valid UUID');
+        }
+
+        const versions = this.templateVersions.get(templateId) || [];
+        const revision = versions.find(candidate => candidate.version === version);
+        return revision ? JSON.parse(JSON.stringify(revision)) : null;
     }
 
     /**
@@ -188,13 +204,13 @@ class TemplateService {
             categoryId,
             previewImageUrl: previewImageUrl.trim(),
             components: JSON.parse(JSON.stringify(components)), // Deep copy
+            isActive: true,
+            version: 1,
             createdAt: now,
             updatedAt: now
         };
 
-        this.templates.set(templateId, newTemplate);
-
-        return { ...newTemplate };
+        return { ...this.storeTemplate(newTemplate) };
     }
 
     /**
@@ -206,6 +222,7 @@ class TemplateService {
      * @param {string} updateData.categoryId - Category ID
      * @param {string} updateData.previewImageUrl - Preview image URL
      * @param {Array} updateData.components - Components array
+     * @param {boolean} updateData.isActive - Whether the template is offered to users (optional; unchanged when omitted)
      * @returns {Object} Updated template
      */
     async updateTemplate(templateId, updateData) {
@@ -218,7 +235,7 @@ class TemplateService {
             throw new Error(`Template with ID ${templateId} does not exist`);
         }
 
-        const { name, description, categoryId, previewImageUrl, components } = updateData;
+        const { name, description, categoryId, previewImageUrl, components, isActive } = updateData;
 
         // Validate required fields
         if (!name || typeof name !== 'string' || name.trim().length === 0) {
@@ -258,6 +275,10 @@ class TemplateService {
             }
         }
 
+        if (isActive !== undefined && typeof isActive !== 'boolean') {
+            throw new Error('isActive must be a boolean');
+        }
+
         // Check for duplicate template name (excluding current template)
         const existingTemplateWithName = Array.from(this.templates.values()).find(
             t => t.id !== templateId && t.name.toLowerCase() === name.toLowerCase()
@@ -274,12 +295,12 @@ class TemplateService {
             categoryId,
             previewImageUrl: previewImageUrl.trim(),
             components: JSON.parse(JSON.stringify(components)), // Deep copy
+            isActive: isActive !== undefined ? isActive : existingTemplate.isActive,
+            version: (existingTemplate.version || 1) + 1,
             updatedAt: new Date()
         };
 
-        this.templates.set(templateId, updatedTemplate);
-
-        return { ...updatedTemplate };
+        return { ...this.storeTemplate(updatedTemplate) };
     }
 
     /**
@@ -297,20 +318,7 @@ class TemplateService {
             return null;
         }
 
-        const enrichedTemplate = { ...template };
-        
-        // Add category name
-        const category = this.categories.get(template.categoryId);
-        if (category) {
-            enrichedTemplate.categoryName = category.name;
-        } else {
-            enrichedTemplate.categoryName = 'Unknown Category';
-        }
-        
-        // Add file type information
-        enrichedTemplate.fileType = this.determineFileType(template);
-        
-        return enrichedTemplate;
+        return this.enrichTemplate(template);
     }
 
     /**
@@ -318,22 +326,68 @@ class TemplateService {
      * @returns {Array} Array of templates with enriched category data
      */
     async getAllTemplates() {
-        return Array.from(this.templates.values()).map(template => {
-            const enrichedTemplate = { ...template };
-            
-            // Add category name
-            const category = this.categories.get(template.categoryId);
-            if (category) {
-                enrichedTemplate.categoryName = category.name;
-            } else {
-                enrichedTemplate.categoryName = 'Unknown Category';
-            }
-            
-            // Add file type information
-            enrichedTemplate.fileType = this.determineFileType(template);
-            
-            return enrichedTemplate;
-        });
+        return Array.from(this.templates.values()).map(template => this.enrichTemplate(template));
+    }
+
+    /**
+     * List the active templates for the public template browser
+     * @param {Object} filters - List filters
+     * @param {string} filters.categoryId - Only templates in this category
+     * @param {string} filters.search - Case-insensitive match on name or description
+     * @param {string} filters.sortBy - One of name, description, createdAt, updatedAt (default: name)
+     * @returns {Array} Array of templates with enriched category data
+     */
+    async listTemplates(filters = {}) {
+        const { categoryId, search, sortBy = 'name' } = filters;
+
+        if (!TEMPLATE_SORT_FIELDS.includes(sortBy)) {
+            const error = new Error(`sortBy must be one of: ${TEMPLATE_SORT_FIELDS.join(', ')}`);
+            error.code = 'INVALID_SORT_FIELD';
+            throw error;
+        }
+
+        if (categoryId && !isValidUUID(categoryId)) {
+            const error = new Error('Category ID must be a valid UUID');
+            error.code = 'INVALID_CATEGORY_ID';
+            throw error;
+        }
+
+        const searchLower = search ? search.toLowerCase() : null;
+
+        return Array.from(this.templates.values())
+            .filter(template => template.isActive !== false)
+            .filter(template => !categoryId || template.categoryId === categoryId)
+            .filter(template => !searchLower
+                || template.name.toLowerCase().includes(searchLower)
+                || (template.description || '').toLowerCase().includes(searchLower))
+            .sort((a, b) => {
+                const aValue = a[sortBy];
+                const bValue = b[sortBy];
+
+                if (typeof aValue === 'string' && typeof bValue === 'string') {
+                    return aValue.localeCompare(bValue);
+                }
+
+                if (aValue < bValue) return -1;
+                if (aValue > bValue) return 1;
+                return 0;
+            })
+            .map(template => this.enrichTemplate(template));
+    }
+
+    /**
+     * Copy a template and add its category name and file type
+     * @param {Object} template - Stored template
+     * @returns {Object} Enriched template
+     */
+    enrichTemplate(template) {
+        const category = this.categories.get(template.categoryId);
+
+        return {
+            ...template,
+            categoryName: category ? category.name : 'Unknown Category',
+            fileType: this.determineFileType(template)
+        };
     }
 
     /**
@@ -342,6 +396,10 @@ class TemplateService {
      * @returns {string} File type (Figma, PNG, etc.)
      */
     determineFileType(template) {
+        if (template.source === 'figma') {
+            return 'Figma';
+        }
+
         // Check preview image URL for file extension
         if (template.previewImageUrl) {
             const extension = template.previewImageUrl.split('.').pop().toLowerCase();
@@ -388,6 +446,188 @@ class TemplateService {
         return Array.from(this.categories.values()).map(category => ({ ...category }));
     }
 
+    /**
+     * Create a new category
+     * @param {Object} categoryData - Category data
+     * @param {string} categoryData.name - Category name
+     * @param {string} categoryData.description - Category description
+     * @returns {Object} Created category
+     */
+    async createCategory(categoryData) {
+        const { name, description } = categoryData;
+
+        // Validate required fields
+        if (!name || typeof name !== 'string' || name.trim().length === 0) {
+            throw new Error('Category name is required and must be a non-empty string');
+        }
+
+        if (!description || typeof description !== 'string' || description.trim().length === 0) {
+            throw new Error('Category description is required and must be a non-empty string');
+        }
+
+        // Check for duplicate category name
+        const existingCategory = Array.from(this.categories.values()).find(
+            c => c.name.toLowerCase() === name.toLowerCase()
+        );
+        if (existingCategory) {
+            throw new Error(`Category with name "${name}" already exists`);
+        }
+
+        // Create new category
+        const categoryId = uuidv4();
+        const now = new Date();
+        
+        const newCategory = {
+            id: categoryId,
+            name: name.trim(),
+            description: description.trim(),
+            createdAt: now,
+            updatedAt: now
+        };
+
+        this.categories.set(categoryId, newCategory);
+
+        return { ...newCategory };
+    }
+
+    /**
+     * Update an existing category
+     * @param {string} categoryId - Category ID
+     * @param {Object} updateData - Update data
+     * @param {string} updateData.name - Category name
+     * @param {string} updateData.description - Category description
+     * @returns {Object} Updated category
+     */
+    async updateCategory(categoryId, updateData) {
+        if (!isValidUUID(categoryId)) {
+            throw new Error('Category ID must be a valid UUID');
+        }
+
+        const existingCategory = this.categories.get(categoryId);
+        if (!existingCategory) {
+            throw new Error(`Category with ID ${categoryId} does not exist`);
+        }
+
+        const { name, description } = updateData;
+
+        // Validate required fields
+        if (!name || typeof name !== 'string' || name.trim().length === 0) {
+            throw new Error('Category name is required and must be a non-empty string');
+        }
+
+        if (!description || typeof description !== 'string' || description.trim().length === 0) {
+            throw new Error('Category description is required and must be a non-empty string');
+        }
+
+        // Check for duplicate category name (excluding current category)
+        const existingCategoryWithName = Array.from(this.categories.values()).find(
+            c => c.id !== categoryId && c.name.toLowerCase() === name.toLowerCase()
+        );
+        if (existingCategoryWithName) {
+            throw new Error(`Category with name "${name}" already exists`);
+        }
+
+        // Update category
+        const updatedCategory = {
+            ...existingCategory,
+            name: name.trim(),
+            description: description.trim(),
+            updatedAt: new Date()
+        };
+
+        this.categories.set(categoryId, updatedCategory);
+
+        return { ...updatedCategory };
+    }
+
+    /**
+     * Check if category has active templates
+     * @param {string} categoryId - Category ID
+     * @returns {boolean} True if category has active templates
+     */
+    async hasActiveTemplates(categoryId) {
+        if (!isValidUUID(categoryId)) {
+            throw new Error('Category ID must be a valid UUID');
+        }
+
+        const activeTemplates = Array.from(this.templates.values()).filter(
+            template => template.categoryId === categoryId && template.isActive === true
+        );
+
+        return activeTemplates.length > 0;
+    }
+
+    /**
+     * Get active templates for a category
+     * @param {string} categoryId - Category ID
+     * @returns {Array} Array of active templates
+     */
+    async getActiveTemplatesForCategory(categoryId) {
+        if (!isValidUUID(categoryId)) {
+            throw new Error('Category ID must be a valid UUID');
+        }
+
+        return Array.from(this.templates.values()).filter(
+            template => template.categoryId === categoryId && template.isActive === true
+        );
+    }
+
+    /**
+     * Delete category by ID
+     * @param {string} categoryId - Category ID
+     * @returns {boolean} True if deleted, false if not found
+     */
+    async deleteCategory(categoryId) {
+        if (!isValidUUID(categoryId)) {
+            throw new Error('Category ID must be a valid UUID');
+        }
+
+        const category = this.categories.get(categoryId);
+        if (!category) {
+            return false;
+        }
+
+        // Check if category has active templates
+        const hasActive = await this.hasActiveTemplates(categoryId);
+        if (hasActive) {
+            throw new Error(`Cannot delete category "${category.name}" because it has active templates`);
+        }
+
+        return this.categories.delete(categoryId);
+    }
+
+    /**
+     * Get category statistics
+     * @param {string} categoryId - Category ID
+     * @returns {Object} Category statistics
+     */
+    async getCategoryStats(categoryId) {
+        if (!isValidUUID(categoryId)) {
+            throw new Error('Category ID must be a valid UUID');
+        }
+
+        const category = this.categories.get(categoryId);
+        if (!category) {
+            throw new Error(`Category with ID ${categoryId} does not exist`);
+        }
+
+        const allTemplates = Array.from(this.templates.values()).filter(
+            template => template.categoryId === categoryId
+        );
+
+        const activeTemplates = allTemplates.filter(template => template.isActive === true);
+        const inactiveTemplates = allTemplates.filter(template => template.isActive === false);
+
+        return {
+            categoryId,
+            categoryName: category.name,
+            totalTemplates: allTemplates.length,
+            activeTemplates: activeTemplates.length,
+            inactiveTemplates: inactiveTemplates.length,
+            canDelete: activeTemplates.length === 0
+        };
+    }
+
     /**
      * Delete template by ID
      * @param {string} templateId - Template ID
@@ -402,7 +642,8 @@ class TemplateService {
     }
 
     /**
-     * Create template from wizard
+     * Create template from wizard (or the page editor, with source 'editor').
+     * Unlike createTemplate, a preview image and components are optional.
      * @param {Object} templateData - Template data from wizard
      * @returns {Object} Created template
      */
@@ -447,16 +688,76 @@ class TemplateService {
             metadata: {
                 fileType: this.detectFileType(previewImageUrl),
                 componentCount: components ? components.length : 0,
-                createdVia: 'wizard'
+                createdVia: source || 'wizard'
             }
         };
 
         // Store template
-        this.templates.set(templateId, newTemplate);
+        const storedTemplate = this.storeTemplate(newTemplate);
 
         console.log(`Template created from wizard: ${templateId} - ${name}`);
         
-        return newTemplate;
+        return storedTemplate;
+    }
+
+    /**
+     * Create an inactive draft template from an imported design (see
+     * src/tasks/figmaProcessing.js). Drafts are hidden from the public template
+     * browser until an administrator completes and activates them. A name
+     * that is taken gets a numeric suffix, e.g. "Landing Page (2)".
+     * @param {Object} draftData - Draft data
+     * @param {string} draftData.name - Preferred template name
+     * @param {string} draftData.description - Template description
+     * @param {string} draftData.categoryId - Category ID (optional)
+     * @param {Array} draftData.components - Template components
+     * @param {string} draftData.createdBy - User ID of the importer
+     * @param {string} draftData.source - Where the draft came from (e.g. 'figma')
+     * @param {Object} draftData.metadata - Import details stored with the template
+     * @returns {Object} Created template
+     */
+    async createDraftTemplate(draftData) {
+        const { name, description, categoryId, components, createdBy, source, metadata } = draftData;
+
+        if (categoryId && !this.categories.has(categoryId)) {
+            const error = new Error('Category not found');
+            error.code = 'CATEGORY_NOT_FOUND';
+            throw error;
+        }
+
+        const takenNames = new Set(Array.from(this.templates.values()).map(template => template.name.toLowerCase()));
+        const baseName = (name || '').trim() || 'Untitled Template';
+        let uniqueName = baseName;
+        for (let suffix = 2; takenNames.has(uniqueName.toLowerCase()); suffix++) {
+            uniqueName = `${baseName} (${suffix})`;
+        }
+
+        const now = new Date();
+        const newTemplate = {
+            id: uuidv4(),
+            name: uniqueName,
+            description: (description || '').trim(),
+            categoryId: categoryId || null,
+            previewImageUrl: '',
+            components: components || [],
+            createdBy: createdBy || 'system',
+            source: source || 'import',
+            isActive: false,
+            createdAt: now,
+            updatedAt: now,
+            version: 1,
+            tags: [],
+            metadata: {
+                ...metadata,
+                componentCount: components ? components.length : 0,
+                createdVia: source || 'import'
+            }
+        };
+
+        const storedTemplate = this.storeTemplate(newTemplate);
+
+        console.log(`Draft template created from ${newTemplate.source}: ${storedTemplate.id} - ${uniqueName}`);
+
+        return storedTemplate;
     }
 
     /**
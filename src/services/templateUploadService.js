@@ -6,7 +6,7 @@
  * progress tracking, and completion verification.
  */
 
-const s3Service = require('./s3Service');
+const storageService = require('./storageService');
 const { v4: uuidv4 } = require('uuid');
 
 // In-memory storage for upload sessions (in production, this would be Redis or a database)
@@ -32,6 +32,9 @@ class TemplateUploadSession {
         this.error = null;
         this.presignedUrl = null;
         this.expiresAt = null;
+        this.processingStatus = null; // pending, processing, completed, failed (Figma files only)
+        this.processingError = null;
+        this.templateId = null;
     }
 
     updateProgress(progress) {
@@ -50,6 +53,15 @@ class TemplateUploadSession {
         this.expiresAt = new Date(Date.now() + (expiresIn * 1000));
     }
 
+    setProcessingStatus(processingStatus, details = {}) {
+        this.processingStatus = processingStatus;
+        this.processingError = details.error || null;
+        if (details.templateId) {
+            this.templateId = details.templateId;
+        }
+        this.updatedAt = new Date();
+    }
+
     isExpired() {
         return this.expiresAt && new Date() > this.expiresAt;
     }
@@ -65,7 +77,10 @@ class TemplateUploadSession {
             createdAt: this.createdAt,
             updatedAt: this.updatedAt,
             error: this.error,
-            expiresAt: this.expiresAt
+            expiresAt: this.expiresAt,
+            processingStatus: this.processingStatus,
+            processingError: this.processingError,
+            templateId: this.templateId
         };
     }
 }
@@ -76,32 +91,29 @@ class TemplateUploadSession {
 const initiateTemplateUpload = async (fileName, fileType, fileSize) => {
     try {
         // Validate file
-        const validation = s3Service.validateFile(fileName, fileType, fileSize);
+        const validation = storageService.validateFile(fileName, fileType, fileSize);
         if (!validation.isValid) {
             throw new Error(`File validation failed: ${validation.errors.join(', ')}`);
         }
 
         // Generate upload ID
-        const uploadId = s3Service.generateUploadId();
-        
-        // Generate S3 key
-        const s3Key = s3Service.generateS3Key(uploadId, fileName, validation.extension);
+        const uploadId = storageService.generateUploadId();
         
-        // Create upload session
-        const session = new TemplateUploadSession(
-            uploadId,
+        // Generate pre-signed URL (and the storage key the file is uploaded to)
+        const presignedData = await storageService.generatePresignedUrl(
             fileName,
             fileType,
             fileSize,
-            s3Key
+            uploadId
         );
-
-        // Generate pre-signed URL
-        const presignedData = await s3Service.generatePresignedUrl(
+        
+        // Create upload session
+        const session = new TemplateUploadSession(
+            uploadId,
             fileName,
             fileType,
             fileSize,
-            uploadId
+            presignedData.s3Key
         );
 
         // Update session with presigned URL
@@ -161,11 +173,11 @@ const completeTemplateUpload = async (uploadId) => {
             throw new Error(`Upload session expired: ${uploadId}`);
         }
 
-        // Verify file was uploaded to S3
-        const verification = await s3Service.verifyUpload(session.s3Key);
+        // Verify file was uploaded to storage
+        const verification = await storageService.verifyUpload(session.s3Key);
         if (!verification.exists) {
-            session.setStatus('failed', 'File not found in S3 after upload');
-            throw new Error('File upload verification failed: File not found in S3');
+            session.setStatus('failed', 'File not found in storage after upload');
+            throw new Error('File upload verification failed: File not found in storage');
         }
 
         // Update session status
@@ -173,7 +185,7 @@ const completeTemplateUpload = async (uploadId) => {
         session.updateProgress(100);
 
         // Get public URL
-        const publicUrl = s3Service.getPublicUrl(session.s3Key);
+        const publicUrl = storageService.getPublicUrl(session.s3Key);
 
         return {
             uploadId,
@@ -216,6 +228,20 @@ const getUploadStatus = (uploadId) => {
     return session.toJSON();
 };
 
+/**
+ * Records the progress of processing an uploaded file (see
+ * src/tasks/figmaProcessing.js). Sessions that have since expired are ignored.
+ */
+const setProcessingStatus = (uploadId, processingStatus, details = {}) => {
+    const session = uploadSessions.get(uploadId);
+    if (!session) {
+        return null;
+    }
+
+    session.setProcessingStatus(processingStatus, details);
+    return session.toJSON();
+};
+
 /**
  * Cancels an upload session
  */
@@ -262,6 +288,7 @@ module.exports = {
     updateUploadProgress,
     completeTemplateUpload,
     getUploadStatus,
+    setProcessingStatus,
     cancelUpload,
     getActiveSessions,
     TemplateUploadSession
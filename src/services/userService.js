@@ -0,0 +1,293 @@
+/**
+ * User Service
+ *
+ * Manages local user accounts and the user directory. Accounts are persisted
+ * through the configured storage adapter (see src/data/storage.js), so they
+ * survive restarts with the pglite adapter. Passwords are hashed with scrypt
+ * (see src/utils/password.js) before they are stored.
+ *
+ * Development accounts are only created when AUTH_SEED_USERS is 'true';
+ * accounts that already exist are left unchanged. They share the password in
+ * SEED_USER_PASSWORD (default 'password123'); the admin account is
+ * admin@templateeditor.com. With NODE_ENV=production the default password is
+ * refused, so a deployment never gets an admin with a known password.
+ */
+
+const User = require('../models/User');
+const { getStorageAdapter } = require('../data/storage');
+const { hashPassword, verifyPassword, validatePassword } = require('../utils/password');
+const { isValidUUIDAnyVersion } = require('../utils/uuidValidation');
+const { scoreUser } = require('../utils/userSearch');
+
+const SEED_USERS = [
+    { id: '550e8400-e29b-41d4-a716-446655440020', email: 'admin@templateeditor.com', name: 'Admin User', role: 'admin', team: 'Platform' },
+    { id: '550e8400-e29b-41d4-a716-446655440010', email: 'john.doe@example.com', name: 'John Doe', role: 'user', team: 'Marketing' },
+    { id: '550e8400-e29b-41d4-a716-446655440011', email: 'jane.smith@example.com', name: 'Jane Smith', role: 'user', team: 'Marketing' },
+    { id: '550e8400-e29b-41d4-a716-446655440012', email: 'bob.johnson@example.com', name: 'Bob Johnson', role: 'user', team: 'Design' },
+    { id: '550e8400-e29b-41d4-a716-446655440013', email: 'alice.brown@example.com', name: 'Alice Brown', role: 'user', team: 'Design' },
+    { id: '550e8400-e29b-41d4-a716-446655440014', email: 'charlie.wilson@example.com', name: 'Charlie Wilson', role: 'user', team: 'Sales' }
+];
+
+// Password of the development accounts when SEED_USER_PASSWORD is not set
+const DEFAULT_SEED_PASSWORD = 'password123';
+
+// Fields an update may change; the password is hashed before it is stored
+const UPDATABLE_FIELDS = ['email', 'name', 'role', 'avatarUrl', 'team'];
+
+/**
+ * Create a user service error
+ * @param {string} message - Error message
+ * @param {string} code - Error code
+ * @returns {Error} Error with the given code
+ */
+function userError(message, code) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+}
+
+class UserService {
+    /**
+     * @param {Object} options - Service options
+     * @param {Object} options.adapter - Storage adapter (default: the shared adapter)
+     * @param {boolean} options.seedUsers - Create the development accounts
+     * @param {string} options.seedPassword - Password for the development accounts
+     * @param {boolean} options.allowDefaultSeedPassword - Allow seeding with the default password
+     */
+    constructor(options = {}) {
+        this.options = {
+            adapter: null,
+            seedUsers: process.env.AUTH_SEED_USERS === 'true',
+            seedPassword: process.env.SEED_USER_PASSWORD || DEFAULT_SEED_PASSWORD,
+            allowDefaultSeedPassword: process.env.NODE_ENV !== 'production',
+            ...options
+        };
+        this.adapter = this.options.adapter || getStorageAdapter();
+        this.initPromise = null;
+    }
+
+    /**
+     * Create the development accounts on first use.
+     * Safe to call repeatedly; seeding only happens once.
+     */
+    async init() {
+        if (!this.initPromise) {
+            const seeding = this.options.seedUsers ? this.seedUsers() : Promise.resolve();
+            this.initPromise = seeding.catch(error => {
+                this.initPromise = null;
+                throw error;
+            });
+        }
+        return this.initPromise;
+    }
+
+    /**
+     * Create the development accounts that do not exist yet
+     * @throws {Error} INSECURE_SEED_PASSWORD when the default password is not allowed
+     */
+    async seedUsers() {
+        if (this.options.seedPassword === DEFAULT_SEED_PASSWORD && !this.options.allowDefaultSeedPassword) {
+            throw userError(
+                'Refusing to create the development accounts with the default password; set SEED_USER_PASSWORD',
+                'INSECURE_SEED_PASSWORD'
+            );
+        }
+
+        let passwordHash = null;
+        for (const userData of SEED_USERS) {
+            if (await this.adapter.getUser(userData.id) || await this.adapter.getUserByEmail(userData.email)) {
+                continue;
+            }
+            passwordHash = passwordHash || await hashPassword(this.options.seedPassword);
+            await this.adapter.insertUser(new User({ ...userData, passwordHash }).toJSON());
+        }
+    }
+
+    /**
+     * Create a new user account
+     * @param {Object} userData - User data
+     * @param {string} userData.email - Email address (unique)
+     * @param {string} userData.name - Display name
+     * @param {string} userData.password - Clear text password
+     * @param {string} userData.role - Role (default: 'user')
+     * @param {string} userData.avatarUrl - Profile picture URL (optional)
+     * @param {string} userData.team - Team (optional)
+     * @returns {User} Created user
+     */
+    async createUser({ email, name, password, role = 'user', avatarUrl = null, team = null }) {
+        await this.init();
+
+        const passwordValidation = validatePassword(password);
+        if (!passwordValidation.isValid) {
+            throw userError(passwordValidation.errors.join(', '), 'INVALID_PASSWORD');
+        }
+
+        if (await this.getUserByEmail(email)) {
+            throw userError('A user with this email already exists', 'EMAIL_ALREADY_EXISTS');
+        }
+
+        let user;
+        try {
+            user = new User({ email, name, role, avatarUrl, team, passwordHash: await hashPassword(password) });
+        } catch (validationError) {
+            throw userError(validationError.message, 'INVALID_USER_DATA');
+        }
+
+        return new User(await this.adapter.insertUser(user.toJSON()));
+    }
+
+    /**
+     * Update a user account. Fields left undefined are unchanged; set avatarUrl
+     * or team to null to clear them.
+     * @param {string} userId - User ID
+     * @param {Object} changes - Fields to change (email, name, role, avatarUrl, team, password)
+     * @returns {User} Updated user
+     */
+    async updateUser(userId, changes = {}) {
+        const existingUser = await this.getUserById(userId);
+        if (!existingUser) {
+            throw userError('User not found', 'USER_NOT_FOUND');
+        }
+
+        const fields = {};
+        UPDATABLE_FIELDS.forEach(field => {
+            if (changes[field] !== undefined) {
+                fields[field] = changes[field];
+            }
+        });
+
+        if (changes.password !== undefined) {
+            const passwordValidation = validatePassword(changes.password);
+            if (!passwordValidation.isValid) {
+                throw userError(passwordValidation.errors.join(', '), 'INVALID_PASSWORD');
+            }
+            fields.passwordHash = await hashPassword(changes.password);
+        }
+
+        let user;
+        try {
+            user = new User({ ...existingUser.toJSON(), ...fields, updatedAt: new Date().toISOString() });
+        } catch (validationError) {
+            throw userError(validationError.message, 'INVALID_USER_DATA');
+        }
+
+        if (user.email !== existingUser.email) {
+            const emailOwner = await this.getUserByEmail(user.email);
+            if (emailOwner && emailOwner.id !== userId) {
+                throw userError('A user with this email already exists', 'EMAIL_ALREADY_EXISTS');
+            }
+        }
+
+        const { id, createdAt, ...storedFields } = user.toJSON();
+        const storedUser = await this.adapter.updateUser(userId, storedFields);
+        if (!storedUser) {
+            throw userError('User not found', 'USER_NOT_FOUND');
+        }
+        return new User(storedUser);
+    }
+
+    /**
+     * Delete a user account. Pages, shares and versions keep the user's ID.
+     * @param {string} userId - User ID
+     * @returns {boolean} True if a user was deleted
+     */
+    async deleteUser(userId) {
+        await this.init();
+        if (!isValidUUIDAnyVersion(userId)) {
+            return false;
+        }
+        return this.adapter.deleteUser(userId);
+    }
+
+    /**
+     * Get a user by ID
+     * @param {string} userId - User ID
+     * @returns {User|null} User or null if not found
+     */
+    async getUserById(userId) {
+        await this.init();
+
+        // Records may name users that are not accounts, e.g. versions created by 'system'
+        if (!isValidUUIDAnyVersion(userId)) {
+            return null;
+        }
+
+        const userData = await this.adapter.getUser(userId);
+        return userData ? new User(userData) : null;
+    }
+
+    /**
+     * Get several users by ID
+     * @param {Array<string>} userIds - User IDs (duplicates and unknown IDs are allowed)
+     * @returns {Map<string, User>} Users that exist, by ID
+     */
+    async getUsersByIds(userIds) {
+        const users = new Map();
+        for (const userId of new Set(userIds)) {
+            const user = await this.getUserById(userId);
+            if (user) {
+                users.set(userId, user);
+            }
+        }
+        return users;
+    }
+
+    /**
+     * Get a user by email address
+     * @param {string} email - Email address
+     * @returns {User|null} User or null if not found
+     */
+    async getUserByEmail(email) {
+        await this.init();
+        if (typeof email !== 'string') {
+            return null;
+        }
+        const userData = await this.adapter.getUserByEmail(email.trim().toLowerCase());
+        return userData ? new User(userData) : null;
+    }
+
+    /**
+     * List all users
+     * @returns {Array<User>} Users
+     */
+    async listUsers() {
+        await this.init();
+        const users = await this.adapter.listUsers();
+        return users.map(userData => new User(userData));
+    }
+
+    /**
+     * Search the user directory (see src/utils/userSearch.js)
+     * @param {string} query - Search query
+     * @param {Object} options - Search options
+     * @param {string} options.mode - 'prefix' or 'fuzzy' (default)
+     * @returns {Array<Object>} Matching profiles with their relevance, best match first
+     */
+    async searchUsers(query, { mode = 'fuzzy' } = {}) {
+        const users = await this.listUsers();
+        return users
+            .map(user => ({ ...user.toProfileJSON(), relevance: scoreUser(user, query, mode) }))
+            .filter(profile => profile.relevance > 0)
+            .sort((a, b) => b.relevance - a.relevance || a.name.localeCompare(b.name));
+    }
+
+    /**
+     * Check an email and password pair
+     * @param {string} email - Email address
+     * @param {string} password - Clear text password
+     * @returns {User|null} The matching user, or null if the credentials are wrong
+     */
+    async verifyCredentials(email, password) {
+        const user = await this.getUserByEmail(email);
+        if (!user || typeof password !== 'string') {
+            return null;
+        }
+        return (await verifyPassword(password, user.passwordHash)) ? user : null;
+    }
+}
+
+// Create singleton instance
+const userService = new UserService();
+
+module.exports = userService;
+module.exports.UserService = UserService;
@@ -1,180 +1,77 @@
 /**
  * Figma Processing Task
- * Work Order #32: Template Upload Initiation and Completion API Endpoints
- * 
- * Placeholder for Figma file processing logic.
- * This is out of scope for the current work order but provides the interface
- * for background processing of Figma files.
+ *
+ * Turns an uploaded Figma file into a draft template (queued by
+ * src/controllers/adminTemplateController.js when a .fig or .figma upload
+ * completes). The file is a Figma JSON export; its template frame and named
+ * layers are mapped to components by the conventions described in
+ * src/utils/figmaParser.js. The draft is inactive until an administrator
+ * reviews and activates it, and its ID is reported on the upload session.
  */
 
+const storageService = require('../services/storageService');
+const templateService = require('../services/templateService');
+const templateUploadService = require('../services/templateUploadService');
+const { readFigmaExport, extractTemplate } = require('../utils/figmaParser');
+
 /**
- * Processes a Figma file uploaded to S3
- * 
- * This function would typically:
- * 1. Download the Figma file from S3
- * 2. Parse the Figma file format
- * 3. Extract component information
- * 4. Generate preview images
- * 5. Create template metadata
- * 6. Update the template record in the database
- * 
- * @param {Object} taskData - The task data containing file information
+ * Processes an uploaded Figma file into a draft template. The upload session
+ * is marked failed, with the reason, if the file cannot be read or has no
+ * components.
+ *
+ * @param {Object} taskData - The task data
+ * @param {string} taskData.uploadId - Template upload session ID
+ * @param {string} taskData.s3Key - Storage key of the uploaded file
+ * @param {string} taskData.fileName - Original file name
+ * @param {string} taskData.createdBy - User ID of the uploader
+ * @param {string} taskData.categoryId - Category for the draft (optional)
  * @returns {Object} Processing result
  */
 const processFigmaFile = async (taskData) => {
-    const { templateId, s3Key, fileName, uploadId } = taskData;
-    
-    console.log(`Starting Figma processing for template ${templateId}`);
-    console.log(`S3 Key: ${s3Key}`);
-    console.log(`File Name: ${fileName}`);
-    
+    const { uploadId, s3Key, fileName, createdBy, categoryId } = taskData;
+
+    templateUploadService.setProcessingStatus(uploadId, 'processing');
+
     try {
-        // Simulate processing time
-        await new Promise(resolve => setTimeout(resolve, 2000));
-        
-        // Mock processing steps
-        const processingSteps = [
-            'Downloading Figma file from S3',
-            'Parsing Figma file format',
-            'Extracting component information',
-            'Generating preview images',
-            'Creating template metadata',
-            'Updating template record'
-        ];
-        
-        const results = {};
-        
-        for (const step of processingSteps) {
-            console.log(`Processing step: ${step}`);
-            await new Promise(resolve => setTimeout(resolve, 500)); // Simulate work
-            
-            // Mock results for each step
-            switch (step) {
-                case 'Downloading Figma file from S3':
-                    results.downloaded = true;
-                    results.fileSize = 1024 * 1024; // 1MB
-                    break;
-                case 'Parsing Figma file format':
-                    results.parsed = true;
-                    results.pageCount = 3;
-                    break;
-                case 'Extracting component information':
-                    results.components = [
-                        { id: 'comp1', name: 'Button', type: 'component' },
-                        { id: 'comp2', name: 'Card', type: 'component' },
-                        { id: 'comp3', name: 'Header', type: 'component' }
-                    ];
-                    break;
-                case 'Generating preview images':
-                    results.previews = [
-                        { type: 'thumbnail', url: `https://example.com/previews/${templateId}/thumb.png` },
-                        { type: 'full', url: `https://example.com/previews/${templateId}/full.png` }
-                    ];
-                    break;
-                case 'Creating template metadata':
-                    results.metadata = {
-                        name: fileName.replace(/\.[^/.]+$/, ''),
-                        description: 'Generated from Figma file',
-                        tags: ['figma', 'imported'],
-                        category: 'UI Components'
-                    };
-                    break;
-                case 'Updating template record':
-                    results.templateUpdated = true;
-                    break;
-            }
-        }
-        
-        const finalResult = {
-            templateId,
-            status: 'completed',
-            processingTime: '3.5 seconds',
-            results: {
-                ...results,
-                finalStatus: 'ready',
-                publicUrl: `https://example.com/templates/${templateId}`,
-                previewUrl: results.previews[0].url
+        const file = await storageService.getObject(s3Key);
+        const figmaFile = await readFigmaExport(file.body);
+        const extracted = extractTemplate(figmaFile);
+
+        const template = await templateService.createDraftTemplate({
+            name: extracted.name || fileName.replace(/\.[^/.]+$/, ''),
+            description: `Imported from ${fileName}`,
+            categoryId,
+            components: extracted.components,
+            createdBy,
+            source: 'figma',
+            metadata: {
+                figma: {
+                    fileName,
+                    documentName: figmaFile.name || null,
+                    lastModified: figmaFile.lastModified || null,
+                    version: figmaFile.version || null,
+                    frame: extracted.frame
+                }
             }
-        };
-        
-        console.log(`Figma processing completed for template ${templateId}`);
-        console.log('Processing results:', finalResult);
-        
-        return finalResult;
-        
-    } catch (error) {
-        console.error(`Figma processing failed for template ${templateId}:`, error);
-        
+        });
+
+        templateUploadService.setProcessingStatus(uploadId, 'completed', { templateId: template.id });
+
+        console.log(`Processed Figma file ${fileName} into draft template ${template.id} (${extracted.components.length} components)`);
+
         return {
-            templateId,
-            status: 'failed',
-            error: error.message,
-            results: {
-                finalStatus: 'failed',
-                errorDetails: error.stack
-            }
+            processed: true,
+            uploadId,
+            templateId: template.id,
+            components: extracted.components.map(component => component.type)
         };
-    }
-};
-
-/**
- * Validates that a Figma file is in the correct format
- * 
- * @param {Buffer} fileBuffer - The file buffer to validate
- * @returns {Object} Validation result
- */
-const validateFigmaFile = (fileBuffer) => {
-    // This would contain actual Figma file validation logic
-    // For now, just return a mock validation
-    
-    return {
-        isValid: true,
-        format: 'figma',
-        version: '1.0',
-        pages: 3,
-        components: 15
-    };
-};
 
-/**
- * Extracts component information from a Figma file
- * 
- * @param {Buffer} fileBuffer - The file buffer to parse
- * @returns {Array} Array of component information
- */
-const extractComponents = (fileBuffer) => {
-    // This would contain actual Figma parsing logic
-    // For now, return mock component data
-    
-    return [
-        {
-            id: 'comp_1',
-            name: 'Primary Button',
-            type: 'component',
-            properties: {
-                width: 120,
-                height: 40,
-                backgroundColor: '#007bff',
-                textColor: '#ffffff'
-            }
-        },
-        {
-            id: 'comp_2',
-            name: 'Card Container',
-            type: 'component',
-            properties: {
-                width: 300,
-                height: 200,
-                backgroundColor: '#ffffff',
-                borderRadius: 8,
-                shadow: true
-            }
-        }
-    ];
+    } catch (error) {
+        templateUploadService.setProcessingStatus(uploadId, 'failed', { error: error.message });
+        throw error;
+    }
 };
 
 module.exports = {
-    processFigmaFile,
-    validateFigmaFile,
-    extractComponents
+    processFigmaFile
 };
@@ -0,0 +1,84 @@
+/**
+ * Image Processing Task
+ *
+ * Inspects images after upload (queued by src/services/imageUploadService.js):
+ * validates the file by its magic bytes, records its real content type and
+ * dimensions, and stores thumbnail and responsive width variants next to the
+ * original (see src/utils/imageProcessing.js).
+ */
+
+const imageRepository = require('../repositories/imageRepository');
+const storageService = require('../services/storageService');
+const { processImage } = require('../utils/imageProcessing');
+
+/**
+ * Processes an uploaded image. The image is marked failed, with the reason,
+ * if the file is missing or is not a valid image.
+ *
+ * @param {Object} taskData - The task data
+ * @param {string} taskData.imageId - Image ID
+ * @returns {Object} Processing result
+ */
+const processUploadedImage = async (taskData) => {
+    const { imageId } = taskData;
+
+    const image = await imageRepository.getImageById(imageId);
+    if (!image) {
+        return { processed: false, reason: 'Image no longer exists' };
+    }
+
+    await imageRepository.updateImage(imageId, { processingStatus: 'processing', processingError: null });
+
+    try {
+        const file = await storageService.getObject(image.s3Key);
+        const result = processImage(file.body);
+
+        const variants = [];
+        for (const variant of result.variants) {
+            const s3Key = storageService.getVariantKey(image.s3Key, `${variant.name}.${variant.extension}`);
+            await storageService.putObject(s3Key, variant.buffer, variant.contentType);
+            variants.push({
+                name: variant.name,
+                url: storageService.getPublicUrl(s3Key),
+                s3Key,
+                width: variant.width,
+                height: variant.height,
+                contentType: variant.contentType,
+                fileSize: variant.buffer.length
+            });
+        }
+
+        await imageRepository.updateImage(imageId, {
+            contentType: result.mimeType,
+            fileSize: file.body.length,
+            width: result.width,
+            height: result.height,
+            variants,
+            processingStatus: 'ready',
+            processedAt: new Date().toISOString()
+        });
+
+        console.log(`Processed image ${imageId} (${result.width}x${result.height}, ${variants.length} variants)`);
+
+        return {
+            processed: true,
+            imageId,
+            contentType: result.mimeType,
+            width: result.width,
+            height: result.height,
+            variants: variants.map(variant => variant.name)
+        };
+
+    } catch (error) {
+        await imageRepository.updateImage(imageId, {
+            processingStatus: 'failed',
+            processingError: error.message,
+            processedAt: new Date().toISOString()
+        });
+        throw error;
+    }
+};
+
+module.exports = {
+    processUploadedImage
+};
@@ -0,0 +1,52 @@
+/**
+ * Page Publishing Task
+ *
+ * Runs scheduled publishes queued by the page publish controller
+ * (see src/controllers/pagePublishController.js).
+ */
+
+const pageRepository = require('../data/pageRepository');
+
+/**
+ * Publishes the version a page was scheduled with. Nothing happens if the
+ * schedule was cancelled or replaced after the task was queued.
+ *
+ * @param {Object} taskData - The task data
+ * @param {string} taskData.pageId - Page ID
+ * @param {string} taskData.versionId - Version scheduled for publishing
+ * @returns {Object} Publishing result
+ */
+const publishScheduledPage = async (taskData) => {
+    const { pageId, versionId } = taskData;
+
+    const page = await pageRepository.getPageById(pageId);
+    if (!page) {
+        return { published: false, reason: 'Page no longer exists' };
+    }
+
+    if (page.status !== 'scheduled' || page.scheduledVersionId !== versionId) {
+        return { published: false, reason: 'Schedule was cancelled or replaced' };
+    }
+
+    const publishedAt = new Date();
+    await pageRepository.updatePublishingState(pageId, {
+        status: 'published',
+        publishedVersionId: versionId,
+        publishedAt,
+        scheduledVersionId: null,
+        scheduledPublishAt: null
+    });
+
+    console.log(`Published page ${pageId} (version ${versionId}) on schedule`);
+
+    return {
+        published: true,
+        pageId,
+        versionId,
+        publishedAt: publishedAt.toISOString()
+    };
+};
+
+module.exports = {
+    publishScheduledPage
+};
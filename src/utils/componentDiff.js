@@ -0,0 +1,404 @@
+/**
+ * Component Diff Utility
+ *
+ * Compares two component arrays by component ID and reports which components
+ * were added, removed or modified going from the first array to the second.
+ * Components without an ID are matched by their position in the array.
+ *
+ * diffPageComponents gives the detailed diff used to compare page versions:
+ * components that moved, the individual fields that changed, and word-level
+ * diffs of changed text and rich text.
+ */
+
+const { toPlainText } = require('./richText');
+
+// Word diffs are skipped (the whole text is reported as replaced) when the
+// two texts have more than this many tokens multiplied together
+const MAX_WORD_DIFF_CELLS = 1000000;
+
+/**
+ * Deep equality for JSON-compatible values (object key order is ignored)
+ * @param {*} a - First value
+ * @param {*} b - Second value
+ * @returns {boolean} True if equal
+ */
+function isEqual(a, b) {
+    if (a === b) {
+        return true;
+    }
+
+    if (typeof a !== 'object' || typeof b !== 'object' || a === null || b === null) {
+        return false;
+    }
+
+    if (Array.isArray(a) !== Array.isArray(b)) {
+        return false;
+    }
+
+    const keysA = Object.keys(a);
+    const keysB = Object.keys(b);
+    if (keysA.length !== keysB.length) {
+        return false;
+    }
+
+    return keysA.every(key => Object.prototype.hasOwnProperty.call(b, key) && isEqual(a[key], b[key]));
+}
+
+/**
+ * Key a component by its ID, falling back to its position
+ * @param {Object} component - Component
+ * @param {number} index - Position in the array
+ * @returns {string} Component key
+ */
+function componentKey(component, index) {
+    return component && component.id ? component.id : `#${index}`;
+}
+
+/**
+ * Build a Map of component key to component
+ * @param {Array} components - Components array
+ * @returns {Map} Components by key
+ */
+function indexComponents(components) {
+    const byKey = new Map();
+    (components || []).forEach((component, index) => {
+        byKey.set(componentKey(component, index), component);
+    });
+    return byKey;
+}
+
+/**
+ * Diff two component arrays
+ * @param {Array} fromComponents - Components before the change
+ * @param {Array} toComponents - Components after the change
+ * @returns {Object} { added, removed, modified, hasChanges } where modified
+ *   entries are { id, type, changedFields, before, after }
+ */
+function diffComponents(fromComponents, toComponents) {
+    const from = indexComponents(fromComponents);
+    const to = indexComponents(toComponents);
+
+    const added = [];
+    const removed = [];
+    const modified = [];
+
+    for (const [key, after] of to) {
+        const before = from.get(key);
+        if (!before) {
+            added.push(after);
+            continue;
+        }
+
+        if (!isEqual(before, after)) {
+            const fields = new Set([...Object.keys(before), ...Object.keys(after)]);
+            modified.push({
+                id: key,
+                type: after.type || before.type,
+                changedFields: Array.from(fields).filter(field => !isEqual(before[field], after[field])),
+                before,
+                after
+            });
+        }
+    }
+
+    for (const [key, before] of from) {
+        if (!to.has(key)) {
+            removed.push(before);
+        }
+    }
+
+    return {
+        added,
+        removed,
+        modified,
+        hasChanges: added.length > 0 || removed.length > 0 || modified.length > 0
+    };
+}
+
+/**
+ * Find the longest common subsequence of two arrays
+ * @param {Array} a - First array
+ * @param {Array} b - Second array
+ * @returns {Array} Pairs [indexInA, indexInB] of the common items, in order
+ */
+function longestCommonSubsequence(a, b) {
+    // lengths[i][j] is the LCS length of a[i..] and b[j..]
+    const lengths = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+    for (let i = a.length - 1; i >= 0; i--) {
+        for (let j = b.length - 1; j >= 0; j--) {
+            lengths[i][j] = a[i] === b[j]
+                ? lengths[i + 1][j + 1] + 1
+                : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+        }
+    }
+
+    const pairs = [];
+    let i = 0;
+    let j = 0;
+    while (i < a.length && j < b.length) {
+        if (a[i] === b[j]) {
+            pairs.push([i, j]);
+            i++;
+            j++;
+        } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+            i++;
+        } else {
+            j++;
+        }
+    }
+    return pairs;
+}
+
+/**
+ * Diff two texts word by word
+ * @param {string} before - Text before the change
+ * @param {string} after - Text after the change
+ * @returns {Array} Segments { type: 'equal'|'delete'|'insert', text } that
+ *   rebuild the old text (equal and delete) and the new text (equal and insert)
+ */
+function diffWords(before, after) {
+    const tokenize = (text) => String(text || '').match(/\s+|[^\s]+/g) || [];
+    const a = tokenize(before);
+    const b = tokenize(after);
+
+    const segments = [];
+    const push = (type, text) => {
+        const last = segments[segments.length - 1];
+        if (last && last.type === type) {
+            last.text += text;
+        } else if (text) {
+            segments.push({ type, text });
+        }
+    };
+
+    if (a.length * b.length > MAX_WORD_DIFF_CELLS) {
+        push('delete', a.join(''));
+        push('insert', b.join(''));
+        return segments;
+    }
+
+    let i = 0;
+    let j = 0;
+    longestCommonSubsequence(a, b).forEach(([matchA, matchB]) => {
+        for (; i < matchA; i++) push('delete', a[i]);
+        for (; j < matchB; j++) push('insert', b[j]);
+        push('equal', a[i]);
+        i++;
+        j++;
+    });
+    for (; i < a.length; i++) push('delete', a[i]);
+    for (; j < b.length; j++) push('insert', b[j]);
+
+    return segments;
+}
+
+/**
+ * Check whether a value is rich text content ({ format, data })
+ * @param {*} value - Value to check
+ * @returns {boolean} True for rich text content
+ */
+function isRichText(value) {
+    return Boolean(value) && typeof value === 'object' && !Array.isArray(value)
+        && typeof value.format === 'string' && 'data' in value;
+}
+
+/**
+ * Check whether every item of an array is an object with an ID, so items can
+ * be matched by ID (accordion items, links) rather than by position
+ * @param {Array} items - Array items
+ * @returns {boolean} True if every item has an ID
+ */
+function hasItemIds(items) {
+    return items.every(item => item && typeof item === 'object' && (typeof item.id === 'string' || typeof item.id === 'number'));
+}
+
+/**
+ * List the changes between two field values. Objects are compared field by
+ * field and arrays item by item (by ID when every item has one), so each
+ * change names the innermost field that changed. Rich text is compared as
+ * text (its metadata is ignored) and reported with a word diff.
+ * @param {*} before - Value before the change
+ * @param {*} after - Value after the change
+ * @param {string} path - Path of the value, e.g. data.items[item-1].header
+ * @param {Array} changes - Changes found so far
+ * @returns {Array} Changes { path, kind: 'added'|'removed'|'changed', before, after, words }
+ */
+function diffFields(before, after, path, changes = []) {
+    if (before === undefined && after === undefined) {
+        return changes;
+    }
+    if (before === undefined) {
+        changes.push({ path, kind: 'added', after });
+        return changes;
+    }
+    if (after === undefined) {
+        changes.push({ path, kind: 'removed', before });
+        return changes;
+    }
+
+    if (isRichText(before) && isRichText(after)) {
+        if (before.format !== after.format || !isEqual(before.data, after.data)) {
+            changes.push({
+                path,
+                kind: 'changed',
+                richText: true,
+                before,
+                after,
+                words: diffWords(toPlainText(before), toPlainText(after))
+            });
+        }
+        return changes;
+    }
+
+    if (Array.isArray(before) && Array.isArray(after)) {
+        if (hasItemIds(before) && hasItemIds(after)) {
+            const beforeById = new Map(before.map(item => [String(item.id), item]));
+            const afterById = new Map(after.map(item => [String(item.id), item]));
+            after.forEach(item => {
+                const id = String(item.id);
+                diffFields(beforeById.get(id), item, `${path}[${id}]`, changes);
+            });
+            before.forEach(item => {
+                const id = String(item.id);
+                if (!afterById.has(id)) {
+                    diffFields(item, undefined, `${path}[${id}]`, changes);
+                }
+            });
+        } else {
+            for (let i = 0; i < Math.max(before.length, after.length); i++) {
+                diffFields(before[i], after[i], `${path}[${i}]`, changes);
+            }
+        }
+        return changes;
+    }
+
+    const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+    if (isObject(before) && isObject(after)) {
+        const keys = new Set([...Object.keys(before), ...Object.keys(after)]);
+        keys.forEach(key => diffFields(before[key], after[key], path ? `${path}.${key}` : key, changes));
+        return changes;
+    }
+
+    if (!isEqual(before, after)) {
+        const change = { path, kind: 'changed', before, after };
+        if (typeof before === 'string' && typeof after === 'string') {
+            change.words = diffWords(before, after);
+        }
+        changes.push(change);
+    }
+    return changes;
+}
+
+/**
+ * Sort components into page order (by order, then array position)
+ * @param {Array} components - Components
+ * @returns {Array} { key, component } in page order
+ */
+function inPageOrder(components) {
+    return (components || [])
+        .map((component, index) => ({ key: componentKey(component, index), component, index }))
+        .sort((a, b) => ((a.component.order || 0) - (b.component.order || 0)) || (a.index - b.index));
+}
+
+/**
+ * Diff the components of two page versions in detail
+ * @param {Array} fromComponents - Components of the older version
+ * @param {Array} toComponents - Components of the newer version
+ * @returns {Object} { components, summary, hasChanges }. components lists
+ *   every component of both versions in page order, with removed components
+ *   where they used to be. Each entry is { id, type, status, moved, fromIndex,
+ *   toIndex, before, after, changes }, where status is 'added', 'removed',
+ *   'modified' or 'unchanged', moved is true when the component changed
+ *   position relative to the others, and changes lists the changed fields
+ *   (see diffFields; the order field is left out). summary counts the
+ *   components by status, plus the moved ones.
+ */
+function diffPageComponents(fromComponents, toComponents) {
+    const from = inPageOrder(fromComponents);
+    const to = inPageOrder(toComponents);
+    const fromByKey = new Map(from.map((entry, index) => [entry.key, { ...entry, position: index }]));
+    const toKeys = new Set(to.map(entry => entry.key));
+
+    // Components kept in the same relative order are the longest common
+    // subsequence of both orders; any other kept component moved
+    const commonFrom = from.filter(entry => toKeys.has(entry.key)).map(entry => entry.key);
+    const commonTo = to.filter(entry => fromByKey.has(entry.key)).map(entry => entry.key);
+    const inPlace = new Set(longestCommonSubsequence(commonFrom, commonTo).map(([i]) => commonFrom[i]));
+
+    const entries = to.map((entry, index) => {
+        const previous = fromByKey.get(entry.key);
+        if (!previous) {
+            return {
+                id: entry.key,
+                type: entry.component.type,
+                status: 'added',
+                moved: false,
+                fromIndex: null,
+                toIndex: index,
+                before: null,
+                after: entry.component,
+                changes: []
+            };
+        }
+
+        const { order: beforeOrder, ...before } = previous.component;
+        const { order: afterOrder, ...after } = entry.component;
+        const changes = diffFields(before, after, '');
+
+        return {
+            id: entry.key,
+            type: entry.component.type || previous.component.type,
+            status: changes.length > 0 ? 'modified' : 'unchanged',
+            moved: !inPlace.has(entry.key),
+            fromIndex: previous.position,
+            toIndex: index,
+            before: previous.component,
+            after: entry.component,
+            changes
+        };
+    });
+
+    // Put each removed component after the component that preceded it
+    from.forEach((entry, position) => {
+        if (toKeys.has(entry.key)) {
+            return;
+        }
+
+        const removed = {
+            id: entry.key,
+            type: entry.component.type,
+            status: 'removed',
+            moved: false,
+            fromIndex: position,
+            toIndex: null,
+            before: entry.component,
+            after: null,
+            changes: []
+        };
+
+        const anchorIndex = entries.findIndex(candidate => candidate.fromIndex === position - 1);
+        entries.splice(position === 0 ? 0 : anchorIndex + 1, 0, removed);
+    });
+
+    const summary = { added: 0, removed: 0, modified: 0, moved: 0, unchanged: 0 };
+    entries.forEach(entry => {
+        summary[entry.status]++;
+        if (entry.moved) {
+            summary.moved++;
+        }
+    });
+
+    return {
+        components: entries,
+        summary,
+        hasChanges: summary.added + summary.removed + summary.modified + summary.moved > 0
+    };
+}
+
+module.exports = {
+    diffComponents,
+    diffPageComponents,
+    diffFields,
+    diffWords,
+    isEqual
+};
@@ -0,0 +1,547 @@
+/**
+ * Figma Parser
+ *
+ * Turns a Figma file export into template components. The export is the JSON
+ * document returned by the Figma REST API (GET /v1/files/:key) saved to a
+ * file, uploaded as is or zipped.
+ *
+ * The template is the top-level frame named "Template" (or "Template/...")
+ * on any page, otherwise the first top-level frame of the first page. Layers
+ * inside it become components when their names start with a component
+ * keyword, optionally followed by a label ("Card/Feature", "Banner - Hero"):
+ *
+ *   Banner, Hero              BannerComponent
+ *   Text                      TextComponent
+ *   Card                      CardComponent
+ *   Accordion, FAQ            AccordionComponent
+ *   Link Group, Links, Nav    LinkGroupComponent
+ *
+ * Default values come from the text layers inside each component, picked by
+ * layer name (see the extractors below), and hyperlinks set on text layers
+ * become link URLs; hyperlinks with other schemes than http, https, mailto
+ * and tel (such as javascript:) are dropped. Hidden layers are ignored. Components are ordered top to
+ * bottom, then left to right, and each records its bounding box relative to
+ * the template frame as its region.
+ */
+
+const JSZip = require('jszip');
+
+// Layer name keywords for each component type
+const COMPONENT_KEYWORDS = [
+    { pattern: /^(banner|hero)\b/i, type: 'BannerComponent' },
+    { pattern: /^text\b/i, type: 'TextComponent' },
+    { pattern: /^card\b/i, type: 'CardComponent' },
+    { pattern: /^(accordion|faq)\b/i, type: 'AccordionComponent' },
+    { pattern: /^(link\s*group|links|nav)\b/i, type: 'LinkGroupComponent' }
+];
+
+// Name of the frame to use as the template, when there is more than one
+const TEMPLATE_FRAME_PATTERN = /^template\b/i;
+
+// URL schemes a hyperlink may use; relative URLs are kept as well
+const LINK_URL_SCHEMES = ['http', 'https', 'mailto', 'tel'];
+
+// Node types that can hold a template
+const FRAME_TYPES = ['FRAME', 'COMPONENT', 'COMPONENT_SET', 'INSTANCE', 'SECTION', 'GROUP'];
+
+/**
+ * Create a Figma parsing error with a machine-readable code
+ * @param {string} message - Error message
+ * @param {string} code - Error code
+ * @returns {Error} Error instance
+ */
+function figmaError(message, code) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+}
+
+/**
+ * Escape text for use in HTML
+ * @param {string} text - Text to escape
+ * @returns {string} Escaped text
+ */
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+/**
+ * Check a hyperlink URL from the export
+ * @param {string} url - Hyperlink URL
+ * @returns {string|null} The trimmed URL, or null if it is empty or uses another scheme
+ */
+function safeLinkUrl(url) {
+    if (typeof url !== 'string' || url.trim() === '') {
+        return null;
+    }
+
+    // Browsers ignore control characters and whitespace inside the scheme ("java\tscript:")
+    const scheme = url.replace(/[\u0000-\u0020\u007f]/g, '').match(/^([a-z][a-z0-9+.-]*):/i);
+    if (scheme && !LINK_URL_SCHEMES.includes(scheme[1].toLowerCase())) {
+        return null;
+    }
+
+    return url.trim();
+}
+
+/**
+ * Parse JSON text as a Figma file
+ * @param {string} text - JSON text
+ * @returns {Object|null} Parsed file, or null if it is not a Figma document
+ */
+function parseFigmaJson(text) {
+    let file;
+    try {
+        file = JSON.parse(text.replace(/^\uFEFF/, ''));
+    } catch (error) {
+        return null;
+    }
+
+    const isFigmaFile = file && typeof file === 'object' && file.document && file.document.type === 'DOCUMENT';
+    return isFigmaFile ? file : null;
+}
+
+/**
+ * Read a Figma export: a JSON document, or a ZIP archive holding one. Files
+ * saved from the Figma app (binary canvas data) cannot be read.
+ * @param {Buffer} buffer - File contents
+ * @returns {Object} Parsed Figma file
+ * @throws {Error} INVALID_FIGMA_FILE
+ */
+async function readFigmaExport(buffer) {
+    const notAnExport = () => figmaError(
+        'File is not a Figma JSON export. Files saved from the Figma app cannot be read; export the file as JSON with the Figma REST API (GET /v1/files/:key).',
+        'INVALID_FIGMA_FILE'
+    );
+
+    // ZIP archives start with a local file header
+    if (buffer.length >= 4 && buffer.readUInt32LE(0) === 0x04034b50) {
+        let zip;
+        try {
+            zip = await JSZip.loadAsync(buffer);
+        } catch (error) {
+            throw figmaError('File is not a valid ZIP archive', 'INVALID_FIGMA_FILE');
+        }
+
+        const entries = Object.values(zip.files).filter(file =>
+            !file.dir && /\.json$/i.test(file.name) && !file.name.startsWith('__MACOSX/')
+        );
+        for (const entry of entries) {
+            const file = parseFigmaJson(await entry.async('string'));
+            if (file) {
+                return file;
+            }
+        }
+        throw notAnExport();
+    }
+
+    const file = parseFigmaJson(buffer.toString('utf8'));
+    if (!file) {
+        throw notAnExport();
+    }
+    return file;
+}
+
+/**
+ * Get a node's visible children
+ * @param {Object} node - Figma node
+ * @returns {Array} Child nodes
+ */
+function visibleChildren(node) {
+    return (Array.isArray(node.children) ? node.children : []).filter(child => child && child.visible !== false);
+}
+
+/**
+ * Sort nodes top to bottom, then left to right
+ * @param {Array} nodes - Figma nodes (or objects with a node property)
+ * @param {Function} getNode - Returns the node to sort by
+ * @returns {Array} Sorted copy
+ */
+function sortByPosition(nodes, getNode = item => item) {
+    const position = item => getNode(item).absoluteBoundingBox || { x: 0, y: 0 };
+    return [...nodes].sort((a, b) => (position(a).y - position(b).y) || (position(a).x - position(b).x));
+}
+
+/**
+ * Find the frame to build the template from
+ * @param {Object} document - Figma document node
+ * @returns {Object} Frame node
+ * @throws {Error} NO_TEMPLATE_FRAME
+ */
+function findTemplateFrame(document) {
+    const pages = visibleChildren(document).filter(node => node.type === 'CANVAS');
+    const frames = pages.map(page => visibleChildren(page).filter(node => FRAME_TYPES.includes(node.type)));
+
+    const named = frames.flat().find(frame => TEMPLATE_FRAME_PATTERN.test(frame.name || ''));
+    if (named) {
+        return named;
+    }
+
+    const firstPageFrames = frames.find(pageFrames => pageFrames.length > 0);
+    if (!firstPageFrames) {
+        throw figmaError('Figma file has no frames', 'NO_TEMPLATE_FRAME');
+    }
+    return firstPageFrames[0];
+}
+
+/**
+ * Get the component type a layer name stands for
+ * @param {string} name - Layer name
+ * @returns {string|null} Component type, or null
+ */
+function getComponentType(name) {
+    const trimmed = (name || '').trim();
+    const match = COMPONENT_KEYWORDS.find(keyword => keyword.pattern.test(trimmed));
+    return match ? match.type : null;
+}
+
+/**
+ * Find the layers that are components, without looking inside components
+ * @param {Object} node - Node to search
+ * @returns {Array} { node, type }
+ */
+function findComponentLayers(node) {
+    const found = [];
+    visibleChildren(node).forEach(child => {
+        const type = getComponentType(child.name);
+        if (type) {
+            found.push({ node: child, type });
+        } else {
+            found.push(...findComponentLayers(child));
+        }
+    });
+    return found;
+}
+
+/**
+ * Find the layers inside a node whose names match a pattern, without looking
+ * inside matches
+ * @param {Object} node - Node to search
+ * @param {RegExp} pattern - Layer name pattern
+ * @returns {Array} Matching nodes in reading order
+ */
+function findNamedLayers(node, pattern) {
+    const found = [];
+    visibleChildren(node).forEach(child => {
+        if (pattern.test((child.name || '').trim())) {
+            found.push(child);
+        } else {
+            found.push(...findNamedLayers(child, pattern));
+        }
+    });
+    return sortByPosition(found);
+}
+
+/**
+ * Collect the text layers inside a node (or the node itself), in reading order.
+ * Each text keeps its own layer name and those of the layers it is nested in
+ * (below the given node), so a text inside a "Button" frame counts as a button.
+ * @param {Object} node - Figma node
+ * @returns {Array} { node, names, text, fontSize, url }
+ */
+function collectTexts(node) {
+    const texts = [];
+    const visit = (current, ancestorNames) => {
+        const names = [(current.name || '').trim().toLowerCase(), ...ancestorNames];
+        if (current.type === 'TEXT') {
+            const text = (current.characters || '').trim();
+            if (text) {
+                const style = current.style || {};
+                texts.push({
+                    node: current,
+                    names,
+                    text,
+                    fontSize: style.fontSize || 0,
+                    url: style.hyperlink && style.hyperlink.type === 'URL' ? safeLinkUrl(style.hyperlink.url) : null
+                });
+            }
+            return;
+        }
+        visibleChildren(current).forEach(child => visit(child, names));
+    };
+
+    if (node.type === 'TEXT') {
+        visit(node, []);
+    } else {
+        visibleChildren(node).forEach(child => visit(child, []));
+    }
+    return sortByPosition(texts, item => item.node);
+}
+
+/**
+ * Find the first text whose layer name, or the name of a layer it is nested
+ * in, starts with one of the given names
+ * @param {Array} texts - Texts from collectTexts
+ * @param {Array} names - Lower-case layer names
+ * @returns {Object|null} Text or null
+ */
+function findText(texts, names) {
+    return texts.find(text => text.names.some(layerName => names.some(name => layerName.startsWith(name)))) || null;
+}
+
+/**
+ * Find a layer with an image fill, or named "Image"
+ * @param {Object} node - Node to search
+ * @returns {Object|null} Image node or null
+ */
+function findImageLayer(node) {
+    for (const child of visibleChildren(node)) {
+        const hasImageFill = Array.isArray(child.fills) && child.fills.some(fill => fill && fill.type === 'IMAGE' && fill.visible !== false);
+        if (hasImageFill || /^(image|img|photo|picture)\b/i.test((child.name || '').trim())) {
+            return child;
+        }
+        const nested = findImageLayer(child);
+        if (nested) {
+            return nested;
+        }
+    }
+    return null;
+}
+
+/**
+ * Get alt text for an image layer from its name, unless it is a generic name
+ * @param {Object|null} imageNode - Image node
+ * @returns {string} Alt text
+ */
+function imageAltText(imageNode) {
+    const name = imageNode ? (imageNode.name || '').trim() : '';
+    const label = name.replace(/^(image|img|photo|picture)\s*[-/:]?\s*/i, '').trim();
+    return /^(rectangle|frame|group|ellipse|vector)\b/i.test(label) ? '' : label;
+}
+
+/**
+ * Build rich text content from texts: title-like layers become headings,
+ * the rest paragraphs
+ * @param {Array} texts - Texts from collectTexts
+ * @param {string} now - ISO timestamp for the content metadata
+ * @returns {Object} HTML rich text content
+ */
+function toRichText(texts, now) {
+    const html = texts.map(text => {
+        const body = escapeHtml(text.text).replace(/\r?\n/g, '<br>');
+        return /^(heading|headline|title)/.test(text.names[0]) ? `<h2>${body}</h2>` : `<p>${body}</p>`;
+    }).join('');
+
+    return {
+        format: 'html',
+        data: html || '<p></p>',
+        metadata: {
+            version: '1.0',
+            created: now,
+            lastModified: now
+        }
+    };
+}
+
+/**
+ * Pick the headline: a layer named like one, else the largest text
+ * @param {Array} texts - Texts from collectTexts
+ * @returns {Object|null} Text or null
+ */
+function findHeadline(texts) {
+    return findText(texts, ['headline', 'heading', 'title'])
+        || texts.reduce((largest, text) => (!largest || text.fontSize > largest.fontSize ? text : largest), null);
+}
+
+/**
+ * Banner: Headline/Heading/Title (or the largest text), Button/CTA, and an
+ * image layer for the background alt text
+ */
+function extractBanner(node) {
+    const texts = collectTexts(node);
+    const headline = findHeadline(texts);
+    const button = findText(texts, ['button', 'cta']);
+    const image = findImageLayer(node);
+
+    const data = {
+        headlineText: headline ? headline.text : (node.name || '').trim(),
+        backgroundImageUrl: '',
+        backgroundImageAltText: imageAltText(image)
+    };
+
+    if (button) {
+        data.callToAction = {
+            buttonText: button.text,
+            linkUrl: button.url || '#',
+            linkTarget: '_self'
+        };
+    }
+
+    return data;
+}
+
+/**
+ * Text: every text layer, with Heading/Headline/Title layers as headings
+ */
+function extractText(node, now) {
+    return { content: toRichText(collectTexts(node), now) };
+}
+
+/**
+ * Card: Title/Heading (or the first text), Description/Body (or the other
+ * texts), Button/Link/CTA, and an image layer for the alt text
+ */
+function extractCard(node, now) {
+    const texts = collectTexts(node);
+    const title = findText(texts, ['title', 'heading', 'headline']) || texts[0] || null;
+    const button = findText(texts, ['button', 'link', 'cta']);
+    const description = findText(texts, ['description', 'body']);
+    const bodyTexts = description ? [description] : texts.filter(text => text !== title && text !== button);
+    const image = findImageLayer(node);
+
+    const data = {
+        title: title ? title.text : (node.name || '').trim(),
+        description: toRichText(bodyTexts, now),
+        imageUrl: '',
+        altText: imageAltText(image)
+    };
+
+    if (button) {
+        data.linkText = button.text;
+        data.linkUrl = button.url || '#';
+        data.linkTarget = '_self';
+    }
+
+    return data;
+}
+
+/**
+ * Accordion: one item per Item layer (or per child layer holding text), each
+ * with a Title/Heading/Question/Header text and the rest as its content
+ */
+function extractAccordion(node, now) {
+    let itemNodes = findNamedLayers(node, /^item\b/i);
+    if (itemNodes.length === 0) {
+        itemNodes = sortByPosition(visibleChildren(node).filter(child => child.type !== 'TEXT' && collectTexts(child).length > 0));
+    }
+
+    const items = itemNodes.map((itemNode, index) => {
+        const texts = collectTexts(itemNode);
+        const header = findText(texts, ['title', 'heading', 'question', 'header']) || texts[0] || null;
+        return {
+            id: `accordion-item-${index + 1}`,
+            header: header ? header.text : (itemNode.name || '').trim(),
+            content: toRichText(texts.filter(text => text !== header), now),
+            isOpen: false,
+            order: index + 1
+        };
+    });
+
+    const data = { items, allowMultipleOpen: true };
+
+    const titleText = findText(collectTexts({ children: visibleChildren(node).filter(child => !itemNodes.includes(child)) }), ['title', 'heading']);
+    if (titleText) {
+        data.title = titleText.text;
+    }
+
+    return data;
+}
+
+/**
+ * Link group: Title/Heading, and one link per Link layer (or per remaining
+ * text), with the layer's hyperlink as the URL
+ */
+function extractLinkGroup(node) {
+    const texts = collectTexts(node);
+    const title = findText(texts, ['title', 'heading']);
+
+    const linkNodes = findNamedLayers(node, /^link\b/i);
+    const linkTexts = linkNodes.length > 0
+        ? linkNodes.map(linkNode => collectTexts(linkNode)[0]).filter(Boolean)
+        : texts.filter(text => text !== title);
+
+    const links = linkTexts.map((text, index) => ({
+        id: `link-${index + 1}`,
+        linkText: text.text,
+        linkUrl: text.url || '#',
+        linkTarget: '_self',
+        order: index
+    }));
+
+    return {
+        title: title ? title.text : (node.name || '').replace(COMPONENT_KEYWORDS[4].pattern, '').replace(/^\s*[-/:]\s*/, '').trim() || 'Link Group',
+        links
+    };
+}
+
+const EXTRACTORS = {
+    BannerComponent: extractBanner,
+    TextComponent: extractText,
+    CardComponent: extractCard,
+    AccordionComponent: extractAccordion,
+    LinkGroupComponent: extractLinkGroup
+};
+
+/**
+ * Get a node's bounding box relative to the frame
+ * @param {Object} node - Figma node
+ * @param {Object} frameBox - The frame's absoluteBoundingBox
+ * @returns {Object|null} { x, y, width, height } in pixels, or null
+ */
+function getRegion(node, frameBox) {
+    const box = node.absoluteBoundingBox;
+    if (!box) {
+        return null;
+    }
+
+    return {
+        x: Math.round(box.x - (frameBox ? frameBox.x : 0)),
+        y: Math.round(box.y - (frameBox ? frameBox.y : 0)),
+        width: Math.round(box.width),
+        height: Math.round(box.height)
+    };
+}
+
+/**
+ * Extract a template from a Figma file
+ * @param {Object} file - Parsed Figma file (see readFigmaExport)
+ * @returns {Object} { name, frame: { id, name, width, height }, components } where
+ *   each component has type, name, figmaNodeId, region and defaultValues
+ * @throws {Error} NO_TEMPLATE_FRAME or NO_COMPONENTS
+ */
+function extractTemplate(file) {
+    const frame = findTemplateFrame(file.document);
+    const frameBox = frame.absoluteBoundingBox || null;
+    const now = new Date().toISOString();
+
+    const layers = sortByPosition(findComponentLayers(frame), layer => layer.node);
+    if (layers.length === 0) {
+        throw figmaError(
+            `No components found in frame "${frame.name}". Name layers Banner, Text, Card, Accordion or Link Group.`,
+            'NO_COMPONENTS'
+        );
+    }
+
+    const components = layers.map(({ node, type }) => ({
+        type,
+        name: (node.name || '').trim(),
+        figmaNodeId: node.id,
+        region: getRegion(node, frameBox),
+        defaultValues: EXTRACTORS[type](node, now)
+    }));
+
+    const frameName = (frame.name || '').replace(TEMPLATE_FRAME_PATTERN, '').replace(/^\s*[-/:]\s*/, '').trim();
+
+    return {
+        name: frameName || (file.name || '').trim(),
+        frame: {
+            id: frame.id,
+            name: frame.name,
+            width: frameBox ? Math.round(frameBox.width) : null,
+            height: frameBox ? Math.round(frameBox.height) : null
+        },
+        components
+    };
+}
+
+module.exports = {
+    readFigmaExport,
+    extractTemplate,
+    findTemplateFrame,
+    getComponentType
+};
@@ -0,0 +1,480 @@
+/**
+ * HTML Sanitizer Utility
+ *
+ * Dependency-free allow-list sanitizer for the rich text stored in pages:
+ * TextComponent content, CardComponent description and AccordionComponent
+ * item content. Content is normalised when it is written (see
+ * ../data/pageRepository.js) and again when pages are rendered (see
+ * ./pageRenderer.js).
+ *
+ *   - only the tags in ALLOWED_TAGS are kept; other tags are removed but
+ *     their text is kept, except for DROPPED_CONTENT_TAGS (script, style,
+ *     iframe, ...) whose content is removed too
+ *   - only GLOBAL_ATTRIBUTES and the tag's own attributes are kept, so event
+ *     handlers (onclick, onerror, ...) are always removed
+ *   - href and src must be relative or use one of SAFE_URL_SCHEMES; src may
+ *     also be an inlined image (data:image/...;base64)
+ *   - style keeps only STYLE_PROPERTIES with plain values (no url() or
+ *     expression())
+ *   - comments are removed, text is re-escaped and unclosed tags are closed
+ *
+ * Every removal is reported so the editor can tell the user what was lost.
+ */
+
+// Allowed tags and the attributes each one may have besides GLOBAL_ATTRIBUTES
+const ALLOWED_TAGS = {
+    p: [], br: [], hr: [], div: [], span: [],
+    strong: [], b: [], em: [], i: [], u: [], s: [], sub: [], sup: [],
+    h1: [], h2: [], h3: [], h4: [], h5: [], h6: [],
+    ul: [], ol: ['start', 'type'], li: [],
+    blockquote: [], code: [], pre: ['spellcheck'],
+    a: ['href', 'target', 'rel'],
+    img: ['src', 'alt', 'width', 'height']
+};
+
+const GLOBAL_ATTRIBUTES = ['class', 'style', 'title', 'dir', 'lang'];
+
+const VOID_TAGS = ['br', 'hr', 'img'];
+
+// Tags removed together with everything inside them
+const DROPPED_CONTENT_TAGS = [
+    'script', 'style', 'iframe', 'object', 'embed', 'template', 'noscript', 'textarea',
+    'title', 'xmp', 'noembed', 'noframes', 'plaintext', 'svg', 'math', 'select', 'head'
+];
+
+// Tags whose content is raw text rather than HTML
+const RAW_TEXT_TAGS = ['script', 'style', 'iframe', 'textarea', 'title', 'xmp', 'noembed', 'noframes', 'noscript', 'plaintext'];
+
+const URL_ATTRIBUTES = ['href', 'src'];
+
+const SAFE_URL_SCHEMES = ['http:', 'https:', 'mailto:', 'tel:'];
+
+const LINK_TARGETS = ['_blank', '_self', '_parent', '_top'];
+
+const STYLE_PROPERTIES = [
+    'color', 'background-color', 'text-align', 'text-decoration',
+    'font-weight', 'font-style', 'font-size'
+];
+
+const NAMED_ENTITIES = {
+    amp: '&', lt: '<', gt: '>', quot: '"', apos: '\'', nbsp: '\u00a0',
+    colon: ':', tab: '\t', newline: '\n',
+    copy: '\u00a9', reg: '\u00ae', trade: '\u2122', hellip: '\u2026', middot: '\u00b7', bull: '\u2022',
+    ndash: '\u2013', mdash: '\u2014', lsquo: '\u2018', rsquo: '\u2019', ldquo: '\u201c', rdquo: '\u201d',
+    euro: '\u20ac', pound: '\u00a3', times: '\u00d7', deg: '\u00b0'
+};
+
+const ATTRIBUTE_PATTERN = /([^\s"'>\/=][^\s"'>\/=]*)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]*)))?/y;
+
+/**
+ * Decode character references in an attribute value or text
+ * @param {string} value - Value as written
+ * @returns {string} Decoded value
+ */
+function decodeEntities(value) {
+    return value.replace(/&(?:#(\d+)|#x([0-9a-f]+)|([a-z]+));?/gi, (match, decimal, hex, name) => {
+        if (decimal || hex) {
+            const codePoint = parseInt(decimal || hex, decimal ? 10 : 16);
+            return codePoint > 0 && codePoint <= 0x10ffff ? String.fromCodePoint(codePoint) : '';
+        }
+        const decoded = NAMED_ENTITIES[name.toLowerCase()];
+        return decoded !== undefined ? decoded : match;
+    });
+}
+
+/**
+ * Escape an attribute value
+ * @param {string} value - Decoded value
+ * @returns {string} Escaped value
+ */
+function escapeAttribute(value) {
+    return value
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+/**
+ * Escape text content, keeping well-formed character references
+ * @param {string} text - Text between tags
+ * @returns {string} Escaped text
+ */
+function escapeText(text) {
+    return text
+        .replace(/&(?!(?:[a-z][a-z0-9]*|#\d+|#x[0-9a-f]+);)/gi, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;');
+}
+
+/**
+ * Check whether a URL is relative or uses a safe scheme
+ * @param {string} url - Decoded URL
+ * @param {string} attribute - Attribute holding the URL
+ * @returns {boolean} Safe URL
+ */
+function isSafeUrl(url, attribute) {
+    // Browsers ignore whitespace and control characters inside the scheme
+    const compact = url.replace(/[\u0000- \u007f-\u009f]/g, '');
+
+    // Images pasted into the rich text editor are inlined
+    if (attribute === 'src' && /^data:image\/(?:png|jpeg|gif|webp);base64,/i.test(compact)) {
+        return true;
+    }
+
+    const scheme = compact.match(/^([a-z][a-z0-9+.-]*):/i);
+    return !scheme || SAFE_URL_SCHEMES.includes(scheme[1].toLowerCase() + ':');
+}
+
+/**
+ * Keep only the allowed declarations of a style attribute
+ * @param {string} style - Decoded style attribute
+ * @returns {Object} { style, removed } with the kept declarations and whether any were removed
+ */
+function sanitizeStyle(style) {
+    let removed = false;
+
+    const declarations = style.split(';')
+        .map(declaration => declaration.trim())
+        .filter(Boolean)
+        .filter(declaration => {
+            const separator = declaration.indexOf(':');
+            const property = declaration.slice(0, separator).trim().toLowerCase();
+            const value = declaration.slice(separator + 1).trim();
+
+            const allowed = separator > 0
+                && STYLE_PROPERTIES.includes(property)
+                && /^[#a-z0-9\s.,%()+-]+$/i.test(value)
+                && !/expression|url/i.test(value);
+            if (!allowed) {
+                removed = true;
+            }
+            return allowed;
+        })
+        .map(declaration => {
+            const separator = declaration.indexOf(':');
+            return `${declaration.slice(0, separator).trim().toLowerCase()}: ${declaration.slice(separator + 1).trim()}`;
+        });
+
+    return { style: declarations.join('; '), removed };
+}
+
+/**
+ * Parse the attributes of a start tag
+ * @param {string} html - HTML being parsed
+ * @param {number} position - Position after the tag name
+ * @returns {Object} { attributes, end } where end is the position after '>', or -1 if the tag is not closed
+ */
+function parseAttributes(html, position) {
+    const attributes = [];
+    let index = position;
+
+    while (index < html.length) {
+        const char = html[index];
+
+        if (char === '>') {
+            return { attributes, end: index + 1 };
+        }
+
+        if (/[\s\/]/.test(char)) {
+            index++;
+            continue;
+        }
+
+        ATTRIBUTE_PATTERN.lastIndex = index;
+        const match = ATTRIBUTE_PATTERN.exec(html);
+        if (!match) {
+            index++;
+            continue;
+        }
+
+        const value = match[2] ?? match[3] ?? match[4] ?? '';
+        attributes.push({ name: match[1].toLowerCase(), value: decodeEntities(value) });
+        index = ATTRIBUTE_PATTERN.lastIndex;
+    }
+
+    return { attributes, end: -1 };
+}
+
+/**
+ * Sanitize an HTML fragment
+ * @param {string} html - HTML fragment
+ * @returns {Object} { html, removed } where removed lists what was stripped as
+ *   { type: 'element'|'attribute'|'url'|'style'|'comment', tag, attribute, count }
+ */
+function sanitizeHtml(html) {
+    if (typeof html !== 'string' || html === '') {
+        return { html: '', removed: [] };
+    }
+
+    const removedByKey = new Map();
+    const report = (type, tag = null, attribute = null) => {
+        const key = `${type}|${tag}|${attribute}`;
+        const entry = removedByKey.get(key) || { type, tag, attribute, count: 0 };
+        entry.count++;
+        removedByKey.set(key, entry);
+    };
+
+    const output = [];
+    const openTags = [];
+    let dropping = null; // { tag, depth } while inside a DROPPED_CONTENT_TAGS element
+    let index = 0;
+
+    const emitText = (text) => {
+        if (!dropping && text) {
+            output.push(escapeText(text));
+        }
+    };
+
+    while (index < html.length) {
+        const tagStart = html.indexOf('<', index);
+        if (tagStart === -1) {
+            emitText(html.slice(index));
+            break;
+        }
+
+        emitText(html.slice(index, tagStart));
+        index = tagStart;
+
+        // Comments
+        if (html.startsWith('<!--', index)) {
+            const commentEnd = html.indexOf('-->', index + 4);
+            report('comment');
+            index = commentEnd === -1 ? html.length : commentEnd + 3;
+            continue;
+        }
+
+        // Doctypes, CDATA and processing instructions
+        if (html[index + 1] === '!' || html[index + 1] === '?') {
+            const end = html.indexOf('>', index);
+            report('comment');
+            index = end === -1 ? html.length : end + 1;
+            continue;
+        }
+
+        // End tags
+        const endTag = html.slice(index).match(/^<\/([a-z][^\s\/>]*)[^>]*>/i);
+        if (endTag) {
+            const tag = endTag[1].toLowerCase();
+            index += endTag[0].length;
+
+            if (dropping) {
+                if (tag === dropping.tag && --dropping.depth === 0) {
+                    dropping = null;
+                }
+                continue;
+            }
+
+            const openIndex = openTags.lastIndexOf(tag);
+            if (openIndex !== -1) {
+                while (openTags.length > openIndex) {
+                    output.push(`</${openTags.pop()}>`);
+                }
+            }
+            continue;
+        }
+
+        // Start tags
+        const startTag = html.slice(index).match(/^<([a-z][^\s\/>]*)/i);
+        if (!startTag) {
+            if (html.startsWith('</', index)) {
+                // Malformed end tag such as "</ >": ignored like a comment
+                const end = html.indexOf('>', index);
+                index = end === -1 ? html.length : end + 1;
+            } else {
+                emitText('<');
+                index++;
+            }
+            continue;
+        }
+
+        const tag = startTag[1].toLowerCase();
+        const { attributes, end } = parseAttributes(html, index + startTag[0].length);
+        if (end === -1) {
+            // Unterminated tag at the end of the input
+            report('element', tag);
+            break;
+        }
+        index = end;
+
+        if (dropping) {
+            if (tag === dropping.tag) {
+                dropping.depth++;
+            }
+            continue;
+        }
+
+        if (DROPPED_CONTENT_TAGS.includes(tag)) {
+            report('element', tag);
+
+            if (RAW_TEXT_TAGS.includes(tag)) {
+                const close = html.slice(index).search(new RegExp(`</${tag}[\\s/>]`, 'i'));
+                if (close === -1) {
+                    index = html.length;
+                } else {
+                    const closeEnd = html.indexOf('>', index + close);
+                    index = closeEnd === -1 ? html.length : closeEnd + 1;
+                }
+            } else {
+                dropping = { tag, depth: 1 };
+            }
+            continue;
+        }
+
+        if (!ALLOWED_TAGS[tag]) {
+            report('element', tag);
+            continue;
+        }
+
+        const allowedAttributes = [...GLOBAL_ATTRIBUTES, ...ALLOWED_TAGS[tag]];
+        const seen = new Set();
+        const kept = [];
+
+        for (const { name, value } of attributes) {
+            if (seen.has(name)) {
+                continue;
+            }
+            seen.add(name);
+
+            if (!allowedAttributes.includes(name)) {
+                report('attribute', tag, name);
+                continue;
+            }
+
+            if (URL_ATTRIBUTES.includes(name) && !isSafeUrl(value, name)) {
+                report('url', tag, name);
+                continue;
+            }
+
+            if (name === 'target' && !LINK_TARGETS.includes(value)) {
+                report('attribute', tag, name);
+                continue;
+            }
+
+            if (name === 'style') {
+                const sanitized = sanitizeStyle(value);
+                if (sanitized.removed) {
+                    report('style', tag, name);
+                }
+                if (sanitized.style) {
+                    kept.push({ name, value: sanitized.style });
+                }
+                continue;
+            }
+
+            kept.push({ name, value: value.trim() });
+        }
+
+        // Links opened in a new window must not get access to the editor
+        if (kept.some(attribute => attribute.name === 'target' && attribute.value === '_blank')) {
+            const rel = kept.find(attribute => attribute.name === 'rel');
+            if (rel) {
+                rel.value = 'noopener noreferrer';
+            } else {
+                kept.push({ name: 'rel', value: 'noopener noreferrer' });
+            }
+        }
+
+        const attributeString = kept.map(({ name, value }) => ` ${name}="${escapeAttribute(value)}"`).join('');
+        output.push(`<${tag}${attributeString}>`);
+
+        if (!VOID_TAGS.includes(tag)) {
+            openTags.push(tag);
+        }
+    }
+
+    while (openTags.length > 0) {
+        output.push(`</${openTags.pop()}>`);
+    }
+
+    return { html: output.join(''), removed: Array.from(removedByKey.values()) };
+}
+
+/**
+ * Sanitize rich text content ({ format, data }). Only HTML content is
+ * changed; other formats are sanitized when they are rendered.
+ * @param {Object|string} content - Rich text content
+ * @returns {Object} { content, removed }
+ */
+function sanitizeRichText(content) {
+    if (!content || typeof content !== 'object' || (content.format || 'html') !== 'html' || typeof content.data !== 'string') {
+        return { content, removed: [] };
+    }
+
+    const { html, removed } = sanitizeHtml(content.data);
+    if (removed.length === 0 && html === content.data) {
+        return { content, removed };
+    }
+
+    return { content: { ...content, data: html }, removed };
+}
+
+/**
+ * Sanitize the rich text fields of page components: TextComponent content,
+ * CardComponent description and AccordionComponent item content
+ * @param {Array} components - Page components (not modified)
+ * @returns {Object} { components, sanitized } where sanitized lists
+ *   { componentId, field, removed } for every field that had content removed
+ */
+function sanitizePageComponents(components) {
+    if (!Array.isArray(components)) {
+        return { components, sanitized: [] };
+    }
+
+    const sanitized = [];
+
+    const sanitizeField = (component, field, content) => {
+        const result = sanitizeRichText(content);
+        if (result.removed.length > 0) {
+            sanitized.push({ componentId: component.id, field, removed: result.removed });
+        }
+        return result.content;
+    };
+
+    // Copy of an object with one rich text field sanitized (unchanged if absent)
+    const withSanitizedField = (component, target, key, field) => (target[key] === undefined
+        ? target
+        : { ...target, [key]: sanitizeField(component, field, target[key]) });
+
+    const sanitizedComponents = components.map(component => {
+        const data = component && component.data;
+        if (!data || typeof data !== 'object') {
+            return component;
+        }
+
+        switch (component.type) {
+            case 'TextComponent':
+                return { ...component, data: withSanitizedField(component, data, 'content', 'content') };
+            case 'CardComponent':
+                return { ...component, data: withSanitizedField(component, data, 'description', 'description') };
+            case 'AccordionComponent':
+                if (!Array.isArray(data.items)) {
+                    return component;
+                }
+                return {
+                    ...component,
+                    data: {
+                        ...data,
+                        items: data.items.map((item, index) => (item && typeof item === 'object'
+                            ? withSanitizedField(component, item, 'content', `items.${item.id || index}.content`)
+                            : item))
+                    }
+                };
+            default:
+                return component;
+        }
+    });
+
+    return { components: sanitizedComponents, sanitized };
+}
+
+module.exports = {
+    ALLOWED_TAGS,
+    VOID_TAGS,
+    SAFE_URL_SCHEMES,
+    decodeEntities,
+    sanitizeHtml,
+    sanitizeRichText,
+    sanitizePageComponents
+};
@@ -0,0 +1,360 @@
+/**
+ * Image Processing Utility
+ *
+ * Inspects uploaded image files and generates resized variants, using only
+ * pure JavaScript codecs (pngjs and jpeg-js).
+ *
+ * The file type is detected from the file's leading magic bytes, never from
+ * the declared MIME type or extension. PNG, JPEG, GIF and WebP files are
+ * recognised and their dimensions read from their headers; PNG and JPEG
+ * files are also decoded to produce:
+ *
+ *   thumbnail - fits within THUMBNAIL_SIZE x THUMBNAIL_SIZE
+ *   w<width>  - one per RESPONSIVE_WIDTHS entry narrower than the original
+ *
+ * Variants keep the original's format and aspect ratio and are never
+ * upscaled. GIF and WebP files are validated and measured but get no
+ * variants.
+ */
+
+const { PNG } = require('pngjs');
+const jpeg = require('jpeg-js');
+
+// Widths of the responsive variants, in pixels
+const RESPONSIVE_WIDTHS = [320, 640, 1280, 1920];
+
+// Longest side of the thumbnail, in pixels
+const THUMBNAIL_SIZE = 200;
+
+// Largest image that will be decoded, in pixels
+const MAX_PIXELS = 40 * 1000 * 1000;
+
+// Quality of encoded JPEG variants (1-100)
+const JPEG_QUALITY = 80;
+
+const IMAGE_TYPES = {
+    png: { mimeType: 'image/png', extension: 'png' },
+    jpeg: { mimeType: 'image/jpeg', extension: 'jpg' },
+    gif: { mimeType: 'image/gif', extension: 'gif' },
+    webp: { mimeType: 'image/webp', extension: 'webp' }
+};
+
+// Formats that can be decoded and resized
+const RESIZABLE_FORMATS = ['png', 'jpeg'];
+
+/**
+ * Create an image processing error with a machine-readable code
+ * @param {string} message - Error message
+ * @param {string} code - Error code
+ * @returns {Error} Error instance
+ */
+function imageError(message, code) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+}
+
+/**
+ * Check whether a buffer starts with the given bytes
+ * @param {Buffer} buffer - File contents
+ * @param {Array} bytes - Expected bytes
+ * @param {number} offset - Offset to compare at
+ * @returns {boolean} True if the bytes match
+ */
+function hasBytes(buffer, bytes, offset = 0) {
+    return buffer.length >= offset + bytes.length && bytes.every((byte, index) => buffer[offset + index] === byte);
+}
+
+/**
+ * Detect an image's format from its magic bytes
+ * @param {Buffer} buffer - File contents
+ * @returns {string|null} 'png', 'jpeg', 'gif', 'webp' or null if not a recognised image
+ */
+function detectImageFormat(buffer) {
+    if (!Buffer.isBuffer(buffer)) {
+        return null;
+    }
+    if (hasBytes(buffer, [0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A])) {
+        return 'png';
+    }
+    if (hasBytes(buffer, [0xFF, 0xD8, 0xFF])) {
+        return 'jpeg';
+    }
+    if (hasBytes(buffer, Buffer.from('GIF87a')) || hasBytes(buffer, Buffer.from('GIF89a'))) {
+        return 'gif';
+    }
+    if (hasBytes(buffer, Buffer.from('RIFF')) && hasBytes(buffer, Buffer.from('WEBP'), 8)) {
+        return 'webp';
+    }
+    return null;
+}
+
+/**
+ * Read a JPEG's dimensions from its start-of-frame segment
+ * @param {Buffer} buffer - JPEG file contents
+ * @returns {Object|null} { width, height }
+ */
+function readJpegDimensions(buffer) {
+    let offset = 2;
+    while (offset + 4 <= buffer.length) {
+        if (buffer[offset] !== 0xFF) {
+            return null;
+        }
+        const marker = buffer[offset + 1];
+        if (marker === 0xFF) {
+            // Fill byte before a marker
+            offset++;
+            continue;
+        }
+        if (marker === 0x01 || (marker >= 0xD0 && marker <= 0xD9)) {
+            // Markers without a length
+            offset += 2;
+            continue;
+        }
+
+        const length = buffer.readUInt16BE(offset + 2);
+        const isStartOfFrame = marker >= 0xC0 && marker <= 0xCF && marker !== 0xC4 && marker !== 0xC8 && marker !== 0xCC;
+        if (isStartOfFrame && offset + 9 <= buffer.length) {
+            return {
+                width: buffer.readUInt16BE(offset + 7),
+                height: buffer.readUInt16BE(offset + 5)
+            };
+        }
+        offset += 2 + length;
+    }
+    return null;
+}
+
+/**
+ * Read a WebP's dimensions from its first chunk
+ * @param {Buffer} buffer - WebP file contents
+ * @returns {Object|null} { width, height }
+ */
+function readWebpDimensions(buffer) {
+    if (buffer.length < 30) {
+        return null;
+    }
+
+    const chunk = buffer.toString('ascii', 12, 16);
+    if (chunk === 'VP8 ') {
+        return {
+            width: buffer.readUInt16LE(26) & 0x3FFF,
+            height: buffer.readUInt16LE(28) & 0x3FFF
+        };
+    }
+    if (chunk === 'VP8L') {
+        const bits = buffer.readUInt32LE(21);
+        return {
+            width: (bits & 0x3FFF) + 1,
+            height: ((bits >> 14) & 0x3FFF) + 1
+        };
+    }
+    if (chunk === 'VP8X') {
+        return {
+            width: buffer.readUIntLE(24, 3) + 1,
+            height: buffer.readUIntLE(27, 3) + 1
+        };
+    }
+    return null;
+}
+
+/**
+ * Read an image's dimensions from its header, without decoding it
+ * @param {Buffer} buffer - File contents
+ * @param {string} format - Format from detectImageFormat
+ * @returns {Object|null} { width, height }, or null if the header is malformed
+ */
+function readImageDimensions(buffer, format) {
+    let dimensions = null;
+    switch (format) {
+        case 'png':
+            if (buffer.length >= 24 && buffer.toString('ascii', 12, 16) === 'IHDR') {
+                dimensions = { width: buffer.readUInt32BE(16), height: buffer.readUInt32BE(20) };
+            }
+            break;
+        case 'jpeg':
+            dimensions = readJpegDimensions(buffer);
+            break;
+        case 'gif':
+            if (buffer.length >= 10) {
+                dimensions = { width: buffer.readUInt16LE(6), height: buffer.readUInt16LE(8) };
+            }
+            break;
+        case 'webp':
+            dimensions = readWebpDimensions(buffer);
+            break;
+    }
+
+    return dimensions && dimensions.width > 0 && dimensions.height > 0 ? dimensions : null;
+}
+
+/**
+ * Decode a PNG or JPEG to RGBA pixels
+ * @param {Buffer} buffer - File contents
+ * @param {string} format - 'png' or 'jpeg'
+ * @returns {Object} { width, height, data } with 4 bytes per pixel
+ */
+function decodeImage(buffer, format) {
+    try {
+        if (format === 'png') {
+            const png = PNG.sync.read(buffer);
+            return { width: png.width, height: png.height, data: png.data };
+        }
+        const decoded = jpeg.decode(buffer, {
+            useTArray: true,
+            formatAsRGBA: true,
+            maxResolutionInMP: MAX_PIXELS / 1000000
+        });
+        return { width: decoded.width, height: decoded.height, data: decoded.data };
+    } catch (error) {
+        throw imageError(`Image could not be decoded: ${error.message}`, 'INVALID_IMAGE');
+    }
+}
+
+/**
+ * Encode RGBA pixels as a PNG or JPEG
+ * @param {Object} image - { width, height, data }
+ * @param {string} format - 'png' or 'jpeg'
+ * @returns {Buffer} Encoded file
+ */
+function encodeImage(image, format) {
+    if (format === 'png') {
+        const png = new PNG({ width: image.width, height: image.height });
+        png.data = Buffer.from(image.data.buffer, image.data.byteOffset, image.data.length);
+        return PNG.sync.write(png);
+    }
+    return jpeg.encode(image, JPEG_QUALITY).data;
+}
+
+/**
+ * Downscale RGBA pixels by averaging the source pixels under each target
+ * pixel (a box filter). Colours are weighted by alpha so transparent pixels
+ * do not darken edges.
+ * @param {Object} image - { width, height, data }
+ * @param {number} width - Target width
+ * @param {number} height - Target height
+ * @returns {Object} { width, height, data }
+ */
+function resizeImage(image, width, height) {
+    const data = new Uint8Array(width * height * 4);
+    const xRatio = image.width / width;
+    const yRatio = image.height / height;
+
+    for (let y = 0; y < height; y++) {
+        const y0 = Math.floor(y * yRatio);
+        const y1 = Math.max(y0 + 1, Math.min(image.height, Math.floor((y + 1) * yRatio)));
+
+        for (let x = 0; x < width; x++) {
+            const x0 = Math.floor(x * xRatio);
+            const x1 = Math.max(x0 + 1, Math.min(image.width, Math.floor((x + 1) * xRatio)));
+
+            let red = 0;
+            let green = 0;
+            let blue = 0;
+            let alpha = 0;
+            for (let sy = y0; sy < y1; sy++) {
+                let index = (sy * image.width + x0) * 4;
+                for (let sx = x0; sx < x1; sx++) {
+                    const pixelAlpha = image.data[index + 3];
+                    red += image.data[index] * pixelAlpha;
+                    green += image.data[index + 1] * pixelAlpha;
+                    blue += image.data[index + 2] * pixelAlpha;
+                    alpha += pixelAlpha;
+                    index += 4;
+                }
+            }
+
+            const target = (y * width + x) * 4;
+            const count = (x1 - x0) * (y1 - y0);
+            if (alpha > 0) {
+                data[target] = Math.round(red / alpha);
+                data[target + 1] = Math.round(green / alpha);
+                data[target + 2] = Math.round(blue / alpha);
+            }
+            data[target + 3] = Math.round(alpha / count);
+        }
+    }
+
+    return { width, height, data };
+}
+
+/**
+ * List the variants to generate for an image of the given size, largest first
+ * @param {number} width - Original width
+ * @param {number} height - Original height
+ * @returns {Array} [{ name, width, height }]
+ */
+function planVariants(width, height) {
+    const scaledHeight = targetWidth => Math.max(1, Math.round(height * targetWidth / width));
+
+    const variants = RESPONSIVE_WIDTHS
+        .filter(targetWidth => targetWidth < width)
+        .sort((a, b) => b - a)
+        .map(targetWidth => ({ name: `w${targetWidth}`, width: targetWidth, height: scaledHeight(targetWidth) }));
+
+    const scale = Math.min(1, THUMBNAIL_SIZE / Math.max(width, height));
+    const thumbnailWidth = Math.max(1, Math.round(width * scale));
+    variants.push({
+        name: 'thumbnail',
+        width: thumbnailWidth,
+        height: scale === 1 ? height : scaledHeight(thumbnailWidth)
+    });
+
+    return variants;
+}
+
+/**
+ * Validate an uploaded image and generate its variants
+ * @param {Buffer} buffer - File contents
+ * @returns {Object} { format, mimeType, extension, width, height, variants }
+ *   where each variant is { name, width, height, contentType, extension, buffer }
+ * @throws {Error} UNSUPPORTED_IMAGE_TYPE, INVALID_IMAGE or IMAGE_TOO_LARGE
+ */
+function processImage(buffer) {
+    const format = detectImageFormat(buffer);
+    if (!format) {
+        throw imageError('File is not a PNG, JPEG, GIF or WebP image', 'UNSUPPORTED_IMAGE_TYPE');
+    }
+
+    const dimensions = readImageDimensions(buffer, format);
+    if (!dimensions) {
+        throw imageError(`File is not a valid ${format.toUpperCase()} image`, 'INVALID_IMAGE');
+    }
+    if (dimensions.width * dimensions.height > MAX_PIXELS) {
+        throw imageError(`Image exceeds the maximum of ${MAX_PIXELS / 1000000} megapixels`, 'IMAGE_TOO_LARGE');
+    }
+
+    const { mimeType, extension } = IMAGE_TYPES[format];
+    const result = { format, mimeType, extension, width: dimensions.width, height: dimensions.height, variants: [] };
+
+    if (!RESIZABLE_FORMATS.includes(format)) {
+        return result;
+    }
+
+    // Each variant is scaled from the previous (next larger) one
+    let source = decodeImage(buffer, format);
+    result.width = source.width;
+    result.height = source.height;
+    result.variants = planVariants(source.width, source.height).map(variant => {
+        source = resizeImage(source, variant.width, variant.height);
+        return {
+            ...variant,
+            contentType: mimeType,
+            extension,
+            buffer: encodeImage(source, format)
+        };
+    });
+
+    return result;
+}
+
+module.exports = {
+    RESPONSIVE_WIDTHS,
+    THUMBNAIL_SIZE,
+    MAX_PIXELS,
+    IMAGE_TYPES,
+    detectImageFormat,
+    readImageDimensions,
+    resizeImage,
+    processImage
+};
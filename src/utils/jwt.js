@@ -0,0 +1,105 @@
+/**
+ * JSON Web Token Utility
+ *
+ * Minimal HS256 (HMAC-SHA256) JWT signing and verification built on the
+ * crypto module. Only the claims used by the auth service are checked here:
+ * the signature, the algorithm header and the exp claim.
+ */
+
+const crypto = require('crypto');
+
+/**
+ * Create a token error with a machine-readable code
+ * @param {string} message - Error message
+ * @param {string} code - Error code (INVALID_TOKEN or TOKEN_EXPIRED)
+ * @returns {Error} Error instance
+ */
+function tokenError(message, code) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+}
+
+/**
+ * Base64url-encode a buffer or string
+ * @param {Buffer|string} value - Value to encode
+ * @returns {string} Base64url string
+ */
+function base64url(value) {
+    return Buffer.from(value).toString('base64url');
+}
+
+/**
+ * Compute the HMAC signature of the token header and payload
+ * @param {string} signingInput - "<header>.<payload>"
+ * @param {string} secret - Signing secret
+ * @returns {string} Base64url signature
+ */
+function createSignature(signingInput, secret) {
+    return crypto.createHmac('sha256', secret).update(signingInput).digest('base64url');
+}
+
+/**
+ * Sign a payload
+ * @param {Object} payload - Token claims
+ * @param {string} secret - Signing secret
+ * @param {Object} options - Signing options
+ * @param {number} options.expiresIn - Lifetime in seconds
+ * @returns {string} Signed token
+ */
+function sign(payload, secret, options = {}) {
+    const issuedAt = Math.floor(Date.now() / 1000);
+    const claims = { ...payload, iat: issuedAt };
+    if (options.expiresIn) {
+        claims.exp = issuedAt + options.expiresIn;
+    }
+
+    const signingInput = `${base64url(JSON.stringify({ alg: 'HS256', typ: 'JWT' }))}.${base64url(JSON.stringify(claims))}`;
+    return `${signingInput}.${createSignature(signingInput, secret)}`;
+}
+
+/**
+ * Verify a token and return its claims
+ * @param {string} token - Signed token
+ * @param {string} secret - Signing secret
+ * @returns {Object} Token claims
+ * @throws {Error} INVALID_TOKEN or TOKEN_EXPIRED
+ */
+function verify(token, secret) {
+    const parts = typeof token === 'string' ? token.split('.') : [];
+    if (parts.length !== 3) {
+        throw tokenError('Malformed token', 'INVALID_TOKEN');
+    }
+
+    const [encodedHeader, encodedPayload, signature] = parts;
+    const expectedSignature = createSignature(`${encodedHeader}.${encodedPayload}`, secret);
+    const signatureBuffer = Buffer.from(signature);
+    const expectedBuffer = Buffer.from(expectedSignature);
+    if (signatureBuffer.length !== expectedBuffer.length || !crypto.timingSafeEqual(signatureBuffer, expectedBuffer)) {
+        throw tokenError('Invalid token signature', 'INVALID_TOKEN');
+    }
+
+    let header;
+    let claims;
+    try {
+        header = JSON.parse(Buffer.from(encodedHeader, 'base64url').toString('utf8'));
+        claims = JSON.parse(Buffer.from(encodedPayload, 'base64url').toString('utf8'));
+    } catch (error) {
+        throw tokenError('Malformed token', 'INVALID_TOKEN');
+    }
+
+    if (header.alg !== 'HS256') {
+        throw tokenError('Unsupported token algorithm', 'INVALID_TOKEN');
+    }
+
+    if (claims.exp !== undefined && Math.floor(Date.now() / 1000) >= claims.exp) {
+        throw tokenError('Token has expired', 'TOKEN_EXPIRED');
+    }
+
+    return claims;
+}
+
+module.exports = {
+    sign,
+    verify
+};
@@ -0,0 +1,323 @@
+/**
+ * Page Operations Utility
+ *
+ * Applies a list of component-level operations to a page's components using
+ * the Page model methods, so a small edit does not require sending the whole
+ * components array. Operations are applied in order to a copy of the
+ * components; if any operation fails, none of them take effect.
+ *
+ * Supported operations:
+ *   { op: 'add', component: { type, data, id? }, index? }
+ *   { op: 'update', componentId, path: 'callToAction.buttonText', value }
+ *   { op: 'remove', componentId }
+ *   { op: 'move', componentId, index }
+ *   { op: 'reorder', componentIds: [...] }
+ *   { op: 'addAccordionItem', componentId, item? }
+ *   { op: 'removeAccordionItem', componentId, itemId }
+ *   { op: 'addLink', componentId, link }
+ *   { op: 'removeLink', componentId, linkId }
+ *
+ * `path` is relative to the component's data and may be a dot-separated string
+ * or an array of keys; numeric keys index into arrays. `index` is the
+ * zero-based position in the page's component order.
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const Page = require('../models/Page');
+const TextComponent = require('../models/TextComponent');
+const AccordionComponent = require('../models/AccordionComponent');
+const CardComponent = require('../models/CardComponent');
+const BannerComponent = require('../models/BannerComponent');
+const LinkGroupComponent = require('../models/LinkGroupComponent');
+const { sanitizePageComponents } = require('./htmlSanitizer');
+
+const MAX_OPERATIONS = 100;
+
+// Model classes used to validate each component type
+const COMPONENT_MODELS = {
+    TextComponent,
+    AccordionComponent,
+    CardComponent,
+    BannerComponent,
+    LinkGroupComponent
+};
+
+// Path segments that must never be written through
+const FORBIDDEN_PATH_KEYS = ['__proto__', 'constructor', 'prototype'];
+
+/**
+ * Create an operation error
+ * @param {string} message - Error message
+ * @param {number} operationIndex - Index of the failing operation (optional)
+ * @returns {Error} Error with code INVALID_PAGE_OPERATION
+ */
+function operationError(message, operationIndex) {
+    const error = new Error(message);
+    error.code = 'INVALID_PAGE_OPERATION';
+    if (operationIndex !== undefined) {
+        error.operationIndex = operationIndex;
+    }
+    return error;
+}
+
+/**
+ * Validate a stored component's data with the model class for its type.
+ * The data is checked as stored, since the model constructors fill in
+ * defaults for missing or malformed fields. Stored text components keep
+ * their content under data.content. Rich text is checked as it will be after
+ * sanitizing, since markup the sanitizer removes is not an error.
+ * @param {Object} stored - Stored component
+ * @returns {Object} Validation result with isValid boolean and errors array
+ */
+function validateComponentData(stored) {
+    const Model = COMPONENT_MODELS[stored.type];
+    if (!Model) {
+        return { isValid: true, errors: [] };
+    }
+
+    const [component] = sanitizePageComponents([stored]).components;
+
+    if (component.type === 'TextComponent') {
+        return new TextComponent().validateContent(component.data && component.data.content);
+    }
+
+    return new Model(component).validateData(component.data);
+}
+
+/**
+ * Split and check an update path
+ * @param {string|Array} path - Dot-separated path or array of keys
+ * @returns {Array} Path keys
+ */
+function parsePath(path) {
+    const keys = Array.isArray(path) ? path.map(String) : typeof path === 'string' ? path.split('.') : null;
+
+    if (!keys || keys.length === 0 || keys.some(key => key === '')) {
+        throw new Error('path must be a non-empty dot-separated string or array of keys');
+    }
+
+    if (keys.some(key => FORBIDDEN_PATH_KEYS.includes(key))) {
+        throw new Error(`path must not contain ${FORBIDDEN_PATH_KEYS.join(', ')}`);
+    }
+
+    return keys;
+}
+
+/**
+ * Set a value inside an object by path, creating intermediate objects
+ * @param {Object} target - Object to modify
+ * @param {Array} keys - Path keys
+ * @param {*} value - Value to set (undefined removes the key)
+ */
+function setByPath(target, keys, value) {
+    let current = target;
+    keys.slice(0, -1).forEach(key => {
+        if (current[key] === undefined || current[key] === null) {
+            current[key] = {};
+        } else if (typeof current[key] !== 'object') {
+            throw new Error(`Cannot set a property on non-object value at '${key}'`);
+        }
+        current = current[key];
+    });
+
+    const lastKey = keys[keys.length - 1];
+    if (value === undefined) {
+        delete current[lastKey];
+    } else {
+        current[lastKey] = value;
+    }
+}
+
+/**
+ * Require a string field on an operation
+ * @param {Object} operation - Operation
+ * @param {string} field - Field name
+ * @returns {string} Field value
+ */
+function requireString(operation, field) {
+    if (typeof operation[field] !== 'string' || operation[field].length === 0) {
+        throw new Error(`${field} is required`);
+    }
+    return operation[field];
+}
+
+/**
+ * Move a component to a position in the page order
+ * @param {Page} page - Page model
+ * @param {string} componentId - Component ID
+ * @param {number} index - Zero-based target position
+ */
+function moveComponent(page, componentId, index) {
+    if (!Number.isInteger(index) || index < 0) {
+        throw new Error('index must be a non-negative integer');
+    }
+
+    if (!page.getComponentById(componentId)) {
+        throw new Error(`Component with ID '${componentId}' not found`);
+    }
+
+    const componentIds = page.getOrderedComponents()
+        .map(component => component.id)
+        .filter(id => id !== componentId);
+    componentIds.splice(Math.min(index, componentIds.length), 0, componentId);
+
+    page.reorderComponents(componentIds);
+}
+
+/**
+ * Apply a single operation to the page
+ * @param {Page} page - Page model
+ * @param {Object} operation - Operation
+ * @returns {Object} Operation result: { op, componentId, itemId?, linkId? }
+ */
+function applyOperation(page, operation) {
+    switch (operation.op) {
+        case 'add': {
+            const { component } = operation;
+            if (!component || typeof component !== 'object' || Array.isArray(component)) {
+                throw new Error('component is required');
+            }
+
+            const newComponent = {
+                ...component,
+                id: component.id || uuidv4(),
+                order: page.getNextOrder()
+            };
+            page.addComponent(newComponent);
+
+            if (operation.index !== undefined) {
+                moveComponent(page, newComponent.id, operation.index);
+            }
+            return { op: operation.op, componentId: newComponent.id };
+        }
+
+        case 'update': {
+            const componentId = requireString(operation, 'componentId');
+            const component = page.getComponentById(componentId);
+            if (!component) {
+                throw new Error(`Component with ID '${componentId}' not found`);
+            }
+
+            const data = JSON.parse(JSON.stringify(component.data || {}));
+            setByPath(data, parsePath(operation.path), operation.value);
+            page.updateComponent(componentId, { data });
+            return { op: operation.op, componentId };
+        }
+
+        case 'remove': {
+            const componentId = requireString(operation, 'componentId');
+            page.removeComponent(componentId);
+            return { op: operation.op, componentId };
+        }
+
+        case 'move': {
+            const componentId = requireString(operation, 'componentId');
+            moveComponent(page, componentId, operation.index);
+            return { op: operation.op, componentId };
+        }
+
+        case 'reorder': {
+            const { componentIds } = operation;
+            if (!Array.isArray(componentIds) || componentIds.length === 0) {
+                throw new Error('componentIds must be a non-empty array');
+            }
+            if (new Set(componentIds).size !== componentIds.length) {
+                throw new Error('componentIds must not contain duplicates');
+            }
+            page.reorderComponents(componentIds);
+            return { op: operation.op };
+        }
+
+        case 'addAccordionItem': {
+            const componentId = requireString(operation, 'componentId');
+            const itemId = page.addAccordionItem(componentId, operation.item || {});
+            return { op: operation.op, componentId, itemId };
+        }
+
+        case 'removeAccordionItem': {
+            const componentId = requireString(operation, 'componentId');
+            const itemId = requireString(operation, 'itemId');
+            page.removeAccordionItem(componentId, itemId);
+            return { op: operation.op, componentId, itemId };
+        }
+
+        case 'addLink': {
+            const componentId = requireString(operation, 'componentId');
+            if (!operation.link || typeof operation.link !== 'object') {
+                throw new Error('link is required');
+            }
+
+            const linkId = operation.link.id || uuidv4();
+            page.addLinkToGroup(componentId, { ...operation.link, id: linkId });
+            return { op: operation.op, componentId, linkId };
+        }
+
+        case 'removeLink': {
+            const componentId = requireString(operation, 'componentId');
+            const linkId = requireString(operation, 'linkId');
+            page.removeLinkFromGroup(componentId, linkId);
+            return { op: operation.op, componentId, linkId };
+        }
+
+        default:
+            throw new Error(`unsupported operation '${operation.op}'`);
+    }
+}
+
+/**
+ * Apply operations to a components array
+ * @param {Array} components - Current components (not modified)
+ * @param {Array} operations - Operations to apply in order
+ * @returns {Object} { components, results } with the new components array and one result per operation
+ */
+function applyPageOperations(components, operations) {
+    if (!Array.isArray(operations) || operations.length === 0) {
+        throw operationError('operations must be a non-empty array');
+    }
+
+    if (operations.length > MAX_OPERATIONS) {
+        throw operationError(`A request may contain at most ${MAX_OPERATIONS} operations`);
+    }
+
+    const page = new Page({ components: JSON.parse(JSON.stringify(components || [])) });
+
+    const results = operations.map((operation, index) => {
+        if (!operation || typeof operation !== 'object' || typeof operation.op !== 'string') {
+            throw operationError(`Operation ${index}: op is required`, index);
+        }
+
+        let result;
+        try {
+            result = applyOperation(page, operation);
+        } catch (error) {
+            throw operationError(`Operation ${index} (${operation.op}): ${error.message}`, index);
+        }
+
+        // Validate the affected component with its type's model
+        const component = result.componentId && page.getComponentById(result.componentId);
+        if (component) {
+            const validation = validateComponentData(component);
+            if (!validation.isValid) {
+                throw operationError(`Operation ${index} (${operation.op}): ${validation.errors.join(', ')}`, index);
+            }
+        }
+
+        return result;
+    });
+
+    const validation = page.validateComponents(page.components);
+    if (!validation.isValid) {
+        throw operationError(`Operations produced invalid components: ${validation.errors.join(', ')}`);
+    }
+
+    return {
+        components: JSON.parse(JSON.stringify(page.components)),
+        results
+    };
+}
+
+module.exports = {
+    applyPageOperations,
+    validateComponentData,
+    MAX_OPERATIONS
+};
@@ -0,0 +1,381 @@
+/**
+ * Page Renderer Utility
+ *
+ * Renders a stored page's components as clean semantic HTML with a matching
+ * stylesheet, without any of the editor's wrappers or inputs. Used by the
+ * page export endpoint and the editor preview so both show the same markup.
+ *
+ * Component markup:
+ *   BannerComponent    <section class="tpe-banner"> with an <img>, <h1> and call-to-action link
+ *   TextComponent      <div class="tpe-text"> with the rich text content
+ *   CardComponent      <article class="tpe-card">
+ *   AccordionComponent <div class="tpe-accordion"> of <details>/<summary> items (works without JavaScript)
+ *   LinkGroupComponent <nav class="tpe-link-group"> with a list of links
+ *
+ * Banner and card images get srcset and sizes attributes when an image
+ * srcset resolver is given (the responsive variants of processed uploads).
+ *
+ * Components of other types are skipped. Rich text in any format (HTML,
+ * Markdown, block JSON or plain text, see ./richText.js) is rendered to HTML
+ * and passed through the allow-list sanitizer (see ./htmlSanitizer.js), so
+ * stored content cannot inject markup.
+ */
+
+const { toHtml, htmlToPlainText } = require('./richText');
+
+// URL schemes allowed in rendered href and src attributes
+const SAFE_URL_SCHEMES = ['http:', 'https:', 'mailto:', 'tel:'];
+
+const PAGE_STYLES = `*, *::before, *::after { box-sizing: border-box; }
+body { margin: 0; font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, Helvetica, Arial, sans-serif; line-height: 1.6; color: #1e293b; background: #ffffff; }
+img { max-width: 100%; display: block; }
+a { color: #2563eb; }
+.tpe-page { max-width: 1100px; margin: 0 auto; padding: 0 1.5rem 3rem; }
+.tpe-page > * { margin-top: 2rem; }
+.tpe-banner { position: relative; overflow: hidden; min-height: 320px; display: flex; align-items: center; justify-content: center; text-align: center; border-radius: 0.5rem; background: #1e293b; color: #ffffff; }
+.tpe-banner__image { position: absolute; inset: 0; width: 100%; height: 100%; object-fit: cover; opacity: 0.55; }
+.tpe-banner__content { position: relative; padding: 3rem 1.5rem; }
+.tpe-banner__headline { margin: 0 0 1.5rem; font-size: 2.5rem; line-height: 1.2; }
+.tpe-button { display: inline-block; padding: 0.75rem 1.5rem; border-radius: 0.375rem; background: #2563eb; color: #ffffff; text-decoration: none; font-weight: 600; }
+.tpe-button:hover { background: #1d4ed8; }
+.tpe-text > :first-child { margin-top: 0; }
+.tpe-card { display: flex; flex-direction: column; max-width: 420px; border: 1px solid #e2e8f0; border-radius: 0.5rem; overflow: hidden; background: #ffffff; }
+.tpe-card__image { width: 100%; aspect-ratio: 16 / 9; object-fit: cover; }
+.tpe-card__body { padding: 1.25rem; }
+.tpe-card__title { margin: 0 0 0.5rem; font-size: 1.25rem; }
+.tpe-card__link { font-weight: 600; text-decoration: none; }
+.tpe-accordion { border: 1px solid #e2e8f0; border-radius: 0.5rem; }
+.tpe-accordion__item + .tpe-accordion__item { border-top: 1px solid #e2e8f0; }
+.tpe-accordion__header { padding: 1rem 1.25rem; font-weight: 600; cursor: pointer; }
+.tpe-accordion__content { padding: 0 1.25rem 1rem; }
+.tpe-link-group__title { margin: 0 0 0.75rem; font-size: 1.125rem; }
+.tpe-link-group__list { display: flex; flex-wrap: wrap; gap: 1rem; margin: 0; padding: 0; list-style: none; }
+`;
+
+/**
+ * Escape text for use in HTML content and attribute values
+ * @param {*} text - Text to escape
+ * @returns {string} Escaped text
+ */
+function escapeHtml(text) {
+    if (text === undefined || text === null) {
+        return '';
+    }
+
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+/**
+ * Make a URL safe for an href or src attribute. Relative URLs and the schemes
+ * in SAFE_URL_SCHEMES are kept; anything else (e.g. javascript:) becomes '#'.
+ * @param {string} url - URL
+ * @returns {string} Safe URL (not yet escaped)
+ */
+function safeUrl(url) {
+    if (typeof url !== 'string' || url.trim() === '') {
+        return '#';
+    }
+
+    const trimmed = url.trim();
+
+    // Inlined images are rendered as data URLs by the exporter
+    if (/^data:image\/[a-z0-9.+-]+;base64,/i.test(trimmed)) {
+        return trimmed;
+    }
+
+    const scheme = trimmed.match(/^([a-z][a-z0-9+.-]*):/i);
+    if (!scheme) {
+        return trimmed;
+    }
+
+    return SAFE_URL_SCHEMES.includes(scheme[1].toLowerCase() + ':') ? trimmed : '#';
+}
+
+/**
+ * Render link target and rel attributes
+ * @param {string} target - Link target
+ * @returns {string} Attribute string (with a leading space) or ''
+ */
+function targetAttributes(target) {
+    if (target === '_blank') {
+        return ' target="_blank" rel="noopener noreferrer"';
+    }
+    return '';
+}
+
+/**
+ * Render rich text content ({ format, data }) as sanitized HTML
+ * @param {Object|string} content - Rich text content
+ * @returns {string} HTML
+ */
+function renderRichText(content) {
+    if (!content || (typeof content === 'object' && typeof content.data !== 'string')) {
+        return '';
+    }
+
+    return toHtml(content);
+}
+
+/**
+ * Render a component ID attribute
+ * @param {Object} component - Component
+ * @returns {string} Attribute string (with a leading space) or ''
+ */
+function idAttribute(component) {
+    return component.id ? ` id="${escapeHtml(component.id)}"` : '';
+}
+
+/**
+ * Build srcset and sizes attributes for an image
+ * @param {Function} imageSrcset - Image srcset resolver
+ * @param {string} url - Image URL
+ * @param {string} sizes - sizes attribute value
+ * @returns {string} Attributes (with a leading space), or '' if there is no srcset
+ */
+function srcsetAttributes(imageSrcset, url, sizes) {
+    const srcset = imageSrcset(url);
+    return srcset ? ` srcset="${escapeHtml(srcset)}" sizes="${escapeHtml(sizes)}"` : '';
+}
+
+/**
+ * Render a BannerComponent
+ * @param {Object} component - Component
+ * @param {Function} imageUrl - Image URL resolver
+ * @param {Function} imageSrcset - Image srcset resolver
+ * @returns {string} HTML
+ */
+function renderBanner(component, imageUrl, imageSrcset) {
+    const data = component.data || {};
+    const style = escapeHtml(data.style || 'default');
+    const callToAction = data.callToAction || {};
+
+    const image = data.backgroundImageUrl
+        ? `<img class="tpe-banner__image" src="${escapeHtml(safeUrl(imageUrl(data.backgroundImageUrl)))}"${srcsetAttributes(imageSrcset, data.backgroundImageUrl, '100vw')} alt="${escapeHtml(data.backgroundImageAltText)}">`
+        : '';
+    const button = callToAction.buttonText
+        ? `<a class="tpe-button" href="${escapeHtml(safeUrl(callToAction.linkUrl))}"${targetAttributes(callToAction.linkTarget)}>${escapeHtml(callToAction.buttonText)}</a>`
+        : '';
+
+    return `<section class="tpe-banner tpe-banner--${style}"${idAttribute(component)}>
+    ${image}
+    <div class="tpe-banner__content">
+        <h1 class="tpe-banner__headline">${escapeHtml(data.headlineText)}</h1>
+        ${button}
+    </div>
+</section>`;
+}
+
+/**
+ * Render a TextComponent
+ * @param {Object} component - Component
+ * @returns {string} HTML
+ */
+function renderText(component) {
+    const data = component.data || {};
+    return `<div class="tpe-text"${idAttribute(component)}>${renderRichText(data.content)}</div>`;
+}
+
+/**
+ * Render a CardComponent
+ * @param {Object} component - Component
+ * @param {Function} imageUrl - Image URL resolver
+ * @param {Function} imageSrcset - Image srcset resolver
+ * @returns {string} HTML
+ */
+function renderCard(component, imageUrl, imageSrcset) {
+    const data = component.data || {};
+    const style = escapeHtml(data.style || 'default');
+
+    const image = data.imageUrl
+        ? `<img class="tpe-card__image" src="${escapeHtml(safeUrl(imageUrl(data.imageUrl)))}"${srcsetAttributes(imageSrcset, data.imageUrl, '(max-width: 420px) 100vw, 420px')} alt="${escapeHtml(data.altText)}">`
+        : '';
+    const link = data.linkUrl
+        ? `<a class="tpe-card__link" href="${escapeHtml(safeUrl(data.linkUrl))}"${targetAttributes(data.linkTarget)}>${escapeHtml(data.linkText || 'Learn More')}</a>`
+        : '';
+
+    return `<article class="tpe-card tpe-card--${style}"${idAttribute(component)}>
+    ${image}
+    <div class="tpe-card__body">
+        <h2 class="tpe-card__title">${escapeHtml(data.title)}</h2>
+        <div class="tpe-card__description">${renderRichText(data.description)}</div>
+        ${link}
+    </div>
+</article>`;
+}
+
+/**
+ * Render an AccordionComponent
+ * @param {Object} component - Component
+ * @returns {string} HTML
+ */
+function renderAccordion(component) {
+    const data = component.data || {};
+    const style = escapeHtml(data.style || 'default');
+    const items = Array.isArray(data.items) ? [...data.items] : [];
+    items.sort((a, b) => (a.order || 0) - (b.order || 0));
+
+    const itemsHtml = items.map(item => `<details class="tpe-accordion__item"${item.isOpen ? ' open' : ''}>
+        <summary class="tpe-accordion__header">${escapeHtml(item.header)}</summary>
+        <div class="tpe-accordion__content">${renderRichText(item.content)}</div>
+    </details>`).join('\n    ');
+
+    return `<div class="tpe-accordion tpe-accordion--${style}"${idAttribute(component)}>
+    ${itemsHtml}
+</div>`;
+}
+
+/**
+ * Render a LinkGroupComponent
+ * @param {Object} component - Component
+ * @returns {string} HTML
+ */
+function renderLinkGroup(component) {
+    const data = component.data || {};
+    const style = escapeHtml(data.style || 'default');
+    const links = Array.isArray(data.links) ? [...data.links] : [];
+    links.sort((a, b) => (a.order || 0) - (b.order || 0));
+
+    const title = data.title ? `<h2 class="tpe-link-group__title">${escapeHtml(data.title)}</h2>` : '';
+    const label = data.title ? ` aria-label="${escapeHtml(data.title)}"` : '';
+    const linksHtml = links.map(link => `<li><a href="${escapeHtml(safeUrl(link.linkUrl))}"${targetAttributes(link.linkTarget)}>${escapeHtml(link.linkText)}</a></li>`)
+        .join('\n        ');
+
+    return `<nav class="tpe-link-group tpe-link-group--${style}"${idAttribute(component)}${label}>
+    ${title}
+    <ul class="tpe-link-group__list">
+        ${linksHtml}
+    </ul>
+</nav>`;
+}
+
+// Renderer for each supported component type
+const COMPONENT_RENDERERS = {
+    BannerComponent: renderBanner,
+    TextComponent: renderText,
+    CardComponent: renderCard,
+    AccordionComponent: renderAccordion,
+    LinkGroupComponent: renderLinkGroup
+};
+
+/**
+ * Sort components by their order field
+ * @param {Array} components - Components
+ * @returns {Array} Sorted copy containing only well-formed components
+ */
+function orderedComponents(components) {
+    return (Array.isArray(components) ? components : [])
+        .filter(component => component && typeof component === 'object')
+        .sort((a, b) => (a.order || 0) - (b.order || 0));
+}
+
+/**
+ * Render a page's components as HTML
+ * @param {Array} components - Page components
+ * @param {Object} options - Render options
+ * @param {Function} options.imageUrl - Maps an image URL to the URL to render (e.g. a bundled file or data URL)
+ * @param {Function} options.imageSrcset - Maps an image URL to a srcset value, or '' for none
+ * @returns {string} HTML for the page body
+ */
+function renderComponents(components, options = {}) {
+    const imageUrl = options.imageUrl || (url => url);
+    const imageSrcset = options.imageSrcset || (() => '');
+
+    const body = orderedComponents(components)
+        .map(component => {
+            const render = COMPONENT_RENDERERS[component.type];
+            return render ? render(component, imageUrl, imageSrcset) : null;
+        })
+        .filter(Boolean)
+        .join('\n');
+
+    return `<main class="tpe-page">
+${body}
+</main>`;
+}
+
+/**
+ * Pick a document title for a page: its first banner headline or text heading
+ * @param {Array} components - Page components
+ * @returns {string} Title
+ */
+function getPageTitle(components) {
+    for (const component of orderedComponents(components)) {
+        const data = component.data || {};
+        if (component.type === 'BannerComponent' && data.headlineText) {
+            return data.headlineText;
+        }
+        if (component.type === 'TextComponent') {
+            const heading = renderRichText(data.content).match(/<h1[^>]*>([\s\S]*?)<\/h1>/i);
+            if (heading) {
+                return htmlToPlainText(heading[1]);
+            }
+        }
+    }
+    return 'Page';
+}
+
+/**
+ * Render a standalone HTML document for a page
+ * @param {Object} page - Page with a components array
+ * @param {Object} options - Render options
+ * @param {string} options.title - Document title (defaults to getPageTitle)
+ * @param {string} options.stylesheetHref - Link this stylesheet instead of inlining PAGE_STYLES
+ * @param {Function} options.imageUrl - Image URL resolver (see renderComponents)
+ * @param {Function} options.imageSrcset - Image srcset resolver (see renderComponents)
+ * @returns {string} HTML document
+ */
+function renderPageDocument(page, options = {}) {
+    const components = (page && page.components) || [];
+    const title = options.title || getPageTitle(components);
+    const styles = options.stylesheetHref
+        ? `<link rel="stylesheet" href="${escapeHtml(options.stylesheetHref)}">`
+        : `<style>\n${PAGE_STYLES}</style>`;
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(title)}</title>
+${styles}
+</head>
+<body>
+${renderComponents(components, options)}
+</body>
+</html>
+`;
+}
+
+/**
+ * List the distinct image URLs used by a page's components
+ * @param {Array} components - Page components
+ * @returns {Array} Image URLs
+ */
+function collectImageUrls(components) {
+    const urls = new Set();
+    orderedComponents(components).forEach(component => {
+        const data = component.data || {};
+        if (component.type === 'BannerComponent' && data.backgroundImageUrl) {
+            urls.add(data.backgroundImageUrl);
+        }
+        if (component.type === 'CardComponent' && data.imageUrl) {
+            urls.add(data.imageUrl);
+        }
+    });
+    return Array.from(urls);
+}
+
+module.exports = {
+    PAGE_STYLES,
+    renderComponents,
+    renderPageDocument,
+    collectImageUrls,
+    getPageTitle,
+    escapeHtml,
+    safeUrl
+};
@@ -0,0 +1,173 @@
+/**
+ * Pagination Utility
+ *
+ * Cursor-based pagination and sorting for list endpoints. Query parameters:
+ *
+ *   limit   - items per page (default 50, max 100)
+ *   sortBy  - field to sort by (each endpoint lists the fields it allows)
+ *   order   - asc or desc
+ *   cursor  - nextCursor from the previous page
+ *
+ * Items are sorted by the sort field and then by id, and a cursor records
+ * the position after the last item returned, so pages stay stable while
+ * items are added or removed. A cursor is only valid with the sort it was
+ * created for.
+ *
+ * Responses carry a pagination object:
+ *   { total, limit, sortBy, order, nextCursor, hasMore }
+ * where total counts every item matching the filters.
+ */
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 100;
+const SORT_ORDERS = ['asc', 'desc'];
+
+/**
+ * Create a pagination error with a machine-readable code
+ * @param {string} message - Error message
+ * @param {string} code - Error code
+ * @returns {Error} Error instance
+ */
+function paginationError(message, code) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+}
+
+/**
+ * Encode a cursor
+ * @param {Object} position - { sortBy, order, value, id }
+ * @returns {string} Opaque cursor
+ */
+function encodeCursor(position) {
+    return Buffer.from(JSON.stringify(position)).toString('base64url');
+}
+
+/**
+ * Decode a cursor
+ * @param {string} cursor - Opaque cursor
+ * @returns {Object|null} Position, or null if the cursor is malformed
+ */
+function decodeCursor(cursor) {
+    try {
+        const position = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+        return position && typeof position === 'object' && typeof position.id === 'string' ? position : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Parse and validate pagination and sort query parameters
+ * @param {Object} query - Request query (req.query)
+ * @param {Object} options - Endpoint options
+ * @param {Array} options.sortFields - Fields the endpoint can sort by
+ * @param {string} options.defaultSortBy - Default sort field
+ * @param {string} options.defaultOrder - Default order (asc or desc)
+ * @returns {Object} { limit, sortBy, order, cursor } where cursor is the decoded position or null
+ * @throws {Error} INVALID_LIMIT, INVALID_SORT_FIELD, INVALID_SORT_ORDER or INVALID_CURSOR
+ */
+function parseListQuery(query, options) {
+    const limit = query.limit === undefined ? DEFAULT_LIMIT : Number(query.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+        throw paginationError(`limit must be an integer from 1 to ${MAX_LIMIT}`, 'INVALID_LIMIT');
+    }
+
+    const sortBy = query.sortBy === undefined ? options.defaultSortBy : query.sortBy;
+    if (!options.sortFields.includes(sortBy)) {
+        throw paginationError(`sortBy must be one of: ${options.sortFields.join(', ')}`, 'INVALID_SORT_FIELD');
+    }
+
+    const order = query.order === undefined ? options.defaultOrder : query.order;
+    if (!SORT_ORDERS.includes(order)) {
+        throw paginationError(`order must be one of: ${SORT_ORDERS.join(', ')}`, 'INVALID_SORT_ORDER');
+    }
+
+    let cursor = null;
+    if (query.cursor !== undefined) {
+        cursor = typeof query.cursor === 'string' ? decodeCursor(query.cursor) : null;
+        if (!cursor || cursor.sortBy !== sortBy || cursor.order !== order) {
+            throw paginationError('cursor is invalid or was created for a different sort', 'INVALID_CURSOR');
+        }
+    }
+
+    return { limit, sortBy, order, cursor };
+}
+
+/**
+ * Get the comparable value of an item's sort field. Dates compare by time
+ * and strings case-insensitively.
+ * @param {Object} item - Item
+ * @param {string} sortBy - Sort field
+ * @returns {number|string} Sort value
+ */
+function sortValue(item, sortBy) {
+    const value = item[sortBy];
+    if (value instanceof Date) {
+        return value.getTime();
+    }
+    if (typeof value === 'string' && /At$/.test(sortBy)) {
+        const time = new Date(value).getTime();
+        return isNaN(time) ? 0 : time;
+    }
+    if (typeof value === 'string') {
+        return value.toLowerCase();
+    }
+    return value === undefined || value === null ? '' : value;
+}
+
+/**
+ * Compare two (value, id) positions
+ * @param {Object} a - { value, id }
+ * @param {Object} b - { value, id }
+ * @returns {number} Negative, zero or positive
+ */
+function comparePositions(a, b) {
+    if (a.value < b.value) return -1;
+    if (a.value > b.value) return 1;
+    if (a.id < b.id) return -1;
+    if (a.id > b.id) return 1;
+    return 0;
+}
+
+/**
+ * Sort items and return one page of them
+ * @param {Array} items - Items matching the filters (each with an id)
+ * @param {Object} listQuery - Parsed query (see parseListQuery)
+ * @returns {Object} { items, pagination }
+ */
+function paginate(items, listQuery) {
+    const { limit, sortBy, order, cursor } = listQuery;
+    const direction = order === 'desc' ? -1 : 1;
+
+    const positioned = items
+        .map(item => ({ item, position: { value: sortValue(item, sortBy), id: String(item.id) } }))
+        .sort((a, b) => direction * comparePositions(a.position, b.position));
+
+    const remaining = cursor
+        ? positioned.filter(entry => direction * comparePositions(entry.position, cursor) > 0)
+        : positioned;
+
+    const pageEntries = remaining.slice(0, limit);
+    const hasMore = remaining.length > limit;
+    const last = pageEntries[pageEntries.length - 1];
+
+    return {
+        items: pageEntries.map(entry => entry.item),
+        pagination: {
+            total: items.length,
+            limit,
+            sortBy,
+            order,
+            nextCursor: hasMore ? encodeCursor({ sortBy, order, ...last.position }) : null,
+            hasMore
+        }
+    };
+}
+
+module.exports = {
+    DEFAULT_LIMIT,
+    MAX_LIMIT,
+    parseListQuery,
+    paginate
+};
@@ -0,0 +1,79 @@
+/**
+ * Password Hashing Utility
+ *
+ * Hashes passwords with scrypt and a random per-password salt. Hashes are
+ * stored as "scrypt$<salt>$<hash>" (hex encoded) so the salt travels with
+ * the hash.
+ */
+
+const crypto = require('crypto');
+
+const KEY_LENGTH = 64;
+const SALT_BYTES = 16;
+const MIN_PASSWORD_LENGTH = 8;
+
+/**
+ * Hash a password
+ * @param {string} password - Clear text password
+ * @returns {Promise<string>} Encoded password hash
+ */
+function hashPassword(password) {
+    return new Promise((resolve, reject) => {
+        const salt = crypto.randomBytes(SALT_BYTES).toString('hex');
+        crypto.scrypt(password, salt, KEY_LENGTH, (error, derivedKey) => {
+            if (error) {
+                return reject(error);
+            }
+            resolve(`scrypt$${salt}$${derivedKey.toString('hex')}`);
+        });
+    });
+}
+
+/**
+ * Check a password against a stored hash
+ * @param {string} password - Clear text password
+ * @param {string} storedHash - Encoded password hash from hashPassword()
+ * @returns {Promise<boolean>} True if the password matches
+ */
+function verifyPassword(password, storedHash) {
+    return new Promise((resolve, reject) => {
+        const [scheme, salt, hash] = (storedHash || '').split('$');
+        if (scheme !== 'scrypt' || !salt || !hash) {
+            return resolve(false);
+        }
+
+        crypto.scrypt(password, salt, KEY_LENGTH, (error, derivedKey) => {
+            if (error) {
+                return reject(error);
+            }
+            const expected = Buffer.from(hash, 'hex');
+            resolve(expected.length === derivedKey.length && crypto.timingSafeEqual(expected, derivedKey));
+        });
+    });
+}
+
+/**
+ * Validate password strength
+ * @param {string} password - Clear text password
+ * @returns {Object} Validation result with isValid boolean and errors array
+ */
+function validatePassword(password) {
+    const errors = [];
+
+    if (typeof password !== 'string') {
+        errors.push('Password must be a string');
+    } else if (password.length < MIN_PASSWORD_LENGTH) {
+        errors.push(`Password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+    }
+
+    return {
+        isValid: errors.length === 0,
+        errors
+    };
+}
+
+module.exports = {
+    hashPassword,
+    verifyPassword,
+    validatePassword
+};
@@ -0,0 +1,887 @@
+/**
+ * Rich Text Utility
+ *
+ * Conversions between the formats rich text content ({ format, data }) can
+ * be stored in:
+ *
+ *   html      HTML fragment, sanitized (see ./htmlSanitizer.js)
+ *   markdown  Markdown source, rendered to HTML for display, export and search
+ *   json      Block document (below) as a JSON string
+ *   plain     Plain text
+ *
+ * HTML converts to and from block documents without loss: a document
+ * converted to HTML converts back to the same document, and sanitized HTML
+ * round-trips to itself apart from normalisation (<b> and <i> become <strong>
+ * and <em>, adjacent runs with the same formatting are merged, whitespace
+ * between blocks is dropped, and formatting wrapped around blocks is moved
+ * inside them). Markdown converts to HTML (and from there to a document);
+ * nothing converts back to Markdown.
+ *
+ * Block document format:
+ *
+ *   { "type": "doc", "content": [node, ...] }
+ *
+ *   Block nodes ({ type, attrs?, content? }):
+ *     paragraph <p>, heading <h1>-<h6> (attrs.level), blockquote <blockquote>,
+ *     container <div>, bulletList <ul>, orderedList <ol> (attrs.start),
+ *     listItem <li>, codeBlock <pre>, horizontalRule <hr>
+ *   Inline nodes ({ type, attrs?, marks? }):
+ *     text (text), hardBreak <br>, image <img> (attrs.src, attrs.alt)
+ *   Marks on inline nodes ({ type, attrs? }, outermost first):
+ *     bold <strong>, italic <em>, underline <u>, strike <s>, code <code>,
+ *     subscript <sub>, superscript <sup>, link <a> (attrs.href),
+ *     span <span>
+ *
+ * Any node or mark may carry the element's other allowed attributes in
+ * attrs (e.g. class, style, title, target). Block nodes may contain block
+ * and inline nodes.
+ */
+
+const { sanitizeHtml, decodeEntities, VOID_TAGS } = require('./htmlSanitizer');
+
+const RICH_TEXT_FORMATS = ['html', 'markdown', 'json', 'plain'];
+
+// Block node type for each block element
+const BLOCK_TAGS = {
+    p: 'paragraph',
+    h1: 'heading', h2: 'heading', h3: 'heading', h4: 'heading', h5: 'heading', h6: 'heading',
+    blockquote: 'blockquote',
+    div: 'container',
+    ul: 'bulletList',
+    ol: 'orderedList',
+    li: 'listItem',
+    pre: 'codeBlock',
+    hr: 'horizontalRule'
+};
+
+// Mark type for each inline formatting element (synonyms first wins on output)
+const MARK_TAGS = {
+    strong: 'bold', b: 'bold',
+    em: 'italic', i: 'italic',
+    u: 'underline',
+    s: 'strike',
+    code: 'code',
+    sub: 'subscript',
+    sup: 'superscript',
+    a: 'link',
+    span: 'span'
+};
+
+const INLINE_NODE_TAGS = {
+    br: 'hardBreak',
+    img: 'image'
+};
+
+const NODE_ELEMENTS = {
+    paragraph: 'p', blockquote: 'blockquote', container: 'div', bulletList: 'ul',
+    orderedList: 'ol', listItem: 'li', codeBlock: 'pre', horizontalRule: 'hr',
+    hardBreak: 'br', image: 'img'
+};
+
+const MARK_ELEMENTS = {
+    bold: 'strong', italic: 'em', underline: 'u', strike: 's', code: 'code',
+    subscript: 'sub', superscript: 'sup', link: 'a', span: 'span'
+};
+
+// Containers whose whitespace-only text between blocks is not content
+const LIST_NODE_TYPES = ['bulletList', 'orderedList'];
+
+/**
+ * Create a rich text error with a machine-readable code
+ * @param {string} message - Error message
+ * @param {string} code - Error code
+ * @returns {Error} Error instance
+ */
+function richTextError(message, code) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+}
+
+/**
+ * Escape text for HTML
+ * @param {string} text - Text
+ * @returns {string} Escaped text
+ */
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/\u00a0/g, '&nbsp;');
+}
+
+/**
+ * Parse sanitized HTML into an element tree. Relies on the sanitizer's
+ * output form: balanced tags, lower-case names and double-quoted attributes.
+ * @param {string} html - Sanitized HTML
+ * @returns {Array} Child nodes: { tag, attrs, children } or { text }
+ */
+function parseSanitizedHtml(html) {
+    const root = { tag: null, attrs: {}, children: [] };
+    const stack = [root];
+    const tokenPattern = /<\/([a-z0-9]+)>|<([a-z0-9]+)((?:\s[a-z-]+="[^"]*")*)>|([^<]+)/g;
+    let match;
+
+    while ((match = tokenPattern.exec(html)) !== null) {
+        const parent = stack[stack.length - 1];
+
+        if (match[1]) {
+            if (stack.length > 1) {
+                stack.pop();
+            }
+        } else if (match[2]) {
+            const attrs = {};
+            (match[3] || '').replace(/\s([a-z-]+)="([^"]*)"/g, (attribute, name, value) => {
+                attrs[name] = decodeEntities(value);
+                return attribute;
+            });
+
+            const element = { tag: match[2], attrs, children: [] };
+            parent.children.push(element);
+            if (!VOID_TAGS.includes(match[2])) {
+                stack.push(element);
+            }
+        } else {
+            parent.children.push({ text: decodeEntities(match[4]) });
+        }
+    }
+
+    return root.children;
+}
+
+/**
+ * Copy attributes, leaving out empty objects
+ * @param {Object} attrs - Attributes
+ * @returns {Object|undefined} Attributes or undefined
+ */
+function optionalAttrs(attrs) {
+    return Object.keys(attrs).length > 0 ? { ...attrs } : undefined;
+}
+
+/**
+ * Build a node or mark object without undefined fields
+ * @param {Object} fields - Fields
+ * @returns {Object} Node or mark
+ */
+function compact(fields) {
+    const result = {};
+    Object.keys(fields).forEach(key => {
+        if (fields[key] !== undefined) {
+            result[key] = fields[key];
+        }
+    });
+    return result;
+}
+
+/**
+ * Compare two marks
+ * @param {Object} a - Mark
+ * @param {Object} b - Mark
+ * @returns {boolean} Same type and attributes
+ */
+function sameMark(a, b) {
+    return a.type === b.type && JSON.stringify(a.attrs || {}) === JSON.stringify(b.attrs || {});
+}
+
+/**
+ * Compare two mark lists
+ * @param {Array} a - Marks
+ * @param {Array} b - Marks
+ * @returns {boolean} Same marks in the same order
+ */
+function sameMarks(a = [], b = []) {
+    return a.length === b.length && a.every((mark, index) => sameMark(mark, b[index]));
+}
+
+/**
+ * Check whether an element tree node is a block element
+ * @param {Object} node - Element tree node
+ * @returns {boolean} Block element
+ */
+function isBlockElement(node) {
+    return Boolean(node.tag && BLOCK_TAGS[node.tag]);
+}
+
+/**
+ * Convert element tree nodes to document nodes
+ * @param {Array} children - Element tree nodes
+ * @param {Array} marks - Marks applied by enclosing formatting elements
+ * @param {Object} context - { preserveWhitespace, list } for the enclosing block
+ * @returns {Array} Document nodes
+ */
+function convertElements(children, marks, context) {
+    const nodes = [];
+
+    children.forEach((child, index) => {
+        if (child.text !== undefined) {
+            if (!context.preserveWhitespace && /^\s*$/.test(child.text)) {
+                const previous = children[index - 1];
+                const next = children[index + 1];
+                const betweenBlocks = context.list
+                    || (previous ? isBlockElement(previous) : context.block)
+                    || (next ? isBlockElement(next) : context.block);
+                if (betweenBlocks) {
+                    return;
+                }
+            }
+
+            const last = nodes[nodes.length - 1];
+            if (last && last.type === 'text' && sameMarks(last.marks, marks)) {
+                last.text += child.text;
+            } else {
+                nodes.push(compact({ type: 'text', text: child.text, marks: marks.length ? marks : undefined }));
+            }
+            return;
+        }
+
+        const { tag, attrs } = child;
+
+        if (MARK_TAGS[tag]) {
+            const mark = compact({ type: MARK_TAGS[tag], attrs: optionalAttrs(attrs) });
+            convertElements(child.children, [...marks, mark], context).forEach(node => {
+                const last = nodes[nodes.length - 1];
+                if (node.type === 'text' && last && last.type === 'text' && sameMarks(last.marks, node.marks)) {
+                    last.text += node.text;
+                } else {
+                    nodes.push(node);
+                }
+            });
+            return;
+        }
+
+        if (INLINE_NODE_TAGS[tag]) {
+            nodes.push(compact({
+                type: INLINE_NODE_TAGS[tag],
+                attrs: optionalAttrs(attrs),
+                marks: marks.length ? marks : undefined
+            }));
+            return;
+        }
+
+        const type = BLOCK_TAGS[tag];
+        const nodeAttrs = type === 'heading' ? { level: Number(tag[1]), ...attrs } : attrs;
+        const node = compact({ type, attrs: optionalAttrs(nodeAttrs) });
+
+        if (type !== 'horizontalRule') {
+            node.content = convertElements(child.children, marks, {
+                preserveWhitespace: context.preserveWhitespace || type === 'codeBlock',
+                list: LIST_NODE_TYPES.includes(type),
+                block: ['blockquote', 'container', 'listItem'].includes(type)
+            });
+        }
+
+        nodes.push(node);
+    });
+
+    return nodes;
+}
+
+/**
+ * Convert HTML to a block document. The HTML is sanitized first.
+ * @param {string} html - HTML fragment
+ * @returns {Object} Block document
+ */
+function htmlToBlocks(html) {
+    const { html: sanitized } = sanitizeHtml(html || '');
+    return {
+        type: 'doc',
+        content: convertElements(parseSanitizedHtml(sanitized), [], { block: true })
+    };
+}
+
+/**
+ * Render attributes of a node or mark
+ * @param {Object} attrs - Attributes
+ * @param {Array} skip - Attribute names that are not HTML attributes
+ * @returns {string} Attribute string with a leading space, or ''
+ */
+function renderAttributes(attrs, skip = []) {
+    if (!attrs || typeof attrs !== 'object') {
+        return '';
+    }
+
+    return Object.keys(attrs)
+        .filter(name => !skip.includes(name) && /^[a-z-]+$/i.test(name) && attrs[name] !== null && attrs[name] !== undefined)
+        .map(name => ` ${name.toLowerCase()}="${escapeHtml(attrs[name])}"`)
+        .join('');
+}
+
+/**
+ * Render a list of document nodes, opening and closing marks so that runs
+ * sharing outer marks share their elements
+ * @param {Array} nodes - Document nodes
+ * @returns {string} HTML
+ */
+function renderNodes(nodes) {
+    if (!Array.isArray(nodes)) {
+        return '';
+    }
+
+    let html = '';
+    const openMarks = [];
+
+    const closeMarks = (count) => {
+        while (openMarks.length > count) {
+            const mark = openMarks.pop();
+            html += `</${MARK_ELEMENTS[mark.type] || 'span'}>`;
+        }
+    };
+
+    nodes.forEach(node => {
+        if (!node || typeof node !== 'object') {
+            return;
+        }
+
+        const isInline = node.type === 'text' || node.type === 'hardBreak' || node.type === 'image';
+        const marks = isInline && Array.isArray(node.marks) ? node.marks : [];
+
+        let shared = 0;
+        while (shared < openMarks.length && shared < marks.length && sameMark(openMarks[shared], marks[shared])) {
+            shared++;
+        }
+        closeMarks(shared);
+
+        marks.slice(shared).forEach(mark => {
+            html += `<${MARK_ELEMENTS[mark.type] || 'span'}${renderAttributes(mark.attrs)}>`;
+            openMarks.push(mark);
+        });
+
+        html += renderNode(node);
+    });
+
+    closeMarks(0);
+    return html;
+}
+
+/**
+ * Render one document node without its marks
+ * @param {Object} node - Document node
+ * @returns {string} HTML
+ */
+function renderNode(node) {
+    switch (node.type) {
+        case 'text':
+            return escapeHtml(node.text || '');
+        case 'hardBreak':
+        case 'horizontalRule':
+        case 'image':
+            return `<${NODE_ELEMENTS[node.type]}${renderAttributes(node.attrs)}>`;
+        case 'heading': {
+            const level = Math.min(Math.max(parseInt(node.attrs && node.attrs.level, 10) || 1, 1), 6);
+            return `<h${level}${renderAttributes(node.attrs, ['level'])}>${renderNodes(node.content || node.children)}</h${level}>`;
+        }
+        default: {
+            const tag = NODE_ELEMENTS[node.type];
+            const content = renderNodes(node.content || node.children);
+            // Unknown nodes keep their content (or text) without markup
+            return tag ? `<${tag}${renderAttributes(node.attrs)}>${content}</${tag}>` : content || escapeHtml(node.text || '');
+        }
+    }
+}
+
+/**
+ * Convert a block document to sanitized HTML
+ * @param {Object} doc - Block document ({ type: 'doc', content })
+ * @returns {string} HTML
+ */
+function blocksToHtml(doc) {
+    if (!doc || typeof doc !== 'object') {
+        return '';
+    }
+
+    const nodes = Array.isArray(doc) ? doc : (doc.content || doc.children || []);
+    return sanitizeHtml(renderNodes(nodes)).html;
+}
+
+/**
+ * Validate a block document
+ * @param {*} doc - Parsed document
+ * @returns {Object} Validation result with isValid boolean and errors array
+ */
+function validateBlocks(doc) {
+    const errors = [];
+    const nodeTypes = [...new Set([...Object.values(BLOCK_TAGS), 'text', 'hardBreak', 'image'])];
+    const markTypes = Object.values(MARK_TAGS);
+
+    if (!doc || typeof doc !== 'object' || Array.isArray(doc)) {
+        return { isValid: false, errors: ['Structured JSON content must be an object'] };
+    }
+
+    if (doc.type !== 'doc') {
+        errors.push('Structured JSON must have type "doc"');
+    }
+
+    const checkNodes = (nodes, path) => {
+        if (!Array.isArray(nodes)) {
+            errors.push(`${path} must be an array`);
+            return;
+        }
+
+        nodes.forEach((node, index) => {
+            const nodePath = `${path}[${index}]`;
+            if (!node || typeof node !== 'object' || !nodeTypes.includes(node.type)) {
+                errors.push(`${nodePath} has an unknown node type`);
+                return;
+            }
+
+            if (node.type === 'text' && typeof node.text !== 'string') {
+                errors.push(`${nodePath} text must be a string`);
+            }
+
+            if (node.type === 'heading') {
+                const level = node.attrs && node.attrs.level;
+                if (!Number.isInteger(level) || level < 1 || level > 6) {
+                    errors.push(`${nodePath} heading level must be 1-6`);
+                }
+            }
+
+            if (node.marks !== undefined) {
+                if (!Array.isArray(node.marks) || node.marks.some(mark => !mark || !markTypes.includes(mark.type))) {
+                    errors.push(`${nodePath} has an unknown mark`);
+                }
+            }
+
+            if (node.content !== undefined) {
+                checkNodes(node.content, `${nodePath}.content`);
+            }
+        });
+    };
+
+    if (doc.content === undefined && doc.children === undefined) {
+        errors.push('Structured JSON must have content or children field');
+    } else {
+        checkNodes(doc.content !== undefined ? doc.content : doc.children, 'content');
+    }
+
+    return {
+        isValid: errors.length === 0,
+        errors
+    };
+}
+
+/**
+ * Render inline Markdown (code spans, links, images, emphasis, breaks)
+ * @param {string} text - Inline Markdown
+ * @returns {string} HTML
+ */
+function renderMarkdownInline(text) {
+    const placeholders = [];
+    const hold = (html) => {
+        placeholders.push(html);
+        return `\u0000${placeholders.length - 1}\u0000`;
+    };
+
+    let output = '';
+    let index = 0;
+
+    while (index < text.length) {
+        const char = text[index];
+        const rest = text.slice(index);
+
+        // Backslash escapes and hard breaks
+        if (char === '\\') {
+            if (text[index + 1] === '\n') {
+                output += hold('<br>\n');
+                index += 2;
+                continue;
+            }
+            if (/[!-\/:-@\[-`{-~]/.test(text[index + 1] || '')) {
+                output += hold(escapeHtml(text[index + 1]));
+                index += 2;
+                continue;
+            }
+        }
+
+        // Code spans
+        const code = rest.match(/^(`+)([\s\S]*?[^`])\1(?!`)/);
+        if (code) {
+            output += hold(`<code>${escapeHtml(code[2].replace(/\n/g, ' ').trim())}</code>`);
+            index += code[0].length;
+            continue;
+        }
+
+        // Autolinks
+        const autolink = rest.match(/^<((?:https?|mailto):[^\s<>]+)>/i);
+        if (autolink) {
+            output += hold(`<a href="${escapeHtml(autolink[1])}">${escapeHtml(autolink[1])}</a>`);
+            index += autolink[0].length;
+            continue;
+        }
+
+        // Links and images; a bare target may contain balanced parentheses (two levels deep)
+        const link = rest.match(/^(!?)\[((?:\\.|[^\]\\])*)\]\(\s*(?:<([^<>\n]*)>|((?:[^\s()<>]|\((?:[^\s()<>]|\([^\s()<>]*\))*\))*))(?:\s+"([^"]*)")?\s*\)/);
+        if (link) {
+            const url = link[3] !== undefined ? link[3] : link[4];
+            const title = link[5] !== undefined ? ` title="${escapeHtml(link[5])}"` : '';
+            output += link[1]
+                ? hold(`<img src="${escapeHtml(url)}" alt="${escapeHtml(link[2])}"${title}>`)
+                : hold(`<a href="${escapeHtml(url)}"${title}>${renderMarkdownInline(link[2])}</a>`);
+            index += link[0].length;
+            continue;
+        }
+
+        // Hard breaks (two or more trailing spaces)
+        const hardBreak = rest.match(/^ {2,}\n/);
+        if (hardBreak) {
+            output += hold('<br>\n');
+            index += hardBreak[0].length;
+            continue;
+        }
+
+        // Raw HTML is shown as text
+        output += escapeHtml(char);
+        index++;
+    }
+
+    output = output
+        .replace(/\*\*(?=\S)([\s\S]*?\S)\*\*/g, '<strong>$1</strong>')
+        .replace(/(^|[^\w])__(?=\S)([\s\S]*?\S)__(?!\w)/g, '$1<strong>$2</strong>')
+        .replace(/~~(?=\S)([\s\S]*?\S)~~/g, '<s>$1</s>')
+        .replace(/\*(?=[^\s*])([\s\S]*?[^\s*])\*/g, '<em>$1</em>')
+        .replace(/\*(?=[^\s*])([^*]*)\*/g, '<em>$1</em>')
+        .replace(/(^|[^\w])_(?=\S)([\s\S]*?\S)_(?!\w)/g, '$1<em>$2</em>');
+
+    return output.replace(/\u0000(\d+)\u0000/g, (match, position) => placeholders[Number(position)]);
+}
+
+/**
+ * Parse Markdown lines into block tokens
+ * @param {Array} lines - Lines of Markdown
+ * @returns {Array} Tokens ({ type, ... })
+ */
+function parseMarkdownBlocks(lines) {
+    const blocks = [];
+    let paragraph = [];
+    let index = 0;
+
+    const listItemPattern = /^( {0,3})([-*+]|\d{1,9}[.)])( +|$)(.*)$/;
+    const startsBlock = (line) => /^ {0,3}(#{1,6}(\s|$)|>|```|~~~)/.test(line)
+        || /^ {0,3}([-*_])( *\1){2,} *$/.test(line)
+        || listItemPattern.test(line);
+
+    const flushParagraph = () => {
+        if (paragraph.length > 0) {
+            blocks.push({ type: 'paragraph', text: paragraph.join('\n') });
+            paragraph = [];
+        }
+    };
+
+    while (index < lines.length) {
+        const line = lines[index];
+
+        if (/^\s*$/.test(line)) {
+            flushParagraph();
+            index++;
+            continue;
+        }
+
+        // Setext headings underline the paragraph before them
+        if (paragraph.length > 0 && /^ {0,3}(=+|-+) *$/.test(line)) {
+            blocks.push({ type: 'heading', level: line.trim()[0] === '=' ? 1 : 2, text: paragraph.join('\n') });
+            paragraph = [];
+            index++;
+            continue;
+        }
+
+        if (paragraph.length > 0 && !startsBlock(line)) {
+            paragraph.push(line);
+            index++;
+            continue;
+        }
+
+        const fence = line.match(/^ {0,3}(`{3,}|~{3,})\s*([\w+-]*)[^`]*$/);
+        if (fence) {
+            flushParagraph();
+            const code = [];
+            index++;
+            while (index < lines.length && !new RegExp(`^ {0,3}${fence[1][0]}{${fence[1].length},}\\s*$`).test(lines[index])) {
+                code.push(lines[index]);
+                index++;
+            }
+            index++;
+            blocks.push({ type: 'code', language: fence[2], text: code.join('\n') });
+            continue;
+        }
+
+        const heading = line.match(/^ {0,3}(#{1,6})(?:\s+(.*?))?(?:\s+#+)?\s*$/);
+        if (heading) {
+            flushParagraph();
+            blocks.push({ type: 'heading', level: heading[1].length, text: heading[2] || '' });
+            index++;
+            continue;
+        }
+
+        if (/^ {0,3}([-*_])( *\1){2,} *$/.test(line)) {
+            flushParagraph();
+            blocks.push({ type: 'rule' });
+            index++;
+            continue;
+        }
+
+        if (/^ {0,3}>/.test(line)) {
+            flushParagraph();
+            const quoted = [];
+            while (index < lines.length && /^ {0,3}>/.test(lines[index])) {
+                quoted.push(lines[index].replace(/^ {0,3}> ?/, ''));
+                index++;
+            }
+            blocks.push({ type: 'quote', blocks: parseMarkdownBlocks(quoted) });
+            continue;
+        }
+
+        const item = line.match(listItemPattern);
+        if (item) {
+            flushParagraph();
+            const ordered = /\d/.test(item[2]);
+            const list = { type: 'list', ordered, start: ordered ? parseInt(item[2], 10) : null, items: [], loose: false };
+
+            while (index < lines.length) {
+                const current = lines[index].match(listItemPattern);
+                if (!current || /\d/.test(current[2]) !== ordered) {
+                    break;
+                }
+
+                const indent = current[1].length + current[2].length + Math.max(current[3].length, 1);
+                const itemLines = [current[4]];
+                index++;
+
+                // Continuation lines are indented to the item's content
+                while (index < lines.length) {
+                    const next = lines[index];
+                    if (/^\s*$/.test(next)) {
+                        const following = lines[index + 1];
+                        if (following !== undefined && following.match(/^ */)[0].length >= indent) {
+                            itemLines.push('');
+                            list.loose = true;
+                            index++;
+                            continue;
+                        }
+                        break;
+                    }
+                    if (next.match(/^ */)[0].length >= indent) {
+                        itemLines.push(next.slice(indent));
+                    } else if (!startsBlock(next) && !/^\s*$/.test(itemLines[itemLines.length - 1])) {
+                        itemLines.push(next.trim());
+                    } else {
+                        break;
+                    }
+                    index++;
+                }
+
+                list.items.push(parseMarkdownBlocks(itemLines));
+
+                // A blank line between items makes the list loose
+                if (index < lines.length && /^\s*$/.test(lines[index])) {
+                    const following = lines[index + 1];
+                    const nextItem = following !== undefined && following.match(listItemPattern);
+                    if (nextItem && /\d/.test(nextItem[2]) === ordered) {
+                        list.loose = true;
+                        index++;
+                    }
+                }
+            }
+
+            blocks.push(list);
+            continue;
+        }
+
+        paragraph.push(line);
+        index++;
+    }
+
+    flushParagraph();
+    return blocks;
+}
+
+/**
+ * Render Markdown block tokens as HTML
+ * @param {Array} blocks - Block tokens
+ * @param {boolean} tight - Render paragraphs without <p> (items of tight lists)
+ * @returns {string} HTML
+ */
+function renderMarkdownBlocks(blocks, tight = false) {
+    return blocks.map(block => {
+        switch (block.type) {
+            case 'heading':
+                return `<h${block.level}>${renderMarkdownInline(block.text.trim())}</h${block.level}>`;
+            case 'code': {
+                const language = block.language ? ` class="language-${escapeHtml(block.language)}"` : '';
+                return `<pre><code${language}>${escapeHtml(block.text)}</code></pre>`;
+            }
+            case 'rule':
+                return '<hr>';
+            case 'quote':
+                return `<blockquote>${renderMarkdownBlocks(block.blocks)}</blockquote>`;
+            case 'list': {
+                const tag = block.ordered ? 'ol' : 'ul';
+                const start = block.ordered && block.start !== 1 ? ` start="${block.start}"` : '';
+                const items = block.items.map(item => `<li>${renderMarkdownBlocks(item, !block.loose)}</li>`).join('');
+                return `<${tag}${start}>${items}</${tag}>`;
+            }
+            default: {
+                const text = renderMarkdownInline(block.text.replace(/^[ \t]+/gm, '').replace(/[ \t]+$/, ''));
+                return tight ? text : `<p>${text}</p>`;
+            }
+        }
+    }).join('');
+}
+
+/**
+ * Convert Markdown to sanitized HTML. Supports headings (ATX and setext),
+ * paragraphs, emphasis, strong, strikethrough, inline code, fenced code
+ * blocks, links, images, autolinks, block quotes, nested ordered and
+ * unordered lists, horizontal rules and hard line breaks. Raw HTML in the
+ * Markdown is shown as text.
+ * @param {string} markdown - Markdown source
+ * @returns {string} HTML
+ */
+function markdownToHtml(markdown) {
+    if (typeof markdown !== 'string' || markdown === '') {
+        return '';
+    }
+
+    const lines = markdown.replace(/\r\n?/g, '\n').replace(/\t/g, '    ').split('\n');
+    return sanitizeHtml(renderMarkdownBlocks(parseMarkdownBlocks(lines))).html;
+}
+
+/**
+ * Convert HTML to plain text, with line breaks between blocks
+ * @param {string} html - HTML fragment
+ * @returns {string} Plain text
+ */
+function htmlToPlainText(html) {
+    const text = String(html || '')
+        .replace(/<br\s*\/?>\n?/gi, '\n')
+        .replace(/<\/(p|h[1-6]|blockquote|pre|div|ul|ol)>/gi, '\n\n')
+        .replace(/<li\b[^>]*>/gi, '\n')
+        .replace(/<[^>]*>/g, '');
+
+    return decodeEntities(text)
+        .replace(/\u00a0/g, ' ')
+        .replace(/\n{3,}/g, '\n\n')
+        .trim();
+}
+
+/**
+ * Parse the data of json content
+ * @param {string|Object} data - JSON string (or already parsed document)
+ * @returns {Object} Block document
+ */
+function parseBlocks(data) {
+    if (data && typeof data === 'object') {
+        return data;
+    }
+
+    try {
+        return JSON.parse(data);
+    } catch (error) {
+        throw richTextError('Invalid JSON format', 'INVALID_RICH_TEXT');
+    }
+}
+
+/**
+ * Render rich text content as sanitized HTML, whatever its format
+ * @param {Object|string} content - Rich text content ({ format, data }); a string is plain text
+ * @returns {string} HTML
+ */
+function toHtml(content) {
+    if (content === undefined || content === null || content === '') {
+        return '';
+    }
+
+    if (typeof content === 'string') {
+        return `<p>${escapeHtml(content)}</p>`;
+    }
+
+    const data = content.data;
+    if (data === undefined || data === null || data === '') {
+        return '';
+    }
+
+    switch (content.format || 'html') {
+        case 'html':
+            return sanitizeHtml(String(data)).html;
+        case 'markdown':
+            return markdownToHtml(String(data));
+        case 'json':
+            try {
+                return blocksToHtml(parseBlocks(data));
+            } catch (error) {
+                return `<p>${escapeHtml(String(data))}</p>`;
+            }
+        default:
+            return String(data).split(/\n{2,}/)
+                .map(paragraph => `<p>${escapeHtml(paragraph).replace(/\n/g, '<br>')}</p>`)
+                .join('');
+    }
+}
+
+/**
+ * Get rich text content as plain text, whatever its format
+ * @param {Object|string} content - Rich text content ({ format, data }); a string is plain text
+ * @returns {string} Plain text
+ */
+function toPlainText(content) {
+    if (typeof content === 'string') {
+        return content;
+    }
+
+    if (content && content.format === 'plain') {
+        return String(content.data || '');
+    }
+
+    return htmlToPlainText(toHtml(content));
+}
+
+/**
+ * Convert rich text content to another format. Conversions to Markdown are
+ * not supported.
+ * @param {Object|string} content - Rich text content ({ format, data }); a string is plain text
+ * @param {string} format - Target format: html, json or plain
+ * @returns {Object} Converted content ({ ...content, format, data })
+ */
+function convertRichText(content, format) {
+    if (!RICH_TEXT_FORMATS.includes(format) || format === 'markdown') {
+        throw richTextError(`Cannot convert rich text to ${format}`, 'UNSUPPORTED_CONVERSION');
+    }
+
+    const source = typeof content === 'string' ? { format: 'plain', data: content } : (content || {});
+    if (!RICH_TEXT_FORMATS.includes(source.format || 'html')) {
+        throw richTextError(`Unknown rich text format: ${source.format}`, 'INVALID_RICH_TEXT');
+    }
+
+    if (source.format === 'json') {
+        const validation = validateBlocks(parseBlocks(source.data));
+        if (!validation.isValid) {
+            throw richTextError(`Invalid structured JSON: ${validation.errors.join(', ')}`, 'INVALID_RICH_TEXT');
+        }
+    }
+
+    let data;
+    switch (format) {
+        case 'html':
+            data = toHtml(source);
+            break;
+        case 'json':
+            data = JSON.stringify(source.format === 'json' ? parseBlocks(source.data) : htmlToBlocks(toHtml(source)));
+            break;
+        default:
+            data = toPlainText(source);
+    }
+
+    return { ...source, format, data };
+}
+
+module.exports = {
+    RICH_TEXT_FORMATS,
+    markdownToHtml,
+    htmlToBlocks,
+    blocksToHtml,
+    validateBlocks,
+    htmlToPlainText,
+    toHtml,
+    toPlainText,
+    convertRichText
+};
@@ -0,0 +1,112 @@
+/**
+ * Template Upgrade Utility
+ *
+ * Brings a page created from one revision of a template up to a later
+ * revision without losing the user's content. Template components are
+ * matched to page components through the page component's
+ * templateComponentId (see Page.initializeFromTemplate):
+ *
+ *   - components new in the later revision are added to the page, after the
+ *     page component that comes from the template component before them
+ *   - components whose defaults changed are updated only if the page still
+ *     has the old defaults; edited components are kept as they are
+ *   - everything else on the page, including components the template no
+ *     longer has, is kept
+ */
+
+const Page = require('../models/Page');
+
+/**
+ * Serialize a value with sorted object keys, so equal data compares equal
+ * regardless of key order
+ * @param {*} value - Value to serialize
+ * @returns {string} Stable JSON string
+ */
+function stableStringify(value) {
+    if (Array.isArray(value)) {
+        return `[${value.map(stableStringify).join(',')}]`;
+    }
+
+    if (value && typeof value === 'object') {
+        return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+    }
+
+    return JSON.stringify(value);
+}
+
+/**
+ * Get the default data of a template component
+ * @param {Object} templateComponent - Template component
+ * @returns {Object} Default data
+ */
+function getTemplateDefaults(templateComponent) {
+    return templateComponent.defaultValues || templateComponent.data || {};
+}
+
+/**
+ * Upgrade page components from one template revision to another
+ * @param {Array} components - Current page components (not modified)
+ * @param {Object} fromRevision - Template revision the page is pinned to
+ * @param {Object} toRevision - Template revision to upgrade to
+ * @returns {Object} { components, added, updated, kept } where added and
+ *   updated list { componentId, templateComponentId } and kept lists the IDs
+ *   of template-derived components left unchanged because they were edited
+ */
+function upgradePageComponents(components, fromRevision, toRevision) {
+    const page = new Page({ components: JSON.parse(JSON.stringify(components || [])) });
+    const ordered = page.getOrderedComponents();
+    const previousById = new Map(fromRevision.components.map(component => [component.id, component]));
+
+    const findPageComponent = (templateComponentId) =>
+        ordered.find(component => component.templateComponentId === templateComponentId);
+
+    const added = [];
+    const updated = [];
+    const kept = [];
+
+    toRevision.components.forEach((templateComponent, index) => {
+        const previous = previousById.get(templateComponent.id);
+
+        if (!previous) {
+            const newComponent = page.createComponentFromTemplate(templateComponent, 0);
+
+            // Insert after the nearest earlier template component that is on the page
+            let position = 0;
+            for (let i = index - 1; i >= 0; i--) {
+                const anchor = findPageComponent(toRevision.components[i].id);
+                if (anchor) {
+                    position = ordered.indexOf(anchor) + 1;
+                    break;
+                }
+            }
+
+            ordered.splice(position, 0, newComponent);
+            added.push({ componentId: newComponent.id, templateComponentId: templateComponent.id });
+            return;
+        }
+
+        const pageComponent = findPageComponent(templateComponent.id);
+        const oldDefaults = stableStringify(getTemplateDefaults(previous));
+        if (!pageComponent || oldDefaults === stableStringify(getTemplateDefaults(templateComponent))) {
+            return;
+        }
+
+        if (stableStringify(pageComponent.data) === oldDefaults) {
+            pageComponent.data = JSON.parse(JSON.stringify(getTemplateDefaults(templateComponent)));
+            updated.push({ componentId: pageComponent.id, templateComponentId: templateComponent.id });
+        } else {
+            kept.push(pageComponent.id);
+        }
+    });
+
+    return {
+        components: ordered.map((component, index) => ({ ...component, order: index + 1 })),
+        added,
+        updated,
+        kept
+    };
+}
+
+module.exports = {
+    upgradePageComponents
+};
@@ -0,0 +1,189 @@
+/**
+ * User Search Utility
+ *
+ * Scores user profiles against a search query for the user directory. A
+ * query is split into terms, and every term has to match the name, email or
+ * team of a user. Two modes are supported:
+ *
+ *   prefix - a term matches the start of the full name, a name word, the email
+ *            address or a team word ("jo" finds John Doe and jo.smith@...)
+ *   fuzzy  - prefix matches, plus terms found inside a word and terms within
+ *            a small edit distance of a word ("jhon" finds John Doe)
+ *
+ * Each matching user gets a relevance from 1 to 100 (higher is better),
+ * averaged over the query terms. Exact and prefix matches always rank above
+ * substring and misspelled matches.
+ */
+
+const SEARCH_MODES = ['prefix', 'fuzzy'];
+
+// Relevance of the kinds of match, best first
+const SCORES = {
+    exactName: 100,
+    namePrefix: 90,
+    nameWordPrefix: 80,
+    emailPrefix: 70,
+    teamPrefix: 60,
+    substring: 40,
+    typo: 30
+};
+
+/**
+ * Lowercase text and strip accents, so "José" matches "jose"
+ * @param {string} text - Text to normalize
+ * @returns {string} Normalized text
+ */
+function normalize(text) {
+    return typeof text === 'string'
+        ? text.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase().trim()
+        : '';
+}
+
+/**
+ * Split text into words on whitespace and punctuation
+ * @param {string} text - Normalized text
+ * @returns {Array<string>} Words
+ */
+function words(text) {
+    return text.split(/[\s.@_\-+]+/).filter(Boolean);
+}
+
+/**
+ * Edit distance between two strings, counting a swap of neighbouring
+ * characters as one edit, giving up above a maximum
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @param {number} max - Largest distance of interest
+ * @returns {number} Distance, or max + 1 when it is larger than max
+ */
+function editDistance(a, b, max) {
+    if (Math.abs(a.length - b.length) > max) {
+        return max + 1;
+    }
+
+    let beforePrevious = null;
+    let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+    let previousMin = 0;
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        let rowMin = i;
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+            if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                current[j] = Math.min(current[j], beforePrevious[j - 2] + 1);
+            }
+            rowMin = Math.min(rowMin, current[j]);
+        }
+        // Later rows build on this one and, through swaps, the one before it
+        if (rowMin > max && previousMin > max) {
+            return max + 1;
+        }
+        beforePrevious = previous;
+        previous = current;
+        previousMin = rowMin;
+    }
+    return previous[b.length];
+}
+
+/**
+ * Number of typos tolerated for a term of the given length
+ * @param {number} length - Term length
+ * @returns {number} Allowed edit distance
+ */
+function allowedTypos(length) {
+    if (length >= 8) return 2;
+    if (length >= 4) return 1;
+    return 0;
+}
+
+/**
+ * Score one query term against a user
+ * @param {string} term - Normalized query term
+ * @param {Object} fields - Normalized { name, nameWords, email, emailWords, teamWords }
+ * @param {string} mode - Search mode
+ * @returns {number} Relevance, 0 when the term does not match
+ */
+function scoreTerm(term, fields, mode) {
+    if (fields.nameWords.some(word => word.startsWith(term))) {
+        return fields.nameWords[0].startsWith(term) ? SCORES.namePrefix : SCORES.nameWordPrefix;
+    }
+    if (fields.email.startsWith(term) || fields.emailWords.some(word => word.startsWith(term))) {
+        return SCORES.emailPrefix;
+    }
+    if (fields.teamWords.some(word => word.startsWith(term))) {
+        return SCORES.teamPrefix;
+    }
+
+    if (mode !== 'fuzzy') {
+        return 0;
+    }
+
+    if (fields.name.includes(term) || fields.email.includes(term)) {
+        return SCORES.substring;
+    }
+
+    const maxTypos = allowedTypos(term.length);
+    if (maxTypos > 0) {
+        let best = maxTypos + 1;
+        [...fields.nameWords, ...fields.emailWords, ...fields.teamWords].forEach(word => {
+            // Compare against the start of longer words, so partial terms can be misspelled too
+            best = Math.min(best, editDistance(term, word.slice(0, term.length), maxTypos), editDistance(term, word, maxTypos));
+        });
+        if (best <= maxTypos) {
+            return SCORES.typo - (best - 1) * 10;
+        }
+    }
+
+    return 0;
+}
+
+/**
+ * Score a user profile against a query
+ * @param {Object} user - User profile ({ name, email, team })
+ * @param {string} query - Search query
+ * @param {string} mode - 'prefix' or 'fuzzy'
+ * @returns {number} Relevance from 1 to 100, or 0 when the user does not match
+ */
+function scoreUser(user, query, mode = 'fuzzy') {
+    const normalizedQuery = normalize(query);
+    const terms = words(normalizedQuery);
+    if (terms.length === 0) {
+        return 0;
+    }
+
+    const name = normalize(user.name);
+    const email = normalize(user.email);
+    if (name === normalizedQuery || email === normalizedQuery) {
+        return SCORES.exactName;
+    }
+
+    const fields = {
+        name,
+        nameWords: words(name),
+        email,
+        emailWords: words(email.split('@')[0]),
+        teamWords: words(normalize(user.team))
+    };
+
+    let total = 0;
+    for (const term of terms) {
+        const score = scoreTerm(term, fields, mode);
+        if (score === 0) {
+            return 0;
+        }
+        total += score;
+    }
+
+    // A query matching the start of the full name ("john d") ranks like a name prefix
+    if (terms.length > 1 && name.startsWith(normalizedQuery)) {
+        return SCORES.namePrefix;
+    }
+
+    return Math.round(total / terms.length);
+}
+
+module.exports = {
+    SEARCH_MODES,
+    scoreUser
+};
@@ -0,0 +1,186 @@
+/**
+ * Version Restore Utility
+ *
+ * Merges selected parts of a page version into the page's current components
+ * (selective restore), as opposed to reverting the whole page.
+ *
+ * A selection names whole components by ID, and accordion items or links by
+ * their parent component ID and item ID:
+ *   { componentIds: ['card-1'], items: [{ componentId: 'accordion-1', itemId: 'item-2' }] }
+ *
+ * A restored component or item replaces the current one with the same ID and
+ * keeps its current position. One that has since been removed is put back
+ * after the nearest entry that preceded it in the version and is still
+ * present. Items can only be restored into a parent component that is still
+ * on the page; restore the whole component otherwise.
+ */
+
+// Component types whose data holds a list of individually restorable items
+const ITEM_COLLECTIONS = {
+    AccordionComponent: 'items',
+    LinkGroupComponent: 'links'
+};
+
+/**
+ * Create a restore error
+ * @param {string} message - Error message
+ * @param {string} code - Error code
+ * @returns {Error} Error with the given code
+ */
+function restoreError(message, code) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+}
+
+/**
+ * Validate a restore selection and apply defaults
+ * @param {Object} selection - Restore selection
+ * @param {Array<string>} selection.componentIds - IDs of components to restore
+ * @param {Array<Object>} selection.items - { componentId, itemId } of items to restore
+ * @returns {Object} Normalized selection without duplicates
+ */
+function normalizeRestoreSelection(selection = {}) {
+    const { componentIds = [], items = [] } = selection;
+
+    if (!Array.isArray(componentIds) || componentIds.some(id => typeof id !== 'string' || !id)) {
+        throw restoreError('componentIds must be an array of component IDs', 'INVALID_RESTORE_SELECTION');
+    }
+
+    if (!Array.isArray(items) || items.some(item => !item || typeof item !== 'object'
+        || typeof item.componentId !== 'string' || !item.componentId
+        || typeof item.itemId !== 'string' || !item.itemId)) {
+        throw restoreError('items must be an array of { componentId, itemId } objects', 'INVALID_RESTORE_SELECTION');
+    }
+
+    if (componentIds.length === 0 && items.length === 0) {
+        throw restoreError('Select at least one component or item to restore', 'INVALID_RESTORE_SELECTION');
+    }
+
+    const uniqueItems = new Map();
+    items.forEach(({ componentId, itemId }) => {
+        uniqueItems.set(`${componentId}/${itemId}`, { componentId, itemId });
+    });
+
+    return {
+        componentIds: [...new Set(componentIds)],
+        items: [...uniqueItems.values()]
+    };
+}
+
+/**
+ * Copy a list sorted by its order field
+ * @param {Array<Object>} list - Components or items
+ * @returns {Array<Object>} Sorted copy
+ */
+function sortByOrder(list) {
+    return [...list].sort((a, b) => (a.order || 0) - (b.order || 0));
+}
+
+/**
+ * Number the order fields of a list consecutively
+ * @param {Array<Object>} list - Components or items in their new order
+ * @param {number} start - Order of the first entry
+ * @returns {Array<Object>} The list with updated order fields
+ */
+function renumber(list, start) {
+    return list.map((entry, index) => ({ ...entry, order: start + index }));
+}
+
+/**
+ * Put an entry from the version into a current list, replacing the entry with
+ * the same ID or inserting it after its nearest surviving predecessor
+ * @param {Array<Object>} current - Current entries, sorted by order
+ * @param {Array<Object>} source - Version entries, sorted by order
+ * @param {Object} entry - Version entry to restore
+ * @returns {Object} { list, action } where action is 'replaced' or 'reinserted'
+ */
+function restoreEntry(current, source, entry) {
+    const currentIndex = current.findIndex(existing => existing.id === entry.id);
+    if (currentIndex !== -1) {
+        const list = [...current];
+        list[currentIndex] = { ...entry, order: current[currentIndex].order };
+        return { list, action: 'replaced' };
+    }
+
+    let insertAt = 0;
+    for (let i = source.findIndex(existing => existing.id === entry.id) - 1; i >= 0; i--) {
+        const predecessorIndex = current.findIndex(existing => existing.id === source[i].id);
+        if (predecessorIndex !== -1) {
+            insertAt = predecessorIndex + 1;
+            break;
+        }
+    }
+
+    // Keep the list's numbering base (components and items start at 0 or 1)
+    const start = current.length > 0 ? (current[0].order || 0) : (entry.order || 0);
+    const list = [...current];
+    list.splice(insertAt, 0, { ...entry });
+    return { list: renumber(list, start), action: 'reinserted' };
+}
+
+/**
+ * Merge selected components and items of a version into the current components
+ * @param {Array<Object>} currentComponents - Current page components
+ * @param {Array<Object>} versionComponents - Components of the version to restore from
+ * @param {Object} selection - Restore selection (see normalizeRestoreSelection)
+ * @returns {Object} { components, restored } where restored lists what was put back
+ */
+function restoreFromVersion(currentComponents, versionComponents, selection) {
+    const { componentIds, items } = normalizeRestoreSelection(selection);
+    const source = sortByOrder(JSON.parse(JSON.stringify(versionComponents || [])));
+    let components = sortByOrder(JSON.parse(JSON.stringify(currentComponents || [])));
+    const restored = [];
+
+    componentIds.forEach(componentId => {
+        const component = source.find(entry => entry.id === componentId);
+        if (!component) {
+            throw restoreError(`Component '${componentId}' not found in this version`, 'COMPONENT_NOT_FOUND');
+        }
+
+        const result = restoreEntry(components, source, component);
+        components = result.list;
+        restored.push({ componentId, type: component.type, action: result.action });
+    });
+
+    items.forEach(({ componentId, itemId }) => {
+        const sourceComponent = source.find(entry => entry.id === componentId);
+        const field = sourceComponent && ITEM_COLLECTIONS[sourceComponent.type];
+        const sourceItems = field && Array.isArray(sourceComponent.data[field])
+            ? sortByOrder(sourceComponent.data[field])
+            : [];
+        const item = sourceItems.find(entry => entry.id === itemId);
+        if (!item) {
+            throw restoreError(`Item '${itemId}' of component '${componentId}' not found in this version`, 'ITEM_NOT_FOUND');
+        }
+
+        // Whole components restored above already include their items
+        if (componentIds.includes(componentId)) {
+            return;
+        }
+
+        const componentIndex = components.findIndex(entry => entry.id === componentId);
+        if (componentIndex === -1 || components[componentIndex].type !== sourceComponent.type) {
+            throw restoreError(
+                `Component '${componentId}' is no longer on the page; restore the whole component instead`,
+                'COMPONENT_NOT_ON_PAGE'
+            );
+        }
+
+        const parent = components[componentIndex];
+        const currentItems = Array.isArray(parent.data[field]) ? sortByOrder(parent.data[field]) : [];
+        const result = restoreEntry(currentItems, sourceItems, item);
+
+        components = [...components];
+        components[componentIndex] = { ...parent, data: { ...parent.data, [field]: result.list } };
+        restored.push({ componentId, itemId, type: sourceComponent.type, action: result.action });
+    });
+
+    return { components, restored };
+}
+
+module.exports = {
+    restoreFromVersion,
+    normalizeRestoreSelection,
+    ITEM_COLLECTIONS
+};
@@ -0,0 +1,119 @@
+/**
+ * Version Retention Utility
+ *
+ * Decides which page versions a retention policy allows to be pruned.
+ *
+ * A policy combines up to three rules:
+ *   keepLast   - always keep the N most recent versions
+ *   maxAgeDays - only versions older than this many days may be pruned
+ *   keepNamed  - never prune versions that have a version name (default: true);
+ *                automatic checkpoints are not protected by their generated names
+ *
+ * A version is pruned when every rule that is set allows it, so
+ * { keepLast: 10, maxAgeDays: 30 } removes versions that are both outside the
+ * last 10 and older than 30 days.
+ */
+
+const DAY_IN_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Create a retention policy error
+ * @param {string} message - Error message
+ * @returns {Error} Error with code INVALID_RETENTION_POLICY
+ */
+function retentionPolicyError(message) {
+    const error = new Error(message);
+    error.code = 'INVALID_RETENTION_POLICY';
+    return error;
+}
+
+/**
+ * Validate a retention policy and apply defaults
+ * @param {Object} policy - Retention policy
+ * @param {number} policy.keepLast - Number of most recent versions to keep
+ * @param {number} policy.maxAgeDays - Minimum age in days before a version may be pruned
+ * @param {boolean} policy.keepNamed - Keep versions that have a version name
+ * @returns {Object} Normalized policy
+ */
+function normalizeRetentionPolicy(policy = {}) {
+    const { keepLast, maxAgeDays, keepNamed = true } = policy;
+
+    if (keepLast !== undefined && keepLast !== null && (!Number.isInteger(keepLast) || keepLast < 1)) {
+        throw retentionPolicyError('keepLast must be a positive integer');
+    }
+
+    if (maxAgeDays !== undefined && maxAgeDays !== null && (typeof maxAgeDays !== 'number' || !(maxAgeDays >= 0))) {
+        throw retentionPolicyError('maxAgeDays must be a non-negative number');
+    }
+
+    if (typeof keepNamed !== 'boolean') {
+        throw retentionPolicyError('keepNamed must be a boolean');
+    }
+
+    const normalized = {
+        keepLast: keepLast ?? null,
+        maxAgeDays: maxAgeDays ?? null,
+        keepNamed
+    };
+
+    if (normalized.keepLast === null && normalized.maxAgeDays === null) {
+        throw retentionPolicyError('A retention policy needs keepLast, maxAgeDays or both');
+    }
+
+    return normalized;
+}
+
+/**
+ * Select the versions a retention policy allows to be pruned
+ * @param {Array} versions - Page versions (any order)
+ * @param {Object} policy - Retention policy (see normalizeRetentionPolicy)
+ * @param {Date} now - Reference time for age checks
+ * @returns {Array} Versions to prune, newest first
+ */
+function selectVersionsToPrune(versions, policy, now = new Date()) {
+    const { keepLast, maxAgeDays, keepNamed } = normalizeRetentionPolicy(policy);
+    const cutoff = maxAgeDays !== null ? now.getTime() - maxAgeDays * DAY_IN_MS : null;
+
+    return [...versions]
+        .sort((a, b) => b.versionNumber - a.versionNumber)
+        .filter((version, index) => {
+            if (keepLast !== null && index < keepLast) {
+                return false;
+            }
+            if (keepNamed && version.versionName && !version.auto) {
+                return false;
+            }
+            if (cutoff !== null && new Date(version.timestamp).getTime() > cutoff) {
+                return false;
+            }
+            return true;
+        });
+}
+
+/**
+ * Read the default retention policy from the environment
+ *
+ * VERSION_RETENTION_KEEP_LAST, VERSION_RETENTION_MAX_AGE_DAYS and
+ * VERSION_RETENTION_KEEP_NAMED ('false' to allow pruning named versions).
+ *
+ * @returns {Object|null} Normalized policy, or null when no retention is configured
+ */
+function getDefaultRetentionPolicy() {
+    const { VERSION_RETENTION_KEEP_LAST, VERSION_RETENTION_MAX_AGE_DAYS, VERSION_RETENTION_KEEP_NAMED } = process.env;
+
+    if (!VERSION_RETENTION_KEEP_LAST && !VERSION_RETENTION_MAX_AGE_DAYS) {
+        return null;
+    }
+
+    return normalizeRetentionPolicy({
+        keepLast: VERSION_RETENTION_KEEP_LAST ? Number(VERSION_RETENTION_KEEP_LAST) : undefined,
+        maxAgeDays: VERSION_RETENTION_MAX_AGE_DAYS ? Number(VERSION_RETENTION_MAX_AGE_DAYS) : undefined,
+        keepNamed: VERSION_RETENTION_KEEP_NAMED !== 'false'
+    });
+}
+
+module.exports = {
+    normalizeRetentionPolicy,
+    selectVersionsToPrune,
+    getDefaultRetentionPolicy
+};
@@ -0,0 +1,112 @@
+// uuid only ships ES modules, which jest cannot require; node's own v4 generator is equivalent
+jest.mock('uuid', () => ({ v4: () => require('crypto').randomUUID() }));
+
+process.env.AUTH_SEED_USERS = 'true';
+process.env.AUTH_TOKEN_SECRET = 'page-share-route-tests';
+
+const express = require('express');
+const pageShareRoutes = require('../../src/api/pageShares');
+const PageShareService = require('../../src/services/pageShareService');
+const authService = require('../../src/services/authService');
+const groupService = require('../../src/services/groupService');
+
+// Sample page owned by John and shared with Jane (edit) and Bob (view), see src/services/pageShareService.js
+const PAGE_ID = '750e8400-e29b-41d4-a716-446655440001';
+const ALICE_ID = '550e8400-e29b-41d4-a716-446655440013';
+const EMAILS = {
+    john: 'john.doe@example.com',
+    jane: 'jane.smith@example.com',
+    bob: 'bob.johnson@example.com',
+    alice: 'alice.brown@example.com'
+};
+
+describe('page share routes', () => {
+    let server;
+    let baseUrl;
+    let pageShareService;
+    const tokens = {};
+
+    function request(user, method, path, body) {
+        return fetch(`${baseUrl}/api/pages/${PAGE_ID}${path}`, {
+            method,
+            headers: { Authorization: `Bearer ${tokens[user]}`, 'Content-Type': 'application/json' },
+            body: body ? JSON.stringify(body) : undefined
+        });
+    }
+
+    beforeAll(async () => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        // The routes log the errors behind the 403 responses these tests expect
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+
+        pageShareService = new PageShareService();
+        const app = express();
+        app.use(express.json());
+        app.locals.pageShareService = pageShareService;
+        app.use('/api/pages', pageShareRoutes);
+
+        await new Promise(resolve => {
+            server = app.listen(0, resolve);
+        });
+        baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+        for (const [user, email] of Object.entries(EMAILS)) {
+            tokens[user] = (await authService.login(email, 'password123')).accessToken;
+        }
+    });
+
+    afterAll(async () => {
+        await new Promise(resolve => server.close(resolve));
+        console.log.mockRestore();
+        console.error.mockRestore();
+    });
+
+    test('lets the owner list the shares', async () => {
+        const response = await request('john', 'GET', '/share');
+
+        expect(response.status).toBe(200);
+        expect((await response.json()).data.map(share => share.permissionLevel).sort()).toEqual(['edit', 'view']);
+    });
+
+    test('does not let a user with view access see or create shares', async () => {
+        const list = await request('bob', 'GET', '/share');
+        const stats = await request('bob', 'GET', '/share/stats');
+        const create = await request('bob', 'POST', '/share', { userId: ALICE_ID, permissionLevel: 'view' });
+
+        expect([list.status, stats.status, create.status]).toEqual([403, 403, 403]);
+        expect(await create.json()).toMatchObject({ code: 'INSUFFICIENT_PAGE_PERMISSION', permissionLevel: 'view' });
+    });
+
+    test('does not let an outsider share the page with their group', async () => {
+        const group = await groupService.createGroup({ name: 'Outsiders', memberIds: [ALICE_ID] }, ALICE_ID);
+
+        const response = await request('alice', 'POST', '/share', { groupId: group.id, permissionLevel: 'edit' });
+
+        expect(response.status).toBe(403);
+        expect(await response.json()).toMatchObject({ code: 'PAGE_ACCESS_DENIED' });
+        expect(pageShareService.checkPageAccess(PAGE_ID, ALICE_ID)).toMatchObject({ hasAccess: false });
+    });
+
+    test('lets an editor share with a group and the owner revoke it', async () => {
+        const group = await groupService.createGroup({ name: 'Reviewers', memberIds: [ALICE_ID] }, ALICE_ID);
+
+        const create = await request('jane', 'POST', '/share', { groupId: group.id, permissionLevel: 'view' });
+        expect(create.status).toBe(201);
+        const share = (await create.json()).data;
+        expect(pageShareService.checkPageAccess(PAGE_ID, ALICE_ID)).toMatchObject({ hasAccess: true, source: 'group' });
+
+        const revoke = await request('john', 'DELETE', `/share/${share.id}`);
+        expect(revoke.status).toBe(200);
+        expect(pageShareService.checkPageAccess(PAGE_ID, ALICE_ID)).toMatchObject({ hasAccess: false });
+    });
+
+    test('does not let an editor revoke a share someone else created', async () => {
+        const bobsShare = pageShareService.getAllPageShares()
+            .find(share => share.pageId === PAGE_ID && share.permissionLevel === 'view' && share.userId);
+
+        const response = await request('jane', 'DELETE', `/share/${bobsShare.id}`);
+
+        expect(response.status).toBe(403);
+        expect(await response.json()).toMatchObject({ code: 'INSUFFICIENT_PERMISSIONS' });
+    });
+});
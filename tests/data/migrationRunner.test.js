@@ -0,0 +1,94 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { PGlite } = require('@electric-sql/pglite');
+const MigrationRunner = require('../../src/data/migrationRunner');
+
+const INIT_TIMEOUT = 30000;
+
+const MIGRATIONS = {
+    '001_create_widgets.sql': 'CREATE TABLE widgets (id SERIAL PRIMARY KEY, name TEXT NOT NULL);',
+    '001_create_widgets.down.sql': 'DROP TABLE widgets;',
+    '002_add_widget_color.sql': 'ALTER TABLE widgets ADD COLUMN color TEXT;',
+    '002_add_widget_color.down.sql': 'ALTER TABLE widgets DROP COLUMN color;'
+};
+
+describe('MigrationRunner', () => {
+    let db;
+    let migrationsDir;
+    let runner;
+
+    async function tableColumns(table) {
+        const result = await db.query(
+            'SELECT column_name FROM information_schema.columns WHERE table_name = $1 ORDER BY ordinal_position',
+            [table]
+        );
+        return result.rows.map(row => row.column_name);
+    }
+
+    beforeAll(async () => {
+        db = new PGlite();
+        await db.waitReady;
+    }, INIT_TIMEOUT);
+
+    afterAll(async () => {
+        await db.close();
+    });
+
+    beforeEach(() => {
+        migrationsDir = fs.mkdtempSync(path.join(os.tmpdir(), 'migrations-'));
+        Object.entries(MIGRATIONS).forEach(([file, sql]) => {
+            fs.writeFileSync(path.join(migrationsDir, file), sql);
+        });
+        runner = new MigrationRunner(db, { migrationsDir, logger: () => {} });
+    });
+
+    afterEach(async () => {
+        await db.exec('DROP TABLE IF EXISTS widgets, schema_migrations');
+        fs.rmSync(migrationsDir, { recursive: true, force: true });
+    });
+
+    test('applies pending migrations in order and reports them as applied', async () => {
+        expect((await runner.status()).pending.map(entry => entry.filename))
+            .toEqual(['001_create_widgets.sql', '002_add_widget_color.sql']);
+
+        expect(await runner.up({ steps: 1 })).toEqual(['001_create_widgets.sql']);
+        expect(await runner.up()).toEqual(['002_add_widget_color.sql']);
+        expect(await runner.up()).toEqual([]);
+
+        const status = await runner.status();
+        expect(status.migrations.map(entry => entry.state)).toEqual(['applied', 'applied']);
+        expect(status.pending).toEqual([]);
+        expect(await tableColumns('widgets')).toEqual(['id', 'name', 'color']);
+    });
+
+    test('rolls back the most recent migration', async () => {
+        await runner.up();
+
+        expect(await runner.down()).toEqual(['002_add_widget_color.sql']);
+        expect(await tableColumns('widgets')).toEqual(['id', 'name']);
+        expect((await runner.status()).pending.map(entry => entry.filename)).toEqual(['002_add_widget_color.sql']);
+    });
+
+    test('refuses to run when an applied migration was edited', async () => {
+        await runner.up({ steps: 1 });
+        fs.writeFileSync(
+            path.join(migrationsDir, '001_create_widgets.sql'),
+            'CREATE TABLE widgets (id SERIAL PRIMARY KEY, name TEXT);'
+        );
+
+        const status = await runner.status();
+        expect(status.migrations[0].state).toBe('modified');
+        expect(status.problems.map(entry => entry.filename)).toEqual(['001_create_widgets.sql']);
+        await expect(runner.up()).rejects.toMatchObject({ code: 'MIGRATION_CHECKSUM_MISMATCH' });
+        await expect(runner.down()).rejects.toMatchObject({ code: 'MIGRATION_CHECKSUM_MISMATCH' });
+    });
+
+    test('refuses to roll back a migration without a rollback file', async () => {
+        await runner.up();
+        fs.unlinkSync(path.join(migrationsDir, '002_add_widget_color.down.sql'));
+
+        await expect(runner.down()).rejects.toMatchObject({ code: 'ROLLBACK_NOT_AVAILABLE' });
+        expect(await tableColumns('widgets')).toEqual(['id', 'name', 'color']);
+    });
+});
@@ -0,0 +1,167 @@
+const MemoryStorageAdapter = require('../../src/data/adapters/memoryAdapter');
+const PgliteStorageAdapter = require('../../src/data/adapters/pgliteAdapter');
+
+const PAGE_ID = '850e8400-e29b-41d4-a716-446655440001';
+const TEMPLATE_ID = '650e8400-e29b-41d4-a716-446655440001';
+const OWNER_ID = '550e8400-e29b-41d4-a716-446655440010';
+
+// Starting PGlite and applying every migration takes a few seconds
+const INIT_TIMEOUT = 30000;
+
+function buildPage(overrides = {}) {
+    const now = new Date().toISOString();
+    return {
+        id: PAGE_ID,
+        templateId: TEMPLATE_ID,
+        ownerId: OWNER_ID,
+        components: [
+            { id: 'text-001', type: 'TextComponent', data: { content: { format: 'html', data: '<p>Hello</p>' } }, order: 1 }
+        ],
+        createdAt: now,
+        updatedAt: now,
+        ...overrides
+    };
+}
+
+function buildVersion(versionNumber) {
+    return {
+        id: `950e8400-e29b-41d4-a716-44665544000${versionNumber}`,
+        pageId: PAGE_ID,
+        versionNumber,
+        timestamp: new Date().toISOString(),
+        userId: OWNER_ID,
+        versionName: `Version ${versionNumber}`,
+        changeDescription: null,
+        components: []
+    };
+}
+
+function buildUser(overrides = {}) {
+    const now = new Date().toISOString();
+    return {
+        id: '550e8400-e29b-41d4-a716-446655440099',
+        email: 'test.user@example.com',
+        name: 'Test User',
+        role: 'user',
+        passwordHash: 'hash',
+        createdAt: now,
+        updatedAt: now,
+        ...overrides
+    };
+}
+
+describe.each([
+    ['memory', () => new MemoryStorageAdapter({ seedSampleData: false })],
+    ['pglite', () => new PgliteStorageAdapter({ seedSampleData: false })]
+])('%s storage adapter', (name, createAdapter) => {
+    let adapter;
+
+    beforeAll(async () => {
+        // The pglite adapter logs each migration it applies
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        adapter = createAdapter();
+        await adapter.init();
+    }, INIT_TIMEOUT);
+
+    afterAll(async () => {
+        await adapter.close();
+        console.log.mockRestore();
+    });
+
+    describe('pages', () => {
+        afterEach(async () => {
+            await adapter.deletePage(PAGE_ID);
+        });
+
+        test('inserts and reads a page', async () => {
+            await adapter.insertPage(buildPage());
+
+            const page = await adapter.getPage(PAGE_ID);
+            expect(page).toMatchObject({ id: PAGE_ID, templateId: TEMPLATE_ID, ownerId: OWNER_ID, revision: 1, status: 'draft' });
+            expect(page.components).toHaveLength(1);
+            expect(await adapter.getPage('850e8400-e29b-41d4-a716-446655440999')).toBeNull();
+        });
+
+        test('updates a page only at the expected revision', async () => {
+            await adapter.insertPage(buildPage());
+
+            const updated = await adapter.updatePage(PAGE_ID, { status: 'in_review' }, { expectedRevision: 1 });
+            expect(updated).toMatchObject({ status: 'in_review', revision: 2 });
+
+            expect(await adapter.updatePage(PAGE_ID, { status: 'draft' }, { expectedRevision: 1 })).toBeNull();
+            expect((await adapter.getPage(PAGE_ID)).status).toBe('in_review');
+        });
+
+        test('deleting a page deletes its versions', async () => {
+            await adapter.insertPage(buildPage());
+            await adapter.insertVersion(buildVersion(1));
+
+            expect(await adapter.deletePage(PAGE_ID)).toBe(true);
+            expect(await adapter.listVersions(PAGE_ID)).toEqual([]);
+            expect(await adapter.deletePage(PAGE_ID)).toBe(false);
+        });
+    });
+
+    describe('page versions', () => {
+        beforeEach(async () => {
+            await adapter.insertPage(buildPage());
+        });
+
+        afterEach(async () => {
+            await adapter.deletePage(PAGE_ID);
+        });
+
+        test('lists versions newest first and reports the highest number', async () => {
+            expect(await adapter.getMaxVersionNumber(PAGE_ID)).toBe(0);
+
+            await adapter.insertVersion(buildVersion(1));
+            await adapter.insertVersion(buildVersion(2));
+
+            const versions = await adapter.listVersions(PAGE_ID);
+            expect(versions.map(version => version.versionNumber)).toEqual([2, 1]);
+            expect(await adapter.getMaxVersionNumber(PAGE_ID)).toBe(2);
+            expect(await adapter.getVersion(PAGE_ID, buildVersion(1).id)).toMatchObject({ versionName: 'Version 1' });
+        });
+
+        test('deletes selected versions', async () => {
+            await adapter.insertVersion(buildVersion(1));
+            await adapter.insertVersion(buildVersion(2));
+
+            expect(await adapter.deleteVersions(PAGE_ID, [buildVersion(1).id])).toBe(1);
+            expect((await adapter.listVersions(PAGE_ID)).map(version => version.versionNumber)).toEqual([2]);
+        });
+    });
+
+    describe('users', () => {
+        afterEach(async () => {
+            for (const user of await adapter.listUsers()) {
+                await adapter.deleteUser(user.id);
+            }
+        });
+
+        test('inserts a user and finds it by ID and email', async () => {
+            await adapter.insertUser(buildUser());
+
+            expect(await adapter.getUser(buildUser().id)).toMatchObject({ email: 'test.user@example.com', name: 'Test User' });
+            expect(await adapter.getUserByEmail('test.user@example.com')).toMatchObject({ id: buildUser().id });
+            expect(await adapter.getUserByEmail('nobody@example.com')).toBeNull();
+        });
+
+        test('rejects a duplicate email', async () => {
+            await adapter.insertUser(buildUser());
+            const other = buildUser({ id: '550e8400-e29b-41d4-a716-446655440098' });
+
+            await expect(adapter.insertUser(other)).rejects.toMatchObject({ code: 'EMAIL_ALREADY_EXISTS' });
+        });
+
+        test('updates and deletes a user', async () => {
+            await adapter.insertUser(buildUser());
+
+            const updated = await adapter.updateUser(buildUser().id, { name: 'Renamed', email: undefined });
+            expect(updated).toMatchObject({ name: 'Renamed', email: 'test.user@example.com' });
+
+            expect(await adapter.deleteUser(buildUser().id)).toBe(true);
+            expect(await adapter.getUser(buildUser().id)).toBeNull();
+        });
+    });
+});
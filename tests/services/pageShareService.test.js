@@ -0,0 +1,83 @@
+// uuid only ships ES modules, which jest cannot require; node's own v4 generator is equivalent
+jest.mock('uuid', () => ({ v4: () => require('crypto').randomUUID() }));
+
+const PageShareService = require('../../src/services/pageShareService');
+const { UserService } = require('../../src/services/userService');
+const { GroupService } = require('../../src/services/groupService');
+const MemoryStorageAdapter = require('../../src/data/adapters/memoryAdapter');
+
+// Sample pages (see src/data/sampleData.js) and development accounts (see src/services/userService.js)
+const JOHNS_PAGE_ID = '750e8400-e29b-41d4-a716-446655440001';
+const JOHN_ID = '550e8400-e29b-41d4-a716-446655440010';
+const ALICE_ID = '550e8400-e29b-41d4-a716-446655440013';
+const CHARLIE_ID = '550e8400-e29b-41d4-a716-446655440014';
+
+describe('PageShareService', () => {
+    let userService;
+    let groupService;
+    let pageShareService;
+
+    beforeAll(() => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        userService = new UserService({ adapter: new MemoryStorageAdapter({ seedSampleData: false }), seedUsers: true });
+    });
+
+    afterAll(() => {
+        console.log.mockRestore();
+    });
+
+    beforeEach(() => {
+        groupService = new GroupService({ userService, seedSampleData: false });
+        pageShareService = new PageShareService({ userService, groupService });
+    });
+
+    test('shares a page from the page repository with a user', async () => {
+        const share = await pageShareService.createPageShare(JOHNS_PAGE_ID, ALICE_ID, JOHN_ID, 'view');
+
+        expect(share).toMatchObject({ pageId: JOHNS_PAGE_ID, userId: ALICE_ID, permissionLevel: 'view' });
+        expect(share.user).toMatchObject({ id: ALICE_ID, name: 'Alice Brown' });
+        expect(pageShareService.checkPageAccess(JOHNS_PAGE_ID, ALICE_ID)).toMatchObject({ hasAccess: true, source: 'user' });
+    });
+
+    test('rejects pages that do not exist', async () => {
+        const missingPageId = '750e8400-e29b-41d4-a716-446655440999';
+
+        await expect(pageShareService.createPageShare(missingPageId, ALICE_ID, JOHN_ID, 'view'))
+            .rejects.toMatchObject({ code: 'PAGE_NOT_FOUND' });
+        await expect(pageShareService.getPageSharesByPageId(missingPageId))
+            .rejects.toMatchObject({ code: 'PAGE_NOT_FOUND' });
+    });
+
+    test('grants the highest permission of direct and group shares', async () => {
+        const group = await groupService.createGroup({ name: 'Design', memberIds: [ALICE_ID, CHARLIE_ID] }, JOHN_ID);
+        await pageShareService.createPageShare(JOHNS_PAGE_ID, ALICE_ID, JOHN_ID, 'view');
+        await pageShareService.createGroupPageShare(JOHNS_PAGE_ID, group.id, JOHN_ID, 'edit');
+
+        expect(pageShareService.checkPageAccess(JOHNS_PAGE_ID, ALICE_ID, 'edit'))
+            .toMatchObject({ hasAccess: true, permissionLevel: 'edit', source: 'group', groupId: group.id });
+        expect(pageShareService.checkPageAccess(JOHNS_PAGE_ID, CHARLIE_ID, 'edit'))
+            .toMatchObject({ hasAccess: true, permissionLevel: 'edit', source: 'group' });
+    });
+
+    test('stops granting group permission to removed members', async () => {
+        const group = await groupService.createGroup({ name: 'Design', memberIds: [ALICE_ID, CHARLIE_ID] }, JOHN_ID);
+        await pageShareService.createPageShare(JOHNS_PAGE_ID, ALICE_ID, JOHN_ID, 'view');
+        await pageShareService.createGroupPageShare(JOHNS_PAGE_ID, group.id, JOHN_ID, 'edit');
+
+        groupService.removeMember(group.id, ALICE_ID);
+        groupService.removeMember(group.id, CHARLIE_ID);
+
+        expect(pageShareService.checkPageAccess(JOHNS_PAGE_ID, ALICE_ID, 'edit'))
+            .toMatchObject({ hasAccess: false, permissionLevel: 'view', source: 'user' });
+        expect(pageShareService.checkPageAccess(JOHNS_PAGE_ID, CHARLIE_ID)).toMatchObject({ hasAccess: false });
+    });
+
+    test('deletes the shares with a group', async () => {
+        const group = await groupService.createGroup({ name: 'Design', memberIds: [CHARLIE_ID] }, JOHN_ID);
+        await pageShareService.createGroupPageShare(JOHNS_PAGE_ID, group.id, JOHN_ID, 'view');
+
+        expect(pageShareService.deletePageSharesForGroup(group.id)).toBe(1);
+        expect(pageShareService.getPageShareByPageAndGroup(JOHNS_PAGE_ID, group.id)).toBeNull();
+        expect(pageShareService.checkPageAccess(JOHNS_PAGE_ID, CHARLIE_ID)).toMatchObject({ hasAccess: false });
+    });
+});
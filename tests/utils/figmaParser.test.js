@@ -0,0 +1,112 @@
+const fs = require('fs');
+const path = require('path');
+const JSZip = require('jszip');
+const { readFigmaExport, extractTemplate } = require('../../src/utils/figmaParser');
+
+const FIXTURES_DIR = path.join(__dirname, '..', 'fixtures', 'figma');
+
+function readFixture(name) {
+    return fs.readFileSync(path.join(FIXTURES_DIR, name));
+}
+
+async function loadFixture(name) {
+    return readFigmaExport(readFixture(name));
+}
+
+describe('extractTemplate', () => {
+    test('uses the frame named "Template" and strips the prefix', async () => {
+        const template = extractTemplate(await loadFixture('landing-page.json'));
+
+        expect(template.name).toBe('Landing Page');
+        expect(template.frame).toEqual({ id: '2:1', name: 'Template - Landing Page', width: 1440, height: 2400 });
+    });
+
+    test('maps layers to components in reading order and skips hidden layers', async () => {
+        const { components } = extractTemplate(await loadFixture('landing-page.json'));
+
+        expect(components.map(component => [component.type, component.name])).toEqual([
+            ['BannerComponent', 'Hero'],
+            ['TextComponent', 'Text - Intro'],
+            ['CardComponent', 'Card/Feature'],
+            ['AccordionComponent', 'FAQ'],
+            ['LinkGroupComponent', 'Link Group - Footer']
+        ]);
+        expect(components[2].region).toEqual({ x: 0, y: 900, width: 400, height: 500 });
+    });
+
+    test('fills default values from the layer text', async () => {
+        const [banner, text, card, accordion] = extractTemplate(await loadFixture('landing-page.json')).components;
+
+        expect(banner.defaultValues).toMatchObject({
+            headlineText: 'Build pages faster',
+            backgroundImageAltText: 'Team at work',
+            callToAction: { buttonText: 'Get started', linkUrl: 'https://example.com/signup', linkTarget: '_self' }
+        });
+        expect(text.defaultValues.content.data).toBe('<h2>Why templates?</h2><p>Consistent pages.<br>Less work.</p>');
+        expect(card.defaultValues).toMatchObject({ title: 'Drag and drop', linkText: 'Learn more' });
+        expect(accordion.defaultValues.title).toBe('Questions');
+        expect(accordion.defaultValues.items.map(item => [item.id, item.header])).toEqual([
+            ['accordion-item-1', 'Is it free?'],
+            ['accordion-item-2', 'Can I export?']
+        ]);
+    });
+
+    test('drops hyperlinks with unsafe schemes', async () => {
+        const { components } = extractTemplate(await loadFixture('landing-page.json'));
+        const card = components.find(component => component.type === 'CardComponent');
+        const linkGroup = components.find(component => component.type === 'LinkGroupComponent');
+
+        expect(card.defaultValues.linkUrl).toBe('#');
+        expect(linkGroup.defaultValues.links.map(link => link.linkUrl)).toEqual([
+            'https://example.com/docs',
+            'mailto:hello@example.com',
+            '#',
+            '#'
+        ]);
+    });
+
+    test('falls back to the first frame when none is named "Template"', async () => {
+        const template = extractTemplate(await loadFixture('no-template-frame.json'));
+
+        expect(template.name).toBe('Desktop');
+        expect(template.components.map(component => component.name)).toEqual(['Card A', 'Card B']);
+    });
+
+    test('rejects a frame without recognisable components', async () => {
+        const file = await loadFixture('no-components.json');
+
+        expect(() => extractTemplate(file)).toThrow(expect.objectContaining({ code: 'NO_COMPONENTS' }));
+    });
+
+    test('rejects a file without frames', () => {
+        const file = { name: 'Empty', document: { type: 'DOCUMENT', children: [{ type: 'CANVAS', children: [] }] } };
+
+        expect(() => extractTemplate(file)).toThrow(expect.objectContaining({ code: 'NO_TEMPLATE_FRAME' }));
+    });
+});
+
+describe('readFigmaExport', () => {
+    test('reads a JSON export, with or without a byte order mark', async () => {
+        const json = readFixture('landing-page.json');
+        const withBom = Buffer.concat([Buffer.from('\uFEFF'), json]);
+
+        expect((await readFigmaExport(json)).name).toBe('Marketing Site');
+        expect((await readFigmaExport(withBom)).name).toBe('Marketing Site');
+    });
+
+    test('reads the JSON file inside a ZIP export', async () => {
+        const zip = new JSZip();
+        zip.file('landing-page.json', readFixture('landing-page.json'));
+        const buffer = await zip.generateAsync({ type: 'nodebuffer' });
+
+        const file = await readFigmaExport(buffer);
+        expect(extractTemplate(file).name).toBe('Landing Page');
+    });
+
+    test('rejects files that are not Figma exports', async () => {
+        await expect(readFigmaExport(Buffer.from('not json')))
+            .rejects.toMatchObject({ code: 'INVALID_FIGMA_FILE' });
+        await expect(readFigmaExport(Buffer.from('{"name":"No document"}')))
+            .rejects.toMatchObject({ code: 'INVALID_FIGMA_FILE' });
+    });
+});
@@ -0,0 +1,25 @@
+const { markdownToHtml } = require('../../src/utils/richText');
+
+describe('markdownToHtml links', () => {
+    test('keeps balanced parentheses in the link target', () => {
+        expect(markdownToHtml('[Foo](https://en.wikipedia.org/wiki/Foo_(bar)) after'))
+            .toBe('<p><a href="https://en.wikipedia.org/wiki/Foo_(bar)">Foo</a> after</p>');
+    });
+
+    test('drops a javascript: target without leaving a stray parenthesis', () => {
+        expect(markdownToHtml('[x](javascript:alert(1))')).toBe('<p><a>x</a></p>');
+    });
+
+    test('ends the target at an unbalanced closing parenthesis', () => {
+        expect(markdownToHtml('[c](https://example.com/a)b)'))
+            .toBe('<p><a href="https://example.com/a">c</a>b)</p>');
+    });
+
+    test('supports titles, angle-bracket targets and images', () => {
+        expect(markdownToHtml('[a](https://example.com "Title")'))
+            .toBe('<p><a href="https://example.com" title="Title">a</a></p>');
+        expect(markdownToHtml('[b](<https://example.com/a b>)'))
+            .toBe('<p><a href="https://example.com/a b">b</a></p>');
+        expect(markdownToHtml('![i](/img/a.png)')).toBe('<p><img src="/img/a.png" alt="i"></p>');
+    });
+});